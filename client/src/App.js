@@ -25,6 +25,15 @@ const ServicesPage = React.lazy(() => import('./pages/ServicesPage'));
 const FeaturesPage = React.lazy(() => import('./pages/FeaturesPage'));
 const ContactPage = React.lazy(() => import('./pages/ContactPage'));
 const IndustrySpecificTests = React.lazy(() => import('./components/IndustrySpecificTests'));
+const GradingQueuePage = React.lazy(() => import('./pages/GradingQueuePage'));
+const AssignmentsPage = React.lazy(() => import('./pages/AssignmentsPage'));
+const InvitationPage = React.lazy(() => import('./pages/InvitationPage'));
+const TemplatesPage = React.lazy(() => import('./pages/TemplatesPage'));
+const ExamVersionsPage = React.lazy(() => import('./pages/ExamVersionsPage'));
+const QuestionBankPage = React.lazy(() => import('./pages/QuestionBankPage'));
+const ItemAnalysisPage = React.lazy(() => import('./pages/ItemAnalysisPage'));
+const CertificatesPage = React.lazy(() => import('./pages/CertificatesPage'));
+const CertificateVerificationPage = React.lazy(() => import('./pages/CertificateVerificationPage'));
 
 // Loading component for Suspense fallback
 const LoadingSpinner = () => (
@@ -183,6 +192,64 @@ function AppRoutes() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/grading" 
+            element={
+              <ProtectedRoute>
+                <GradingQueuePage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/assignments" 
+            element={
+              <ProtectedRoute>
+                <AssignmentsPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/templates" 
+            element={
+              <ProtectedRoute>
+                <TemplatesPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/exams/:examId/versions" 
+            element={
+              <ProtectedRoute>
+                <ExamVersionsPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/question-bank" 
+            element={
+              <ProtectedRoute>
+                <QuestionBankPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/item-analysis" 
+            element={
+              <ProtectedRoute>
+                <ItemAnalysisPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/certificates" 
+            element={
+              <ProtectedRoute>
+                <CertificatesPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route path="/certificates/:certificateId" element={<CertificateVerificationPage />} />
+          <Route path="/invite/:token" element={<InvitationPage />} />
           <Route path="/about" element={<AboutPage />} />
           <Route path="/services" element={<ServicesPage />} />
           <Route path="/features" element={<FeaturesPage />} />
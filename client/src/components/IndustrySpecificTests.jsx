@@ -12,7 +12,7 @@ import {
   Play, Pause, RotateCcw, ArrowRight, ArrowLeft
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
-import { getMixedQuestions, getQuestionStats } from '../data/industryQuestions';
+import { getMixedQuestions, getQuestionStats, getRoleStats, gradeQuestions } from '../data/industryQuestions';
 
 // Industry roles configuration
 const INDUSTRY_ROLES = {
@@ -90,6 +90,16 @@ const IndustrySpecificTests = () => {
   const [testResults, setTestResults] = useState(null);
   const [isTimerActive, setIsTimerActive] = useState(false);
   const [currentQuestions, setCurrentQuestions] = useState([]);
+  const [questionStats, setQuestionStats] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  // Load question counts for the role cards
+  useEffect(() => {
+    getQuestionStats()
+      .then(setQuestionStats)
+      .catch(error => console.error('Failed to load question statistics:', error));
+  }, []);
 
   // Timer effect
   useEffect(() => {
@@ -119,16 +129,26 @@ const IndustrySpecificTests = () => {
     setTestState('instructions');
   };
 
-  const startTest = () => {
+  const startTest = async () => {
     const role = selectedRole;
-    // Generate questions based on role
-    const questions = getMixedQuestions(role.id, 5, 15, 5); // 5 easy, 15 medium, 5 hard
-    setCurrentQuestions(questions);
-    setTimeRemaining(role.testDuration * 60); // Convert minutes to seconds
-    setCurrentQuestion(0);
-    setAnswers({});
-    setTestState('active');
-    setIsTimerActive(true);
+    setIsLoading(true);
+    setLoadError(null);
+    
+    try {
+      // Generate questions based on role
+      const questions = await getMixedQuestions(role.id, 5, 15, 5); // 5 easy, 15 medium, 5 hard
+      setCurrentQuestions(questions);
+      setTimeRemaining(role.testDuration * 60); // Convert minutes to seconds
+      setCurrentQuestion(0);
+      setAnswers({});
+      setTestState('active');
+      setIsTimerActive(true);
+    } catch (error) {
+      console.error('Failed to load questions:', error);
+      setLoadError('Could not load questions for this role. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   const handleAnswer = (questionId, answer) => {
@@ -152,41 +172,25 @@ const IndustrySpecificTests = () => {
     }
   };
 
-  const handleTestComplete = useCallback(() => {
+  const handleTestComplete = useCallback(async () => {
     setIsTimerActive(false);
     
-    // Calculate results
-    let correctAnswers = 0;
-    let totalQuestions = currentQuestions.length;
-    let categoryScores = {};
-    
-    currentQuestions.forEach(question => {
-      const category = question.category;
-      if (!categoryScores[category]) {
-        categoryScores[category] = { correct: 0, total: 0 };
-      }
-      categoryScores[category].total++;
-      
-      if (question.type === 'mcq' && answers[question.id] === question.correct) {
-        correctAnswers++;
-        categoryScores[category].correct++;
-      } else if (question.type === 'coding' && answers[question.id]) {
-        // For coding questions, give partial credit if there's an attempt
-        correctAnswers += 0.5;
-        categoryScores[category].correct += 0.5;
-      } else if (question.type === 'system-design' && answers[question.id]) {
-        // For system design, give partial credit if there's an attempt
-        correctAnswers += 0.7;
-        categoryScores[category].correct += 0.7;
-      }
-    });
+    let grading;
+    try {
+      // Answers are graded on the server; the client never sees the answer key
+      grading = await gradeQuestions(currentQuestions, answers);
+    } catch (error) {
+      console.error('Failed to grade test:', error);
+      setLoadError('Could not submit your answers for grading. Please try again.');
+      setIsTimerActive(timeRemaining > 0);
+      return;
+    }
     
-    const score = Math.round((correctAnswers / totalQuestions) * 100);
     const results = {
-      score,
-      correctAnswers: Math.round(correctAnswers),
-      totalQuestions,
-      categoryScores,
+      score: grading.score,
+      correctAnswers: grading.correctAnswers,
+      totalQuestions: grading.totalQuestions,
+      categoryScores: grading.categoryScores,
       role: selectedRole.title,
       completedAt: new Date().toISOString(),
       timeSpent: (selectedRole.testDuration * 60) - timeRemaining
@@ -210,6 +214,7 @@ const IndustrySpecificTests = () => {
     setTestResults(null);
     setIsTimerActive(false);
     setCurrentQuestions([]);
+    setLoadError(null);
   };
 
   const renderRoleSelection = () => (
@@ -227,7 +232,7 @@ const IndustrySpecificTests = () => {
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {Object.values(INDUSTRY_ROLES).map((role) => {
           const IconComponent = role.icon;
-          const stats = getQuestionStats(role.id);
+          const stats = getRoleStats(questionStats, role.id);
           return (
             <motion.div
               key={role.id}
@@ -346,6 +351,12 @@ const IndustrySpecificTests = () => {
           </ul>
         </div>
 
+        {loadError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-6" role="alert">
+            {loadError}
+          </div>
+        )}
+
         <div className="flex gap-4 justify-center">
           <button
             onClick={() => setTestState('selection')}
@@ -355,10 +366,11 @@ const IndustrySpecificTests = () => {
           </button>
           <button
             onClick={startTest}
-            className={`px-8 py-3 bg-${selectedRole.color}-600 text-white rounded-lg hover:bg-${selectedRole.color}-700 transition-colors flex items-center gap-2`}
+            disabled={isLoading}
+            className={`px-8 py-3 bg-${selectedRole.color}-600 text-white rounded-lg hover:bg-${selectedRole.color}-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed`}
           >
             <Play className="w-5 h-5" />
-            Start Test
+            {isLoading ? 'Loading...' : 'Start Test'}
           </button>
         </div>
       </div>
@@ -470,7 +482,7 @@ const IndustrySpecificTests = () => {
               <div className="bg-gray-50 rounded-lg p-4">
                 <h4 className="font-semibold text-gray-900 mb-2">Code Template:</h4>
                 <pre className="text-sm text-gray-800 font-mono">
-                  {question.template}
+                  {question.codeTemplate}
                 </pre>
               </div>
               <textarea
@@ -502,6 +514,12 @@ const IndustrySpecificTests = () => {
           )}
         </div>
 
+        {loadError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-6" role="alert">
+            {loadError}
+          </div>
+        )}
+
         {/* Navigation */}
         <div className="flex justify-between items-center">
           <button
@@ -25,12 +25,14 @@ import SecurityWarningModal from './exam/SecurityWarningModal';
 import FullscreenRequiredModal from './FullscreenRequiredModal';
 import FullscreenExitWarningModal from './FullscreenExitWarningModal';
 import FaceVerificationModal from './FaceVerificationModal';
+import StarAnnotatedAnswer from './StarAnnotatedAnswer';
 import { useAuth } from '../context/AuthContext';
 import { useExam } from '../contexts/ExamContext';
 import { useExamSecurity } from '../contexts/ExamSecurityManager';
 import FaceDetectionService from '../services/FaceDetectionService';
 import QuestionGenerationService from '../services/QuestionGenerationService';
 import SecurityService from '../services/SecurityService';
+import { mockInterviewAPI } from '../services/api';
 
 const MockInterviewSimulator = ({ 
   interviewType = 'technical', // 'technical', 'behavioral', 'mixed'
@@ -84,6 +86,9 @@ const MockInterviewSimulator = ({
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [interviewDuration, setInterviewDuration] = useState(0);
   const [responses, setResponses] = useState([]);
+  // Mirrors responses so completing right after the last answer still includes it
+  const responsesRef = useRef([]);
+  const startedAtRef = useRef(null);
   const [currentResponse, setCurrentResponse] = useState('');
   const [questions, setQuestions] = useState([]);
   const [, setIsGeneratingQuestions] = useState(false);
@@ -161,6 +166,9 @@ const MockInterviewSimulator = ({
   const [analyticsData, setAnalyticsData] = useState([]);
   const [showResults, setShowResults] = useState(false);
   const [interviewResults, setInterviewResults] = useState(null);
+  const [isRetryingScore, setIsRetryingScore] = useState(false);
+  // Responses and metrics of a finished interview whose answers could not be scored yet
+  const pendingCompletionRef = useRef(null);
 
   // Get violations from ExamSecurityManager
   const violationHistory = violations || [];
@@ -236,8 +244,65 @@ const MockInterviewSimulator = ({
     }
   }, [existingCameraStream, handleFaceDetectionResult, handleSecurityViolation]);
 
+  // Answers are scored on the server, the same way saved sessions are, so history shows these numbers
+  const scoreAnswers = useCallback(async (finalResponses) => {
+    try {
+      const { data } = await mockInterviewAPI.score({
+        questions: questions.map(question => ({
+          questionId: question.id,
+          question: question.question,
+          type: question.type,
+          expectedPoints: question.expectedPoints
+        })),
+        responses: finalResponses.map(response => ({ questionId: response.questionId, answer: response.answer }))
+      });
+      return data.data.scoring;
+    } catch (error) {
+      console.warn('Failed to score interview answers:', error);
+      return null;
+    }
+  }, [questions]);
+
+  // Keep a scored interview in history, close the exam and hand the results to the parent
+  const recordResults = useCallback((results, finalResponses, finalMetrics) => {
+    // Update analytics data
+    const updatedAnalytics = [...analyticsData, results];
+    setAnalyticsData(updatedAnalytics);
+    
+    // Store in localStorage for persistence
+    try {
+      localStorage.setItem('interviewAnalytics', JSON.stringify(updatedAnalytics));
+    } catch (error) {
+      console.warn('Failed to save analytics data:', error);
+    }
+    
+    // End exam context if in strict mode
+    if (settings.strictMode && isExamActive) {
+      endExam({
+        reason: 'completed',
+        finalScore: results.overallScore,
+        totalViolations: totalViolations,
+        responses: finalResponses
+      });
+    }
+    
+    if (onInterviewComplete) {
+      onInterviewComplete({
+        responses: finalResponses,
+        questions,
+        results,
+        startedAt: startedAtRef.current,
+        metrics: finalMetrics,
+        audioChunks,
+        examId,
+        userId: user?.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }, [analyticsData, settings, isExamActive, endExam, totalViolations, onInterviewComplete, questions, audioChunks, examId, user]);
+
   // Complete interview function - defined early to avoid hoisting issues
-  const completeInterview = useCallback(() => {
+  const completeInterview = useCallback(async () => {
     setInterviewStatus('completed');
     
     // Clear timer
@@ -276,32 +341,30 @@ const MockInterviewSimulator = ({
       setFaceDetectionActive(false);
     }
     
+    const finalResponses = responsesRef.current;
+
     // Calculate final metrics
     const avgResponseTime = performanceMetrics.responseTime.reduce((a, b) => a + b, 0) / performanceMetrics.responseTime.length || 0;
-    const completionRate = (responses.length / questions.length) * 100;
+    const completionRate = (finalResponses.length / questions.length) * 100;
     
-    // Calculate overall score
-    let overallScore = 85; // Base score
-    overallScore -= violationHistory.length * 5; // Deduct for violations
-    if (avgResponseTime > 120000) overallScore -= 10;
-    if (avgResponseTime < 30000) overallScore -= 5;
-    overallScore = (overallScore * completionRate) / 100;
-    overallScore = Math.max(0, Math.min(100, overallScore));
+    const answerScoring = await scoreAnswers(finalResponses);
+    const overallScore = answerScoring ? answerScoring.overallScore : null;
     
     const finalMetrics = {
       ...performanceMetrics,
       totalDuration: interviewDuration,
-      questionsAnswered: responses.length,
+      questionsAnswered: finalResponses.length,
       averageResponseTime: avgResponseTime,
       violationCount: violationHistory.length,
       completionRate: completionRate
     };
     
     const results = {
-      overallScore: Math.round(overallScore),
+      overallScore,
+      answerScoring,
       completionRate: Math.round(completionRate),
       totalQuestions: questions.length,
-      answeredQuestions: responses.length,
+      answeredQuestions: finalResponses.length,
       averageResponseTime: avgResponseTime,
       securityViolations: violationHistory.length,
       performanceMetrics: finalMetrics,
@@ -309,7 +372,7 @@ const MockInterviewSimulator = ({
       timestamp: new Date().toISOString(),
       interviewType: interviewType,
       // Enhanced analytics data
-      score: Math.round(overallScore),
+      score: overallScore,
       duration: interviewDuration,
       violations: violationHistory,
       completed: completionRate === 100,
@@ -331,41 +394,38 @@ const MockInterviewSimulator = ({
       detailedMetrics: finalMetrics.detailedMetrics
     };
     
-    // Update analytics data
-    const updatedAnalytics = [...analyticsData, results];
-    setAnalyticsData(updatedAnalytics);
-    
-    // Store in localStorage for persistence
-    try {
-      localStorage.setItem('interviewAnalytics', JSON.stringify(updatedAnalytics));
-    } catch (error) {
-      console.warn('Failed to save analytics data:', error);
-    }
-    
     setInterviewResults(results);
     setShowResults(true);
     
-    // End exam context if in strict mode
-    if (settings.strictMode && isExamActive) {
-      endExam({
-        reason: 'completed',
-        finalScore: Math.round(overallScore),
-        totalViolations: totalViolations,
-        responses: responses
-      });
-    }
-    
-    if (onInterviewComplete) {
-      onInterviewComplete({
-        responses,
-        metrics: finalMetrics,
-        audioChunks,
-        examId,
-        userId: user?.id,
-        timestamp: new Date().toISOString()
-      });
+    if (answerScoring) {
+      recordResults(results, finalResponses, finalMetrics);
+    } else {
+      // Nothing is recorded without a score; the results modal offers a retry
+      pendingCompletionRef.current = { responses: finalResponses, metrics: finalMetrics };
     }
-  }, [interviewDuration, responses, performanceMetrics, violationHistory, questions.length, audioChunks, examId, user, onInterviewComplete, mediaRecorder, audioStream, interviewType, analyticsData, screenRecorder, videoStream, settings, faceDetectionActive, isExamActive, endExam, totalViolations]);
+  }, [interviewDuration, performanceMetrics, violationHistory, questions, mediaRecorder, audioStream, interviewType, screenRecorder, videoStream, settings, faceDetectionActive, scoreAnswers, recordResults]);
+
+  // Score the answers again after scoring failed, and record the interview once it succeeds
+  const retryScoring = useCallback(async () => {
+    const pending = pendingCompletionRef.current;
+    if (!pending || isRetryingScore) return;
+
+    setIsRetryingScore(true);
+    const answerScoring = await scoreAnswers(pending.responses);
+    setIsRetryingScore(false);
+
+    if (!answerScoring) return;
+
+    pendingCompletionRef.current = null;
+    const results = {
+      ...interviewResults,
+      overallScore: answerScoring.overallScore,
+      score: answerScoring.overallScore,
+      answerScoring
+    };
+    setInterviewResults(results);
+    recordResults(results, pending.responses, pending.metrics);
+  }, [interviewResults, isRetryingScore, scoreAnswers, recordResults]);
 
   // Handle complete interview - wrapper for completeInterview with additional parameters
   const handleCompleteInterview = useCallback((isAutoSubmit = false, reason = null) => {
@@ -1320,6 +1380,8 @@ const MockInterviewSimulator = ({
       
       setInterviewStatus('active');
       setCurrentQuestion(0);
+      responsesRef.current = [];
+      startedAtRef.current = new Date().toISOString();
       responseStartTimeRef.current = Date.now();
       
       // Start timer
@@ -1412,7 +1474,8 @@ const MockInterviewSimulator = ({
       timestamp: new Date().toISOString()
     };
     
-    setResponses(prev => [...prev, response]);
+    responsesRef.current = [...responsesRef.current, response];
+    setResponses(responsesRef.current);
     setPerformanceMetrics(prev => ({
       ...prev,
       responseTime: [...prev.responseTime, responseTime]
@@ -1554,17 +1617,49 @@ const MockInterviewSimulator = ({
     return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
   };
 
-  // Load saved analytics data on component mount
+  // Load interview history on mount: saved sessions from the server, or this device's copy when offline
   useEffect(() => {
-    const savedAnalytics = localStorage.getItem('interviewAnalytics');
-    if (savedAnalytics) {
-      try {
-        const parsed = JSON.parse(savedAnalytics);
-        setAnalyticsData(parsed);
-      } catch (error) {
-        console.warn('Failed to load analytics data:', error);
+    let cancelled = false;
+
+    const loadLocalAnalytics = () => {
+      const savedAnalytics = localStorage.getItem('interviewAnalytics');
+      if (savedAnalytics) {
+        try {
+          const parsed = JSON.parse(savedAnalytics);
+          setAnalyticsData(parsed);
+        } catch (error) {
+          console.warn('Failed to load analytics data:', error);
+        }
       }
-    }
+    };
+
+    mockInterviewAPI.list({ limit: 100 })
+      .then(({ data }) => {
+        if (cancelled) return;
+        // Oldest first, in the shape PerformanceAnalytics reads (durations in ms)
+        setAnalyticsData(data.data.sessions.slice().reverse().map(session => ({
+          sessionId: session.sessionId,
+          type: session.interviewType,
+          score: session.performance?.overallScore || 0,
+          completed: session.totalQuestions > 0 && session.answeredQuestions === session.totalQuestions,
+          duration: (session.totalDuration || 0) * 1000,
+          averageResponseTime: (session.performance?.averageResponseTime || 0) * 1000,
+          violationCount: session.violationCount,
+          timestamp: session.completedAt,
+          eyeContactScore: session.performance?.eyeContact,
+          speechClarityScore: session.performance?.speechClarity,
+          confidenceLevel: session.performance?.confidence,
+          engagementScore: session.performance?.engagement,
+          professionalismScore: session.performance?.professionalism
+        })));
+      })
+      .catch(() => {
+        if (!cancelled) loadLocalAnalytics();
+      });
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   // Cleanup on unmount
@@ -1980,27 +2075,27 @@ const MockInterviewSimulator = ({
                   
                   {interviewStatus === 'active' && (
                     <>
-                      {settings.allowPause && (
+                        {settings.allowPause && (
+                          <button
+                            onClick={pauseInterview}
+                            className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg font-medium flex items-center gap-2"
+                          >
+                            <Pause className="h-4 w-4" />
+                            Pause
+                          </button>
+                        )}
+                      
                         <button
-                          onClick={pauseInterview}
-                          className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg font-medium flex items-center gap-2"
+                          onClick={submitResponse}
+                          disabled={!currentResponse.trim() || currentResponse.trim().length < 10}
+                          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                          title={!currentResponse.trim() || currentResponse.trim().length < 10 ? 'Please provide a detailed response (minimum 10 characters)' : ''}
                         >
-                          <Pause className="h-4 w-4" />
-                          Pause
+                          {currentQuestion < questions.length - 1 ? 'Next Question' : 'Complete Interview'}
+                          {(!isFullscreen || !faceVerificationComplete || (settings.enableScreenRecording && !screenRecordingActive && !screenRecordingData)) && (
+                            <AlertTriangle className="h-4 w-4 text-yellow-300" />
+                          )}
                         </button>
-                      )}
-                      
-                      <button
-                        onClick={submitResponse}
-                        disabled={!currentResponse.trim() || currentResponse.trim().length < 10}
-                        className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
-                        title={!currentResponse.trim() || currentResponse.trim().length < 10 ? 'Please provide a detailed response (minimum 10 characters)' : ''}
-                      >
-                        {currentQuestion < questions.length - 1 ? 'Next Question' : 'Complete Interview'}
-                        {(!isFullscreen || !faceVerificationComplete || (settings.enableScreenRecording && !screenRecordingActive && !screenRecordingData)) && (
-                          <AlertTriangle className="h-4 w-4 text-yellow-300" />
-                        )}
-                      </button>
                     </>
                   )}
                   
@@ -2246,55 +2341,74 @@ const MockInterviewSimulator = ({
                 
                 {/* Enhanced Overall Score */}
                 <div className="text-center mb-8">
-                  <div className="relative inline-flex items-center justify-center w-40 h-40 mb-4">
-                    <svg className="w-40 h-40 transform -rotate-90" viewBox="0 0 144 144">
-                      <circle
-                        cx="72"
-                        cy="72"
-                        r="60"
-                        stroke="#e5e7eb"
-                        strokeWidth="8"
-                        fill="none"
-                      />
-                      <circle
-                        cx="72"
-                        cy="72"
-                        r="60"
-                        stroke={interviewResults.overallScore >= 80 ? '#10b981' : interviewResults.overallScore >= 60 ? '#f59e0b' : '#ef4444'}
-                        strokeWidth="8"
-                        fill="none"
-                        strokeDasharray={((interviewResults.overallScore / 100) * 377) + ' 377'}
-                        strokeLinecap="round"
-                        className="transition-all duration-1000 ease-out"
-                      />
-                    </svg>
-                    <div className="absolute inset-0 flex items-center justify-center">
-                      <span className="text-4xl font-bold text-gray-800">
-                        {interviewResults.overallScore}%
+                  {interviewResults.overallScore === null ? (
+                    <div className="mb-4">
+                      <div className="inline-flex items-center justify-center w-40 h-40 mb-4 rounded-full border-8 border-gray-200">
+                        <span className="text-4xl font-bold text-gray-400">--</span>
+                      </div>
+                      <h3 className="text-3xl font-bold text-gray-900 mb-2">Score Unavailable</h3>
+                      <p className="text-gray-600 mb-4">Your answers could not be scored, so this interview has not been saved to your history yet.</p>
+                      <button
+                        onClick={retryScoring}
+                        disabled={isRetryingScore}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isRetryingScore ? 'Scoring...' : 'Retry Scoring'}
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                    <div className="relative inline-flex items-center justify-center w-40 h-40 mb-4">
+                      <svg className="w-40 h-40 transform -rotate-90" viewBox="0 0 144 144">
+                        <circle
+                          cx="72"
+                          cy="72"
+                          r="60"
+                          stroke="#e5e7eb"
+                          strokeWidth="8"
+                          fill="none"
+                        />
+                        <circle
+                          cx="72"
+                          cy="72"
+                          r="60"
+                          stroke={interviewResults.overallScore >= 80 ? '#10b981' : interviewResults.overallScore >= 60 ? '#f59e0b' : '#ef4444'}
+                          strokeWidth="8"
+                          fill="none"
+                          strokeDasharray={((interviewResults.overallScore / 100) * 377) + ' 377'}
+                          strokeLinecap="round"
+                          className="transition-all duration-1000 ease-out"
+                        />
+                      </svg>
+                      <div className="absolute inset-0 flex items-center justify-center">
+                        <span className="text-4xl font-bold text-gray-800">
+                          {interviewResults.overallScore}%
+                        </span>
+                      </div>
+                    </div>
+                    <h3 className="text-3xl font-bold text-gray-900 mb-2">Interview Performance</h3>
+                    <div className={'inline-flex items-center gap-2 px-4 py-2 rounded-full text-lg font-semibold mb-4 ' + (
+                      interviewResults.overallScore >= 90 ? 'bg-green-100 text-green-800' :
+                      interviewResults.overallScore >= 80 ? 'bg-blue-100 text-blue-800' :
+                      interviewResults.overallScore >= 70 ? 'bg-yellow-100 text-yellow-800' :
+                      interviewResults.overallScore >= 60 ? 'bg-orange-100 text-orange-800' :
+                      'bg-red-100 text-red-800'
+                    )}>
+                      <span className="text-2xl">
+                        {interviewResults.overallScore >= 90 ? '🏆' :
+                         interviewResults.overallScore >= 80 ? '🌟' :
+                         interviewResults.overallScore >= 70 ? '👍' :
+                         interviewResults.overallScore >= 60 ? '📈' :
+                         interviewResults.overallScore >= 40 ? '⚠️' : '🔄'}
                       </span>
+                      {interviewResults.overallScore >= 90 ? 'Outstanding Performance' :
+                       interviewResults.overallScore >= 80 ? 'Excellent Performance' :
+                       interviewResults.overallScore >= 70 ? 'Good Performance' :
+                       interviewResults.overallScore >= 60 ? 'Fair Performance' :
+                       interviewResults.overallScore >= 40 ? 'Below Average' : 'Needs Improvement'}
                     </div>
-                  </div>
-                  <h3 className="text-3xl font-bold text-gray-900 mb-2">Interview Performance</h3>
-                  <div className={'inline-flex items-center gap-2 px-4 py-2 rounded-full text-lg font-semibold mb-4 ' + (
-                    interviewResults.overallScore >= 90 ? 'bg-green-100 text-green-800' :
-                    interviewResults.overallScore >= 80 ? 'bg-blue-100 text-blue-800' :
-                    interviewResults.overallScore >= 70 ? 'bg-yellow-100 text-yellow-800' :
-                    interviewResults.overallScore >= 60 ? 'bg-orange-100 text-orange-800' :
-                    'bg-red-100 text-red-800'
-                  )}>
-                    <span className="text-2xl">
-                      {interviewResults.overallScore >= 90 ? '🏆' :
-                       interviewResults.overallScore >= 80 ? '🌟' :
-                       interviewResults.overallScore >= 70 ? '👍' :
-                       interviewResults.overallScore >= 60 ? '📈' :
-                       interviewResults.overallScore >= 40 ? '⚠️' : '🔄'}
-                    </span>
-                    {interviewResults.overallScore >= 90 ? 'Outstanding Performance' :
-                     interviewResults.overallScore >= 80 ? 'Excellent Performance' :
-                     interviewResults.overallScore >= 70 ? 'Good Performance' :
-                     interviewResults.overallScore >= 60 ? 'Fair Performance' :
-                     interviewResults.overallScore >= 40 ? 'Below Average' : 'Needs Improvement'}
-                  </div>
+                    </>
+                  )}
                   <div className="bg-gray-50 rounded-lg p-4 inline-block">
                     <div className="flex items-center gap-4 text-sm text-gray-600">
                       <span className="flex items-center gap-1">
@@ -2357,14 +2471,14 @@ const MockInterviewSimulator = ({
                        <div className="bg-purple-500 rounded-full p-2">
                          <TrendingUp className="w-5 h-5 text-white" />
                        </div>
-                       <span className="text-2xl font-bold text-purple-600">{Math.round(interviewResults.overallScore)}%</span>
+                       <span className="text-2xl font-bold text-purple-600">{interviewResults.overallScore === null ? '--' : Math.round(interviewResults.overallScore) + '%'}</span>
                      </div>
                      <h4 className="text-sm font-semibold text-purple-800 mb-1">Performance Score</h4>
                      <p className="text-xs text-purple-700">Overall evaluation</p>
                      <div className="mt-2 bg-purple-200 rounded-full h-2">
                        <div 
                          className="bg-purple-500 h-2 rounded-full transition-all duration-500"
-                         style={{ width: interviewResults.overallScore + '%' }}
+                         style={{ width: (interviewResults.overallScore || 0) + '%' }}
                        ></div>
                      </div>
                    </div>
@@ -2448,6 +2562,54 @@ const MockInterviewSimulator = ({
                   </div>
                 </div>
                 
+                {/* Answer Scores */}
+                <div className="mb-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Answer Scores</h4>
+                  {interviewResults.answerScoring ? (
+                    <div className="space-y-4">
+                      {interviewResults.answerScoring.questions.map((entry, index) => (
+                        <div key={entry.questionId ?? index} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                          <div className="flex items-start justify-between gap-4 mb-3">
+                            <p className="text-sm font-medium text-gray-800">{index + 1}. {entry.question}</p>
+                            <span className={'text-sm font-bold ' + (entry.score >= 70 ? 'text-green-600' : entry.score >= 40 ? 'text-yellow-600' : 'text-red-600')}>
+                              {entry.answered ? entry.score + '%' : 'Not answered'}
+                            </span>
+                          </div>
+                          {entry.answered && (
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+                              {['coverage', 'relevance', 'depth', 'structure'].filter(component => entry[component] !== null).map(component => (
+                                <div key={component}>
+                                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                                    <span className="capitalize">{component}</span>
+                                    <span>{entry[component]}%</span>
+                                  </div>
+                                  <div className="bg-gray-200 rounded-full h-1.5">
+                                    <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: entry[component] + '%' }} />
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          {entry.missedPoints.length > 0 && (
+                            <p className="text-xs text-gray-600">
+                              <span className="font-medium">Missed points:</span> {entry.missedPoints.join(', ')}
+                            </p>
+                          )}
+                          {entry.star && (
+                            <StarAnnotatedAnswer
+                              className="mt-3"
+                              answer={responses.find(response => String(response.questionId) === String(entry.questionId))?.answer}
+                              star={entry.star}
+                            />
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-600">Answer scores are unavailable right now.</p>
+                  )}
+                </div>
+
                 {/* Enhanced Recommendations */}
                 <div className="mb-8">
                   <h4 className="text-xl font-bold text-gray-900 mb-6 flex items-center gap-3">
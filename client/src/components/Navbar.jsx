@@ -88,6 +88,39 @@ const Navbar = () => {
       icon: '',
       description: 'Your interview history'
     },
+    {
+      name: 'Certificates',
+      path: '/certificates',
+      icon: '',
+      description: 'Certificates for passed exams'
+    },
+    ...(['admin', 'moderator'].includes(user?.role) ? [{ 
+      name: 'Grading', 
+      path: '/grading', 
+      icon: '',
+      description: 'Review candidate answers'
+    }, {
+      name: 'Assignments',
+      path: '/assignments',
+      icon: '',
+      description: 'Invite candidates and track their exams'
+    }, {
+      name: 'Templates',
+      path: '/templates',
+      icon: '',
+      description: 'Reuse exams from the template library'
+    }] : []),
+    ...(user?.role === 'admin' ? [{
+      name: 'Question Bank',
+      path: '/question-bank',
+      icon: '',
+      description: 'Import and export questions'
+    }, {
+      name: 'Item Analysis',
+      path: '/item-analysis',
+      icon: '',
+      description: 'Find questions that need rewording'
+    }] : []),
     { 
       name: 'About', 
       path: '/about', 
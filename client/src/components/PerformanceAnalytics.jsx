@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   BarChart3,
@@ -33,6 +33,7 @@ import {
   PolarRadiusAxis,
   Radar
 } from 'recharts';
+import { analyticsAPI } from '../services/api';
 
 const PerformanceAnalytics = ({ 
   interviewData, 
@@ -46,6 +47,23 @@ const PerformanceAnalytics = ({
   const [filterBy, setFilterBy] = useState('all'); // 'all', 'technical', 'behavioral', 'mixed'
   const [showInsights, setShowInsights] = useState(true);
   const [showAdvancedMetrics, setShowAdvancedMetrics] = useState(false);
+  const [examAnalytics, setExamAnalytics] = useState(null);
+  const [examAnalyticsError, setExamAnalyticsError] = useState('');
+
+  // Exam results are aggregated on the server; interviewData only covers local mock interviews
+  useEffect(() => {
+    let cancelled = false;
+    analyticsAPI.getUserAnalytics(timeRange)
+      .then(({ data }) => {
+        if (!cancelled) setExamAnalytics(data.data.analytics);
+      })
+      .catch(() => {
+        if (!cancelled) setExamAnalyticsError('Exam analytics are unavailable right now.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [timeRange]);
 
   // Color schemes for charts - memoized to prevent re-renders
   const COLORS = useMemo(() => ({
@@ -170,7 +188,7 @@ const PerformanceAnalytics = ({
       averageScore: filteredData.reduce((sum, i) => sum + (i.score || 0), 0) / filteredData.length || 0,
       completionRate: filteredData.filter(i => i.completed).length / filteredData.length * 100 || 0,
       averageDuration: filteredData.reduce((sum, i) => sum + (i.duration || 0), 0) / filteredData.length || 0,
-      violationRate: filteredData.reduce((sum, i) => sum + (i.violations?.length || 0), 0) / filteredData.length || 0
+      violationRate: filteredData.reduce((sum, i) => sum + ((i.violationCount ?? i.violations?.length) || 0), 0) / filteredData.length || 0
     };
 
     // Calculate performance trends over time
@@ -178,7 +196,7 @@ const PerformanceAnalytics = ({
       session: index + 1,
       score: interview.score || 0,
       responseTime: interview.averageResponseTime || 0,
-      violations: interview.violations?.length || 0,
+      violations: (interview.violationCount ?? interview.violations?.length) || 0,
       confidence: interview.confidenceLevel || 0,
       date: interview.timestamp ? new Date(interview.timestamp).toLocaleDateString() : `Session ${index + 1}`
     }));
@@ -247,7 +265,8 @@ const PerformanceAnalytics = ({
       summary: analyticsData.summary,
       insights: analyticsData.insights,
       performance: analyticsData.performance,
-      behavioral: analyticsData.behavioral
+      behavioral: analyticsData.behavioral,
+      exams: examAnalytics
     };
     
     if (onExportReport) {
@@ -658,6 +677,83 @@ const PerformanceAnalytics = ({
         </div>
       </div>
 
+      {/* Exam Performance (server-side analytics over completed exams) */}
+      <div className="mt-6 bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Exam Performance</h2>
+          {examAnalytics?.improvement && (
+            <span className={`flex items-center gap-1 text-sm font-medium ${examAnalytics.improvement.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+              {examAnalytics.improvement.change >= 0 ? <TrendingUp className="h-4 w-4" /> : <TrendingDown className="h-4 w-4" />}
+              {examAnalytics.improvement.change >= 0 ? '+' : ''}{examAnalytics.improvement.change} points since your first exam in this period
+            </span>
+          )}
+        </div>
+
+        {examAnalyticsError && <p className="text-sm text-gray-500">{examAnalyticsError}</p>}
+        {!examAnalyticsError && !examAnalytics && <p className="text-sm text-gray-500">Loading exam analytics...</p>}
+        {examAnalytics && examAnalytics.summary.totalAttempts === 0 && (
+          <p className="text-sm text-gray-500">No completed exams in this period.</p>
+        )}
+
+        {examAnalytics && examAnalytics.summary.totalAttempts > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-3">Score Trend</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={examAnalytics.scoreTrend.map(entry => ({ ...entry, date: new Date(entry.completedAt).toLocaleDateString() }))}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip />
+                  <Line type="monotone" dataKey="score" stroke={COLORS.primary} strokeWidth={2} name="Score (%)" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-3">By Category</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={examAnalytics.categories}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="category" />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip />
+                  <Bar dataKey="percentage" fill={COLORS.teal} name="Correct (%)" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-3">By Difficulty</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={examAnalytics.difficulties}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="difficulty" />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip />
+                  <Bar dataKey="percentage" fill={COLORS.indigo} name="Correct (%)" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-3">
+                Time per Question (median {Math.round(examAnalytics.timePerQuestion.medianSeconds)}s)
+              </h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={examAnalytics.timePerQuestion.buckets}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Bar dataKey="count" fill={COLORS.purple} name="Answers" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Detailed Metrics (if detailed view is selected) */}
       {viewMode === 'detailed' && (
         <div className="mt-6 bg-white rounded-lg shadow-lg p-6">
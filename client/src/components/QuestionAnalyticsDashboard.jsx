@@ -1,20 +1,17 @@
-import React, { useState, useMemo, useCallback } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import { motion } from 'framer-motion';
 import {
   BarChart3,
   Clock,
   Target,
-  TrendingUp,
-  TrendingDown,
   AlertCircle,
-  CheckCircle,
+  AlertTriangle,
+  Info,
   Brain,
-  Filter,
   Download,
-  Eye,
   MessageSquare,
-  Zap,
-  Award
+  RefreshCw,
+  TrendingUp
 } from 'lucide-react';
 import {
   BarChart,
@@ -25,243 +22,169 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
-  LineChart,
-  Line,
   ScatterChart,
   Scatter,
-  PieChart,
-  Pie,
-  Cell,
-  Area,
-  AreaChart
+  ReferenceLine
 } from 'recharts';
+import { itemAnalysisAPI } from '../services/api';
 
-const QuestionAnalyticsDashboard = ({ 
-  questionData = [], 
-  interviewData = [],
-  onExportReport,
-  userId 
-}) => {
-  const [selectedDifficulty, setSelectedDifficulty] = useState('all');
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [viewMode, setViewMode] = useState('overview'); // 'overview', 'detailed', 'comparison'
-  const [sortBy, setSortBy] = useState('difficulty'); // 'difficulty', 'time', 'score', 'category'
-
-  // Color schemes
-  const COLORS = {
-    easy: '#10B981',
-    medium: '#F59E0B', 
-    hard: '#EF4444',
-    primary: '#3B82F6',
-    success: '#10B981',
-    warning: '#F59E0B',
-    danger: '#EF4444'
-  };
+// Color schemes
+const COLORS = {
+  primary: '#3B82F6',
+  success: '#10B981',
+  warning: '#F59E0B',
+  danger: '#EF4444',
+  muted: '#9CA3AF'
+};
 
-  // Process question analytics data
-  const analyticsData = useMemo(() => {
-    if (!questionData || questionData.length === 0) {
-      return {
-        questionMetrics: [],
-        difficultyBreakdown: [],
-        categoryPerformance: [],
-        timeAnalysis: [],
-        performanceTrends: [],
-        insights: []
-      };
-    }
+const SEVERITY_STYLES = {
+  critical: { badge: 'bg-red-100 text-red-800', icon: AlertCircle, color: COLORS.danger },
+  warning: { badge: 'bg-yellow-100 text-yellow-800', icon: AlertTriangle, color: COLORS.warning },
+  info: { badge: 'bg-gray-100 text-gray-700', icon: Info, color: COLORS.muted }
+};
 
-    // Filter data based on selected criteria
-    const filteredQuestions = questionData.filter(q => {
-      const difficultyMatch = selectedDifficulty === 'all' || q.difficulty === selectedDifficulty;
-      const categoryMatch = selectedCategory === 'all' || q.category === selectedCategory;
-      return difficultyMatch && categoryMatch;
-    });
+const SEVERITY_ORDER = ['critical', 'warning', 'info'];
 
-    // Calculate question-level metrics
-    const questionMetrics = filteredQuestions.map((question, index) => {
-      const responses = question.responses || [];
-      const avgScore = responses.length > 0 
-        ? responses.reduce((sum, r) => sum + (r.score || 0), 0) / responses.length 
-        : 0;
-      const avgTime = responses.length > 0 
-        ? responses.reduce((sum, r) => sum + (r.timeSpent || 0), 0) / responses.length 
-        : 0;
-      const successRate = responses.length > 0 
-        ? (responses.filter(r => (r.score || 0) >= 70).length / responses.length) * 100 
-        : 0;
-
-      return {
-        id: question.id || index,
-        question: question.text || `Question ${index + 1}`,
-        category: question.category || 'General',
-        difficulty: question.difficulty || 'medium',
-        avgScore: Math.round(avgScore),
-        avgTime: Math.round(avgTime / 1000), // Convert to seconds
-        successRate: Math.round(successRate),
-        totalAttempts: responses.length,
-        difficultyScore: question.difficultyScore || (question.difficulty === 'easy' ? 1 : question.difficulty === 'medium' ? 2 : 3),
-        keywords: question.keywords || [],
-        expectedTime: question.expectedTime || 120, // 2 minutes default
-        skillsAssessed: question.skillsAssessed || []
-      };
-    });
+const FLAG_LABELS = {
+  negative_discrimination: 'Negative discrimination',
+  low_discrimination: 'Low discrimination',
+  distractor_preferred: 'Distractor preferred over key',
+  ambiguous_distractor: 'Ambiguous distractor',
+  unused_distractor: 'Unused distractor',
+  too_hard: 'Too hard',
+  too_easy: 'Too easy',
+  high_skip_rate: 'High skip rate',
+  insufficient_data: 'Not enough answers'
+};
 
-    // Difficulty breakdown
-    const difficultyBreakdown = ['easy', 'medium', 'hard'].map(difficulty => {
-      const questions = questionMetrics.filter(q => q.difficulty === difficulty);
-      const avgScore = questions.length > 0 
-        ? questions.reduce((sum, q) => sum + q.avgScore, 0) / questions.length 
-        : 0;
-      const avgTime = questions.length > 0 
-        ? questions.reduce((sum, q) => sum + q.avgTime, 0) / questions.length 
-        : 0;
-
-      return {
-        difficulty,
-        count: questions.length,
-        avgScore: Math.round(avgScore),
-        avgTime: Math.round(avgTime),
-        successRate: questions.length > 0 
-          ? Math.round(questions.reduce((sum, q) => sum + q.successRate, 0) / questions.length)
-          : 0
-      };
-    }).filter(item => item.count > 0);
-
-    // Category performance
-    const categories = [...new Set(questionMetrics.map(q => q.category))];
-    const categoryPerformance = categories.map(category => {
-      const questions = questionMetrics.filter(q => q.category === category);
-      const avgScore = questions.reduce((sum, q) => sum + q.avgScore, 0) / questions.length;
-      const avgTime = questions.reduce((sum, q) => sum + q.avgTime, 0) / questions.length;
-      
-      return {
-        category,
-        count: questions.length,
-        avgScore: Math.round(avgScore),
-        avgTime: Math.round(avgTime),
-        successRate: Math.round(questions.reduce((sum, q) => sum + q.successRate, 0) / questions.length)
-      };
-    });
+const formatNumber = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
 
-    // Time analysis
-    const timeAnalysis = questionMetrics.map(q => ({
-      question: q.question.substring(0, 30) + '...',
-      actualTime: q.avgTime,
-      expectedTime: q.expectedTime,
-      efficiency: Math.round((q.expectedTime / Math.max(q.avgTime, 1)) * 100),
-      difficulty: q.difficulty
-    }));
-
-    // Performance trends (simulated based on difficulty and time)
-    const performanceTrends = questionMetrics.map((q, index) => ({
-      questionIndex: index + 1,
-      score: q.avgScore,
-      time: q.avgTime,
-      difficulty: q.difficultyScore,
-      efficiency: Math.round((q.expectedTime / Math.max(q.avgTime, 1)) * 100)
-    }));
-
-    // Generate insights
-    const insights = generateQuestionInsights(questionMetrics, difficultyBreakdown, categoryPerformance);
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
 
-    return {
-      questionMetrics,
-      difficultyBreakdown,
-      categoryPerformance,
-      timeAnalysis,
-      performanceTrends,
-      insights
-    };
-  }, [questionData, selectedDifficulty, selectedCategory]);
-
-  // Generate AI-powered insights
-  const generateQuestionInsights = useCallback((questions, difficulty, categories) => {
-    const insights = [];
-
-    // Difficulty analysis
-    const hardQuestions = difficulty.find(d => d.difficulty === 'hard');
-    if (hardQuestions && hardQuestions.avgScore < 60) {
-      insights.push({
-        type: 'warning',
-        title: 'Hard Questions Challenge',
-        description: `Average score on hard questions is ${hardQuestions.avgScore}%. Consider more practice on advanced topics.`,
-        icon: AlertCircle,
-        color: COLORS.warning
-      });
-    }
+// Most severe flag of a question, used for sorting and colouring
+const getWorstSeverity = (item) => SEVERITY_ORDER.find(severity => item.flags.some(flag => flag.severity === severity));
 
-    // Time efficiency
-    const inefficientQuestions = questions.filter(q => q.avgTime > q.expectedTime * 1.5);
-    if (inefficientQuestions.length > questions.length * 0.3) {
-      insights.push({
-        type: 'improvement',
-        title: 'Time Management',
-        description: `${inefficientQuestions.length} questions take significantly longer than expected. Focus on time management.`,
-        icon: Clock,
-        color: COLORS.warning
-      });
-    }
+const average = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+const QuestionAnalyticsDashboard = ({ examId: initialExamId = '', onExportReport }) => {
+  const [examId, setExamId] = useState(initialExamId);
+  const [selectedCategory, setSelectedCategory] = useState('all');
+  const [selectedSeverity, setSelectedSeverity] = useState('');
+  const [sortBy, setSortBy] = useState('flags'); // 'flags', 'difficulty', 'discrimination', 'skip', 'time'
+  const [items, setItems] = useState([]);
+  const [flagCounts, setFlagCounts] = useState([]);
+  const [computedAt, setComputedAt] = useState(null);
+  const [selectedQuestion, setSelectedQuestion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
 
-    // Category strengths
-    const strongestCategory = categories.reduce((prev, current) => 
-      (prev.avgScore > current.avgScore) ? prev : current
-    );
-    if (strongestCategory && strongestCategory.avgScore > 80) {
-      insights.push({
-        type: 'positive',
-        title: 'Category Strength',
-        description: `Excellent performance in ${strongestCategory.category} with ${strongestCategory.avgScore}% average score.`,
-        icon: Award,
-        color: COLORS.success
+  const loadStatistics = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await itemAnalysisAPI.getItemStatistics({
+        examId: examId.trim() || undefined,
+        severity: selectedSeverity || undefined
       });
+      setItems(res.data.data.items);
+      setFlagCounts(res.data.data.flags);
+      setComputedAt(res.data.data.computedAt);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load item statistics');
+    } finally {
+      setLoading(false);
     }
+  }, [examId, selectedSeverity]);
 
-    // Success rate analysis
-    const overallSuccessRate = questions.reduce((sum, q) => sum + q.successRate, 0) / questions.length;
-    if (overallSuccessRate > 85) {
-      insights.push({
-        type: 'positive',
-        title: 'High Success Rate',
-        description: `${Math.round(overallSuccessRate)}% overall success rate indicates strong preparation.`,
-        icon: CheckCircle,
-        color: COLORS.success
-      });
+  useEffect(() => {
+    loadStatistics();
+  }, [loadStatistics]);
+
+  const handleRunAnalysis = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      await itemAnalysisAPI.runAnalysis(examId.trim() || undefined);
+      await loadStatistics();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Item analysis failed');
+    } finally {
+      setRunning(false);
     }
+  };
+
+  const categories = useMemo(() => [...new Set(items.map(item => item.category).filter(Boolean))].sort(), [items]);
+
+  // Process item statistics for the charts
+  const analyticsData = useMemo(() => {
+    const filteredItems = items.filter(item => selectedCategory === 'all' || item.category === selectedCategory);
+    const flagged = filteredItems.filter(item => item.flags.some(flag => flag.severity !== 'info'));
 
-    return insights;
-  }, [COLORS]);
+    return {
+      items: filteredItems,
+      summary: {
+        totalQuestions: filteredItems.length,
+        averagePValue: average(filteredItems.map(item => item.pValue)),
+        averageDiscrimination: average(filteredItems.map(item => item.pointBiserial)),
+        flaggedQuestions: flagged.length
+      },
+      // Difficulty against discrimination: good items sit in the middle and high up
+      itemMap: filteredItems
+        .filter(item => item.pValue !== null && item.pointBiserial !== null)
+        .map(item => ({
+          examId: item.examId,
+          questionId: item.questionId,
+          question: item.question,
+          pValue: item.pValue,
+          pointBiserial: item.pointBiserial,
+          severity: getWorstSeverity(item)
+        })),
+      flagBreakdown: flagCounts
+        .filter(entry => entry.code !== 'insufficient_data')
+        .map(entry => ({ ...entry, label: FLAG_LABELS[entry.code] || entry.code }))
+    };
+  }, [items, flagCounts, selectedCategory]);
 
   // Sort questions based on selected criteria
   const sortedQuestions = useMemo(() => {
-    return [...analyticsData.questionMetrics].sort((a, b) => {
+    const severityRank = (item) => {
+      const worst = getWorstSeverity(item);
+      return worst ? SEVERITY_ORDER.indexOf(worst) : SEVERITY_ORDER.length;
+    };
+
+    return [...analyticsData.items].sort((a, b) => {
       switch (sortBy) {
+        case 'flags':
+          return severityRank(a) - severityRank(b);
         case 'difficulty':
-          return b.difficultyScore - a.difficultyScore;
+          return (a.pValue ?? 1) - (b.pValue ?? 1); // Hardest first
+        case 'discrimination':
+          return (a.pointBiserial ?? 1) - (b.pointBiserial ?? 1); // Weakest first
+        case 'skip':
+          return (b.skipRate ?? 0) - (a.skipRate ?? 0);
         case 'time':
-          return b.avgTime - a.avgTime;
-        case 'score':
-          return a.avgScore - b.avgScore; // Lower scores first for improvement focus
-        case 'category':
-          return a.category.localeCompare(b.category);
+          return (b.averageTimeSpent ?? 0) - (a.averageTimeSpent ?? 0);
         default:
           return 0;
       }
     });
-  }, [analyticsData.questionMetrics, sortBy]);
+  }, [analyticsData.items, sortBy]);
+
+  const selected = useMemo(
+    () => items.find(item => item.examId === selectedQuestion?.examId && item.questionId === selectedQuestion?.questionId) || null,
+    [items, selectedQuestion]
+  );
 
   const handleExportReport = useCallback(() => {
     const reportData = {
-      summary: {
-        totalQuestions: analyticsData.questionMetrics.length,
-        averageScore: Math.round(analyticsData.questionMetrics.reduce((sum, q) => sum + q.avgScore, 0) / analyticsData.questionMetrics.length),
-        averageTime: Math.round(analyticsData.questionMetrics.reduce((sum, q) => sum + q.avgTime, 0) / analyticsData.questionMetrics.length),
-        overallSuccessRate: Math.round(analyticsData.questionMetrics.reduce((sum, q) => sum + q.successRate, 0) / analyticsData.questionMetrics.length)
-      },
-      difficultyBreakdown: analyticsData.difficultyBreakdown,
-      categoryPerformance: analyticsData.categoryPerformance,
-      insights: analyticsData.insights,
-      detailedQuestions: analyticsData.questionMetrics
+      computedAt,
+      summary: analyticsData.summary,
+      flags: flagCounts,
+      items: analyticsData.items
     };
 
     if (onExportReport) {
@@ -272,65 +195,88 @@ const QuestionAnalyticsDashboard = ({
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `question-analytics-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `item-analysis-${new Date().toISOString().split('T')[0]}.json`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
     }
-  }, [analyticsData, onExportReport]);
+  }, [analyticsData, flagCounts, computedAt, onExportReport]);
+
+  const summaryCards = [
+    { label: 'Questions Analysed', value: analyticsData.summary.totalQuestions, icon: MessageSquare, tint: 'bg-blue-100', iconColor: 'text-blue-600' },
+    { label: 'Average Difficulty (p)', value: formatNumber(analyticsData.summary.averagePValue), icon: Target, tint: 'bg-green-100', iconColor: 'text-green-600' },
+    { label: 'Average Discrimination', value: formatNumber(analyticsData.summary.averageDiscrimination), icon: TrendingUp, tint: 'bg-purple-100', iconColor: 'text-purple-600' },
+    { label: 'Flagged Questions', value: analyticsData.summary.flaggedQuestions, icon: AlertCircle, tint: 'bg-red-100', iconColor: 'text-red-600' }
+  ];
 
   return (
     <div className="question-analytics-dashboard bg-gray-50 min-h-screen p-6">
       {/* Header */}
       <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
-        <div className="flex items-center justify-between">
+        <div className="flex flex-wrap items-center justify-between gap-4">
           <div>
             <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
               <Brain className="h-6 w-6" />
               Question Analytics Dashboard
             </h1>
             <p className="text-gray-600 mt-1">
-              Detailed analysis of question-by-question performance and difficulty patterns
+              Item statistics over every finished attempt
+              {computedAt ? ` · computed ${new Date(computedAt).toLocaleString()}` : ' · not computed yet'}
             </p>
           </div>
-          
-          <div className="flex items-center gap-3">
+
+          <div className="flex flex-wrap items-center gap-3">
             {/* Filters */}
-            <select
-              value={selectedDifficulty}
-              onChange={(e) => setSelectedDifficulty(e.target.value)}
+            <input
+              type="text"
+              value={examId}
+              onChange={(e) => setExamId(e.target.value)}
+              placeholder="All exams"
+              aria-label="Exam ID"
               className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="all">All Difficulties</option>
-              <option value="easy">Easy</option>
-              <option value="medium">Medium</option>
-              <option value="hard">Hard</option>
-            </select>
-            
+            />
+
             <select
               value={selectedCategory}
               onChange={(e) => setSelectedCategory(e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="all">All Categories</option>
-              <option value="technical">Technical</option>
-              <option value="behavioral">Behavioral</option>
-              <option value="problem-solving">Problem Solving</option>
-              <option value="system-design">System Design</option>
+              {categories.map(category => <option key={category} value={category}>{category}</option>)}
+            </select>
+
+            <select
+              value={selectedSeverity}
+              onChange={(e) => setSelectedSeverity(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">All Questions</option>
+              <option value="warning">Warnings and Critical</option>
+              <option value="critical">Critical Only</option>
             </select>
-            
+
             <select
               value={sortBy}
               onChange={(e) => setSortBy(e.target.value)}
               className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
+              <option value="flags">Sort by Flags</option>
               <option value="difficulty">Sort by Difficulty</option>
+              <option value="discrimination">Sort by Discrimination</option>
+              <option value="skip">Sort by Skip Rate</option>
               <option value="time">Sort by Time</option>
-              <option value="score">Sort by Score</option>
-              <option value="category">Sort by Category</option>
             </select>
-            
+
+            <button
+              onClick={handleRunAnalysis}
+              disabled={running}
+              className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg font-medium flex items-center gap-2 disabled:opacity-50"
+            >
+              <RefreshCw className={`h-4 w-4 ${running ? 'animate-spin' : ''}`} />
+              {running ? 'Computing...' : 'Recompute'}
+            </button>
+
             <button
               onClick={handleExportReport}
               className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium flex items-center gap-2"
@@ -340,107 +286,69 @@ const QuestionAnalyticsDashboard = ({
             </button>
           </div>
         </div>
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-4 text-sm">{error}</div>
+        )}
       </div>
 
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
-        <motion.div 
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="bg-white rounded-lg shadow p-6"
-        >
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Total Questions</p>
-              <p className="text-2xl font-bold text-gray-900">{analyticsData.questionMetrics.length}</p>
-            </div>
-            <div className="p-3 bg-blue-100 rounded-full">
-              <MessageSquare className="h-6 w-6 text-blue-600" />
-            </div>
-          </div>
-        </motion.div>
-        
-        <motion.div 
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-          className="bg-white rounded-lg shadow p-6"
-        >
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Average Score</p>
-              <p className="text-2xl font-bold text-gray-900">
-                {analyticsData.questionMetrics.length > 0 
-                  ? Math.round(analyticsData.questionMetrics.reduce((sum, q) => sum + q.avgScore, 0) / analyticsData.questionMetrics.length)
-                  : 0}%
-              </p>
-            </div>
-            <div className="p-3 bg-green-100 rounded-full">
-              <Target className="h-6 w-6 text-green-600" />
-            </div>
-          </div>
-        </motion.div>
-        
-        <motion.div 
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.2 }}
-          className="bg-white rounded-lg shadow p-6"
-        >
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Average Time</p>
-              <p className="text-2xl font-bold text-gray-900">
-                {analyticsData.questionMetrics.length > 0 
-                  ? Math.round(analyticsData.questionMetrics.reduce((sum, q) => sum + q.avgTime, 0) / analyticsData.questionMetrics.length)
-                  : 0}s
-              </p>
-            </div>
-            <div className="p-3 bg-yellow-100 rounded-full">
-              <Clock className="h-6 w-6 text-yellow-600" />
-            </div>
-          </div>
-        </motion.div>
-        
-        <motion.div 
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.3 }}
-          className="bg-white rounded-lg shadow p-6"
-        >
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Success Rate</p>
-              <p className="text-2xl font-bold text-gray-900">
-                {analyticsData.questionMetrics.length > 0 
-                  ? Math.round(analyticsData.questionMetrics.reduce((sum, q) => sum + q.successRate, 0) / analyticsData.questionMetrics.length)
-                  : 0}%
-              </p>
-            </div>
-            <div className="p-3 bg-purple-100 rounded-full">
-              <Award className="h-6 w-6 text-purple-600" />
-            </div>
-          </div>
-        </motion.div>
+        {summaryCards.map((card, index) => {
+          const Icon = card.icon;
+          return (
+            <motion.div
+              key={card.label}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.1 }}
+              className="bg-white rounded-lg shadow p-6"
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">{card.label}</p>
+                  <p className="text-2xl font-bold text-gray-900">{loading ? '…' : card.value}</p>
+                </div>
+                <div className={`p-3 rounded-full ${card.tint}`}>
+                  <Icon className={`h-6 w-6 ${card.iconColor}`} />
+                </div>
+              </div>
+            </motion.div>
+          );
+        })}
       </div>
 
       {/* Main Analytics */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-        {/* Difficulty Breakdown */}
+        {/* Difficulty against discrimination */}
         <div className="bg-white rounded-lg shadow-lg p-6">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Performance by Difficulty</h2>
-          
-          {analyticsData.difficultyBreakdown.length > 0 ? (
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Difficulty vs Discrimination</h2>
+          <p className="text-sm text-gray-600 mb-4">Questions below the line separate candidates poorly; below zero usually means a wrong key.</p>
+
+          {analyticsData.itemMap.length > 0 ? (
             <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={analyticsData.difficultyBreakdown}>
+              <ScatterChart>
                 <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="difficulty" />
-                <YAxis />
-                <Tooltip />
-                <Legend />
-                <Bar dataKey="avgScore" fill={COLORS.primary} name="Average Score (%)" />
-                <Bar dataKey="avgTime" fill={COLORS.warning} name="Average Time (s)" />
-              </BarChart>
+                <XAxis type="number" dataKey="pValue" name="p-value" domain={[0, 1]} />
+                <YAxis type="number" dataKey="pointBiserial" name="Point-biserial" domain={[-1, 1]} />
+                <ReferenceLine y={0.2} stroke={COLORS.warning} strokeDasharray="4 4" />
+                <ReferenceLine y={0} stroke={COLORS.danger} />
+                <Tooltip cursor={{ strokeDasharray: '3 3' }} />
+                {SEVERITY_ORDER.map(severity => (
+                  <Scatter
+                    key={severity}
+                    name={severity}
+                    data={analyticsData.itemMap.filter(point => point.severity === severity)}
+                    fill={SEVERITY_STYLES[severity].color}
+                    onClick={(point) => setSelectedQuestion(point)}
+                  />
+                ))}
+                <Scatter
+                  name="no flags"
+                  data={analyticsData.itemMap.filter(point => !point.severity)}
+                  fill={COLORS.success}
+                  onClick={(point) => setSelectedQuestion(point)}
+                />
+              </ScatterChart>
             </ResponsiveContainer>
           ) : (
             <div className="flex items-center justify-center h-64 text-gray-500">
@@ -452,140 +360,146 @@ const QuestionAnalyticsDashboard = ({
           )}
         </div>
 
-        {/* Category Performance */}
+        {/* Flags */}
         <div className="bg-white rounded-lg shadow-lg p-6">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Performance by Category</h2>
-          
-          {analyticsData.categoryPerformance.length > 0 ? (
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Flagged Problems</h2>
+
+          {analyticsData.flagBreakdown.length > 0 ? (
             <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={analyticsData.categoryPerformance}>
+              <BarChart data={analyticsData.flagBreakdown} layout="vertical" margin={{ left: 40 }}>
                 <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="category" />
-                <YAxis />
+                <XAxis type="number" allowDecimals={false} />
+                <YAxis type="category" dataKey="label" width={160} />
                 <Tooltip />
-                <Legend />
-                <Bar dataKey="avgScore" fill={COLORS.success} name="Average Score (%)" />
-                <Bar dataKey="successRate" fill={COLORS.primary} name="Success Rate (%)" />
+                <Bar dataKey="count" fill={COLORS.warning} name="Questions" />
               </BarChart>
             </ResponsiveContainer>
           ) : (
             <div className="flex items-center justify-center h-64 text-gray-500">
               <div className="text-center">
-                <BarChart3 className="h-12 w-12 mx-auto mb-4 opacity-50" />
-                <p>No category data available</p>
+                <AlertCircle className="h-12 w-12 mx-auto mb-4 opacity-50" />
+                <p>No problems flagged</p>
               </div>
             </div>
           )}
         </div>
       </div>
 
-      {/* Time Efficiency Analysis */}
-      <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Time Efficiency Analysis</h2>
-        
-        {analyticsData.timeAnalysis.length > 0 ? (
-          <ResponsiveContainer width="100%" height={400}>
-            <ScatterChart data={analyticsData.timeAnalysis}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="expectedTime" name="Expected Time" unit="s" />
-              <YAxis dataKey="actualTime" name="Actual Time" unit="s" />
-              <Tooltip cursor={{ strokeDasharray: '3 3' }} />
-              <Scatter 
-                name="Questions" 
-                data={analyticsData.timeAnalysis} 
-                fill={COLORS.primary}
-              />
-            </ScatterChart>
-          </ResponsiveContainer>
-        ) : (
-          <div className="flex items-center justify-center h-64 text-gray-500">
-            <div className="text-center">
-              <Clock className="h-12 w-12 mx-auto mb-4 opacity-50" />
-              <p>No time analysis data available</p>
-            </div>
-          </div>
-        )}
-      </div>
-
-      {/* Detailed Question List and Insights */}
+      {/* Detailed Question List and Distractors */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Question Details */}
         <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Question Details</h2>
-          
-          <div className="space-y-4 max-h-96 overflow-y-auto">
-            {sortedQuestions.map((question, index) => (
-              <motion.div
-                key={question.id}
+
+          <div className="space-y-4 max-h-[32rem] overflow-y-auto">
+            {sortedQuestions.map((item, index) => (
+              <motion.button
+                key={`${item.examId}:${item.questionId}`}
+                type="button"
                 initial={{ opacity: 0, x: -20 }}
                 animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: index * 0.05 }}
-                className="p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow"
+                transition={{ delay: Math.min(index * 0.05, 0.5) }}
+                onClick={() => setSelectedQuestion(item)}
+                className={`w-full text-left p-4 border rounded-lg hover:shadow-md transition-shadow ${
+                  selected === item ? 'border-blue-500' : 'border-gray-200'
+                }`}
               >
-                <div className="flex items-start justify-between">
+                <div className="flex items-start justify-between gap-4">
                   <div className="flex-1">
-                    <h3 className="font-medium text-gray-900 mb-2">{question.question}</h3>
-                    <div className="flex items-center gap-4 text-sm text-gray-600">
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                        question.difficulty === 'easy' ? 'bg-green-100 text-green-800' :
-                        question.difficulty === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-red-100 text-red-800'
-                      }`}>
-                        {question.difficulty}
-                      </span>
-                      <span className="bg-gray-100 text-gray-800 px-2 py-1 rounded-full text-xs font-medium">
-                        {question.category}
-                      </span>
+                    <h3 className="font-medium text-gray-900 mb-1">{item.question || item.questionId}</h3>
+                    <div className="text-xs text-gray-500 mb-2">{item.examTitle || item.examId} · {item.questionId}</div>
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                      {item.category && (
+                        <span className="bg-gray-100 text-gray-800 px-2 py-1 rounded-full text-xs font-medium">{item.category}</span>
+                      )}
+                      {item.flags.map(flag => (
+                        <span
+                          key={flag.code}
+                          title={flag.message}
+                          className={`px-2 py-1 rounded-full text-xs font-medium ${SEVERITY_STYLES[flag.severity].badge}`}
+                        >
+                          {FLAG_LABELS[flag.code] || flag.code}
+                        </span>
+                      ))}
                     </div>
                   </div>
-                  <div className="text-right">
-                    <div className="text-lg font-bold text-gray-900">{question.avgScore}%</div>
-                    <div className="text-sm text-gray-600">{question.avgTime}s avg</div>
-                    <div className="text-xs text-gray-500">{question.totalAttempts} attempts</div>
+                  <div className="text-right text-sm text-gray-600 whitespace-nowrap">
+                    <div>p = <span className="font-bold text-gray-900">{formatNumber(item.pValue)}</span></div>
+                    <div>r<sub>pb</sub> = <span className="font-bold text-gray-900">{formatNumber(item.pointBiserial)}</span></div>
+                    <div>{formatPercent(item.skipRate)} skipped</div>
+                    <div className="flex items-center justify-end gap-1">
+                      <Clock className="h-3 w-3" />
+                      {item.averageTimeSpent !== null ? `${Math.round(item.averageTimeSpent)}s` : '—'}
+                    </div>
+                    <div className="text-xs text-gray-500">{item.responses}/{item.presented} answered</div>
                   </div>
                 </div>
-              </motion.div>
+              </motion.button>
             ))}
+            {!loading && sortedQuestions.length === 0 && (
+              <div className="text-center py-8 text-gray-500">
+                No statistics yet. Recompute to analyse finished attempts.
+              </div>
+            )}
           </div>
         </div>
 
-        {/* Insights */}
+        {/* Selected question */}
         <div className="bg-white rounded-lg shadow-lg p-6">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">AI Insights</h2>
-          
-          <div className="space-y-4">
-            {analyticsData.insights.length > 0 ? (
-              analyticsData.insights.map((insight, index) => {
-                const Icon = insight.icon;
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Distractor Analysis</h2>
+
+          {selected ? (
+            <div className="space-y-4">
+              <div className="font-medium text-gray-900">{selected.question || selected.questionId}</div>
+
+              {selected.distractors.length > 0 ? (
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={selected.distractors.map(distractor => ({
+                    ...distractor,
+                    label: `${String.fromCharCode(65 + distractor.option)}${distractor.isCorrect ? ' ✓' : ''}`
+                  }))}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis domain={[0, 1]} />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="upperRate" fill={COLORS.success} name="Top scorers" />
+                    <Bar dataKey="lowerRate" fill={COLORS.danger} name="Low scorers" />
+                    <Bar dataKey="rate" fill={COLORS.primary} name="Everyone" />
+                  </BarChart>
+                </ResponsiveContainer>
+              ) : (
+                <p className="text-sm text-gray-600">Only multiple choice questions have distractors.</p>
+              )}
+
+              <ul className="text-sm space-y-1">
+                {selected.distractors.map(distractor => (
+                  <li key={distractor.option} className={distractor.isCorrect ? 'font-medium text-green-700' : 'text-gray-700'}>
+                    {String.fromCharCode(65 + distractor.option)}. {distractor.text} · {formatPercent(distractor.rate)}
+                  </li>
+                ))}
+              </ul>
+
+              {selected.flags.map(flag => {
+                const Icon = SEVERITY_STYLES[flag.severity].icon;
                 return (
-                  <motion.div
-                    key={index}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: index * 0.1 }}
-                    className="flex items-start gap-3 p-3 rounded-lg bg-gray-50"
-                  >
-                    <div className="p-2 rounded-full" style={{ backgroundColor: `${insight.color}20` }}>
-                      <Icon className="h-4 w-4" style={{ color: insight.color }} />
-                    </div>
-                    <div className="flex-1">
-                      <h3 className="font-medium text-gray-900">{insight.title}</h3>
-                      <p className="text-sm text-gray-600 mt-1">{insight.description}</p>
-                    </div>
-                  </motion.div>
+                  <div key={flag.code} className="flex items-start gap-3 p-3 rounded-lg bg-gray-50">
+                    <Icon className="h-4 w-4 mt-0.5" style={{ color: SEVERITY_STYLES[flag.severity].color }} />
+                    <p className="text-sm text-gray-700">{flag.message}</p>
+                  </div>
                 );
-              })
-            ) : (
-              <div className="text-center py-8 text-gray-500">
-                <Brain className="h-12 w-12 mx-auto mb-4 opacity-50" />
-                <p>Complete more questions to receive AI-powered insights</p>
-              </div>
-            )}
-          </div>
+              })}
+            </div>
+          ) : (
+            <div className="text-center py-8 text-gray-500">
+              <Brain className="h-12 w-12 mx-auto mb-4 opacity-50" />
+              <p>Select a question to see how its options performed</p>
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-export default QuestionAnalyticsDashboard;
\ No newline at end of file
+export default QuestionAnalyticsDashboard;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { cn } from '../utils/cn';
+
+// Background colour for each STAR part of the answer
+const PART_STYLES = {
+  situation: { label: 'Situation', className: 'bg-blue-100' },
+  task: { label: 'Task', className: 'bg-purple-100' },
+  action: { label: 'Action', className: 'bg-green-100' },
+  result: { label: 'Result', className: 'bg-yellow-100' }
+};
+
+// Marks layered on top of the parts
+const ISSUE_STYLES = {
+  weak_phrase: 'underline decoration-wavy decoration-red-500',
+  vague_action: 'underline decoration-dotted decoration-orange-500',
+  unquantified_result: 'underline decoration-dotted decoration-orange-500',
+  strong_action: 'font-semibold',
+  quantified_result: 'font-semibold'
+};
+
+/**
+ * Split the answer wherever an annotation starts or ends, so every piece has one set of marks
+ */
+const toSegments = (answer, annotations) => {
+  const boundaries = [...new Set([0, answer.length, ...annotations.flatMap(annotation => [annotation.start, annotation.end])])]
+    .filter(offset => offset >= 0 && offset <= answer.length)
+    .sort((a, b) => a - b);
+
+  return boundaries.slice(0, -1).map((start, index) => {
+    const end = boundaries[index + 1];
+    const covering = annotations.filter(annotation => annotation.start <= start && annotation.end >= end);
+    return {
+      start,
+      text: answer.slice(start, end),
+      part: covering.find(annotation => PART_STYLES[annotation.type])?.type,
+      issues: covering.filter(annotation => ISSUE_STYLES[annotation.type])
+    };
+  });
+};
+
+/**
+ * A behavioral answer with its STAR analysis highlighted inline.
+ * `star` is the analysis returned by the server: annotations carry offsets into `answer`.
+ */
+const StarAnnotatedAnswer = ({ answer, star, className }) => {
+  if (!answer || !star) return null;
+
+  const segments = toSegments(answer, star.annotations || []);
+
+  return (
+    <div className={cn('space-y-3', className)}>
+      <div className="flex flex-wrap gap-2 text-xs">
+        {Object.entries(PART_STYLES).map(([part, style]) => (
+          <span
+            key={part}
+            className={cn('px-2 py-0.5 rounded', style.className, star.missingParts.includes(part) && 'line-through opacity-60')}
+          >
+            {style.label}
+          </span>
+        ))}
+      </div>
+
+      <p className="text-sm text-gray-800 leading-relaxed whitespace-pre-wrap">
+        {segments.map(segment => (
+          <span
+            key={segment.start}
+            className={cn(PART_STYLES[segment.part]?.className, segment.issues.map(issue => ISSUE_STYLES[issue.type]))}
+            title={[PART_STYLES[segment.part]?.label, ...segment.issues.map(issue => issue.message)].filter(Boolean).join(' - ') || undefined}
+          >
+            {segment.text}
+          </span>
+        ))}
+      </p>
+
+      {star.suggestions.length > 0 && (
+        <ul className="list-disc list-inside text-xs text-gray-600 space-y-1">
+          {star.suggestions.map(suggestion => (
+            <li key={suggestion}>{suggestion}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StarAnnotatedAnswer;
@@ -1,4 +1,6 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { examAPI } from '../services/api';
+import fullscreenSecurity from '../utils/fullscreenSecurity';
 
 const EXAM_STAGES = {
   MCQ: 'mcq',
@@ -6,8 +8,39 @@ const EXAM_STAGES = {
   FEEDBACK: 'feedback'
 };
 
+// Stage order for local practice exams; server-backed exams take their sections from the exam
 const STAGE_ORDER = [EXAM_STAGES.MCQ, EXAM_STAGES.CODING, EXAM_STAGES.FEEDBACK];
 
+const CLOSED_SECTION_STATUSES = ['submitted', 'expired'];
+
+// Stage progress for an exam's sections, as reported by the server
+const toSectionProgress = (sections) => sections.reduce((progress, section) => ({
+  ...progress,
+  [section.sectionId]: {
+    completed: CLOSED_SECTION_STATUSES.includes(section.status),
+    data: null,
+    timestamp: section.submittedAt ? new Date(section.submittedAt).getTime() : undefined
+  }
+}), {});
+
+const readStoredProgress = (examId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`exam_progress_${examId}`) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keep answers in the local copy too, so nothing is lost if the network drops before a save lands
+const writeStoredAnswers = (examId, answers) => {
+  const stored = readStoredProgress(examId) || {};
+  localStorage.setItem(`exam_progress_${examId}`, JSON.stringify({
+    ...stored,
+    answers,
+    lastSaved: Date.now()
+  }));
+};
+
 export const useExamProgress = (examId) => {
   const [currentStage, setCurrentStage] = useState(EXAM_STAGES.MCQ);
   const [stageProgress, setStageProgress] = useState({
@@ -22,6 +55,20 @@ export const useExamProgress = (examId) => {
     mcqCategory: 'javascript',
     mcqDifficulty: 'medium'
   });
+  // Answers keyed by questionId; server-backed exams also autosave them to the in-progress result
+  const [answers, setAnswers] = useState({});
+  const [isServerBacked, setIsServerBacked] = useState(false);
+  const [syncStatus, setSyncStatus] = useState('idle');
+  const [deadline, setDeadline] = useState(null);
+  // Sections declared by a server-backed exam; empty means the local stage order applies
+  const [sections, setSections] = useState([]);
+  const stageOrder = useMemo(
+    () => (sections.length > 0 ? sections.map(section => section.sectionId) : STAGE_ORDER),
+    [sections]
+  );
+  const serverOffsetRef = useRef(0);
+  const pendingAnswersRef = useRef({});
+  const answersRef = useRef({});
 
   // Load exam progress from localStorage
   useEffect(() => {
@@ -33,6 +80,8 @@ export const useExamProgress = (examId) => {
         setCurrentStage(parsed.currentStage || EXAM_STAGES.MCQ);
         setExamStartTime(parsed.examStartTime || Date.now());
         setExamConfig(parsed.examConfig || examConfig);
+        answersRef.current = parsed.answers || {};
+        setAnswers(answersRef.current);
       } catch (error) {
         console.error('Failed to parse saved exam progress:', error);
         // Reset to default if corrupted
@@ -43,6 +92,145 @@ export const useExamProgress = (examId) => {
     }
   }, [examId]);
 
+  // Send answers that have not reached the server yet
+  const flushPendingAnswers = useCallback(async () => {
+    const pending = Object.values(pendingAnswersRef.current);
+    if (pending.length === 0) return;
+
+    setSyncStatus('saving');
+    for (const answer of pending) {
+      try {
+        const { questionId, savedAt, ...payload } = answer;
+        const res = await examAPI.saveAnswer(examId, questionId, payload, fullscreenSecurity.getFullscreenHeaders());
+        // Only clear it if no newer edit arrived while this one was in flight
+        if (pendingAnswersRef.current[questionId] === answer) {
+          delete pendingAnswersRef.current[questionId];
+        }
+        const { deadline: serverDeadline, serverTime } = res.data.data;
+        serverOffsetRef.current = new Date(serverTime).getTime() - Date.now();
+        setDeadline(serverDeadline);
+      } catch (error) {
+        // Leave it pending; it is retried on the next save or when the connection returns
+        setSyncStatus(error.response ? 'error' : 'offline');
+        return;
+      }
+    }
+    setSyncStatus('saved');
+  }, [examId]);
+
+  // Resume from the server when this exam has an in-progress session there
+  useEffect(() => {
+    let cancelled = false;
+
+    const resumeSession = async () => {
+      try {
+        const res = await examAPI.getSession(examId);
+        if (cancelled) return;
+
+        const { exam, savedAnswers } = res.data.data;
+        serverOffsetRef.current = new Date(exam.serverTime).getTime() - Date.now();
+        setDeadline(exam.deadline);
+        setExamStartTime(new Date(exam.startTime).getTime());
+        setIsServerBacked(true);
+
+        if (exam.sections && exam.sections.length > 0) {
+          setSections(exam.sections);
+          setStageProgress(toSectionProgress(exam.sections));
+          if (exam.currentSectionId) setCurrentStage(exam.currentSectionId);
+        }
+
+        // The newest copy of each answer wins; local edits the server never saw are queued again
+        const merged = { ...answersRef.current };
+        savedAnswers.forEach(saved => {
+          const local = merged[saved.questionId];
+          if (!local || !local.savedAt || new Date(saved.savedAt) >= new Date(local.savedAt)) {
+            merged[saved.questionId] = saved;
+          }
+        });
+        const serverCopies = new Set(savedAnswers);
+        Object.values(merged)
+          .filter(answer => !serverCopies.has(answer))
+          .forEach(answer => { pendingAnswersRef.current[answer.questionId] = answer; });
+
+        answersRef.current = merged;
+        setAnswers(merged);
+        writeStoredAnswers(examId, merged);
+        flushPendingAnswers();
+      } catch (error) {
+        // No server session (404) means a local-only practice exam
+        if (!cancelled) setIsServerBacked(false);
+      }
+    };
+
+    resumeSession();
+    return () => { cancelled = true; };
+  }, [examId, flushPendingAnswers]);
+
+  // Retry unsaved answers when the browser comes back online
+  useEffect(() => {
+    if (!isServerBacked) return undefined;
+    const handleOnline = () => flushPendingAnswers();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [isServerBacked, flushPendingAnswers]);
+
+  // Save one answer locally and, for server-backed exams, to the in-progress result
+  const saveAnswer = useCallback((questionId, answer) => {
+    const entry = { ...answer, questionId, savedAt: new Date().toISOString() };
+    answersRef.current = { ...answersRef.current, [questionId]: entry };
+    setAnswers(answersRef.current);
+    writeStoredAnswers(examId, answersRef.current);
+
+    if (isServerBacked) {
+      pendingAnswersRef.current[questionId] = entry;
+      flushPendingAnswers();
+    }
+  }, [examId, isServerBacked, flushPendingAnswers]);
+
+  // The running section's deadline never passes the attempt's, so the earlier of the two applies
+  const sectionDeadline = sections.find(section => section.sectionId === currentStage)?.deadline || null;
+  const activeDeadline = sectionDeadline && (!deadline || new Date(sectionDeadline) < new Date(deadline))
+    ? sectionDeadline
+    : deadline;
+
+  // Seconds left according to the server's clock, or null when the server does not own the deadline
+  const getRemainingSeconds = useCallback(() => {
+    if (!activeDeadline) return null;
+    const serverNow = Date.now() + serverOffsetRef.current;
+    return Math.max(0, Math.floor((new Date(activeDeadline).getTime() - serverNow) / 1000));
+  }, [activeDeadline]);
+
+  // Submit the current section of a server-backed exam and move on to the section the server started
+  const submitSection = useCallback(async (sectionId = currentStage, sectionAnswers) => {
+    await flushPendingAnswers();
+
+    const res = await examAPI.submitSection(
+      examId,
+      sectionId,
+      sectionAnswers ? { answers: sectionAnswers } : {},
+      fullscreenSecurity.getFullscreenHeaders()
+    );
+    const { section: score, nextSection, completed, serverTime } = res.data.data;
+    if (serverTime) {
+      serverOffsetRef.current = new Date(serverTime).getTime() - Date.now();
+    }
+
+    setSections(current => current.map(section => {
+      if (section.sectionId === sectionId) return { ...section, status: 'submitted', submittedAt: new Date().toISOString() };
+      if (nextSection && section.sectionId === nextSection.sectionId) return nextSection;
+      return section;
+    }));
+    setStageProgress(current => ({
+      ...current,
+      [sectionId]: { completed: true, data: score, timestamp: Date.now() }
+    }));
+    if (nextSection) {
+      setCurrentStage(nextSection.sectionId);
+    }
+
+    return res.data.data;
+  }, [examId, currentStage, flushPendingAnswers]);
+
   // Save progress to localStorage
   const saveProgress = useCallback((stage, data) => {
     const newStageProgress = {
@@ -57,6 +245,7 @@ export const useExamProgress = (examId) => {
       currentStage,
       examStartTime,
       examConfig,
+      answers: answersRef.current,
       lastSaved: Date.now()
     };
     
@@ -65,9 +254,9 @@ export const useExamProgress = (examId) => {
 
   // Navigate to next stage
   const nextStage = useCallback(() => {
-    const currentIndex = STAGE_ORDER.indexOf(currentStage);
-    if (currentIndex < STAGE_ORDER.length - 1) {
-      const nextStageName = STAGE_ORDER[currentIndex + 1];
+    const currentIndex = stageOrder.indexOf(currentStage);
+    if (currentIndex < stageOrder.length - 1) {
+      const nextStageName = stageOrder[currentIndex + 1];
       setCurrentStage(nextStageName);
       
       // Update localStorage
@@ -76,15 +265,16 @@ export const useExamProgress = (examId) => {
         currentStage: nextStageName,
         examStartTime,
         examConfig,
+        answers: answersRef.current,
         lastSaved: Date.now()
       };
       localStorage.setItem(`exam_progress_${examId}`, JSON.stringify(progressData));
     }
-  }, [currentStage, stageProgress, examStartTime, examConfig, examId]);
+  }, [stageOrder, currentStage, stageProgress, examStartTime, examConfig, examId]);
 
   // Navigate to specific stage
   const goToStage = useCallback((stage) => {
-    if (STAGE_ORDER.includes(stage)) {
+    if (stageOrder.includes(stage)) {
       setCurrentStage(stage);
       
       const progressData = {
@@ -92,26 +282,33 @@ export const useExamProgress = (examId) => {
         currentStage: stage,
         examStartTime,
         examConfig,
+        answers: answersRef.current,
         lastSaved: Date.now()
       };
       localStorage.setItem(`exam_progress_${examId}`, JSON.stringify(progressData));
     }
-  }, [stageProgress, examStartTime, examConfig, examId]);
+  }, [stageOrder, stageProgress, examStartTime, examConfig, examId]);
 
   // Check if stage is accessible
   const isStageAccessible = useCallback((stage) => {
-    const stageIndex = STAGE_ORDER.indexOf(stage);
-    const currentIndex = STAGE_ORDER.indexOf(currentStage);
-    
+    const stageIndex = stageOrder.indexOf(stage);
+    const currentIndex = stageOrder.indexOf(currentStage);
+    const section = sections.find(s => s.sectionId === stage);
+
+    // Sections open only once the server starts them, and locked ones stay closed
+    if (section) {
+      return section.status !== 'not_started' && !(section.lockAfterSubmit && CLOSED_SECTION_STATUSES.includes(section.status));
+    }
+
     // Can only access current stage or previous completed stages
     return stageIndex <= currentIndex || stageProgress[stage]?.completed;
-  }, [currentStage, stageProgress]);
+  }, [stageOrder, sections, currentStage, stageProgress]);
 
   // Get progress percentage
   const getProgressPercentage = useCallback(() => {
     const completedStages = Object.values(stageProgress).filter(stage => stage.completed).length;
-    return Math.round((completedStages / STAGE_ORDER.length) * 100);
-  }, [stageProgress]);
+    return Math.round((completedStages / stageOrder.length) * 100);
+  }, [stageOrder, stageProgress]);
 
   // Reset exam progress
   const resetExam = useCallback(() => {
@@ -124,8 +321,13 @@ export const useExamProgress = (examId) => {
       currentStage: EXAM_STAGES.MCQ,
       examStartTime: Date.now(),
       examConfig,
+      answers: {},
       lastSaved: Date.now()
     };
+
+    answersRef.current = {};
+    pendingAnswersRef.current = {};
+    setAnswers({});
     
     setStageProgress(resetProgress.stageProgress);
     setCurrentStage(EXAM_STAGES.MCQ);
@@ -137,6 +339,9 @@ export const useExamProgress = (examId) => {
   // Clear exam progress
   const clearExamProgress = useCallback(() => {
     localStorage.removeItem(`exam_progress_${examId}`);
+    answersRef.current = {};
+    pendingAnswersRef.current = {};
+    setAnswers({});
     setStageProgress({
       [EXAM_STAGES.MCQ]: { completed: false, data: null },
       [EXAM_STAGES.CODING]: { completed: false, data: null },
@@ -152,7 +357,9 @@ export const useExamProgress = (examId) => {
     examStartTime,
     examConfig,
     EXAM_STAGES,
-    STAGE_ORDER,
+    STAGE_ORDER: stageOrder,
+    sections,
+    submitSection,
     saveProgress,
     nextStage,
     goToStage,
@@ -160,7 +367,13 @@ export const useExamProgress = (examId) => {
     getProgressPercentage,
     resetExam,
     clearExamProgress,
-    setExamConfig
+    setExamConfig,
+    answers,
+    saveAnswer,
+    isServerBacked,
+    syncStatus,
+    deadline,
+    getRemainingSeconds
   };
 };
 
@@ -0,0 +1,147 @@
+/**
+ * Tests for the useExamProgress hook
+ * Validates resuming from the server session, autosaving answers and section stages
+ */
+
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { useExamProgress } from './useExamProgress';
+import { examAPI } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  examAPI: {
+    getSession: jest.fn(),
+    saveAnswer: jest.fn(),
+    submitSection: jest.fn()
+  }
+}));
+
+jest.mock('../utils/fullscreenSecurity', () => ({
+  __esModule: true,
+  default: { getFullscreenHeaders: () => ({ 'x-fullscreen-status': 'true' }) }
+}));
+
+const serverTime = new Date('2026-10-19T12:00:00Z');
+
+const sessionResponse = (exam = {}, savedAnswers = []) => ({
+  data: {
+    data: {
+      exam: {
+        startTime: '2026-10-19T11:30:00Z',
+        deadline: '2026-10-19T12:30:00Z',
+        serverTime: serverTime.toISOString(),
+        ...exam
+      },
+      savedAnswers
+    }
+  }
+});
+
+describe('useExamProgress', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it('should resume saved answers and the deadline from the server session', async () => {
+    examAPI.getSession.mockResolvedValue(sessionResponse({}, [
+      { questionId: 'q1', userAnswer: 'B', savedAt: '2026-10-19T11:40:00Z' },
+      { questionId: 'q2', code: 'return 1;', language: 'javascript', savedAt: '2026-10-19T11:45:00Z' }
+    ]));
+
+    const { result } = renderHook(() => useExamProgress('exam_1'));
+
+    await waitFor(() => expect(result.current.isServerBacked).toBe(true));
+    expect(examAPI.getSession).toHaveBeenCalledWith('exam_1');
+    expect(result.current.answers.q1.userAnswer).toBe('B');
+    expect(result.current.answers.q2.code).toBe('return 1;');
+    expect(result.current.deadline).toBe('2026-10-19T12:30:00Z');
+    expect(result.current.examStartTime).toBe(new Date('2026-10-19T11:30:00Z').getTime());
+    expect(examAPI.saveAnswer).not.toHaveBeenCalled();
+  });
+
+  it('should send local answers the server never saw once the session resumes', async () => {
+    localStorage.setItem('exam_progress_exam_1', JSON.stringify({
+      answers: { q1: { questionId: 'q1', userAnswer: 'C', savedAt: '2026-10-19T11:50:00Z' } }
+    }));
+    examAPI.getSession.mockResolvedValue(sessionResponse({}, [
+      { questionId: 'q1', userAnswer: 'B', savedAt: '2026-10-19T11:40:00Z' }
+    ]));
+    examAPI.saveAnswer.mockResolvedValue({ data: { data: { deadline: '2026-10-19T12:30:00Z', serverTime: serverTime.toISOString() } } });
+
+    const { result } = renderHook(() => useExamProgress('exam_1'));
+
+    await waitFor(() => expect(result.current.syncStatus).toBe('saved'));
+    expect(result.current.answers.q1.userAnswer).toBe('C');
+    expect(examAPI.saveAnswer).toHaveBeenCalledWith('exam_1', 'q1', { userAnswer: 'C' }, { 'x-fullscreen-status': 'true' });
+  });
+
+  it('should autosave answers to the server for server-backed exams', async () => {
+    examAPI.getSession.mockResolvedValue(sessionResponse());
+    examAPI.saveAnswer.mockResolvedValue({ data: { data: { deadline: '2026-10-19T12:30:00Z', serverTime: serverTime.toISOString() } } });
+
+    const { result } = renderHook(() => useExamProgress('exam_1'));
+    await waitFor(() => expect(result.current.isServerBacked).toBe(true));
+
+    act(() => {
+      result.current.saveAnswer('q3', { userAnswer: 'A' });
+    });
+
+    await waitFor(() => expect(result.current.syncStatus).toBe('saved'));
+    expect(examAPI.saveAnswer).toHaveBeenCalledWith('exam_1', 'q3', { userAnswer: 'A' }, { 'x-fullscreen-status': 'true' });
+    expect(JSON.parse(localStorage.getItem('exam_progress_exam_1')).answers.q3.userAnswer).toBe('A');
+  });
+
+  it('should take its stages and timer from the sections in the server session', async () => {
+    const sections = [
+      { sectionId: 'aptitude', status: 'submitted', lockAfterSubmit: true, submittedAt: '2026-10-19T11:50:00Z' },
+      { sectionId: 'coding', status: 'in_progress', lockAfterSubmit: false, deadline: '2026-10-19T12:10:00Z' },
+      { sectionId: 'design', status: 'not_started', lockAfterSubmit: false }
+    ];
+    examAPI.getSession.mockResolvedValue(sessionResponse({ sections, currentSectionId: 'coding' }));
+    examAPI.submitSection.mockResolvedValue({
+      data: {
+        data: {
+          section: { sectionId: 'coding', percentage: 80 },
+          nextSection: { ...sections[2], status: 'in_progress', deadline: '2026-10-19T12:25:00Z' },
+          completed: false,
+          serverTime: serverTime.toISOString()
+        }
+      }
+    });
+
+    const { result } = renderHook(() => useExamProgress('exam_1'));
+    await waitFor(() => expect(result.current.currentStage).toBe('coding'));
+
+    expect(result.current.STAGE_ORDER).toEqual(['aptitude', 'coding', 'design']);
+    expect(result.current.stageProgress.aptitude.completed).toBe(true);
+    expect(result.current.isStageAccessible('aptitude')).toBe(false);
+    expect(result.current.isStageAccessible('design')).toBe(false);
+    // The section ends before the attempt, so its deadline drives the timer
+    expect(result.current.getRemainingSeconds()).toBeLessThanOrEqual(600);
+    expect(result.current.getRemainingSeconds()).toBeGreaterThan(590);
+
+    await act(async () => {
+      await result.current.submitSection();
+    });
+
+    expect(examAPI.submitSection).toHaveBeenCalledWith('exam_1', 'coding', {}, { 'x-fullscreen-status': 'true' });
+    expect(result.current.currentStage).toBe('design');
+    expect(result.current.stageProgress.coding).toMatchObject({ completed: true, data: { percentage: 80 } });
+    expect(result.current.isStageAccessible('design')).toBe(true);
+  });
+
+  it('should keep answers only in localStorage when there is no server session', async () => {
+    examAPI.getSession.mockRejectedValue({ response: { status: 404 } });
+
+    const { result } = renderHook(() => useExamProgress('practice_1'));
+    await waitFor(() => expect(examAPI.getSession).toHaveBeenCalled());
+
+    act(() => {
+      result.current.saveAnswer('q1', { userAnswer: 'D' });
+    });
+
+    expect(result.current.isServerBacked).toBe(false);
+    expect(examAPI.saveAnswer).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem('exam_progress_practice_1')).answers.q1.userAnswer).toBe('D');
+  });
+});
@@ -0,0 +1,302 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { assignmentAPI, examAPI } from '../services/api';
+import { readBlobError, saveDownload } from '../utils/download';
+
+const RECRUITER_ROLES = ['admin', 'moderator'];
+
+const STATUSES = ['invited', 'started', 'completed', 'expired'];
+
+const STATUS_STYLES = {
+  invited: 'bg-blue-100 text-blue-800',
+  started: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-200 text-gray-700'
+};
+
+// Accept one email or user id per line (commas also separate entries)
+const parseCandidates = (text) => text
+  .split(/[\n,]+/)
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => (entry.includes('@') ? { email: entry } : { userId: entry }));
+
+function AssignForm({ onAssigned }) {
+  const [examId, setExamId] = useState('');
+  const [candidates, setCandidates] = useState('');
+  const [startTime, setStartTime] = useState('');
+  const [endTime, setEndTime] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [invites, setInvites] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const res = await assignmentAPI.createAssignments({
+        examId: examId.trim(),
+        candidates: parseCandidates(candidates),
+        startTime: startTime ? new Date(startTime).toISOString() : undefined,
+        endTime: new Date(endTime).toISOString()
+      });
+      setInvites(res.data.data);
+      setCandidates('');
+      onAssigned();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to assign exam');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <h2 className="text-lg font-semibold mb-4">Assign an exam</h2>
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          type="text"
+          value={examId}
+          onChange={(e) => setExamId(e.target.value)}
+          placeholder="Exam ID"
+          className="w-full border rounded px-3 py-2 text-sm"
+          required
+        />
+        <textarea
+          value={candidates}
+          onChange={(e) => setCandidates(e.target.value)}
+          placeholder="Candidate emails or user IDs, one per line"
+          className="w-full border rounded px-3 py-2 text-sm"
+          rows={4}
+          required
+        />
+        <div className="flex flex-wrap gap-4">
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Opens (defaults to now)</span>
+            <input type="datetime-local" value={startTime} onChange={(e) => setStartTime(e.target.value)} className="border rounded px-2 py-1" />
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Closes</span>
+            <input type="datetime-local" value={endTime} onChange={(e) => setEndTime(e.target.value)} className="border rounded px-2 py-1" required />
+          </label>
+        </div>
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+          {saving ? 'Assigning...' : 'Assign and create invitations'}
+        </button>
+      </form>
+
+      {invites && (
+        <div className="mt-6 space-y-2 text-sm">
+          <div className="font-medium">Invitation links (shown once, share them with each candidate):</div>
+          <ul className="space-y-1">
+            {invites.assignments.map(assignment => (
+              <li key={assignment.assignmentId} className="break-all">
+                <span className="font-medium">{assignment.email}</span>: {assignment.inviteLink}
+              </li>
+            ))}
+          </ul>
+          {invites.skipped.length > 0 && (
+            <div className="text-gray-600">Already assigned: {invites.skipped.map(item => item.email).join(', ')}</div>
+          )}
+          {invites.invalid.length > 0 && (
+            <div className="text-red-700">
+              Not assigned: {invites.invalid.map(item => `${item.candidate.email || item.candidate.userId} (${item.message})`).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function AssignmentsPage() {
+  const { user } = useAuth();
+  const [examId, setExamId] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [assignments, setAssignments] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reissued, setReissued] = useState(null);
+
+  const isRecruiter = RECRUITER_ROLES.includes(user?.role);
+
+  const loadAssignments = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await assignmentAPI.getAssignments({ examId: examId.trim() || undefined, status: status || undefined, page });
+      setAssignments(res.data.data.assignments);
+      setSummary(res.data.data.summary);
+      setPagination(res.data.meta?.pagination || null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load assignments');
+    } finally {
+      setLoading(false);
+    }
+  }, [examId, status, page]);
+
+  useEffect(() => {
+    if (isRecruiter) loadAssignments();
+  }, [isRecruiter, loadAssignments]);
+
+  if (user && !isRecruiter) {
+    return <Navigate to="/" />;
+  }
+
+  const handleExport = async (targetExamId, format, params = {}) => {
+    setError('');
+    try {
+      const res = await examAPI.exportReport(targetExamId, format, params);
+      saveDownload(res, `${targetExamId}-results.${format}`);
+    } catch (err) {
+      setError(await readBlobError(err, 'Export failed'));
+    }
+  };
+
+  const handleResend = async (assignment) => {
+    try {
+      const res = await assignmentAPI.resendInvite(assignment.assignmentId);
+      setReissued(res.data.data.assignment);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reissue invitation');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-10 max-w-5xl">
+        <h1 className="text-2xl font-bold mb-6">Exam Assignments</h1>
+
+        <AssignForm onAssigned={loadAssignments} />
+
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {STATUSES.map(name => (
+              <button
+                key={name}
+                onClick={() => { setStatus(status === name ? '' : name); setPage(1); }}
+                aria-pressed={status === name}
+                className={`rounded-lg shadow p-4 text-left ${status === name ? 'ring-2 ring-blue-600' : ''} bg-white`}
+              >
+                <div className="text-2xl font-bold">{summary[name]}</div>
+                <div className="text-sm text-gray-600 capitalize">{name}</div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={examId}
+            onChange={(e) => { setExamId(e.target.value); setPage(1); }}
+            placeholder="Filter by exam ID"
+            className="border rounded px-3 py-2 text-sm flex-1"
+          />
+          {['csv', 'xlsx'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(examId.trim(), format)}
+              disabled={!examId.trim()}
+              title="Download every completed result of this exam"
+              className="px-3 py-2 rounded border text-sm uppercase disabled:opacity-50"
+            >
+              {format}
+            </button>
+          ))}
+        </div>
+
+        {reissued && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4 text-sm break-all">
+            New invitation for {reissued.email}: {reissued.inviteLink}
+          </div>
+        )}
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="text-center text-gray-600">Loading...</div>
+        ) : assignments.length === 0 ? (
+          <div className="text-center text-gray-600">No assignments to show.</div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-100 text-left">
+                <tr>
+                  <th className="px-4 py-2">Candidate</th>
+                  <th className="px-4 py-2">Exam</th>
+                  <th className="px-4 py-2">Window</th>
+                  <th className="px-4 py-2">Status</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {assignments.map(assignment => (
+                  <tr key={assignment.assignmentId} className="border-t">
+                    <td className="px-4 py-2">
+                      <div className="font-medium">{assignment.candidate?.name || 'Not registered yet'}</div>
+                      <div className="text-xs text-gray-500">{assignment.email}</div>
+                    </td>
+                    <td className="px-4 py-2">{assignment.examTitle}</td>
+                    <td className="px-4 py-2 text-xs text-gray-600">
+                      {new Date(assignment.startTime).toLocaleString()} – {new Date(assignment.endTime).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-1 rounded text-xs capitalize ${STATUS_STYLES[assignment.status]}`}>
+                        {assignment.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {assignment.status === 'invited' && (
+                        <button onClick={() => handleResend(assignment)} className="text-blue-600 hover:underline">
+                          New invite link
+                        </button>
+                      )}
+                      {assignment.status === 'completed' && assignment.resultId && (
+                        <button
+                          onClick={() => handleExport(assignment.examId, 'pdf', { resultId: assignment.resultId })}
+                          className="text-blue-600 hover:underline"
+                        >
+                          PDF report
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              disabled={!pagination.hasPrevPage}
+              onClick={() => setPage(page - 1)}
+              className="px-4 py-2 rounded border disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+            <button
+              disabled={!pagination.hasNextPage}
+              onClick={() => setPage(page + 1)}
+              className="px-4 py-2 rounded border disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { certificateAPI } from '../services/api';
+
+const STATUS_MESSAGES = {
+  valid: 'This certificate is genuine and has not been revoked.',
+  revoked: 'This certificate was revoked and is no longer valid.',
+  invalid_signature: 'The details of this certificate do not match its signature. It may have been tampered with.'
+};
+
+export default function CertificateVerificationPage() {
+  const { certificateId } = useParams();
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    certificateAPI.verify(certificateId)
+      .then(res => setVerification(res.data.data))
+      .catch(err => setError(err.response?.data?.message || 'Certificate not found'))
+      .finally(() => setLoading(false));
+  }, [certificateId]);
+
+  if (loading) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-600">Verifying...</div>;
+  }
+
+  const certificate = verification?.certificate;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-lg shadow p-8 w-full max-w-md space-y-4">
+        <h1 className="text-2xl font-bold">Certificate verification</h1>
+        <div className="text-sm text-gray-600 font-mono">{certificateId}</div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+        )}
+
+        {verification && (
+          <>
+            <div
+              className={`px-4 py-3 rounded text-sm border ${verification.valid
+                ? 'bg-green-100 border-green-400 text-green-700'
+                : 'bg-red-100 border-red-400 text-red-700'}`}
+            >
+              {STATUS_MESSAGES[verification.status]}
+              {verification.reason && verification.status === 'revoked' && (
+                <div className="mt-1">Reason: {verification.reason}</div>
+              )}
+            </div>
+
+            <dl className="text-sm grid grid-cols-3 gap-y-2">
+              <dt className="text-gray-600">Awarded to</dt>
+              <dd className="col-span-2 font-medium">{certificate.recipientName}</dd>
+              <dt className="text-gray-600">Exam</dt>
+              <dd className="col-span-2">{certificate.examTitle}</dd>
+              <dt className="text-gray-600">Score</dt>
+              <dd className="col-span-2">{certificate.score}%{certificate.grade ? ` (grade ${certificate.grade})` : ''}</dd>
+              <dt className="text-gray-600">Issued</dt>
+              <dd className="col-span-2">{new Date(certificate.issuedAt).toLocaleDateString()}</dd>
+            </dl>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { certificateAPI } from '../services/api';
+import { readBlobError, saveDownload } from '../utils/download';
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  revoked: 'bg-gray-200 text-gray-700'
+};
+
+function MyCertificates() {
+  const [certificates, setCertificates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    certificateAPI.getMine()
+      .then(res => setCertificates(res.data.data.certificates))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load certificates'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleDownload = async (certificate) => {
+    setError('');
+    try {
+      const res = await certificateAPI.downloadPdf(certificate.certificateId);
+      saveDownload(res, `${certificate.certificateId}.pdf`);
+    } catch (err) {
+      setError(await readBlobError(err, 'Download failed'));
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center text-gray-600">Loading...</div>;
+  }
+
+  return (
+    <div className="mb-10">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+      )}
+      {certificates.length === 0 ? (
+        <div className="text-center text-gray-600">Pass an exam to earn your first certificate.</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {certificates.map(certificate => (
+            <div key={certificate.certificateId} className="bg-white rounded-lg shadow p-5">
+              <div className="flex justify-between items-start">
+                <div>
+                  <div className="font-semibold">{certificate.examTitle}</div>
+                  <div className="text-sm text-gray-600">
+                    {certificate.score}%{certificate.grade ? ` · grade ${certificate.grade}` : ''} · {new Date(certificate.issuedAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <span className={`px-2 py-1 rounded text-xs capitalize ${STATUS_STYLES[certificate.status]}`}>
+                  {certificate.status}
+                </span>
+              </div>
+              <div className="text-xs text-gray-500 font-mono mt-2">{certificate.certificateId}</div>
+              {certificate.status === 'revoked' && certificate.revocation?.reason && (
+                <div className="text-sm text-gray-600 mt-2">{certificate.revocation.reason}</div>
+              )}
+              <div className="flex gap-4 mt-3 text-sm">
+                {certificate.status === 'valid' && (
+                  <button onClick={() => handleDownload(certificate)} className="text-blue-600 hover:underline">
+                    Download PDF
+                  </button>
+                )}
+                <Link to={`/certificates/${certificate.certificateId}`} className="text-blue-600 hover:underline">
+                  Verification page
+                </Link>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AllCertificates() {
+  const [status, setStatus] = useState('');
+  const [examId, setExamId] = useState('');
+  const [page, setPage] = useState(1);
+  const [certificates, setCertificates] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadCertificates = useCallback(async () => {
+    setError('');
+    try {
+      const res = await certificateAPI.getAll({ status: status || undefined, examId: examId.trim() || undefined, page });
+      setCertificates(res.data.data.certificates);
+      setPagination(res.data.meta?.pagination || null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load certificates');
+    }
+  }, [status, examId, page]);
+
+  useEffect(() => {
+    loadCertificates();
+  }, [loadCertificates]);
+
+  const handleRevoke = async (certificate) => {
+    const reason = window.prompt(`Why is ${certificate.certificateId} being revoked?`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      await certificateAPI.revoke(certificate.certificateId, reason.trim());
+      loadCertificates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke certificate');
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold mb-4">All certificates</h2>
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={examId}
+          onChange={(e) => { setExamId(e.target.value); setPage(1); }}
+          placeholder="Filter by exam ID"
+          className="border rounded px-3 py-2 text-sm flex-1"
+        />
+        <select
+          value={status}
+          onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+          className="border rounded px-3 py-2 text-sm"
+        >
+          <option value="">Any status</option>
+          <option value="valid">Valid</option>
+          <option value="revoked">Revoked</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-100 text-left">
+            <tr>
+              <th className="px-4 py-2">Certificate</th>
+              <th className="px-4 py-2">Candidate</th>
+              <th className="px-4 py-2">Exam</th>
+              <th className="px-4 py-2">Score</th>
+              <th className="px-4 py-2">Status</th>
+              <th className="px-4 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {certificates.map(certificate => (
+              <tr key={certificate.certificateId} className="border-t">
+                <td className="px-4 py-2 font-mono text-xs">{certificate.certificateId}</td>
+                <td className="px-4 py-2">
+                  <div>{certificate.recipientName}</div>
+                  <div className="text-xs text-gray-500">{certificate.userId?.email}</div>
+                </td>
+                <td className="px-4 py-2">{certificate.examTitle}</td>
+                <td className="px-4 py-2">{certificate.score}%</td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-1 rounded text-xs capitalize ${STATUS_STYLES[certificate.status]}`}>
+                    {certificate.status}
+                  </span>
+                </td>
+                <td className="px-4 py-2 text-right">
+                  {certificate.status === 'valid' && (
+                    <button onClick={() => handleRevoke(certificate)} className="text-red-600 hover:underline">
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-6">
+          <button
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setPage(page - 1)}
+            className="px-4 py-2 rounded border disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+          <button
+            disabled={!pagination.hasNextPage}
+            onClick={() => setPage(page + 1)}
+            className="px-4 py-2 rounded border disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function CertificatesPage() {
+  const { user } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-10 max-w-5xl">
+        <h1 className="text-2xl font-bold mb-6">Certificates</h1>
+        <MyCertificates />
+        {user?.role === 'admin' && <AllCertificates />}
+      </div>
+    </div>
+  );
+}
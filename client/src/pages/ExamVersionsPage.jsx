@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { examAPI } from '../services/api';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+};
+
+function ValueChange({ field, from, to }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-xs py-2 border-t">
+      <div className="font-medium">{field}</div>
+      <pre className="bg-red-50 text-red-800 rounded p-2 whitespace-pre-wrap break-all">{formatValue(from)}</pre>
+      <pre className="bg-green-50 text-green-800 rounded p-2 whitespace-pre-wrap break-all">{formatValue(to)}</pre>
+    </div>
+  );
+}
+
+function VersionDiff({ diff }) {
+  const { added, removed, changed } = diff.questions;
+
+  if (!diff.hasChanges) {
+    return <div className="text-gray-600">Versions {diff.from} and {diff.to} are identical.</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {diff.settings.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="font-semibold mb-2">Settings</h3>
+          {diff.settings.map(change => <ValueChange key={change.field} {...change} />)}
+        </div>
+      )}
+
+      {changed.map(question => (
+        <div key={question.questionId} className="bg-white rounded-lg shadow p-6">
+          <h3 className="font-semibold">Changed: {question.question || question.questionId}</h3>
+          <div className="text-xs text-gray-500 mb-2">{question.questionId}</div>
+          {question.fields.map(change => <ValueChange key={change.field} {...change} />)}
+        </div>
+      ))}
+
+      {added.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="font-semibold mb-2 text-green-700">Added questions</h3>
+          <ul className="list-disc pl-5 text-sm">
+            {added.map(question => <li key={question.questionId}>{question.question || question.questionId}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {removed.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="font-semibold mb-2 text-red-700">Removed questions</h3>
+          <ul className="list-disc pl-5 text-sm">
+            {removed.map(question => <li key={question.questionId}>{question.question || question.questionId}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ExamVersionsPage() {
+  const { examId } = useParams();
+  const { user } = useAuth();
+  const [history, setHistory] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    examAPI.getVersions(examId)
+      .then(res => {
+        const data = res.data.data;
+        setHistory(data);
+        // Versions are listed newest first: compare the current version with the one before it
+        setTo(data.currentVersion);
+        setFrom(data.versions.find(version => version.version !== data.currentVersion)?.version || '');
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load versions'))
+      .finally(() => setLoading(false));
+  }, [examId, isAdmin]);
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+    examAPI.getVersionDiff(examId, { from, to })
+      .then(res => setDiff(res.data.data.diff))
+      .catch(err => setError(err.response?.data?.message || 'Failed to compare versions'));
+  }, [examId, from, to]);
+
+  if (user && !isAdmin) {
+    return <Navigate to="/" />;
+  }
+
+  if (loading) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-600">Loading...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-10 max-w-5xl">
+        <h1 className="text-2xl font-bold mb-2">Exam Versions</h1>
+        {history && <div className="text-gray-600 mb-6">{history.title} · current version {history.currentVersion}</div>}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+        )}
+
+        {history && history.versions.length > 0 && (
+          <div className="bg-white rounded-lg shadow overflow-x-auto mb-6">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-100 text-left">
+                <tr>
+                  <th className="px-4 py-2">Version</th>
+                  <th className="px-4 py-2">Published</th>
+                  <th className="px-4 py-2">Questions</th>
+                  <th className="px-4 py-2">Results</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.versions.map(version => (
+                  <tr key={version.version} className="border-t">
+                    <td className="px-4 py-2 font-medium">
+                      {version.version}{version.isCurrent && <span className="ml-2 text-xs text-green-700">current</span>}
+                    </td>
+                    <td className="px-4 py-2 text-xs text-gray-600">
+                      {new Date(version.publishedAt).toLocaleString()}{version.publishedBy?.name && ` by ${version.publishedBy.name}`}
+                    </td>
+                    <td className="px-4 py-2">{version.questionCount}</td>
+                    <td className="px-4 py-2">{version.resultCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {history && history.versions.length > 1 ? (
+          <>
+            <div className="flex gap-4 items-center mb-6 text-sm">
+              <label>
+                <span className="mr-2 text-gray-600">From</span>
+                <select value={from} onChange={(e) => setFrom(e.target.value)} className="border rounded px-2 py-1">
+                  {history.versions.map(version => <option key={version.version} value={version.version}>{version.version}</option>)}
+                </select>
+              </label>
+              <label>
+                <span className="mr-2 text-gray-600">To</span>
+                <select value={to} onChange={(e) => setTo(e.target.value)} className="border rounded px-2 py-1">
+                  {history.versions.map(version => <option key={version.version} value={version.version}>{version.version}</option>)}
+                </select>
+              </label>
+            </div>
+            {diff && <VersionDiff diff={diff} />}
+          </>
+        ) : (
+          <div className="text-gray-600">This exam has not been changed since it was published.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
 import React from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import StarAnnotatedAnswer from '../components/StarAnnotatedAnswer';
 
 export default function FeedbackPage() {
   const location = useLocation();
   const navigate = useNavigate();
   const data = location.state || JSON.parse(sessionStorage.getItem('interview_feedback') || '{}');
 
-  if (!data || (!data.mcqScore && !data.codingResult && !data.feedback)) {
+  if (!data || (!data.mcqScore && !data.codingResult && !data.feedback && !data.behavioral?.length)) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
@@ -24,7 +25,7 @@ export default function FeedbackPage() {
         <div className="bg-white rounded-lg shadow p-6 space-y-4">
           <div>
             <div className="text-sm text-gray-600">MCQ Score</div>
-            <div className="text-xl font-semibold">{data.mcqScore} / 10</div>
+            <div className="text-xl font-semibold">{data.mcqScore ?? 0} / {data.mcqTotal ?? 10}</div>
           </div>
           <div>
             <div className="text-sm text-gray-600">Coding Result</div>
@@ -34,6 +35,29 @@ export default function FeedbackPage() {
             <div className="text-sm text-gray-600">Feedback</div>
             <p className="mt-1 text-gray-800">{data.feedback}</p>
           </div>
+          {data.behavioral?.length > 0 && (
+            <div>
+              <div className="text-sm text-gray-600">Behavioral Answers</div>
+              <div className="mt-2 space-y-4">
+                {data.behavioral.map((entry, index) => (
+                  <div key={index} className="border border-gray-200 rounded-lg p-4">
+                    <div className="font-medium text-gray-900 mb-3">{entry.question}</div>
+                    <StarAnnotatedAnswer answer={entry.answer} star={entry.star} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {data.suggestions?.length > 0 && (
+            <div>
+              <div className="text-sm text-gray-600">Suggestions</div>
+              <ul className="mt-1 list-disc list-inside text-gray-800">
+                {data.suggestions.map((suggestion) => (
+                  <li key={suggestion}>{suggestion}</li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
         <div className="mt-6">
           <button className="px-4 py-2 rounded bg-blue-600 text-white" onClick={() => navigate('/dashboard')}>Back to Dashboard</button>
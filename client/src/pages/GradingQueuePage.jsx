@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { gradingAPI } from '../services/api';
+
+const REVIEWER_ROLES = ['admin', 'moderator'];
+
+function GradingHistory({ resultId }) {
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    gradingAPI.getHistory(resultId)
+      .then(res => setHistory(res.data.data.history))
+      .catch(() => setHistory([]));
+  }, [resultId]);
+
+  if (!history) return <div className="text-sm text-gray-500">Loading history...</div>;
+  if (history.length === 0) return <div className="text-sm text-gray-500">No manual changes yet.</div>;
+
+  return (
+    <ul className="space-y-1 text-sm text-gray-700">
+      {history.map(entry => (
+        <li key={entry._id}>
+          <span className="font-medium">{entry.gradedBy?.name || 'Reviewer'}</span>
+          {' '}set {entry.questionId} from {entry.previousPoints ?? 0} to {entry.newPoints}/{entry.maxPoints}
+          {' '}on {new Date(entry.gradedAt).toLocaleString()}
+          {entry.reason && <span className="text-gray-500"> — {entry.reason}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function GradingCard({ item, onGraded }) {
+  const isRegrade = item.review?.status === 'graded';
+  const [points, setPoints] = useState(item.pointsEarned ?? 0);
+  const [comment, setComment] = useState(item.feedback?.manual || '');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const res = await gradingAPI.gradeAnswer(item.resultId, item.questionId, {
+        pointsEarned: Number(points),
+        comment,
+        reason: reason || undefined
+      });
+      onGraded(item, res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save grade');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <div className="text-sm text-gray-600">{item.examTitle}</div>
+          <div className="font-semibold">{item.candidate?.name || 'Unknown candidate'}</div>
+          <div className="text-xs text-gray-500">{item.candidate?.email}</div>
+        </div>
+        <div className="text-right text-sm text-gray-600">
+          <div>Submitted {item.submittedAt ? new Date(item.submittedAt).toLocaleString() : '—'}</div>
+          <div>Current result: {item.resultScore?.percentage ?? 0}% ({item.resultScore?.grade || '—'})</div>
+        </div>
+      </div>
+
+      <div>
+        <div className="text-sm text-gray-600 capitalize">{item.questionType} question</div>
+        <p className="mt-1 text-gray-800">{item.question}</p>
+        {item.expectedPoints.length > 0 && (
+          <ul className="mt-2 list-disc list-inside text-sm text-gray-600">
+            {item.expectedPoints.map(point => <li key={point}>{point}</li>)}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <div className="text-sm text-gray-600">Answer</div>
+        <p className="mt-1 whitespace-pre-wrap text-gray-800 bg-gray-50 rounded p-3">
+          {item.textResponse?.content || item.userAnswer || <span className="text-gray-400">No answer</span>}
+        </p>
+      </div>
+
+      {item.feedback?.automated && (
+        <div className="text-sm text-gray-700">
+          <span className="font-medium">Automated feedback:</span> {item.feedback.automated}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="flex items-center gap-3">
+          <label htmlFor={`points-${item.resultId}-${item.questionId}`} className="text-sm font-medium">Points</label>
+          <input
+            id={`points-${item.resultId}-${item.questionId}`}
+            type="number"
+            min="0"
+            max={item.maxPoints}
+            step="0.5"
+            value={points}
+            onChange={(e) => setPoints(e.target.value)}
+            className="w-24 border rounded px-2 py-1"
+            required
+          />
+          <span className="text-sm text-gray-600">/ {item.maxPoints}</span>
+        </div>
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="Comment for the candidate"
+          className="w-full border rounded px-3 py-2 text-sm"
+          rows={2}
+        />
+        {isRegrade && (
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for changing this score"
+            className="w-full border rounded px-3 py-2 text-sm"
+            required
+          />
+        )}
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : isRegrade ? 'Save regrade' : 'Save grade'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowHistory(!showHistory)}
+            className="px-4 py-2 rounded border"
+          >
+            {showHistory ? 'Hide history' : 'Show history'}
+          </button>
+        </div>
+      </form>
+
+      {showHistory && <GradingHistory resultId={item.resultId} />}
+    </div>
+  );
+}
+
+export default function GradingQueuePage() {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [queue, setQueue] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const isReviewer = REVIEWER_ROLES.includes(user?.role);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await gradingAPI.getQueue({ status, page });
+      setQueue(res.data.data.queue);
+      setPagination(res.data.meta?.pagination || null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load grading queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    if (isReviewer) loadQueue();
+  }, [isReviewer, loadQueue]);
+
+  if (user && !isReviewer) {
+    return <Navigate to="/" />;
+  }
+
+  const handleGraded = (item, { scoring }) => {
+    setMessage(`Saved. ${item.candidate?.name || 'Candidate'} now has ${scoring.percentage}% (${scoring.grade}, ${scoring.passed ? 'passed' : 'not passed'}).`);
+    loadQueue();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-10 max-w-4xl">
+        <h1 className="text-2xl font-bold mb-6">Grading Queue</h1>
+
+        <div className="flex gap-2 mb-6" role="tablist">
+          {['pending', 'graded'].map(tab => (
+            <button
+              key={tab}
+              role="tab"
+              aria-selected={status === tab}
+              onClick={() => { setStatus(tab); setPage(1); setMessage(''); }}
+              className={`px-4 py-2 rounded capitalize ${status === tab ? 'bg-blue-600 text-white' : 'bg-white border'}`}
+            >
+              {tab === 'pending' ? 'Needs review' : 'Graded'}
+            </button>
+          ))}
+        </div>
+
+        {message && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4 text-sm">{message}</div>
+        )}
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="text-center text-gray-600">Loading...</div>
+        ) : queue.length === 0 ? (
+          <div className="text-center text-gray-600">No answers to show.</div>
+        ) : (
+          <div className="space-y-6">
+            {queue.map(item => (
+              <GradingCard key={`${item.resultId}-${item.questionId}`} item={item} onGraded={handleGraded} />
+            ))}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              disabled={!pagination.hasPrevPage}
+              onClick={() => setPage(page - 1)}
+              className="px-4 py-2 rounded border disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+            <button
+              disabled={!pagination.hasNextPage}
+              onClick={() => setPage(page + 1)}
+              className="px-4 py-2 rounded border disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
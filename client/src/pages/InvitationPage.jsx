@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { assignmentAPI } from '../services/api';
+
+export default function InvitationPage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, user, login } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    assignmentAPI.getInvitation(token)
+      .then(res => setInvitation(res.data.data.invitation))
+      .catch(err => setError(err.response?.data?.message || 'Invitation not found'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleAccept = async (e) => {
+    e.preventDefault();
+    setAccepting(true);
+    setError('');
+    try {
+      const res = await assignmentAPI.acceptInvitation(token, isAuthenticated ? {} : { name, password });
+      const { user: account, accessToken } = res.data.data;
+      if (accessToken) {
+        login(account, accessToken);
+      }
+      navigate('/');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to accept invitation');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-600">Loading...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-lg shadow p-8 w-full max-w-md space-y-4">
+        <h1 className="text-2xl font-bold">Exam invitation</h1>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+        )}
+
+        {invitation && (
+          <>
+            <div>
+              <div className="font-semibold">{invitation.examTitle}</div>
+              {invitation.examDescription && <p className="text-sm text-gray-600 mt-1">{invitation.examDescription}</p>}
+              <div className="text-sm text-gray-600 mt-2">
+                Available {new Date(invitation.startTime).toLocaleString()} – {new Date(invitation.endTime).toLocaleString()}
+              </div>
+              {invitation.timeLimit && (
+                <div className="text-sm text-gray-600">Time limit: {Math.round(invitation.timeLimit / 60)} minutes</div>
+              )}
+              <div className="text-sm text-gray-600">Invited: {invitation.email}</div>
+            </div>
+
+            {isAuthenticated ? (
+              <form onSubmit={handleAccept}>
+                <button type="submit" disabled={accepting} className="w-full px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+                  {accepting ? 'Accepting...' : `Accept as ${user?.email}`}
+                </button>
+              </form>
+            ) : invitation.hasAccount ? (
+              <div className="text-sm">
+                An account already exists for {invitation.email}.{' '}
+                <Link to="/login" className="text-blue-600 hover:underline">Sign in</Link>, then open this link again to accept.
+              </div>
+            ) : (
+              <form onSubmit={handleAccept} className="space-y-3">
+                <p className="text-sm text-gray-600">Create your account to accept the invitation.</p>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Full name"
+                  className="w-full border rounded px-3 py-2"
+                  required
+                />
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Password"
+                  className="w-full border rounded px-3 py-2"
+                  required
+                />
+                <button type="submit" disabled={accepting} className="w-full px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+                  {accepting ? 'Creating account...' : 'Create account and accept'}
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import QuestionAnalyticsDashboard from '../components/QuestionAnalyticsDashboard';
+
+export default function ItemAnalysisPage() {
+  const { user } = useAuth();
+
+  if (user && user.role !== 'admin') {
+    return <Navigate to="/" />;
+  }
+
+  return <QuestionAnalyticsDashboard />;
+}
@@ -10,6 +10,47 @@ import { ExamProvider } from '../contexts/ExamContext';
 import { useAuth } from '../context/AuthContext';
 import { ExamSecurityProvider, useExamSecurity } from '../contexts/ExamSecurityManager';
 import { toast } from 'react-hot-toast';
+import { mockInterviewAPI } from '../services/api';
+
+const toSeconds = (ms) => (ms ? Math.round(ms / 1000) : 0);
+
+// Session payload for the server history; the simulator works in milliseconds, the server in seconds
+const toMockInterviewSession = ({ questions = [], responses = [], results = {}, startedAt, timestamp }, violations, interviewType) => ({
+  interviewType: results.interviewType || interviewType,
+  startedAt,
+  completedAt: timestamp,
+  totalDuration: toSeconds(results.interviewDuration),
+  questions: questions.map(question => ({
+    questionId: question.id,
+    question: question.question,
+    type: question.type,
+    category: question.category,
+    difficulty: question.difficulty,
+    timeLimit: toSeconds(question.timeLimit),
+    expectedPoints: question.expectedPoints
+  })),
+  responses: responses.map(response => ({
+    questionId: response.questionId,
+    question: response.question,
+    answer: response.answer,
+    timeSpent: toSeconds(response.responseTime),
+    submittedAt: response.timestamp
+  })),
+  // Answer scores are worked out by the server; only what the browser measured is sent
+  performance: {
+    eyeContact: results.eyeContactScore,
+    speechClarity: results.speechClarityScore,
+    confidence: results.confidenceLevel,
+    engagement: results.engagementScore,
+    professionalism: results.professionalismScore
+  },
+  securityViolations: violations.map(violation => ({
+    type: violation.type,
+    severity: violation.severity,
+    description: violation.description || violation.message,
+    occurredAt: violation.timestamp
+  }))
+});
 
 const MockInterviewPageContent = () => {
   const navigate = useNavigate();
@@ -240,10 +281,15 @@ const MockInterviewPageContent = () => {
         setShowViolationLog(true);
       }
       
-      // Here you would typically save results to backend
-      // await api.post('/api/v1/mock-interviews', enhancedResults);
-      
       toast.success('Interview completed successfully!');
+
+      // Keep the session in the user's history so it follows them across devices
+      try {
+        await mockInterviewAPI.create(toMockInterviewSession(results, violations, selectedType));
+      } catch (error) {
+        console.error('Failed to save interview session:', error);
+        toast.error('Could not save this interview to your history');
+      }
       
     } catch (error) {
       console.error('Failed to save interview results:', error);
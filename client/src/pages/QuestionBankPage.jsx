@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { questionAPI } from '../services/api';
+import { readBlobError, saveDownload } from '../utils/download';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'gift', label: 'Moodle GIFT' },
+  { value: 'qti', label: 'IMS QTI 2.1' }
+];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const DUPLICATE_REASONS = {
+  existing_id: 'Question id is already in the bank',
+  existing_content: 'Same question is already in the bank',
+  duplicate_id_in_file: 'Question id repeats an earlier row',
+  duplicate_content_in_file: 'Same question as an earlier row'
+};
+
+function ImportReport({ report }) {
+  const { summary, errors, duplicates } = report;
+
+  return (
+    <div className="mt-6 space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-center text-sm">
+        {[
+          ['Rows', summary.total],
+          [summary.dryRun ? 'Would import' : 'Imported', summary.imported],
+          [summary.dryRun ? 'Would update' : 'Updated', summary.updated],
+          ['Duplicates', summary.duplicates],
+          ['Failed', summary.failed]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-gray-50 rounded p-3">
+            <div className="text-2xl font-semibold">{value}</div>
+            <div className="text-gray-600">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      {errors.length > 0 && (
+        <div>
+          <h3 className="font-semibold mb-2 text-red-700">Validation errors</h3>
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-100 text-left">
+              <tr>
+                <th className="px-3 py-2">Row</th>
+                <th className="px-3 py-2">Field</th>
+                <th className="px-3 py-2">Problem</th>
+              </tr>
+            </thead>
+            <tbody>
+              {errors.map((error, index) => (
+                <tr key={`${error.row}-${index}`} className="border-t">
+                  <td className="px-3 py-2">{error.row}</td>
+                  <td className="px-3 py-2">{error.field || '—'}</td>
+                  <td className="px-3 py-2">{error.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {duplicates.length > 0 && (
+        <div>
+          <h3 className="font-semibold mb-2 text-yellow-700">Duplicates (not imported)</h3>
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-100 text-left">
+              <tr>
+                <th className="px-3 py-2">Row</th>
+                <th className="px-3 py-2">Reason</th>
+                <th className="px-3 py-2">Duplicate of</th>
+              </tr>
+            </thead>
+            <tbody>
+              {duplicates.map(duplicate => (
+                <tr key={duplicate.row} className="border-t">
+                  <td className="px-3 py-2">{duplicate.row}</td>
+                  <td className="px-3 py-2">{DUPLICATE_REASONS[duplicate.reason] || duplicate.reason}</td>
+                  <td className="px-3 py-2">
+                    {duplicate.duplicateOf.questionId || `row ${duplicate.duplicateOf.row}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ImportForm() {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [onDuplicate, setOnDuplicate] = useState('skip');
+  const [category, setCategory] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const runImport = async (dryRun) => {
+    if (!file) return;
+    setSubmitting(true);
+    setError('');
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('onDuplicate', onDuplicate);
+    formData.append('dryRun', String(dryRun));
+    if (format) formData.append('format', format);
+    if (category.trim()) formData.append('category', category.trim());
+
+    try {
+      const res = await questionAPI.importQuestions(formData);
+      setReport(res.data.data);
+    } catch (err) {
+      setReport(null);
+      setError(err.response?.data?.message || 'Import failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <h2 className="text-lg font-semibold mb-1">Import questions</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        CSV, JSON, Moodle GIFT (.gift or .txt) or IMS QTI 2.1 (an item .xml or a content package .zip).
+        Valid rows are imported; the rest are listed with the reason.
+      </p>
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <label className="block">
+          <span className="text-gray-700">File</span>
+          <input
+            type="file"
+            accept=".csv,.json,.gift,.txt,.xml,.zip"
+            onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); }}
+            className="mt-1 block w-full"
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Format</span>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="mt-1 block w-full border rounded px-3 py-2">
+            <option value="">Detect from file name</option>
+            {FORMATS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">When a question id already exists</span>
+          <select value={onDuplicate} onChange={(e) => setOnDuplicate(e.target.value)} className="mt-1 block w-full border rounded px-3 py-2">
+            <option value="skip">Skip the row</option>
+            <option value="update">Update the existing question</option>
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Category for rows without one</span>
+          <input
+            type="text"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="mt-1 block w-full border rounded px-3 py-2"
+          />
+        </label>
+      </div>
+      <div className="flex gap-2 mt-4">
+        <button
+          type="button"
+          onClick={() => runImport(true)}
+          disabled={!file || submitting}
+          className="px-4 py-2 rounded border border-blue-600 text-blue-600 disabled:opacity-50"
+        >
+          Validate only
+        </button>
+        <button
+          type="button"
+          onClick={() => runImport(false)}
+          disabled={!file || submitting}
+          className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50"
+        >
+          {submitting ? 'Working...' : 'Import'}
+        </button>
+      </div>
+      {report && <ImportReport report={report} />}
+    </div>
+  );
+}
+
+function ExportForm() {
+  const [format, setFormat] = useState('csv');
+  const [category, setCategory] = useState('');
+  const [difficulty, setDifficulty] = useState('');
+  const [tags, setTags] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setExporting(true);
+    setError('');
+    try {
+      const res = await questionAPI.exportQuestions({
+        format,
+        category: category.trim(),
+        difficulty,
+        tags: tags.trim()
+      });
+      saveDownload(res, `questions.${format}`);
+    } catch (err) {
+      setError(await readBlobError(err, 'Export failed'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold mb-1">Export questions</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        GIFT and QTI only have multiple choice and free-text questions, so other types are exported as essays.
+        Use CSV or JSON to keep every field.
+      </p>
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+      )}
+      <form onSubmit={handleExport} className="grid grid-cols-1 md:grid-cols-5 gap-2 text-sm">
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="border rounded px-3 py-2">
+          {FORMATS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <input
+          type="text"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          placeholder="Category"
+          className="border rounded px-3 py-2"
+        />
+        <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)} className="border rounded px-3 py-2">
+          <option value="">Any difficulty</option>
+          {DIFFICULTIES.map(value => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags (comma-separated)"
+          className="border rounded px-3 py-2"
+        />
+        <button type="submit" disabled={exporting} className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+          {exporting ? 'Exporting...' : 'Download'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default function QuestionBankPage() {
+  const { user } = useAuth();
+
+  if (user && user.role !== 'admin') {
+    return <Navigate to="/" />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-10 max-w-5xl">
+        <h1 className="text-2xl font-bold mb-6">Question Bank</h1>
+        <ImportForm />
+        <ExportForm />
+      </div>
+    </div>
+  );
+}
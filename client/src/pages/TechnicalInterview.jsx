@@ -20,7 +20,7 @@ export default function TechnicalInterview() {
   const [mcqDone, setMcqDone] = useState(false);
   const [codingDone, setCodingDone] = useState(false);
   const [mcqPayload, setMcqPayload] = useState(null); // {questions, answers}
-  const [codingOutput, setCodingOutput] = useState('');
+  const [codingSubmission, setCodingSubmission] = useState(null); // {questionId, code, language}
   const [submitting, setSubmitting] = useState(false);
   const [fullscreenReady, setFullscreenReady] = useState(false);
   const [warningMessage, setWarningMessage] = useState('');
@@ -62,12 +62,12 @@ export default function TechnicalInterview() {
       const payload = {
         mcqQuestions: mcqPayload?.questions || [],
         mcqAnswers: mcqPayload?.answers || [],
-        codingOutput: (codingOutput || '').trim(),
+        ...(codingSubmission ? { codingSubmission } : {}),
       };
       const { data } = await interviewAPI.submitFeedback(payload);
       // Persist for refresh safety
-      sessionStorage.setItem('interview_feedback', JSON.stringify(data));
-      navigate('/feedback', { state: data });
+      sessionStorage.setItem('interview_feedback', JSON.stringify(data.data));
+      navigate('/feedback', { state: data.data });
     } catch (e) {
       // eslint-disable-next-line no-console
       console.error('Submission failed', e);
@@ -148,9 +148,9 @@ export default function TechnicalInterview() {
         {section === 'coding' && (
           <div className="space-y-4">
             <CodingSection
-              onComplete={({ ran, output }) => {
+              onComplete={({ ran, submission }) => {
                 if (ran) setCodingDone(true);
-                setCodingOutput(output || '');
+                setCodingSubmission(submission || null);
               }}
             />
             <div className="flex justify-end">
@@ -0,0 +1,315 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { templateAPI } from '../services/api';
+
+const RECRUITER_ROLES = ['admin', 'moderator'];
+
+const DIFFICULTIES = ['entry', 'mid', 'senior'];
+
+const SECURITY_FLAGS = [
+  { key: 'fullscreenRequired', label: 'Require fullscreen' },
+  { key: 'preventCopyPaste', label: 'Block copy and paste' },
+  { key: 'preventRightClick', label: 'Block right click' },
+  { key: 'preventTabSwitch', label: 'Block tab switching' }
+];
+
+function SaveTemplateForm({ onSaved }) {
+  const [examId, setExamId] = useState('');
+  const [title, setTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await templateAPI.saveAsTemplate({ examId: examId.trim(), title: title.trim() || undefined });
+      setExamId('');
+      setTitle('');
+      onSaved();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <h2 className="text-lg font-semibold mb-4">Save an exam as a template</h2>
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+      )}
+      <form onSubmit={handleSubmit} className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={examId}
+          onChange={(e) => setExamId(e.target.value)}
+          placeholder="Exam ID"
+          className="border rounded px-3 py-2 text-sm flex-1"
+          required
+        />
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Template title (defaults to the exam title)"
+          className="border rounded px-3 py-2 text-sm flex-1"
+        />
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+          {saving ? 'Saving...' : 'Save template'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function CreateExamForm({ template, onCancel }) {
+  const [title, setTitle] = useState(template.title);
+  const [minutes, setMinutes] = useState(Math.round(template.totalTimeLimit / 60));
+  const [numberOfQuestions, setNumberOfQuestions] = useState(template.questionCount);
+  const [isProctored, setIsProctored] = useState(template.isProctored);
+  const [securitySettings, setSecuritySettings] = useState({ ...template.securitySettings });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [created, setCreated] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const res = await templateAPI.createExamFromTemplate(template.templateId, {
+        title: title.trim(),
+        totalTimeLimit: Number(minutes) * 60,
+        numberOfQuestions: Number(numberOfQuestions),
+        isProctored,
+        securitySettings: {
+          ...SECURITY_FLAGS.reduce((flags, { key }) => ({ ...flags, [key]: Boolean(securitySettings[key]) }), {}),
+          maxViolations: Number(securitySettings.maxViolations)
+        }
+      });
+      setCreated(res.data.data.exam);
+    } catch (err) {
+      const details = err.response?.data?.errors;
+      setError(Array.isArray(details) && details.length > 0
+        ? details.map(detail => detail.message).join('; ')
+        : err.response?.data?.message || 'Failed to create exam');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (created) {
+    return (
+      <div className="mt-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded text-sm">
+        Created {created.title} with exam ID <span className="font-mono">{created.examId}</span>.
+        <button onClick={onCancel} className="ml-2 underline">Close</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 border-t pt-4 space-y-3 text-sm">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>
+      )}
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Exam title"
+        className="w-full border rounded px-3 py-2"
+        required
+      />
+      <div className="flex flex-wrap gap-4">
+        <label>
+          <span className="block text-gray-600 mb-1">Time limit (minutes)</span>
+          <input type="number" min="1" value={minutes} onChange={(e) => setMinutes(e.target.value)} className="border rounded px-2 py-1 w-28" required />
+        </label>
+        <label>
+          <span className="block text-gray-600 mb-1">Questions per attempt</span>
+          <input
+            type="number"
+            min="1"
+            max={template.questionCount}
+            value={numberOfQuestions}
+            onChange={(e) => setNumberOfQuestions(e.target.value)}
+            className="border rounded px-2 py-1 w-28"
+            required
+          />
+        </label>
+        <label>
+          <span className="block text-gray-600 mb-1">Violations allowed</span>
+          <input
+            type="number"
+            min="0"
+            value={securitySettings.maxViolations ?? 2}
+            onChange={(e) => setSecuritySettings({ ...securitySettings, maxViolations: e.target.value })}
+            className="border rounded px-2 py-1 w-28"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={isProctored} onChange={(e) => setIsProctored(e.target.checked)} />
+          Proctored
+        </label>
+        {SECURITY_FLAGS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={Boolean(securitySettings[key])}
+              onChange={(e) => setSecuritySettings({ ...securitySettings, [key]: e.target.checked })}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50">
+          {saving ? 'Creating...' : 'Create exam'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded border">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default function TemplatesPage() {
+  const { user } = useAuth();
+  const [industry, setIndustry] = useState('');
+  const [difficulty, setDifficulty] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [templates, setTemplates] = useState([]);
+  const [industries, setIndustries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const isRecruiter = RECRUITER_ROLES.includes(user?.role);
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await templateAPI.getTemplates({
+        industry: industry || undefined,
+        difficulty: difficulty || undefined,
+        search: search.trim() || undefined,
+        page
+      });
+      setTemplates(res.data.data.templates);
+      setIndustries(res.data.data.filters.industries);
+      setPagination(res.data.meta?.pagination || null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  }, [industry, difficulty, search, page]);
+
+  useEffect(() => {
+    if (isRecruiter) loadTemplates();
+  }, [isRecruiter, loadTemplates]);
+
+  if (user && !isRecruiter) {
+    return <Navigate to="/" />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-10 max-w-5xl">
+        <h1 className="text-2xl font-bold mb-6">Exam Templates</h1>
+
+        <SaveTemplateForm onSaved={loadTemplates} />
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <select
+            value={industry}
+            onChange={(e) => { setIndustry(e.target.value); setPage(1); }}
+            className="border rounded px-3 py-2 text-sm"
+            aria-label="Industry"
+          >
+            <option value="">All industries</option>
+            {industries.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select
+            value={difficulty}
+            onChange={(e) => { setDifficulty(e.target.value); setPage(1); }}
+            className="border rounded px-3 py-2 text-sm capitalize"
+            aria-label="Difficulty"
+          >
+            <option value="">All difficulties</option>
+            {DIFFICULTIES.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+            placeholder="Search by title"
+            className="border rounded px-3 py-2 text-sm flex-1"
+          />
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="text-center text-gray-600">Loading...</div>
+        ) : templates.length === 0 ? (
+          <div className="text-center text-gray-600">No templates match these filters.</div>
+        ) : (
+          <div className="space-y-4">
+            {templates.map(template => (
+              <div key={template.templateId} className="bg-white rounded-lg shadow p-6">
+                <div className="flex justify-between items-start gap-4">
+                  <div>
+                    <div className="font-semibold">{template.title}</div>
+                    {template.description && <p className="text-sm text-gray-600 mt-1">{template.description}</p>}
+                    <div className="text-xs text-gray-500 mt-2 capitalize">
+                      {template.industry} · {template.difficulty} · {template.questionCount} questions · {Math.round(template.totalTimeLimit / 60)} minutes
+                    </div>
+                  </div>
+                  {selected !== template.templateId && (
+                    <button onClick={() => setSelected(template.templateId)} className="px-4 py-2 rounded bg-blue-600 text-white text-sm whitespace-nowrap">
+                      Use template
+                    </button>
+                  )}
+                </div>
+                {selected === template.templateId && (
+                  <CreateExamForm template={template} onCancel={() => setSelected(null)} />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              disabled={!pagination.hasPrevPage}
+              onClick={() => setPage(page - 1)}
+              className="px-4 py-2 rounded border disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+            <button
+              disabled={!pagination.hasNextPage}
+              onClick={() => setPage(page + 1)}
+              className="px-4 py-2 rounded border disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
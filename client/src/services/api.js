@@ -80,6 +80,109 @@ export const userAPI = {
   updatePassword: (passwordData) => api.put('/users/password', passwordData),
 };
 
+// Question bank APIs
+export const questionAPI = {
+  // Get question counts per role and difficulty
+  getStats: () => api.get('/questions/stats'),
+  
+  // Get a mixed-difficulty question set for a role (answers are never included)
+  getMixed: ({ role, easy, medium, hard }) => {
+    const queryParams = new URLSearchParams({ role });
+    if (easy !== undefined) queryParams.append('easy', easy);
+    if (medium !== undefined) queryParams.append('medium', medium);
+    if (hard !== undefined) queryParams.append('hard', hard);
+    
+    return api.get(`/questions/mixed?${queryParams.toString()}`);
+  },
+  
+  // Grade answers on the server
+  grade: (questionIds, answers) => api.post('/questions/grade', { questionIds, answers }),
+
+  // Bulk import a CSV, JSON, GIFT or QTI file into the question bank (admin)
+  importQuestions: (formData) => api.post('/admin/questions/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+
+  // Download the question bank as CSV, JSON, GIFT or a QTI package (admin)
+  exportQuestions: ({ format, category, difficulty, tags }) => {
+    const queryParams = new URLSearchParams({ format });
+    if (category) queryParams.append('category', category);
+    if (difficulty) queryParams.append('difficulty', difficulty);
+    if (tags) queryParams.append('tags', tags);
+    return api.get(`/admin/questions/export?${queryParams.toString()}`, { responseType: 'blob' });
+  },
+};
+
+// Manual grading APIs (admins and moderators)
+export const gradingAPI = {
+  getQueue: ({ status = 'pending', examId, page = 1, limit = 20 } = {}) => {
+    const queryParams = new URLSearchParams({ status, page, limit });
+    if (examId) queryParams.append('examId', examId);
+    return api.get(`/grading/queue?${queryParams.toString()}`);
+  },
+  getResult: (resultId) => api.get(`/grading/results/${resultId}`),
+  gradeAnswer: (resultId, questionId, grade) => api.put(`/grading/results/${resultId}/answers/${questionId}`, grade),
+  getHistory: (resultId) => api.get(`/grading/results/${resultId}/history`),
+};
+
+// Exam assignment and invitation APIs
+export const assignmentAPI = {
+  getAssignments: ({ examId, status, page = 1, limit = 20 } = {}) => {
+    const queryParams = new URLSearchParams({ page, limit });
+    if (examId) queryParams.append('examId', examId);
+    if (status) queryParams.append('status', status);
+    return api.get(`/assignments?${queryParams.toString()}`);
+  },
+  createAssignments: (data) => api.post('/assignments', data),
+  resendInvite: (assignmentId) => api.post(`/assignments/${assignmentId}/invite`),
+  getMine: () => api.get('/assignments/mine'),
+  getInvitation: (token) => api.get(`/public/invitations/${token}`),
+  acceptInvitation: (token, account = {}) => api.post(`/public/invitations/${token}/accept`, account),
+};
+
+export const templateAPI = {
+  getTemplates: ({ industry, difficulty, examType, search, page = 1, limit = 20 } = {}) => {
+    const queryParams = new URLSearchParams({ page, limit });
+    if (industry) queryParams.append('industry', industry);
+    if (difficulty) queryParams.append('difficulty', difficulty);
+    if (examType) queryParams.append('examType', examType);
+    if (search) queryParams.append('search', search);
+    return api.get(`/templates?${queryParams.toString()}`);
+  },
+  getTemplate: (templateId) => api.get(`/templates/${templateId}`),
+  saveAsTemplate: (data) => api.post('/templates', data),
+  createExamFromTemplate: (templateId, overrides = {}) => api.post(`/templates/${templateId}/exams`, overrides),
+};
+
+// Completion certificates
+export const certificateAPI = {
+  getMine: () => api.get('/certificates'),
+  requestCertificate: (resultId) => api.post('/certificates', { resultId }),
+  downloadPdf: (certificateId) => api.get(`/certificates/${certificateId}/pdf`, { responseType: 'blob' }),
+  verify: (certificateId) => api.get(`/public/certificates/${certificateId}/verify`),
+  // Admin only
+  getAll: ({ status, examId, page = 1, limit = 20 } = {}) => {
+    const queryParams = new URLSearchParams({ page, limit });
+    if (status) queryParams.append('status', status);
+    if (examId) queryParams.append('examId', examId);
+    return api.get(`/admin/certificates?${queryParams.toString()}`);
+  },
+  revoke: (certificateId, reason) => api.post(`/admin/certificates/${certificateId}/revoke`, { reason }),
+};
+
+// Psychometric item statistics (admin)
+export const itemAnalysisAPI = {
+  getItemStatistics: ({ examId, category, flag, severity, page = 1, limit = 200 } = {}) => {
+    const queryParams = new URLSearchParams({ page, limit });
+    if (examId) queryParams.append('examId', examId);
+    if (category) queryParams.append('category', category);
+    if (flag) queryParams.append('flag', flag);
+    if (severity) queryParams.append('severity', severity);
+    return api.get(`/admin/item-analysis?${queryParams.toString()}`);
+  },
+  runAnalysis: (examId) => api.post('/admin/item-analysis/run', examId ? { examId } : {}),
+};
+
 // Enhanced Interview APIs
 export const interviewAPI = {
   // Get MCQs with category and difficulty support
@@ -93,8 +196,15 @@ export const interviewAPI = {
     return api.get(url);
   },
   
-  // Get coding challenge
-  getCodingChallenge: () => api.get('/coding'),
+  // Get a random coding challenge, optionally by difficulty and category
+  getCodingChallenge: (params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params.difficulty) queryParams.append('difficulty', params.difficulty);
+    if (params.category) queryParams.append('category', params.category);
+
+    const url = queryParams.toString() ? `/coding?${queryParams.toString()}` : '/coding';
+    return api.get(url);
+  },
   
   // Run code execution
   runCode: (payload) => api.post('/run-code', payload),
@@ -105,8 +215,8 @@ export const interviewAPI = {
   // Get exam history
   getExamHistory: () => api.get('/exam/history'),
   
-  // Get specific exam report
-  getExamReport: (examId) => api.get(`/exam/report/${examId}`),
+  // Get specific exam report (the caller's counted attempt)
+  getExamReport: (examId) => api.get(`/exams/${examId}/results`),
   
   // Log security violations
   logViolation: (violation) => api.post('/exam/violation', violation),
@@ -118,13 +228,39 @@ export const interviewAPI = {
   getExamProgress: (examId) => api.get(`/exam/progress/${examId}`),
 };
 
+// Mock interview session history
+export const mockInterviewAPI = {
+  // Save a finished session
+  create: (session) => api.post('/mock-interviews', session),
+
+  // Score answers against each question's expected points without saving
+  score: ({ questions, responses }) => api.post('/mock-interviews/score', { questions, responses }),
+
+  // List the user's sessions, newest first
+  list: (params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+    if (params.interviewType) queryParams.append('interviewType', params.interviewType);
+
+    const url = queryParams.toString() ? `/mock-interviews?${queryParams.toString()}` : '/mock-interviews';
+    return api.get(url);
+  },
+
+  // Get one session with its questions, responses and violations
+  get: (sessionId) => api.get(`/mock-interviews/${sessionId}`),
+
+  // Delete a session
+  remove: (sessionId) => api.delete(`/mock-interviews/${sessionId}`),
+};
+
 // Exam-specific APIs
 export const examAPI = {
   // Start new exam
   startExam: (examConfig) => api.post('/exam/start', examConfig),
   
-  // Submit exam section
-  submitSection: (examId, section, data) => api.post(`/exam/${examId}/section/${section}`, data),
+  // Submit the current section of a sectioned exam; the next section starts on the server
+  submitSection: (examId, sectionId, data = {}, headers = {}) => api.post(`/exams/${examId}/sections/${sectionId}/submit`, data, { headers }),
   
   // Complete exam
   completeExam: (examId, data) => api.post(`/exam/${examId}/complete`, data),
@@ -132,20 +268,48 @@ export const examAPI = {
   // Get exam analytics
   getAnalytics: (examId) => api.get(`/exam/${examId}/analytics`),
   
-  // Export exam report
-  exportReport: (examId, format = 'pdf') => api.get(`/exam/${examId}/export?format=${format}`),
+  // Download a result report as PDF, or every result of the exam as CSV or XLSX (reviewers).
+  // params may pick the attempt, or for reviewers another candidate's resultId or userId
+  exportReport: (examId, format = 'pdf', params = {}) => {
+    const queryParams = new URLSearchParams({ format, ...params });
+    return api.get(`/exams/${examId}/export?${queryParams.toString()}`, { responseType: 'blob' });
+  },
+
+  // Get an in-progress session with saved answers and remaining time
+  getSession: (examId) => api.get(`/exams/${examId}/session`),
+
+  // Autosave the answer to one question (exam routes expect the fullscreen headers)
+  saveAnswer: (examId, questionId, answer, headers = {}) => api.put(`/exams/${examId}/answers/${questionId}`, answer, { headers }),
+
+  // List attempts at an exam with the retake policy and the score that counts
+  getAttempts: (examId) => api.get(`/exams/${examId}/attempts`),
+
+  // Update an exam; published changes create a new version
+  updateExam: (examId, data) => api.put(`/exams/${examId}`, data),
+
+  // Published versions of an exam (admin)
+  getVersions: (examId) => api.get(`/admin/exams/${examId}/versions`),
+
+  // Compare two versions of an exam (admin); defaults to the current and previous versions
+  getVersionDiff: (examId, { from, to } = {}) => {
+    const queryParams = new URLSearchParams();
+    if (from) queryParams.append('from', from);
+    if (to) queryParams.append('to', to);
+    return api.get(`/admin/exams/${examId}/versions/diff?${queryParams.toString()}`);
+  },
 };
 
 // Analytics and reporting APIs
+// timeframe is one of 7d, 30d, 90d, 1y or all
 export const analyticsAPI = {
   // Get user performance analytics
-  getUserAnalytics: () => api.get('/analytics/user'),
+  getUserAnalytics: (timeframe = '30d') => api.get(`/analytics/user?timeframe=${timeframe}`),
   
   // Get category performance
-  getCategoryPerformance: (category) => api.get(`/analytics/category/${category}`),
+  getCategoryPerformance: (category, timeframe = '30d') => api.get(`/analytics/category/${encodeURIComponent(category)}?timeframe=${timeframe}`),
   
   // Get difficulty performance
-  getDifficultyPerformance: (difficulty) => api.get(`/analytics/difficulty/${difficulty}`),
+  getDifficultyPerformance: (difficulty, timeframe = '30d') => api.get(`/analytics/difficulty/${difficulty}?timeframe=${timeframe}`),
   
   // Get improvement trends
   getImprovementTrends: (timeframe = '30d') => api.get(`/analytics/trends?timeframe=${timeframe}`),
@@ -0,0 +1,27 @@
+/**
+ * Helpers for file downloads requested with responseType: 'blob'
+ */
+
+// Save a blob response under the file name the server suggested
+export const saveDownload = (res, fallbackName) => {
+  const filename = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '')?.[1] || fallbackName;
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The server reports problems as a JSON body even when a file download was requested
+export const readBlobError = async (err, fallback) => {
+  const data = err.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback;
+    } catch (parseError) {
+      return fallback;
+    }
+  }
+  return data?.message || fallback;
+};
@@ -68,7 +68,8 @@ const cacheConfig = {
   mcqTTL: 30 * 60, // 30 minutes for MCQ data
   codingChallengeTTL: 60 * 60, // 1 hour for coding challenges
   userProfileTTL: 15 * 60, // 15 minutes for user profiles
-  examResultsTTL: 24 * 60 * 60 // 24 hours for exam results
+  examResultsTTL: 24 * 60 * 60, // 24 hours for exam results
+  analyticsTTL: 10 * 60 // 10 minutes for performance analytics
 };
 
 // Cache helper functions
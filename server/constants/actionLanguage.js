@@ -0,0 +1,25 @@
+/**
+ * Action Language Constants
+ * Wording that marks strong or weak descriptions of what someone did,
+ * shared by resume analysis and behavioral answer feedback
+ */
+
+// Action verbs that indicate strong achievements
+const STRONG_ACTION_VERBS = [
+  'achieved', 'accomplished', 'delivered', 'implemented', 'developed',
+  'created', 'designed', 'built', 'launched', 'optimized', 'improved',
+  'increased', 'decreased', 'reduced', 'managed', 'led', 'directed',
+  'coordinated', 'supervised', 'trained', 'mentored', 'established',
+  'initiated', 'streamlined', 'automated', 'innovated', 'transformed'
+];
+
+// Weak phrases that should be avoided
+const WEAK_PHRASES = [
+  'responsible for', 'duties included', 'worked on', 'helped with',
+  'assisted in', 'participated in', 'involved in', 'familiar with'
+];
+
+module.exports = {
+  STRONG_ACTION_VERBS,
+  WEAK_PHRASES
+};
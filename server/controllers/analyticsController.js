@@ -0,0 +1,88 @@
+const { APIResponse } = require('../utils/responseFormatter');
+const { asyncHandler } = require('../middleware/errorHandler');
+const cacheService = require('../services/cacheService');
+const performanceAnalyticsService = require('../services/performanceAnalyticsService');
+
+const DEFAULT_TIMEFRAME = '30d';
+
+/**
+ * Serve an analytics view from the cache, building it from the user's attempts on a miss.
+ * The cache key carries the user's data version, so new and regraded results are never served stale.
+ */
+const getCachedAnalytics = async (userId, view, build) => {
+  const version = await performanceAnalyticsService.getDataVersion(userId);
+
+  const cached = await cacheService.getAnalytics(userId, view, version);
+  if (cached) return cached;
+
+  const analytics = await build();
+  await cacheService.cacheAnalytics(userId, view, version, analytics);
+  return analytics;
+};
+
+/**
+ * Get the signed-in user's performance analytics
+ * GET /api/v1/analytics/user?timeframe=7d|30d|90d|1y|all
+ * Score trend, category and difficulty breakdowns, time per question and improvement.
+ */
+exports.getUserAnalytics = asyncHandler(async (req, res) => {
+  const timeframe = req.query.timeframe || DEFAULT_TIMEFRAME;
+  const userId = req.user._id;
+
+  const analytics = await getCachedAnalytics(userId, `user:${timeframe}`, async () => (
+    performanceAnalyticsService.buildUserAnalytics(await performanceAnalyticsService.loadAttempts(userId, timeframe), timeframe)
+  ));
+
+  res.json(APIResponse.success({ analytics }, 'Performance analytics retrieved successfully'));
+});
+
+/**
+ * Get performance on one question category
+ * GET /api/v1/analytics/category/:category?timeframe=
+ */
+exports.getCategoryPerformance = asyncHandler(async (req, res) => {
+  const timeframe = req.query.timeframe || DEFAULT_TIMEFRAME;
+  const category = req.params.category;
+  const userId = req.user._id;
+
+  const analytics = await getCachedAnalytics(userId, `category:${category.toLowerCase()}:${timeframe}`, async () => (
+    performanceAnalyticsService.buildSliceAnalytics(
+      await performanceAnalyticsService.loadAttempts(userId, timeframe), 'category', category, timeframe
+    )
+  ));
+
+  res.json(APIResponse.success({ analytics }, 'Category performance retrieved successfully'));
+});
+
+/**
+ * Get performance on one difficulty level
+ * GET /api/v1/analytics/difficulty/:difficulty?timeframe=
+ */
+exports.getDifficultyPerformance = asyncHandler(async (req, res) => {
+  const timeframe = req.query.timeframe || DEFAULT_TIMEFRAME;
+  const { difficulty } = req.params;
+  const userId = req.user._id;
+
+  const analytics = await getCachedAnalytics(userId, `difficulty:${difficulty}:${timeframe}`, async () => (
+    performanceAnalyticsService.buildSliceAnalytics(
+      await performanceAnalyticsService.loadAttempts(userId, timeframe), 'difficulty', difficulty, timeframe
+    )
+  ));
+
+  res.json(APIResponse.success({ analytics }, 'Difficulty performance retrieved successfully'));
+});
+
+/**
+ * Get score trends grouped by day, week or month
+ * GET /api/v1/analytics/trends?timeframe=
+ */
+exports.getImprovementTrends = asyncHandler(async (req, res) => {
+  const timeframe = req.query.timeframe || DEFAULT_TIMEFRAME;
+  const userId = req.user._id;
+
+  const trends = await getCachedAnalytics(userId, `trends:${timeframe}`, async () => (
+    performanceAnalyticsService.buildTrends(await performanceAnalyticsService.loadAttempts(userId, timeframe), timeframe)
+  ));
+
+  res.json(APIResponse.success({ trends }, 'Improvement trends retrieved successfully'));
+});
@@ -0,0 +1,378 @@
+const ExamAssignment = require('../models/ExamAssignment');
+const Exam = require('../models/Exam');
+const User = require('../models/User');
+const { APIResponse, createPaginationMeta } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { SecurityManager, InputValidator } = require('../utils/security');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+
+const ASSIGNMENT_STATUSES = ['invited', 'started', 'completed', 'expired'];
+
+// Most candidates one request can assign
+const MAX_CANDIDATES_PER_REQUEST = 200;
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const buildInviteLink = (token) => `${CLIENT_URL}/invite/${token}`;
+
+const toAssignmentView = (assignment) => ({
+  assignmentId: assignment.assignmentId,
+  examId: assignment.examId,
+  email: assignment.email,
+  candidate: assignment.candidate && assignment.candidate.name
+    ? { id: assignment.candidate._id, name: assignment.candidate.name, email: assignment.candidate.email }
+    : assignment.candidate || null,
+  status: assignment.status,
+  startTime: assignment.startTime,
+  endTime: assignment.endTime,
+  invitedAt: assignment.invite?.sentAt,
+  acceptedAt: assignment.invite?.acceptedAt,
+  startedAt: assignment.startedAt,
+  completedAt: assignment.completedAt,
+  resultId: assignment.resultId
+});
+
+const isAdmin = (user) => user.role === 'admin';
+
+// Moderators manage assignments for the exams they own; admins for every exam
+const assertCanManageExam = (user, exam) => {
+  if (!isAdmin(user) && exam.userId.toString() !== user._id.toString()) {
+    throw new AppError('You can only manage assignments for exams you own', HTTP_STATUS.FORBIDDEN);
+  }
+};
+
+const parseWindow = (startTime, endTime) => {
+  const start = startTime ? new Date(startTime) : new Date();
+  const end = new Date(endTime);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new AppError('startTime and endTime must be valid dates', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (end <= start) {
+    throw new AppError('endTime must be after startTime', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (end <= new Date()) {
+    throw new AppError('endTime must be in the future', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return { startTime: start, endTime: end };
+};
+
+/**
+ * Assign an exam to candidates by email or user id, each with an availability window
+ * POST /api/v1/assignments
+ * Body: { examId, candidates: [{ email } | { userId }], startTime, endTime }
+ */
+exports.createAssignments = asyncHandler(async (req, res) => {
+  const { examId, candidates } = req.body;
+
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw new AppError('Candidates are required and must be a non-empty array', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (candidates.length > MAX_CANDIDATES_PER_REQUEST) {
+    throw new AppError(`At most ${MAX_CANDIDATES_PER_REQUEST} candidates can be assigned at once`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+  assertCanManageExam(req.user, exam);
+
+  const window = parseWindow(req.body.startTime, req.body.endTime);
+
+  // Resolve every entry to an email, linking accounts that already exist
+  const userIds = candidates.filter(c => c.userId).map(c => c.userId);
+  const emails = candidates.filter(c => !c.userId && c.email).map(c => String(c.email).toLowerCase().trim());
+  const users = await User.find({ $or: [{ _id: { $in: userIds.filter(InputValidator.isValidObjectId) } }, { email: { $in: emails } }] })
+    .select('name email');
+
+  const invalid = [];
+  const resolved = new Map();
+  candidates.forEach(entry => {
+    if (entry.userId) {
+      const user = users.find(u => u._id.toString() === String(entry.userId));
+      if (!user) {
+        invalid.push({ candidate: entry, message: 'User not found' });
+        return;
+      }
+      resolved.set(user.email, user._id);
+      return;
+    }
+
+    const email = String(entry.email || '').toLowerCase().trim();
+    if (!InputValidator.isValidEmail(email)) {
+      invalid.push({ candidate: entry, message: 'Valid email is required' });
+      return;
+    }
+    const user = users.find(u => u.email === email);
+    resolved.set(email, user ? user._id : undefined);
+  });
+
+  const existing = await ExamAssignment.find({ examId, email: { $in: [...resolved.keys()] } }).select('email');
+  const alreadyAssigned = new Set(existing.map(assignment => assignment.email));
+
+  const created = [];
+  for (const [email, candidateId] of resolved) {
+    if (alreadyAssigned.has(email)) continue;
+
+    const assignment = new ExamAssignment({
+      assignmentId: `assignment_${uuidv4()}`,
+      examId,
+      exam: exam._id,
+      candidate: candidateId,
+      email,
+      assignedBy: req.user._id,
+      ...window
+    });
+    const token = assignment.createInviteToken();
+    await assignment.save();
+
+    // The token is only ever returned here; the recruiter shares the link with the candidate
+    created.push({ ...toAssignmentView(assignment), inviteToken: token, inviteLink: buildInviteLink(token) });
+  }
+
+  logger.info('Exam assigned to candidates', {
+    examId,
+    assignedBy: req.user._id.toString(),
+    created: created.length,
+    skipped: alreadyAssigned.size,
+    invalid: invalid.length
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(APIResponse.success({
+    assignments: created,
+    skipped: [...alreadyAssigned].map(email => ({ email, message: 'Already assigned to this exam' })),
+    invalid
+  }, `${created.length} candidate(s) assigned successfully`));
+});
+
+/**
+ * Recruiter dashboard: assignments with their statuses and a count per status.
+ * Moderators see the exams they own; admins see every exam.
+ * GET /api/v1/assignments?examId=exam_123&status=invited&page=1&limit=20
+ */
+exports.getAssignments = asyncHandler(async (req, res) => {
+  const { examId, status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (status && !ASSIGNMENT_STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${ASSIGNMENT_STATUSES.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let scope = examId ? { examId } : {};
+  if (!isAdmin(req.user)) {
+    const ownedExamIds = await Exam.find({ userId: req.user._id }).distinct('examId');
+    if (examId && !ownedExamIds.includes(examId)) {
+      throw new AppError('You can only manage assignments for exams you own', HTTP_STATUS.FORBIDDEN);
+    }
+    if (!examId) {
+      scope = { examId: { $in: ownedExamIds } };
+    }
+  }
+  const filter = status ? { ...scope, status } : scope;
+
+  await ExamAssignment.expireOverdue();
+
+  const [assignments, total, counts, exams] = await Promise.all([
+    ExamAssignment.find(filter)
+      .populate('candidate', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ExamAssignment.countDocuments(filter),
+    ExamAssignment.aggregate([
+      { $match: scope },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Exam.find(scope).select('examId title')
+  ]);
+
+  const summary = ASSIGNMENT_STATUSES.reduce((totals, name) => {
+    totals[name] = counts.find(count => count._id === name)?.count || 0;
+    return totals;
+  }, {});
+  const titles = exams.reduce((index, exam) => {
+    index[exam.examId] = exam.title;
+    return index;
+  }, {});
+
+  res.json(APIResponse.success(
+    {
+      assignments: assignments.map(assignment => ({
+        ...toAssignmentView(assignment),
+        examTitle: titles[assignment.examId] || 'Unknown Exam'
+      })),
+      summary
+    },
+    'Assignments retrieved successfully',
+    createPaginationMeta(page, limit, total)
+  ));
+});
+
+/**
+ * Issue a new invite token for an assignment that has not been started, invalidating the old one
+ * POST /api/v1/assignments/:assignmentId/invite
+ */
+exports.resendInvite = asyncHandler(async (req, res) => {
+  const assignment = await ExamAssignment.findOne({ assignmentId: req.params.assignmentId });
+  if (!assignment) {
+    throw new AppError('Assignment not found', HTTP_STATUS.NOT_FOUND);
+  }
+  assertCanManageExam(req.user, await Exam.findOne({ examId: assignment.examId }).select('userId'));
+  if (assignment.status !== 'invited' || assignment.endTime < new Date()) {
+    throw new AppError('Only pending invitations can be resent', HTTP_STATUS.CONFLICT);
+  }
+
+  const token = assignment.createInviteToken();
+  await assignment.save();
+
+  res.json(APIResponse.success({
+    assignment: { ...toAssignmentView(assignment), inviteToken: token, inviteLink: buildInviteLink(token) }
+  }, 'Invitation reissued successfully'));
+});
+
+/**
+ * Exams assigned to the caller
+ * GET /api/v1/assignments/mine
+ */
+exports.getMyAssignments = asyncHandler(async (req, res) => {
+  await ExamAssignment.expireOverdue();
+
+  const assignments = await ExamAssignment.find({ candidate: req.user._id })
+    .populate('exam', 'examId title description examType totalTimeLimit')
+    .sort({ startTime: 1 });
+
+  res.json(APIResponse.success({
+    assignments: assignments.map(assignment => ({
+      ...toAssignmentView(assignment),
+      exam: assignment.exam
+        ? {
+          examId: assignment.exam.examId,
+          title: assignment.exam.title,
+          description: assignment.exam.description,
+          examType: assignment.exam.examType,
+          timeLimit: assignment.exam.totalTimeLimit
+        }
+        : null,
+      isOpen: assignment.status !== 'completed' && assignment.status !== 'expired' && assignment.isWithinWindow()
+    }))
+  }, 'Assigned exams retrieved successfully'));
+});
+
+/**
+ * Look up an invitation before accepting it
+ * GET /api/v1/public/invitations/:token
+ */
+exports.getInvitation = asyncHandler(async (req, res) => {
+  const assignment = await ExamAssignment.findByInviteToken(req.params.token).populate('exam', 'title description totalTimeLimit');
+  if (!assignment) {
+    throw new AppError('Invitation is invalid, already used or expired', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const hasAccount = Boolean(assignment.candidate) || Boolean(await User.exists({ email: assignment.email }));
+
+  res.json(APIResponse.success({
+    invitation: {
+      email: assignment.email,
+      examTitle: assignment.exam?.title,
+      examDescription: assignment.exam?.description,
+      timeLimit: assignment.exam?.totalTimeLimit,
+      startTime: assignment.startTime,
+      endTime: assignment.endTime,
+      hasAccount
+    }
+  }, 'Invitation retrieved successfully'));
+});
+
+/**
+ * Accept an invitation. A signed-in caller links the assignment to their account
+ * if it was sent to their email; otherwise a candidate account is created for the invited email.
+ * POST /api/v1/public/invitations/:token/accept
+ * Body (new accounts only): { name, password }
+ */
+exports.acceptInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const invitation = await ExamAssignment.findByInviteToken(token);
+  if (!invitation) {
+    throw new AppError('Invitation is invalid, already used or expired', HTTP_STATUS.NOT_FOUND);
+  }
+
+  let user = req.user;
+  let accessToken;
+  const name = SecurityManager.sanitizeInput(req.body.name || '').trim();
+  const { password } = req.body;
+
+  if (user) {
+    if (invitation.candidate && invitation.candidate.toString() !== user._id.toString()) {
+      throw new AppError('This invitation belongs to a different account', HTTP_STATUS.FORBIDDEN);
+    }
+    if (!invitation.candidate && user.email.toLowerCase() !== invitation.email) {
+      throw new AppError('This invitation was sent to a different email address', HTTP_STATUS.FORBIDDEN);
+    }
+  } else {
+    if (invitation.candidate || await User.exists({ email: invitation.email })) {
+      throw new AppError('An account already exists for this email; sign in to accept the invitation', HTTP_STATUS.CONFLICT);
+    }
+
+    const validationErrors = [];
+    if (name.length < 2) {
+      validationErrors.push({ field: 'name', message: 'Name must be at least 2 characters long' });
+    }
+    if (!password) {
+      validationErrors.push({ field: 'password', message: 'Password is required' });
+    } else if (SecurityManager.checkPasswordStrength(password).strength === 'weak') {
+      validationErrors.push({ field: 'password', message: 'Password is too weak' });
+    }
+    if (validationErrors.length > 0) {
+      throw new AppError('Validation failed', HTTP_STATUS.BAD_REQUEST, true, validationErrors);
+    }
+  }
+
+  // Single use: the token is used up before any account is created
+  const assignment = await ExamAssignment.consumeInviteToken(token, user?._id);
+  if (!assignment) {
+    throw new AppError('Invitation is invalid, already used or expired', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!user) {
+    try {
+      user = await User.create({
+        name,
+        email: assignment.email,
+        password: await SecurityManager.hashData(password),
+        role: 'candidate',
+        isActive: true
+      });
+    } catch (error) {
+      await ExamAssignment.restoreInviteToken(assignment.assignmentId, token);
+      if (error.code === 11000) {
+        throw new AppError('An account already exists for this email; sign in to accept the invitation', HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+
+    assignment.candidate = user._id;
+    await assignment.save();
+    accessToken = SecurityManager.generateJWT(
+      { userId: user._id, email: user.email, role: user.role },
+      { expiresIn: '1h', tokenType: 'access' }
+    );
+  }
+
+  logger.info('Exam invitation accepted', {
+    assignmentId: assignment.assignmentId,
+    examId: assignment.examId,
+    userId: user._id.toString(),
+    newAccount: Boolean(accessToken)
+  });
+
+  res.json(APIResponse.success({
+    assignment: toAssignmentView(assignment),
+    user: { id: user._id, name: user.name, email: user.email, role: user.role },
+    accessToken
+  }, 'Invitation accepted successfully'));
+});
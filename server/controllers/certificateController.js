@@ -0,0 +1,107 @@
+const Certificate = require('../models/Certificate');
+const Result = require('../models/Result');
+const Exam = require('../models/Exam');
+const { APIResponse } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const certificateService = require('../services/certificateService');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+
+const toCertificateView = (certificate) => ({
+  certificateId: certificate.certificateId,
+  resultId: certificate.resultId,
+  examId: certificate.examId,
+  recipientName: certificate.recipientName,
+  examTitle: certificate.examTitle,
+  score: certificate.score,
+  grade: certificate.grade,
+  issuedAt: certificate.issuedAt,
+  status: certificate.status,
+  revocation: certificate.status === 'revoked' ? certificate.revocation : undefined,
+  verificationUrl: certificateService.getVerificationUrl(certificate)
+});
+
+/**
+ * List the signed-in candidate's certificates, newest first
+ * GET /api/v1/certificates
+ */
+exports.getMyCertificates = asyncHandler(async (req, res) => {
+  const certificates = await Certificate.find({ userId: req.user._id }).sort({ issuedAt: -1 });
+
+  res.json(APIResponse.success({
+    certificates: certificates.map(toCertificateView)
+  }, 'Certificates retrieved successfully'));
+});
+
+/**
+ * Get the certificate for one of the candidate's passed results. Certificates are issued
+ * when a result passes; this covers results that passed before certificates existed.
+ * POST /api/v1/certificates
+ * Body: { resultId }
+ */
+exports.requestCertificate = asyncHandler(async (req, res) => {
+  const { resultId } = req.body;
+  if (!resultId) {
+    throw new AppError('resultId is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const result = await Result.findOne({ resultId, userId: req.user._id });
+  if (!result) {
+    throw new AppError('Result not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (!certificateService.isEligible(result)) {
+    throw new AppError('Only finished, passed and fully graded results earn a certificate', HTTP_STATUS.CONFLICT);
+  }
+
+  const exam = await Exam.findOne({ examId: result.examId }).select('title');
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const certificate = await certificateService.syncWithResult(result, exam);
+  if (!certificate) {
+    throw new AppError('The certificate for this result was revoked', HTTP_STATUS.CONFLICT);
+  }
+
+  res.json(APIResponse.success({
+    certificate: toCertificateView(certificate)
+  }, 'Certificate retrieved successfully'));
+});
+
+/**
+ * Download a certificate as PDF. Candidates can download their own; admins and moderators any.
+ * GET /api/v1/certificates/:certificateId/pdf
+ */
+exports.downloadCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+  const isReviewer = ['admin', 'moderator'].includes(req.user.role);
+
+  if (!certificate || (!isReviewer && certificate.userId.toString() !== req.user._id.toString())) {
+    throw new AppError('Certificate not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (certificate.status === 'revoked') {
+    throw new AppError('This certificate was revoked', HTTP_STATUS.CONFLICT);
+  }
+
+  const pdf = await certificateService.renderPdf(certificate);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${certificate.certificateId}.pdf"`
+  });
+  res.send(pdf);
+});
+
+/**
+ * Check that a certificate is genuine and has not been revoked
+ * GET /api/v1/public/certificates/:certificateId/verify
+ */
+exports.verifyCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findOne({ certificateId: String(req.params.certificateId).toUpperCase() });
+  if (!certificate) {
+    throw new AppError('Certificate not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const verification = certificateService.verify(certificate);
+
+  res.json(APIResponse.success(verification, verification.valid ? 'Certificate is valid' : 'Certificate is not valid'));
+});
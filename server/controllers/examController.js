@@ -2,13 +2,227 @@ const Exam = require('../models/Exam');
 const Result = require('../models/Result');
 const User = require('../models/User');
 const SecurityViolation = require('../models/SecurityViolation');
+const ExamAssignment = require('../models/ExamAssignment');
 const { APIResponse } = require('../utils/responseFormatter');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { SecurityManager } = require('../utils/security');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const codeExecutionService = require('../services/codeExecutionService');
+const examSubmissionService = require('../services/examSubmissionService');
+const examRandomizationService = require('../services/examRandomizationService');
+const adaptiveTestingService = require('../services/adaptiveTestingService');
+const attemptPolicyService = require('../services/attemptPolicyService');
+const examVersionService = require('../services/examVersionService');
+const examSectionService = require('../services/examSectionService');
+const reportExportService = require('../services/reportExportService');
 const { HTTP_STATUS } = require('../constants/httpStatus');
 
+// Bring a submitted answer into one shape regardless of which field the client used
+const normalizeAnswer = (answer) => {
+  const userAnswer = answer.selectedOption ?? answer.userAnswer ?? answer.answer;
+  return {
+    questionId: answer.questionId,
+    userAnswer,
+    // Code arrives unsanitized in `code` (see allowRawFields on the exam routes)
+    code: typeof answer.code === 'string' ? answer.code : '',
+    language: answer.language,
+    timeSpent: answer.timeSpent || 0,
+    flagged: answer.flagged || false
+  };
+};
+
+// Build the ungraded answer stored on the result before the exam is submitted
+const toSavedAnswer = (examQuestion, answer) => ({
+  questionId: examQuestion.questionId,
+  questionType: examSubmissionService.toAnswerType(examQuestion.type),
+  userAnswer: examQuestion.type === 'coding' ? answer.code : answer.userAnswer,
+  maxPoints: examQuestion.points || 1,
+  timeSpent: answer.timeSpent,
+  flagged: answer.flagged,
+  codeSubmission: examQuestion.type === 'coding'
+    ? { code: answer.code, language: answer.language || 'javascript' }
+    : undefined
+});
+
+// Saved answers as the candidate gets them back when resuming
+const toSavedAnswerView = (saved) => ({
+  questionId: saved.questionId,
+  userAnswer: saved.userAnswer,
+  code: saved.codeSubmission?.code,
+  language: saved.codeSubmission?.language,
+  timeSpent: saved.timeSpent,
+  flagged: saved.flagged,
+  savedAt: saved.timestamps?.lastModified
+});
+
+// The server owns the clock: close an expired attempt with what was saved and refuse the request
+const rejectIfExpired = async (exam, result) => {
+  if (!examSubmissionService.isPastDeadline(result)) return;
+
+  await examSubmissionService.finalizeAttempt(
+    exam,
+    result,
+    result.answers.map(answer => examSubmissionService.fromSavedAnswer(answer)),
+    { status: 'auto_submitted', autoSubmissionReason: 'Time limit exceeded' }
+  );
+  throw new AppError('Exam time limit has expired; saved answers were submitted automatically', HTTP_STATUS.FORBIDDEN);
+};
+
+// Grade a section's saved answers into its entry of the score breakdown
+const scoreSection = async (exam, result, section) => {
+  const saved = result.answers.map(answer => examSubmissionService.fromSavedAnswer(answer));
+  const graded = await examSubmissionService.gradeAnswers(exam, saved, result.presentation, section.questionIds);
+  return result.calculateSectionScores(graded, [section.sectionId]).find(score => score.sectionId === section.sectionId);
+};
+
+// Sections run on their own clocks: close each one whose time ran out and start the next.
+// When the last section runs out the attempt is submitted with what was saved.
+const closeExpiredSections = async (exam, result, now = new Date()) => {
+  let section = examSectionService.getCurrentSection(result);
+  if (!section || !examSubmissionService.isPastDeadline(section, now)) return;
+
+  while (section && examSubmissionService.isPastDeadline(section, now)) {
+    await scoreSection(exam, result, section);
+    section = examSectionService.closeSection(result, section, 'expired', now);
+  }
+
+  if (!section) {
+    await examSubmissionService.finalizeAttempt(
+      exam,
+      result,
+      result.answers.map(answer => examSubmissionService.fromSavedAnswer(answer)),
+      { status: 'auto_submitted', autoSubmissionReason: 'Section time limit exceeded' }
+    );
+    throw new AppError('Time for the last section has expired; saved answers were submitted automatically', HTTP_STATUS.FORBIDDEN);
+  }
+
+  await result.save();
+};
+
+// Find a candidate's finished attempt: the one asked for, or the one that counts under the
+// exam's scoring policy. The average policy has no single counted attempt, so the latest one is used.
+const findReportedAttempt = async (examId, userId, attempt) => {
+  const attempts = await Result.find({
+    examId,
+    userId,
+    status: { $in: ['completed', 'auto_submitted'] }
+  }).sort({ attemptNumber: -1 }).populate('exam');
+
+  if (attempts.length === 0) {
+    throw new AppError('Exam results not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const countedScore = attempts[0].exam ? attemptPolicyService.selectCountedScore(attempts[0].exam, attempts) : null;
+  const attemptNumber = attempt ? parseInt(attempt) : countedScore?.attemptNumber;
+  const result = attemptNumber ? attempts.find(candidate => candidate.attemptNumber === attemptNumber) : attempts[0];
+
+  if (!result) {
+    throw new AppError('Exam results not found', HTTP_STATUS.NOT_FOUND);
+  }
+  return { result, countedScore };
+};
+
+// Find the caller's in-progress attempt for an exam
+const findActiveAttempt = async (examId, userId) => {
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const result = await Result.findOne({ examId, userId, status: 'in_progress' });
+  if (!result) {
+    throw new AppError('No active exam session found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  await rejectIfExpired(exam, result);
+  await closeExpiredSections(exam, result);
+
+  return { exam, result };
+};
+
+const SECTION_RESTRICTION_MESSAGES = {
+  not_in_section: 'This question is not part of any section of the exam',
+  not_started: 'This question belongs to a section that has not started yet',
+  expired: 'This question belongs to a section whose time has run out',
+  locked: 'This question belongs to a section that is locked after submission'
+};
+
+// The question a sequential attempt is currently on, or nothing once every question has been answered
+const findCurrentQuestion = (exam, result) => {
+  return exam.getPresentedQuestions(result.presentation)[result.delivery?.currentQuestionIndex || 0] || {};
+};
+
+// Per-question time limits only apply in sequential mode, where the server knows when each question was shown
+const isCurrentQuestionExpired = (exam, result, now = new Date()) => {
+  const { question } = findCurrentQuestion(exam, result);
+  if (!question || !question.timeLimit || !result.delivery?.questionReleasedAt) return false;
+  return examSubmissionService.isPastDeadline(
+    { deadline: new Date(result.delivery.questionReleasedAt.getTime() + question.timeLimit * 1000) },
+    now
+  );
+};
+
+// Release the next question of a sequential exam; adaptive exams first pick it from the response
+const advanceQuestion = (exam, result, response) => {
+  if (exam.isAdaptive()) {
+    adaptiveTestingService.recordResponse(exam, result, response);
+  }
+  result.delivery.currentQuestionIndex = (result.delivery.currentQuestionIndex || 0) + 1;
+  result.delivery.questionReleasedAt = new Date();
+};
+
+// Describe where a candidate is in a sequential exam
+const buildSequentialProgress = (exam, result) => {
+  const index = result.delivery?.currentQuestionIndex || 0;
+  const presented = exam.getPresentedQuestions(result.presentation);
+  const { question, optionOrder } = presented[index] || {};
+  const releasedAt = result.delivery?.questionReleasedAt;
+  return {
+    questionNumber: Math.min(index + 1, presented.length),
+    // Adaptive exams can stop early, so their total is an upper bound
+    totalQuestions: exam.isAdaptive() ? adaptiveTestingService.getSettings(exam, result.presentation).maxQuestions : presented.length,
+    answeredQuestions: Math.min(index, presented.length),
+    isComplete: !question,
+    question: question ? exam.toCandidateQuestion(question, optionOrder) : null,
+    questionDeadline: question && question.timeLimit && releasedAt
+      ? new Date(releasedAt.getTime() + question.timeLimit * 1000)
+      : null
+  };
+};
+
+// Build the exam payload returned when a session starts or resumes
+const buildExamSession = (exam, result) => {
+  const session = {
+    ...exam.toCandidateView(result.presentation),
+    status: 'in_progress',
+    startTime: result.startTime,
+    deadline: result.deadline,
+    serverTime: new Date(),
+    remainingSeconds: result.getRemainingSeconds()
+  };
+  if (exam.isSequential()) {
+    session.progress = buildSequentialProgress(exam, result);
+  }
+  // Questions of sections that have not started stay hidden
+  if (result.sections && result.sections.length > 0) {
+    const visible = new Set(examSectionService.getOpenSections(result).flatMap(section => section.questionIds));
+    session.questions = session.questions.filter(question => visible.has(question.questionId));
+    session.sections = result.sections.map(section => examSectionService.toSectionView(section));
+    session.currentSectionId = examSectionService.getCurrentSection(result)?.sectionId || null;
+  }
+  return session;
+};
+
+// Hide hidden test case inputs and expected outputs from the candidate
+const maskAnswerForCandidate = (answer) => {
+  const plain = typeof answer.toObject === 'function' ? answer.toObject() : { ...answer };
+  if (plain.codeSubmission && plain.codeSubmission.executionResults) {
+    plain.codeSubmission.executionResults = codeExecutionService.maskHiddenResults(plain.codeSubmission.executionResults);
+  }
+  return plain;
+};
+
 /**
  * Start an exam
  * POST /api/v1/exams/:examId/start
@@ -22,44 +236,55 @@ exports.startExam = asyncHandler(async (req, res) => {
   if (!exam) {
     throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
   }
+  if (exam.metadata?.isTemplate) {
+    throw new AppError('Templates cannot be taken; create an exam from the template first', HTTP_STATUS.BAD_REQUEST);
+  }
 
-  // Check if exam is already started or completed
-  const existingResult = await Result.findOne({
-    examId,
-    userId,
-    status: { $in: ['in_progress', 'completed'] }
-  });
+  // Resume an attempt that is still in progress
+  const existingResult = await Result.findOne({ examId, userId, status: 'in_progress' });
 
   if (existingResult) {
-    if (existingResult.status === 'completed') {
-      throw new AppError('Exam already completed', HTTP_STATUS.BAD_REQUEST);
+    // Attempts started before deadlines were tracked get one from their start time
+    if (!existingResult.deadline) {
+      existingResult.deadline = exam.getAttemptDeadline(existingResult.startTime);
+      await existingResult.save();
     }
+    await rejectIfExpired(exam, existingResult);
+    await closeExpiredSections(exam, existingResult);
     
     // Return existing in-progress exam
     return res.json(APIResponse.success({
-      exam: {
-        examId: exam.examId,
-        title: exam.title,
-        description: exam.description,
-        examType: exam.examType,
-        configuration: exam.configuration,
-        status: 'in_progress',
-        startTime: existingResult.startTime,
-        timeLimit: exam.totalTimeLimit,
-        questions: exam.questions
-      },
+      exam: buildExamSession(exam, existingResult),
       result: {
         resultId: existingResult.resultId,
+        attemptNumber: existingResult.attemptNumber,
         startTime: existingResult.startTime,
         status: existingResult.status
-      }
+      },
+      savedAnswers: existingResult.answers.map(toSavedAnswerView)
     }, 'Exam session resumed'));
   }
 
+  // Candidates assigned the exam may take it within their own window, whoever created it
+  const now = new Date();
+  const assignment = await ExamAssignment.findOne({ examId, candidate: userId });
+  if (assignment) {
+    if (now < assignment.startTime) {
+      throw new AppError(`This exam opens at ${assignment.startTime.toISOString()}`, HTTP_STATUS.FORBIDDEN);
+    }
+    if (now > assignment.endTime) {
+      if (assignment.status === 'invited') {
+        assignment.status = 'expired';
+        await assignment.save();
+      }
+      throw new AppError('Your window for this exam has closed', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
   // Check if user has permission to take this exam
   // Allow candidates to take exams created by admins, but restrict access to personal exams
   const user = await User.findById(userId);
-  if (exam.userId && exam.userId.toString() !== userId.toString()) {
+  if (!assignment && exam.userId && exam.userId.toString() !== userId.toString()) {
     // If the exam creator is an admin, allow any authenticated user to take it
     const examCreator = await User.findById(exam.userId);
     if (!examCreator || examCreator.role !== 'admin') {
@@ -67,22 +292,64 @@ exports.startExam = asyncHandler(async (req, res) => {
     }
   }
 
-  // Check if exam is active
-  if (!exam.isActive()) {
+  // Enforce the exam's attempt limit and cooldown between attempts
+  const previousAttempts = await Result.find({ examId, userId })
+    .select('status attemptNumber endTime submissionTime');
+  const eligibility = attemptPolicyService.checkNewAttempt(exam, previousAttempts);
+
+  if (eligibility.reason === 'max_attempts') {
+    throw new AppError('Maximum number of attempts reached for this exam', HTTP_STATUS.FORBIDDEN, true, {
+      attemptsUsed: eligibility.attemptsUsed,
+      maxAttempts: exam.maxAttempts
+    });
+  }
+  if (eligibility.reason === 'cooldown') {
+    throw new AppError(
+      `You can retake this exam after ${eligibility.nextAttemptAt.toISOString()}`,
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+      true,
+      { nextAttemptAt: eligibility.nextAttemptAt }
+    );
+  }
+
+  // Check if exam is active; once published, an exam stays open to assigned candidates
+  // and for the retakes its policy allows
+  const isPublished = ['active', 'in_progress', 'completed'].includes(exam.status);
+  if (!exam.isActive() && !(isPublished && (assignment || eligibility.attemptsUsed > 0))) {
     throw new AppError('Exam is not currently active', HTTP_STATUS.BAD_REQUEST);
   }
 
-  // Create new result record
+  // Keep the version this attempt is taken against in the exam's history
+  if (examVersionService.isPublished(exam)) {
+    await examVersionService.recordVersion(exam);
+  }
+
+  // Create new result record; the presentation fixes which questions this attempt sees, in what order
+  // and with what content, so later edits to the exam do not change it
+  const startTime = new Date();
+  const examDeadline = exam.getAttemptDeadline(startTime);
+  // An assigned candidate's attempt cannot run past their window
+  const deadline = assignment && assignment.endTime < examDeadline ? assignment.endTime : examDeadline;
+  let presentation = examVersionService.snapshotPresentation(exam, examRandomizationService.createPresentation(exam));
+  if (exam.isAdaptive()) {
+    presentation = adaptiveTestingService.startAttempt(exam, await adaptiveTestingService.addBankQuestions(exam, presentation));
+  }
   const result = new Result({
     resultId: `result_${uuidv4()}`,
     examId,
     userId,
     exam: exam._id,
-    startTime: new Date(),
+    attemptNumber: previousAttempts.reduce((highest, attempt) => Math.max(highest, attempt.attemptNumber || 0), 0) + 1,
+    examVersion: exam.metadata?.version,
+    startTime,
+    deadline,
+    delivery: { currentQuestionIndex: 0, questionReleasedAt: startTime },
+    presentation,
+    sections: examSectionService.createSections(exam, presentation, startTime, deadline),
     status: 'in_progress',
     answers: [],
     scoring: {
-      maxPossiblePoints: exam.getTotalPoints(),
+      maxPossiblePoints: exam.getTotalPoints(presentation),
       totalPoints: 0,
       percentage: 0,
       grade: 'F'
@@ -92,34 +359,51 @@ exports.startExam = asyncHandler(async (req, res) => {
       questionsSkipped: 0,
       averageTimePerQuestion: 0,
       flaggedQuestions: []
+    },
+    // Where the attempt was taken from, compared across candidates by collusion detection
+    metadata: {
+      browserInfo: { userAgent: req.headers['user-agent'] },
+      ipAddress: req.ip,
+      deviceFingerprint: req.fingerprint,
+      sessionId: req.sessionID
     }
   });
 
-  await result.save();
+  try {
+    await result.save();
+  } catch (error) {
+    // Another request started this attempt number first
+    if (error.code === 11000) {
+      throw new AppError('This exam is already being started; try again to resume it', HTTP_STATUS.CONFLICT);
+    }
+    throw error;
+  }
+
+  if (assignment) {
+    assignment.status = 'started';
+    assignment.startedAt = startTime;
+    assignment.resultId = result.resultId;
+    await assignment.save();
+  }
 
   // Update exam status if needed
   if (exam.status === 'pending' || exam.status === 'active') {
     exam.status = 'in_progress';
     exam.startTime = new Date();
     await exam.save();
+  } else if (exam.status === 'completed') {
+    // A retake reopens the exam until its last attempt is submitted
+    exam.status = 'in_progress';
+    await exam.save();
   }
 
   // Log exam start for audit purposes
 
   res.json(APIResponse.success({
-    exam: {
-      examId: exam.examId,
-      title: exam.title,
-      description: exam.description,
-      examType: exam.examType,
-      configuration: exam.configuration,
-      status: 'in_progress',
-      startTime: result.startTime,
-      timeLimit: exam.totalTimeLimit,
-      questions: exam.questions
-    },
+    exam: buildExamSession(exam, result),
     result: {
       resultId: result.resultId,
+      attemptNumber: result.attemptNumber,
       startTime: result.startTime,
       status: result.status
     }
@@ -135,119 +419,40 @@ exports.submitExam = asyncHandler(async (req, res) => {
   const { answers, timeSpent } = req.body;
   const userId = req.user._id;
 
-  // Validate input
-  if (!answers || !Array.isArray(answers)) {
-    throw new AppError('Answers are required and must be an array', HTTP_STATUS.BAD_REQUEST);
-  }
-
-  // Find the exam
-  const exam = await Exam.findOne({ examId });
-  if (!exam) {
-    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
-  }
+  const { exam, result } = await findActiveAttempt(examId, userId);
 
-  // Find the active result
-  const result = await Result.findOne({
-    examId,
-    userId,
-    status: 'in_progress'
-  });
-
-  if (!result) {
-    throw new AppError('No active exam session found', HTTP_STATUS.NOT_FOUND);
-  }
-
-  // Update result with submitted answers and calculate scores
-  result.answers = answers.map(answer => {
-    const examQuestion = exam.questions.find(q => q.questionId === answer.questionId);
-    if (!examQuestion) {
-      return {
-        questionId: answer.questionId,
-        questionType: 'mcq',
-        userAnswer: answer.selectedOption || answer.userAnswer || answer.answer,
-        isCorrect: false,
-        pointsEarned: 0,
-        maxPoints: 1,
-        timeSpent: answer.timeSpent || 0,
-        flagged: answer.flagged || false
-      };
+  // Start from the autosaved answers; sequential exams are graded from those alone
+  const savedAnswers = result.answers.map(answer => examSubmissionService.fromSavedAnswer(answer));
+  let submittedAnswers = savedAnswers;
+  if (!exam.isSequential()) {
+    if (answers !== undefined && !Array.isArray(answers)) {
+      throw new AppError('Answers must be an array', HTTP_STATUS.BAD_REQUEST);
     }
-
-    const userAnswer = answer.selectedOption || answer.userAnswer || answer.answer;
-    let isCorrect = false;
-    let pointsEarned = 0;
-    const maxPoints = examQuestion.points || 1;
-
-    // Check if answer is correct based on question type
-    if (examQuestion.type === 'mcq') {
-      // For MCQ, compare with correct answer (could be index or string)
-      if (typeof examQuestion.correctAnswer === 'number') {
-        isCorrect = parseInt(userAnswer) === examQuestion.correctAnswer;
-      } else {
-        isCorrect = userAnswer === examQuestion.correctAnswer;
-      }
-    } else if (examQuestion.type === 'coding') {
-      // For coding questions, we'd need to run test cases
-      // For now, assume partial credit based on test case results
-      // This would be implemented with actual code execution
-      isCorrect = false; // Placeholder
-    } else {
-      // For essay questions, manual grading would be required
-      isCorrect = false; // Placeholder
+    if (!answers && savedAnswers.length === 0) {
+      throw new AppError('Answers are required and must be an array', HTTP_STATUS.BAD_REQUEST);
     }
 
-    if (isCorrect) {
-      pointsEarned = maxPoints;
-    }
-
-    return {
-      questionId: answer.questionId,
-      questionType: examQuestion.type || 'mcq',
-      userAnswer: userAnswer,
-      isCorrect: isCorrect,
-      pointsEarned: pointsEarned,
-      maxPoints: maxPoints,
-      timeSpent: answer.timeSpent || 0,
-      flagged: answer.flagged || false
-    };
-  });
-
-  // Set completion time
-  result.endTime = new Date();
-  result.status = 'completed';
-  result.totalTimeSpent = timeSpent || Math.floor((result.endTime - result.startTime) / 1000);
-
-  // Calculate score
-  result.calculateScore();
-  result.scoring.grade = result.calculateGrade();
-
-  // Update analytics
-  result.analytics.questionsAttempted = result.answers.filter(a => 
-    a.userAnswer !== null && a.userAnswer !== undefined && a.userAnswer !== ''
-  ).length;
-  result.analytics.questionsSkipped = result.answers.filter(a => 
-    !a.userAnswer || a.userAnswer === ''
-  ).length;
-  result.analytics.averageTimePerQuestion = result.answers.length > 0 ? 
-    result.totalTimeSpent / result.answers.length : 0;
-  result.analytics.flaggedQuestions = result.answers
-    .filter(a => a.flagged)
-    .map(a => a.questionId);
-
-  await result.save();
+    // Answers sent with the submission win over autosaved ones for the same question,
+    // except in sections that are locked or were never reached
+    const submitted = (answers || [])
+      .map(normalizeAnswer)
+      .filter(answer => !examSectionService.getAnswerRestriction(result, answer.questionId));
+    const submittedIds = new Set(submitted.map(answer => answer.questionId));
+    submittedAnswers = [
+      ...savedAnswers.filter(answer => !submittedIds.has(answer.questionId)),
+      ...submitted
+    ];
+  }
 
-  // Update exam status if this was the last submission
-  if (exam.status === 'in_progress') {
-    const activeResults = await Result.countDocuments({
-      examId,
-      status: 'in_progress'
-    });
+  const currentSection = examSectionService.getCurrentSection(result);
+  if (currentSection) {
+    currentSection.status = 'submitted';
+    currentSection.submittedAt = new Date();
+  }
 
-    if (activeResults === 0) {
-      exam.status = 'completed';
-      exam.endTime = new Date();
-      await exam.save();
-    }
+  const finalized = await examSubmissionService.finalizeAttempt(exam, result, submittedAnswers, { timeSpent });
+  if (!finalized) {
+    throw new AppError('This attempt has already been submitted', HTTP_STATUS.CONFLICT);
   }
 
   // Log exam completion
@@ -257,6 +462,8 @@ exports.submitExam = asyncHandler(async (req, res) => {
     result: {
       resultId: result.resultId,
       examId: result.examId,
+      attemptNumber: result.attemptNumber,
+      examVersion: result.examVersion,
       status: result.status,
       startTime: result.startTime,
       endTime: result.endTime,
@@ -265,49 +472,368 @@ exports.submitExam = asyncHandler(async (req, res) => {
         totalPoints: result.scoring.totalPoints,
         maxPossiblePoints: result.scoring.maxPossiblePoints,
         percentage: result.scoring.percentage,
-        grade: result.scoring.grade
+        grade: result.scoring.grade,
+        ability: result.scoring.ability,
+        sections: result.scoring.breakdown?.sections
       },
       analytics: result.analytics,
-      answers: result.answers
+      answers: result.answers.map(maskAnswerForCandidate)
     }
   }, 'Exam submitted successfully'));
 });
 
 /**
- * Get exam results
- * GET /api/v1/exams/:examId/results
+ * Get the question currently released in a sequential exam
+ * GET /api/v1/exams/:examId/questions/current
+ */
+exports.getCurrentQuestion = asyncHandler(async (req, res) => {
+  const { exam, result } = await findActiveAttempt(req.params.examId, req.user._id);
+
+  if (!exam.isSequential()) {
+    throw new AppError('This exam does not release questions one at a time', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // A question left open past its time limit is skipped unanswered
+  if (isCurrentQuestionExpired(exam, result)) {
+    advanceQuestion(exam, result, { questionId: findCurrentQuestion(exam, result).question.questionId, correct: false });
+    await result.save();
+  }
+
+  res.json(APIResponse.success(buildSequentialProgress(exam, result), 'Current question retrieved successfully'));
+});
+
+/**
+ * Save the answer to the current question of a sequential exam and release the next one
+ * POST /api/v1/exams/:examId/questions/:questionId/answer
+ */
+exports.answerCurrentQuestion = asyncHandler(async (req, res) => {
+  const { examId, questionId } = req.params;
+  const { exam, result } = await findActiveAttempt(examId, req.user._id);
+
+  if (!exam.isSequential()) {
+    throw new AppError('This exam does not release questions one at a time', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { question: currentQuestion } = findCurrentQuestion(exam, result);
+
+  if (!currentQuestion) {
+    throw new AppError('All questions have already been answered', HTTP_STATUS.CONFLICT);
+  }
+
+  // Earlier questions are locked and later ones have not been released yet
+  if (currentQuestion.questionId !== questionId) {
+    throw new AppError('Only the current question can be answered', HTTP_STATUS.CONFLICT);
+  }
+
+  if (isCurrentQuestionExpired(exam, result)) {
+    advanceQuestion(exam, result, { questionId, correct: false });
+    await result.save();
+    throw new AppError('Time limit for this question has expired; the answer was not saved', HTTP_STATUS.FORBIDDEN);
+  }
+
+  const answer = normalizeAnswer({ ...req.body, questionId });
+  result.upsertAnswer(toSavedAnswer(currentQuestion, answer));
+
+  // The adaptive next question depends on whether this answer was right, so it is scored now
+  let correct = false;
+  if (exam.isAdaptive()) {
+    const [graded] = await examSubmissionService.gradeAnswers(exam, [answer], result.presentation, [questionId]);
+    correct = graded.isCorrect;
+  }
+  advanceQuestion(exam, result, { questionId, correct });
+  await result.save();
+
+  res.json(APIResponse.success(buildSequentialProgress(exam, result), 'Answer saved successfully'));
+});
+
+/**
+ * Autosave the answer to one question of an in-progress exam
+ * PUT /api/v1/exams/:examId/answers/:questionId
+ */
+exports.saveAnswer = asyncHandler(async (req, res) => {
+  const { examId, questionId } = req.params;
+  const { exam, result } = await findActiveAttempt(examId, req.user._id);
+
+  if (exam.isSequential()) {
+    throw new AppError('Answers to this exam are saved through the current question endpoint', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Questions left out of this attempt's draw cannot be answered
+  const presented = exam.getPresentedQuestions(result.presentation);
+  const { question: examQuestion } = presented.find(p => p.question.questionId === questionId) || {};
+  if (!examQuestion) {
+    throw new AppError('Question not found in this exam', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const restriction = examSectionService.getAnswerRestriction(result, questionId);
+  if (restriction) {
+    throw new AppError(SECTION_RESTRICTION_MESSAGES[restriction], HTTP_STATUS.CONFLICT);
+  }
+
+  const saved = result.upsertAnswer(toSavedAnswer(examQuestion, normalizeAnswer({ ...req.body, questionId })));
+  await result.save();
+
+  res.json(APIResponse.success({
+    answer: toSavedAnswerView(saved),
+    answeredQuestions: result.answers.length,
+    totalQuestions: presented.length,
+    deadline: result.deadline,
+    serverTime: new Date(),
+    remainingSeconds: result.getRemainingSeconds()
+  }, 'Answer saved successfully'));
+});
+
+/**
+ * Submit the current section of a sectioned exam: save any answers sent with it, score the
+ * section and start the next one. Submitting the last section submits the exam.
+ * POST /api/v1/exams/:examId/sections/:sectionId/submit
+ * Body: { answers?: [{ questionId, selectedOption | userAnswer | code, language }] }
+ */
+exports.submitSection = asyncHandler(async (req, res) => {
+  const { examId, sectionId } = req.params;
+  const { answers } = req.body;
+  const { exam, result } = await findActiveAttempt(examId, req.user._id);
+
+  if (!result.sections || result.sections.length === 0) {
+    throw new AppError('This exam does not have sections', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const section = result.sections.find(s => s.sectionId === sectionId);
+  if (!section) {
+    throw new AppError('Section not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (section.status === 'not_started') {
+    throw new AppError('This section has not started yet', HTTP_STATUS.CONFLICT);
+  }
+  if (section.status !== 'in_progress') {
+    throw new AppError('This section has already been submitted', HTTP_STATUS.CONFLICT);
+  }
+  if (answers !== undefined && !Array.isArray(answers)) {
+    throw new AppError('Answers must be an array', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const submitted = (answers || []).map(normalizeAnswer);
+  const outside = submitted.find(answer => !section.questionIds.includes(answer.questionId));
+  if (outside) {
+    throw new AppError(`Question ${outside.questionId} is not in this section`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const presented = exam.getPresentedQuestions(result.presentation);
+  submitted.forEach(answer => {
+    const { question } = presented.find(p => p.question.questionId === answer.questionId);
+    result.upsertAnswer(toSavedAnswer(question, answer));
+  });
+
+  const score = await scoreSection(exam, result, section);
+  const nextSection = examSectionService.closeSection(result, section, 'submitted');
+
+  if (!nextSection) {
+    const finalized = await examSubmissionService.finalizeAttempt(
+      exam,
+      result,
+      result.answers.map(answer => examSubmissionService.fromSavedAnswer(answer))
+    );
+    if (!finalized) {
+      throw new AppError('This attempt has already been submitted', HTTP_STATUS.CONFLICT);
+    }
+
+    return res.json(APIResponse.success({
+      section: score,
+      nextSection: null,
+      completed: true,
+      result: {
+        resultId: result.resultId,
+        status: result.status,
+        scoring: result.scoring
+      }
+    }, 'Final section submitted; exam completed'));
+  }
+
+  await result.save();
+
+  res.json(APIResponse.success({
+    section: score,
+    nextSection: examSectionService.toSectionView(nextSection),
+    completed: false,
+    deadline: result.deadline,
+    serverTime: new Date()
+  }, 'Section submitted successfully'));
+});
+
+/**
+ * Get an in-progress exam session with its saved answers and remaining time,
+ * so a reloaded or different device can continue where the candidate left off
+ * GET /api/v1/exams/:examId/session
+ */
+exports.getExamSession = asyncHandler(async (req, res) => {
+  const { exam, result } = await findActiveAttempt(req.params.examId, req.user._id);
+
+  res.json(APIResponse.success({
+    exam: buildExamSession(exam, result),
+    result: {
+      resultId: result.resultId,
+      startTime: result.startTime,
+      status: result.status
+    },
+    savedAnswers: result.answers.map(toSavedAnswerView)
+  }, 'Exam session retrieved successfully'));
+});
+
+/**
+ * Get exam results for the attempt that counts under the exam's scoring policy,
+ * or for a specific attempt
+ * GET /api/v1/exams/:examId/results?attempt=2
  */
 exports.getExamResults = asyncHandler(async (req, res) => {
   const { examId } = req.params;
   const userId = req.user._id;
 
-  // Find the result
-  const result = await Result.findOne({
-    examId,
-    userId,
-    status: 'completed'
-  }).populate('exam');
+  const { result, countedScore } = await findReportedAttempt(examId, userId, req.query.attempt);
 
-  if (!result) {
-    throw new AppError('Exam results not found', HTTP_STATUS.NOT_FOUND);
-  }
+  const presented = result.exam ? result.exam.getPresentedQuestions(result.presentation) : [];
 
   res.json(APIResponse.success({
     result: {
       resultId: result.resultId,
       examId: result.examId,
       examTitle: result.exam?.title || 'Unknown Exam',
+      attemptNumber: result.attemptNumber,
+      examVersion: result.examVersion,
       status: result.status,
+      autoSubmissionReason: result.securityEvents?.autoSubmissionReason,
       startTime: result.startTime,
       endTime: result.endTime,
       totalTimeSpent: result.totalTimeSpent,
       scoring: result.scoring,
       analytics: result.analytics,
-      answers: result.answers
-    }
+      // Positions and option indexes as the candidate saw them
+      answers: result.answers.map(answer => examRandomizationService.toPresentedAnswer(presented, maskAnswerForCandidate(answer)))
+    },
+    countedScore
   }, 'Exam results retrieved successfully'));
 });
 
+const REPORT_FORMATS = ['pdf', 'csv', 'xlsx'];
+
+const REPORT_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const sendReportFile = (res, format, filename, content) => {
+  res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]+/g, '_')}.${format}"`);
+  res.send(content);
+};
+
+/**
+ * Export exam results.
+ * format=pdf renders one attempt as a report: the caller's counted attempt, ?attempt=n, or for
+ * admins and moderators any candidate's with ?userId= or ?resultId=.
+ * format=csv|xlsx lists every finished attempt at the exam (admins, moderators and the exam's owner).
+ * GET /api/v1/exams/:examId/export?format=pdf|csv|xlsx
+ */
+exports.exportExamReport = asyncHandler(async (req, res) => {
+  const { examId } = req.params;
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  const isReviewer = ['admin', 'moderator'].includes(req.user.role);
+
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new AppError(`format must be one of: ${REPORT_FORMATS.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (format !== 'pdf') {
+    if (!isReviewer && exam.userId.toString() !== req.user._id.toString()) {
+      throw new AppError('Only reviewers and the exam owner can export all results', HTTP_STATUS.FORBIDDEN);
+    }
+
+    const results = await Result.find({ examId, status: { $in: ['completed', 'auto_submitted'] } })
+      .sort({ startTime: 1 })
+      .populate('userId', 'name email');
+    const table = reportExportService.buildResultRows(results);
+    const content = format === 'csv'
+      ? reportExportService.toResultsCsv(table)
+      : await reportExportService.toResultsXlsx(table, exam.title);
+
+    return sendReportFile(res, format, `${examId}-results`, content);
+  }
+
+  let result;
+  if (req.query.resultId && isReviewer) {
+    result = await Result.findOne({ examId, resultId: req.query.resultId, status: { $in: ['completed', 'auto_submitted'] } });
+    if (!result) {
+      throw new AppError('Exam results not found', HTTP_STATUS.NOT_FOUND);
+    }
+  } else {
+    const userId = req.query.userId && isReviewer ? req.query.userId : req.user._id;
+    ({ result } = await findReportedAttempt(examId, userId, req.query.attempt));
+  }
+
+  const [candidate, violations] = await Promise.all([
+    User.findById(result.userId).select('name email'),
+    SecurityViolation.find({ resultId: result.resultId }).sort({ timestamp: 1 })
+  ]);
+
+  const report = reportExportService.buildResultReport(exam, result, {
+    candidate,
+    violations,
+    includeAnswerKey: isReviewer
+  });
+  const pdf = await reportExportService.renderResultPdf(report);
+
+  sendReportFile(res, 'pdf', `${examId}-attempt-${result.attemptNumber}`, pdf);
+});
+
+/**
+ * List a candidate's attempts at an exam with the retake policy and the score that counts.
+ * Admins and moderators can look up another candidate with ?userId=
+ * GET /api/v1/exams/:examId/attempts
+ */
+exports.getExamAttempts = asyncHandler(async (req, res) => {
+  const { examId } = req.params;
+  const isReviewer = ['admin', 'moderator'].includes(req.user.role);
+  const userId = req.query.userId && isReviewer ? req.query.userId : req.user._id;
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const attempts = await Result.find({ examId, userId })
+    .select('resultId attemptNumber status startTime endTime submissionTime totalTimeSpent scoring')
+    .sort({ attemptNumber: 1 });
+
+  const eligibility = attemptPolicyService.checkNewAttempt(exam, attempts);
+  const hasActiveAttempt = attempts.some(attempt => attempt.status === 'in_progress');
+
+  res.json(APIResponse.success({
+    examId,
+    policy: attemptPolicyService.getPolicy(exam),
+    attempts: attempts.map(attempt => ({
+      resultId: attempt.resultId,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startTime: attempt.startTime,
+      endTime: attempt.endTime,
+      totalTimeSpent: attempt.totalTimeSpent,
+      percentage: attempt.scoring?.percentage,
+      grade: attempt.scoring?.grade,
+      passed: attempt.scoring?.passed
+    })),
+    countedScore: attemptPolicyService.selectCountedScore(exam, attempts),
+    attemptsUsed: eligibility.attemptsUsed,
+    attemptsRemaining: eligibility.attemptsRemaining,
+    canStartNewAttempt: eligibility.allowed && !hasActiveAttempt,
+    nextAttemptAt: eligibility.nextAttemptAt
+  }, 'Exam attempts retrieved successfully'));
+});
+
 /**
  * Get exam progress
  * GET /api/v1/exams/:examId/progress
@@ -335,8 +861,11 @@ exports.getExamProgress = asyncHandler(async (req, res) => {
       startTime: result.startTime,
       timeElapsed: Math.floor((new Date() - result.startTime) / 1000),
       totalTimeLimit: result.exam?.totalTimeLimit || 0,
+      deadline: result.deadline,
+      serverTime: new Date(),
+      remainingSeconds: result.getRemainingSeconds(),
       questionsAttempted: result.analytics.questionsAttempted,
-      totalQuestions: result.exam?.questions?.length || 0,
+      totalQuestions: result.exam ? result.exam.getPresentedQuestions(result.presentation).length : 0,
       currentScore: result.scoring.percentage,
       answers: result.answers
     }
@@ -376,6 +905,89 @@ exports.createExam = asyncHandler(async (req, res) => {
   }, 'Exam created successfully'));
 });
 
+// Exam fields the owner can edit; nested settings are merged into the existing ones
+const EDITABLE_FIELDS = [
+  'title', 'description', 'questions', 'sections', 'totalTimeLimit', 'passingScore', 'maxAttempts',
+  'isProctored', 'tags', 'startTime', 'endTime'
+];
+const MERGED_FIELDS = ['configuration', 'securitySettings', 'retakePolicy'];
+
+/**
+ * Update an exam. Changing the questions or scoring of a published exam creates a new version;
+ * attempts already started keep the version they started on.
+ * PUT /api/v1/exams/:examId
+ */
+exports.updateExam = asyncHandler(async (req, res) => {
+  const { examId } = req.params;
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (exam.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to edit this exam', HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (req.body.questions !== undefined && !Array.isArray(req.body.questions)) {
+    throw new AppError('Questions must be an array', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const published = examVersionService.isPublished(exam);
+  const previous = examVersionService.snapshotExam(exam);
+
+  // Make sure the version being replaced stays in the history
+  if (published) {
+    await examVersionService.recordVersion(exam);
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] === undefined) return;
+    if (field === 'questions') {
+      exam.questions = req.body.questions.map(question => ({
+        ...question,
+        questionId: question.questionId || `question_${uuidv4()}`
+      }));
+      return;
+    }
+    exam.set(field, req.body[field]);
+  });
+  MERGED_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) exam.set(field, req.body[field], { merge: true });
+  });
+
+  const changes = examVersionService.diff(previous, examVersionService.snapshotExam(exam));
+  const versioned = published && changes.hasChanges;
+  if (versioned) {
+    exam.metadata.version = examVersionService.nextVersion(previous.version);
+    changes.to = exam.metadata.version;
+  }
+  exam.metadata.lastModified = new Date();
+
+  await exam.save();
+
+  if (versioned) {
+    await examVersionService.recordVersion(exam, req.user._id);
+    logger.info('New exam version published', {
+      examId,
+      fromVersion: previous.version,
+      toVersion: exam.metadata.version,
+      updatedBy: req.user._id.toString()
+    });
+  }
+
+  res.json(APIResponse.success({
+    exam: {
+      examId: exam.examId,
+      title: exam.title,
+      status: exam.status,
+      version: exam.metadata.version,
+      lastModified: exam.metadata.lastModified
+    },
+    versioned,
+    changes
+  }, versioned ? `Exam updated to version ${exam.metadata.version}` : 'Exam updated successfully'));
+});
+
 /**
  * Log security violation
  * POST /api/v1/exams/:examId/violations
@@ -0,0 +1,254 @@
+const Result = require('../models/Result');
+const Exam = require('../models/Exam');
+const User = require('../models/User');
+const examRandomizationService = require('../services/examRandomizationService');
+const certificateService = require('../services/certificateService');
+const { APIResponse, createPaginationMeta } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+
+// Only finished attempts can be graded
+const GRADABLE_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+
+const REVIEW_STATUSES = ['pending', 'graded'];
+
+// Index exam questions by exam and question id for quick lookup
+const indexExamQuestions = (exams) => {
+  return exams.reduce((index, exam) => {
+    index[exam.examId] = {
+      title: exam.title,
+      passingScore: exam.passingScore,
+      questions: exam.questions.reduce((questions, question) => {
+        questions[question.questionId] = question;
+        return questions;
+      }, {})
+    };
+    return index;
+  }, {});
+};
+
+const findGradableResult = async (resultId) => {
+  const result = await Result.findOne({ resultId, status: { $in: GRADABLE_STATUSES } });
+  if (!result) {
+    throw new AppError('Result not found', HTTP_STATUS.NOT_FOUND);
+  }
+  return result;
+};
+
+/**
+ * List answers waiting for (or already given) manual review across exams
+ * GET /api/v1/grading/queue?status=pending&examId=exam_123&page=1&limit=20
+ */
+exports.getGradingQueue = asyncHandler(async (req, res) => {
+  const { status = 'pending', examId } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const match = { status: { $in: GRADABLE_STATUSES }, 'answers.review.status': status };
+  if (examId) match.examId = examId;
+
+  const [{ items, total }] = await Result.aggregate([
+    { $match: match },
+    { $unwind: '$answers' },
+    { $match: { 'answers.review.status': status } },
+    // Oldest submissions first so nothing waits forever
+    { $sort: { endTime: 1, _id: 1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              resultId: 1,
+              examId: 1,
+              userId: 1,
+              endTime: 1,
+              scoring: { percentage: 1, grade: 1, passed: 1 },
+              answer: '$answers',
+              // The question as the attempt was graded against it
+              questionSnapshot: {
+                $arrayElemAt: [{
+                  $filter: {
+                    input: { $ifNull: ['$presentation.questions', []] },
+                    as: 'question',
+                    cond: { $eq: ['$$question.questionId', '$answers.questionId'] }
+                  }
+                }, 0]
+              }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    },
+    { $project: { items: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+  ]);
+
+  const [exams, candidates] = await Promise.all([
+    Exam.find({ examId: { $in: [...new Set(items.map(item => item.examId))] } })
+      .select('examId title passingScore questions'),
+    User.find({ _id: { $in: items.map(item => item.userId) } }).select('name email')
+  ]);
+
+  const examIndex = indexExamQuestions(exams);
+  const candidateIndex = candidates.reduce((index, user) => {
+    index[user._id.toString()] = { name: user.name, email: user.email };
+    return index;
+  }, {});
+
+  const queue = items.map(item => {
+    const exam = examIndex[item.examId];
+    const question = item.questionSnapshot || exam?.questions[item.answer.questionId];
+    return {
+      resultId: item.resultId,
+      examId: item.examId,
+      examTitle: exam?.title || 'Unknown Exam',
+      candidate: candidateIndex[item.userId.toString()] || null,
+      submittedAt: item.endTime,
+      resultScore: item.scoring,
+      questionId: item.answer.questionId,
+      questionType: question?.type || item.answer.questionType,
+      question: question?.question,
+      expectedPoints: question?.expectedPoints || [],
+      userAnswer: item.answer.userAnswer,
+      textResponse: item.answer.textResponse,
+      pointsEarned: item.answer.pointsEarned,
+      maxPoints: item.answer.maxPoints,
+      feedback: item.answer.feedback,
+      review: item.answer.review
+    };
+  });
+
+  res.json(APIResponse.success(
+    { queue },
+    'Grading queue retrieved successfully',
+    createPaginationMeta(page, limit, total)
+  ));
+});
+
+/**
+ * Get a result with everything a reviewer needs to grade it
+ * GET /api/v1/grading/results/:resultId
+ */
+exports.getResultForGrading = asyncHandler(async (req, res) => {
+  const result = await findGradableResult(req.params.resultId);
+  const [exam, candidate] = await Promise.all([
+    Exam.findOne({ examId: result.examId }).select('examId title passingScore questions'),
+    User.findById(result.userId).select('name email')
+  ]);
+
+  // Questions as the attempt was graded against them, not as the exam reads now
+  const presented = exam ? exam.getPresentedQuestions(result.presentation) : [];
+  const questions = presented.reduce((index, { question }) => {
+    index[question.questionId] = question;
+    return index;
+  }, {});
+  const { seed, questionOrder, optionOrders } = result.presentation || {};
+
+  res.json(APIResponse.success({
+    result: {
+      resultId: result.resultId,
+      examId: result.examId,
+      examTitle: exam?.title || 'Unknown Exam',
+      passingScore: exam?.passingScore,
+      candidate: candidate ? { name: candidate.name, email: candidate.email } : null,
+      examVersion: result.examVersion,
+      status: result.status,
+      endTime: result.endTime,
+      scoring: result.scoring,
+      presentation: { seed, questionOrder, optionOrders },
+      // Answers are described as the candidate saw them: question position and option order
+      answers: result.answers.map(answer => {
+        const question = questions[answer.questionId];
+        return {
+          ...examRandomizationService.toPresentedAnswer(presented, answer.toObject()),
+          question: question?.question,
+          expectedPoints: question?.expectedPoints || [],
+          correctAnswer: question?.correctAnswer
+        };
+      })
+    }
+  }, 'Result retrieved successfully'));
+});
+
+/**
+ * Set the points and reviewer comment for one answer, then rescore the result
+ * PUT /api/v1/grading/results/:resultId/answers/:questionId
+ */
+exports.gradeAnswer = asyncHandler(async (req, res) => {
+  const { resultId, questionId } = req.params;
+  const { comment, reason } = req.body;
+  const pointsEarned = Number(req.body.pointsEarned);
+
+  const result = await findGradableResult(resultId);
+  const answer = result.answers.find(a => a.questionId === questionId);
+  if (!answer) {
+    throw new AppError('Answer not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!Number.isFinite(pointsEarned) || pointsEarned < 0 || pointsEarned > answer.maxPoints) {
+    throw new AppError(`Points must be between 0 and ${answer.maxPoints}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Changing a score a reviewer already set needs a reason for the history
+  if (answer.review?.status === 'graded' && !reason) {
+    throw new AppError('A reason is required when regrading an answer', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const exam = await Exam.findOne({ examId: result.examId }).select('title passingScore');
+  const previousPercentage = result.scoring.percentage;
+
+  const graded = result.applyManualGrade({
+    questionId,
+    pointsEarned,
+    comment,
+    reason,
+    gradedBy: req.user._id,
+    passingScore: exam?.passingScore
+  });
+
+  await result.save();
+
+  // Grading the last pending answer can pass the result, and regrades can change or fail it
+  const certificate = exam ? await certificateService.syncWithResult(result, exam) : null;
+
+  logger.info('Answer manually graded', {
+    resultId,
+    questionId,
+    gradedBy: req.user._id.toString(),
+    pointsEarned,
+    previousPercentage,
+    newPercentage: result.scoring.percentage
+  });
+
+  res.json(APIResponse.success({
+    answer: graded,
+    scoring: result.scoring,
+    history: result.gradingHistory[result.gradingHistory.length - 1],
+    certificateId: certificate?.certificateId || null
+  }, 'Answer graded successfully'));
+});
+
+/**
+ * Get the history of manual score changes for a result
+ * GET /api/v1/grading/results/:resultId/history
+ */
+exports.getGradingHistory = asyncHandler(async (req, res) => {
+  const result = await Result.findOne({ resultId: req.params.resultId })
+    .populate('gradingHistory.gradedBy', 'name email role');
+
+  if (!result) {
+    throw new AppError('Result not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.json(APIResponse.success({
+    resultId: result.resultId,
+    history: [...result.gradingHistory].reverse()
+  }, 'Grading history retrieved successfully'));
+});
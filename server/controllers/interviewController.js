@@ -0,0 +1,248 @@
+const Exam = require('../models/Exam');
+const Result = require('../models/Result');
+const Question = require('../models/Question');
+const { APIResponse } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { SecurityManager } = require('../utils/security');
+const codeExecutionService = require('../services/codeExecutionService');
+const cacheService = require('../services/cacheService');
+const examRandomizationService = require('../services/examRandomizationService');
+const interviewFeedbackService = require('../services/interviewFeedbackService');
+const starAnalysisService = require('../services/starAnalysisService');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+
+// Refuse before any work when the sandbox cannot run this language
+const assertCanExecute = (language) => {
+  const reason = codeExecutionService.unavailableReason(language);
+  if (reason) {
+    throw new AppError(reason, HTTP_STATUS.SERVICE_UNAVAILABLE);
+  }
+};
+
+/**
+ * Find the coding question a run request refers to.
+ * Exam questions require an in-progress attempt; bank questions are open to practice.
+ */
+const findCodingQuestion = async (examId, questionId, userId) => {
+  let question;
+
+  if (examId) {
+    const activeResult = await Result.findOne({ examId, userId, status: 'in_progress' }).select('presentation');
+    if (!activeResult) {
+      throw new AppError('No active exam session found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // The attempt runs against the question as it was when it started
+    const exam = await Exam.findOne({ examId });
+    question = exam && exam.getQuestionPool(activeResult.presentation).find(q => q.questionId === questionId);
+  } else {
+    question = await Question.findOne(Question.forPractice({ questionId, isActive: true }));
+  }
+
+  if (!question || question.type !== 'coding') {
+    throw new AppError('Coding question not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return question;
+};
+
+/**
+ * Run code
+ * POST /api/v1/run-code
+ * With a questionId the code runs against that question's visible test cases
+ * (hidden ones are reserved for grading on submit); otherwise it runs once with `input` on stdin.
+ */
+exports.runCode = asyncHandler(async (req, res) => {
+  const { code, input = '', language, examId, questionId } = req.body;
+  assertCanExecute(language);
+
+  if (questionId) {
+    const question = await findCodingQuestion(examId, questionId, req.user._id);
+    const visibleTestCases = (question.testCases || []).filter(testCase => !testCase.isHidden);
+
+    const execution = await codeExecutionService.runTestCases({
+      code,
+      language,
+      testCases: visibleTestCases,
+      entryPoint: codeExecutionService.detectEntryPoint(language, question.codeTemplate, question.entryPoint)
+    });
+
+    return res.json(APIResponse.success(execution, 'Code executed successfully'));
+  }
+
+  const run = await codeExecutionService.execute({ code, language, input });
+
+  res.json(APIResponse.success({
+    stdout: run.stdout,
+    stderr: run.stderr,
+    exitCode: run.exitCode,
+    timedOut: run.timedOut,
+    executionTime: run.executionTime,
+    error: codeExecutionService.describeFailure(run)
+  }, 'Code executed successfully'));
+});
+
+// How many bank questions are cached per category and difficulty to draw practice rounds from
+const MCQ_POOL_SIZE = 200;
+const CODING_POOL_SIZE = 100;
+const DEFAULT_MCQ_COUNT = 10;
+
+/**
+ * Active bank questions of one type, optionally narrowed by category and difficulty
+ */
+const buildPracticeQuery = (type, category, difficulty) => {
+  const query = Question.forPractice({ type, isActive: true });
+  if (category) {
+    query.category = new RegExp(`^${category.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  }
+  if (difficulty) {
+    query.difficulty = difficulty;
+  }
+  return query;
+};
+
+/**
+ * Get practice MCQs
+ * GET /api/v1/mcqs?category=&difficulty=&count=
+ * Draws a random set from the cached pool for the category and difficulty; answers are not included.
+ */
+exports.getMcqs = asyncHandler(async (req, res) => {
+  const category = req.query.category ? String(req.query.category).trim() : null;
+  const difficulty = req.query.difficulty || null;
+  const count = parseInt(req.query.count) || DEFAULT_MCQ_COUNT;
+
+  const cacheCategory = category ? category.toLowerCase() : 'all';
+  const cacheDifficulty = difficulty || 'all';
+
+  let pool = await cacheService.getMCQQuestions(cacheCategory, cacheDifficulty);
+  if (!pool) {
+    const questions = await Question.find(buildPracticeQuery('mcq', category, difficulty)).limit(MCQ_POOL_SIZE);
+    pool = questions.map(question => question.toCandidateView());
+    if (pool.length) {
+      await cacheService.cacheMCQQuestions(cacheCategory, cacheDifficulty, pool);
+    }
+  }
+
+  if (!pool.length) {
+    throw new AppError('No questions found for this category and difficulty', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const questions = examRandomizationService.shuffle(pool, Math.random).slice(0, count);
+
+  res.json(APIResponse.success({ questions, count: questions.length }, 'Questions retrieved successfully'));
+});
+
+/**
+ * Get a practice coding challenge
+ * GET /api/v1/coding?difficulty=&category=
+ * Picks one challenge at random; only visible test cases are included.
+ */
+exports.getCodingChallenge = asyncHandler(async (req, res) => {
+  const category = req.query.category ? String(req.query.category).trim().toLowerCase() : null;
+  const difficulty = req.query.difficulty || 'all';
+
+  const cached = await cacheService.getCodingChallenges(difficulty);
+  let pool = cached?.challenges;
+  if (!pool) {
+    const questions = await Question.find(buildPracticeQuery('coding', null, req.query.difficulty)).limit(CODING_POOL_SIZE);
+    pool = questions.map(question => question.toCandidateView());
+    if (pool.length) {
+      await cacheService.cacheCodingChallenges(difficulty, pool);
+    }
+  }
+
+  const candidates = category
+    ? pool.filter(challenge => String(challenge.category).toLowerCase() === category)
+    : pool;
+
+  if (!candidates.length) {
+    throw new AppError('No coding challenge found for this difficulty', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const challenge = candidates[Math.floor(Math.random() * candidates.length)];
+
+  res.json(APIResponse.success({ challenge }, 'Coding challenge retrieved successfully'));
+});
+
+/**
+ * Submit a practice technical interview for feedback
+ * POST /api/v1/feedback
+ * Grades the MCQ answers against the bank and runs the coding solution against every test case
+ * of its challenge (hidden ones are reported as passed or failed only). Behavioral answers
+ * get a STAR breakdown with inline annotations.
+ */
+exports.submitFeedback = asyncHandler(async (req, res) => {
+  const { mcqQuestions = [], mcqAnswers = [], codingSubmission, behavioralResponses = [] } = req.body;
+
+  const answers = interviewFeedbackService.pairAnswers(mcqQuestions, mcqAnswers);
+  if (!answers.length && !codingSubmission && !behavioralResponses.length) {
+    throw new AppError('Submit MCQ answers, a coding solution, behavioral answers, or a combination', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let mcq = null;
+  if (answers.length) {
+    const questionIds = [...new Set(answers.map(answer => answer.questionId))];
+    const found = await Question.find(Question.forPractice({ questionId: { $in: questionIds }, type: 'mcq' }));
+    const byId = new Map(found.map(question => [question.questionId, question]));
+
+    if (byId.size !== questionIds.length) {
+      throw new AppError('Some questions were not found', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    mcq = interviewFeedbackService.gradeMcqs(questionIds.map(questionId => byId.get(questionId)), answers);
+  }
+
+  let coding = { result: 'not_submitted' };
+  if (codingSubmission) {
+    const { questionId, language } = codingSubmission;
+    assertCanExecute(language);
+    const question = await Question.findOne(Question.forPractice({ questionId, type: 'coding', isActive: true }));
+    if (!question) {
+      throw new AppError('Coding question not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const execution = await codeExecutionService.runTestCases({
+      code: codingSubmission.code,
+      language,
+      testCases: question.testCases || [],
+      entryPoint: codeExecutionService.detectEntryPoint(language, question.codeTemplate, question.entryPoint)
+    });
+
+    coding = {
+      result: interviewFeedbackService.codingOutcome(execution),
+      questionId,
+      language,
+      passedTestCases: execution.passedTestCases,
+      totalTestCases: execution.totalTestCases,
+      compilationError: execution.compilationError,
+      executionResults: codeExecutionService.maskHiddenResults(execution.executionResults)
+    };
+  }
+
+  const behavioral = behavioralResponses.map(response => {
+    // Annotation offsets point into the answer as typed, not the HTML-escaped body
+    const answer = SecurityManager.restoreSanitizedInput(String(response.answer || ''));
+    return {
+      question: SecurityManager.restoreSanitizedInput(String(response.question || '')),
+      answer,
+      star: starAnalysisService.analyzeAnswer(answer)
+    };
+  });
+
+  // A behavioral-only round is not told it skipped the coding challenge
+  const codingForFeedback = codingSubmission || answers.length ? coding : null;
+  const { feedback, suggestions } = interviewFeedbackService.buildFeedback(mcq, codingForFeedback, behavioral);
+
+  res.json(APIResponse.success({
+    mcqScore: mcq ? mcq.score : 0,
+    mcqTotal: mcq ? mcq.total : 0,
+    mcqPercentage: mcq ? mcq.percentage : 0,
+    categoryBreakdown: mcq ? mcq.categories : [],
+    review: mcq ? mcq.review : [],
+    codingResult: coding.result,
+    coding: coding.result === 'not_submitted' ? null : coding,
+    behavioral,
+    feedback,
+    suggestions
+  }, 'Feedback generated successfully'));
+});
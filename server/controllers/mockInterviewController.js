@@ -0,0 +1,194 @@
+const MockInterview = require('../models/MockInterview');
+const mockInterviewScoringService = require('../services/mockInterviewScoringService');
+const { APIResponse, createPaginationMeta } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { SecurityManager } = require('../utils/security');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+const { v4: uuidv4 } = require('uuid');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const BEHAVIORAL_METRICS = ['eyeContact', 'speechClarity', 'confidence', 'engagement', 'professionalism'];
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+const toScore = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Math.min(100, Number(value))) : undefined);
+
+const countWords = (text) => (text.trim() ? text.trim().split(/\s+/).length : 0);
+
+// Request bodies are HTML-escaped by the security middleware; text is kept as typed so it scores and reads correctly
+const restoreText = (value) => SecurityManager.restoreSanitizedInput(String(value || ''));
+
+const toQuestions = (body) => (body.questions || []).map(question => ({
+  questionId: question.questionId,
+  question: restoreText(question.question),
+  type: question.type,
+  category: question.category,
+  difficulty: question.difficulty,
+  timeLimit: question.timeLimit,
+  expectedPoints: Array.isArray(question.expectedPoints) ? question.expectedPoints.map(restoreText) : []
+}));
+
+/**
+ * Build the stored session from a simulator submission.
+ * Counts, completion, response times and answer scores are derived here from the questions
+ * and responses rather than trusted from the client; behavioral scores can only be measured in the browser.
+ */
+const toSessionFields = (body) => {
+  const questions = toQuestions(body);
+
+  const responses = (body.responses || []).map(response => {
+    const answer = restoreText(response.answer);
+    return {
+      questionId: response.questionId,
+      question: restoreText(response.question),
+      answer,
+      wordCount: countWords(answer),
+      timeSpent: Math.max(0, Math.round(Number(response.timeSpent) || 0)),
+      submittedAt: toDate(response.submittedAt)
+    };
+  });
+
+  const securityViolations = (body.securityViolations || []).map(violation => ({
+    type: violation.type,
+    severity: SEVERITIES.includes(violation.severity) ? violation.severity : undefined,
+    description: violation.description,
+    occurredAt: toDate(violation.occurredAt)
+  }));
+
+  const answered = responses.filter(response => response.wordCount > 0);
+  const metrics = body.performance || {};
+  const scoring = mockInterviewScoringService.scoreInterview(questions, responses);
+
+  return {
+    interviewType: body.interviewType,
+    startedAt: toDate(body.startedAt),
+    completedAt: toDate(body.completedAt) || new Date(),
+    totalDuration: Math.max(0, Math.round(Number(body.totalDuration) || 0)),
+    questions,
+    responses,
+    scoring: {
+      components: scoring.components,
+      questions: scoring.questions.map(({ question, star, ...entry }) => entry)
+    },
+    performance: {
+      overallScore: scoring.overallScore,
+      completionRate: questions.length ? Math.round((answered.length / questions.length) * 100) : 0,
+      averageResponseTime: answered.length
+        ? Math.round(answered.reduce((total, response) => total + response.timeSpent, 0) / answered.length)
+        : 0,
+      ...Object.fromEntries(BEHAVIORAL_METRICS.map(metric => [metric, toScore(metrics[metric])]))
+    },
+    securityViolations,
+    violationCount: securityViolations.length
+  };
+};
+
+const toSessionSummary = (session) => ({
+  sessionId: session.sessionId,
+  interviewType: session.interviewType,
+  startedAt: session.startedAt,
+  completedAt: session.completedAt,
+  totalDuration: session.totalDuration,
+  totalQuestions: session.questions.length,
+  answeredQuestions: session.responses.filter(response => response.wordCount > 0).length,
+  performance: session.performance,
+  violationCount: session.violationCount
+});
+
+const toSessionView = (session) => ({
+  ...toSessionSummary(session),
+  questions: session.questions,
+  responses: session.responses,
+  scoring: session.scoring,
+  securityViolations: session.securityViolations
+});
+
+const findOwnSession = async (sessionId, userId) => {
+  const session = await MockInterview.findOne({ sessionId, userId });
+  if (!session) {
+    throw new AppError('Mock interview not found', HTTP_STATUS.NOT_FOUND);
+  }
+  return session;
+};
+
+/**
+ * Save a finished mock interview
+ * POST /api/v1/mock-interviews
+ */
+exports.createMockInterview = asyncHandler(async (req, res) => {
+  const session = await MockInterview.create({
+    sessionId: `mock_${uuidv4()}`,
+    userId: req.user._id,
+    ...toSessionFields(req.body)
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(APIResponse.success({
+    session: toSessionView(session)
+  }, 'Mock interview saved successfully'));
+});
+
+/**
+ * Score answers without saving, for the simulator's results screen
+ * POST /api/v1/mock-interviews/score
+ */
+exports.scoreMockInterview = asyncHandler(async (req, res) => {
+  const responses = (req.body.responses || []).map(response => ({
+    questionId: response.questionId,
+    answer: restoreText(response.answer)
+  }));
+
+  res.json(APIResponse.success({
+    scoring: mockInterviewScoringService.scoreInterview(toQuestions(req.body), responses)
+  }, 'Mock interview scored successfully'));
+});
+
+/**
+ * List the signed-in user's mock interviews, newest first
+ * GET /api/v1/mock-interviews?page=&limit=&interviewType=
+ */
+exports.getMockInterviews = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = { userId: req.user._id };
+  if (req.query.interviewType) filter.interviewType = String(req.query.interviewType);
+
+  const [sessions, total] = await Promise.all([
+    MockInterview.find(filter)
+      .sort({ completedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    MockInterview.countDocuments(filter)
+  ]);
+
+  res.json(APIResponse.success(
+    { sessions: sessions.map(toSessionSummary) },
+    'Mock interviews retrieved successfully',
+    createPaginationMeta(page, limit, total)
+  ));
+});
+
+/**
+ * Get one mock interview with its questions, responses and violations
+ * GET /api/v1/mock-interviews/:sessionId
+ */
+exports.getMockInterview = asyncHandler(async (req, res) => {
+  const session = await findOwnSession(req.params.sessionId, req.user._id);
+
+  res.json(APIResponse.success({ session: toSessionView(session) }, 'Mock interview retrieved successfully'));
+});
+
+/**
+ * Delete a mock interview
+ * DELETE /api/v1/mock-interviews/:sessionId
+ */
+exports.deleteMockInterview = asyncHandler(async (req, res) => {
+  const session = await findOwnSession(req.params.sessionId, req.user._id);
+  await session.deleteOne();
+
+  res.json(APIResponse.success({ sessionId: session.sessionId }, 'Mock interview deleted successfully'));
+});
@@ -0,0 +1,132 @@
+const Question = require('../models/Question');
+const { APIResponse } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+
+// Credit given for attempting questions that are not auto-graded yet
+const ATTEMPT_CREDIT = {
+  coding: 0.5,
+  'system-design': 0.7
+};
+
+const MAX_QUESTIONS_PER_DIFFICULTY = 50;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const parseCount = (value, fallback) => {
+  const count = value === undefined ? fallback : parseInt(value);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_QUESTIONS_PER_DIFFICULTY) {
+    throw new AppError(`Question counts must be between 0 and ${MAX_QUESTIONS_PER_DIFFICULTY}`, HTTP_STATUS.BAD_REQUEST);
+  }
+  return count;
+};
+
+/**
+ * Get question counts per role and difficulty
+ * GET /api/v1/questions/stats
+ */
+exports.getQuestionStats = asyncHandler(async (req, res) => {
+  const stats = await Question.getRoleStats();
+
+  res.json(APIResponse.success({ stats }, 'Question statistics retrieved successfully'));
+});
+
+/**
+ * Get a mixed-difficulty question set for a role
+ * GET /api/v1/questions/mixed?role=frontend&easy=5&medium=10&hard=5
+ */
+exports.getMixedQuestions = asyncHandler(async (req, res) => {
+  const { role } = req.query;
+
+  if (!role) {
+    throw new AppError('Role is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const easyCount = parseCount(req.query.easy, 5);
+  const mediumCount = parseCount(req.query.medium, 10);
+  const hardCount = parseCount(req.query.hard, 5);
+
+  const [easy, medium, hard] = await Promise.all([
+    Question.sampleForRole(role, 'easy', easyCount),
+    Question.sampleForRole(role, 'medium', mediumCount),
+    Question.sampleForRole(role, 'hard', hardCount)
+  ]);
+
+  const questions = shuffle([...easy, ...medium, ...hard]).map(question => question.toCandidateView());
+
+  res.json(APIResponse.success({
+    role,
+    questions,
+    totalQuestions: questions.length
+  }, 'Questions retrieved successfully'));
+});
+
+/**
+ * Grade a practice question set
+ * POST /api/v1/questions/grade
+ * Only correctness is returned so the endpoint cannot be used to harvest answer keys.
+ */
+exports.gradeQuestions = asyncHandler(async (req, res) => {
+  const { questionIds, answers = {} } = req.body;
+
+  if (!Array.isArray(questionIds) || questionIds.length === 0) {
+    throw new AppError('questionIds are required and must be a non-empty array', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (answers === null || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new AppError('Answers must be an object keyed by questionId', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const questions = await Question.find(Question.forPractice({ questionId: { $in: questionIds } }));
+  if (questions.length !== new Set(questionIds).size) {
+    throw new AppError('One or more questions were not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  let correctAnswers = 0;
+  const categoryScores = {};
+
+  const results = questions.map(question => {
+    const answer = answers[question.questionId];
+    const attempted = answer !== undefined && answer !== null && answer !== '';
+    let credit = 0;
+
+    if (question.type === 'mcq') {
+      credit = question.isAnswerCorrect(answer) ? 1 : 0;
+    } else if (attempted) {
+      credit = ATTEMPT_CREDIT[question.type] || 0;
+    }
+
+    if (!categoryScores[question.category]) {
+      categoryScores[question.category] = { correct: 0, total: 0 };
+    }
+    categoryScores[question.category].total++;
+    categoryScores[question.category].correct += credit;
+    correctAnswers += credit;
+
+    return {
+      questionId: question.questionId,
+      type: question.type,
+      category: question.category,
+      attempted,
+      isCorrect: credit === 1,
+      credit
+    };
+  });
+
+  const totalQuestions = questions.length;
+
+  res.json(APIResponse.success({
+    score: Math.round((correctAnswers / totalQuestions) * 100),
+    correctAnswers: Math.round(correctAnswers),
+    totalQuestions,
+    categoryScores,
+    results
+  }, 'Questions graded successfully'));
+});
@@ -0,0 +1,173 @@
+const Exam = require('../models/Exam');
+const { APIResponse, createPaginationMeta } = require('../utils/responseFormatter');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const examTemplateService = require('../services/examTemplateService');
+const { HTTP_STATUS } = require('../constants/httpStatus');
+
+const TEMPLATE_FILTER = { 'metadata.isTemplate': true };
+
+const toTemplateSummary = (template) => ({
+  templateId: template.examId,
+  title: template.title,
+  description: template.description,
+  examType: template.examType,
+  industry: template.configuration?.industry,
+  difficulty: template.configuration?.difficulty,
+  deliveryMode: template.configuration?.deliveryMode,
+  questionCount: (template.questions || []).length,
+  totalTimeLimit: template.totalTimeLimit,
+  passingScore: template.passingScore,
+  isProctored: template.isProctored,
+  securitySettings: template.securitySettings,
+  tags: template.tags,
+  sourceExamId: template.metadata?.sourceExamId,
+  createdAt: template.createdAt
+});
+
+const findTemplate = async (templateId) => {
+  const template = await Exam.findOne({ ...TEMPLATE_FILTER, examId: templateId });
+  if (!template) {
+    throw new AppError('Template not found', HTTP_STATUS.NOT_FOUND);
+  }
+  return template;
+};
+
+/**
+ * Save a copy of an exam to the template library
+ * POST /api/v1/templates
+ * Body: { examId, title?, description? }
+ */
+exports.createTemplate = asyncHandler(async (req, res) => {
+  const { examId, title, description } = req.body;
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (exam.metadata?.isTemplate) {
+    throw new AppError('This exam is already a template', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const template = new Exam({
+    ...examTemplateService.buildTemplate(exam, { title, description }),
+    examId: `template_${uuidv4()}`,
+    userId: req.user._id,
+    createdBy: req.user._id
+  });
+  await template.save();
+
+  logger.info('Exam saved as template', {
+    examId,
+    templateId: template.examId,
+    savedBy: req.user._id.toString()
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(APIResponse.success({
+    template: toTemplateSummary(template)
+  }, 'Template saved successfully'));
+});
+
+/**
+ * Browse the template library
+ * GET /api/v1/templates?industry=technology&difficulty=mid&examType=industry_specific&search=react&page=1&limit=20
+ */
+exports.getTemplates = asyncHandler(async (req, res) => {
+  const { industry, difficulty, examType, search } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = { ...TEMPLATE_FILTER };
+  if (industry) filter['configuration.industry'] = industry;
+  if (difficulty) filter['configuration.difficulty'] = difficulty;
+  if (examType) filter.examType = examType;
+  if (search) {
+    const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.title = { $regex: escaped, $options: 'i' };
+  }
+
+  const [templates, total, industries, difficulties] = await Promise.all([
+    Exam.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Exam.countDocuments(filter),
+    Exam.distinct('configuration.industry', TEMPLATE_FILTER),
+    Exam.distinct('configuration.difficulty', TEMPLATE_FILTER)
+  ]);
+
+  res.json(APIResponse.success(
+    {
+      templates: templates.map(toTemplateSummary),
+      // Values present in the library, for the filter controls
+      filters: { industries: industries.sort(), difficulties }
+    },
+    'Templates retrieved successfully',
+    createPaginationMeta(page, limit, total)
+  ));
+});
+
+/**
+ * Get a template with its questions
+ * GET /api/v1/templates/:templateId
+ */
+exports.getTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req.params.templateId);
+
+  res.json(APIResponse.success({
+    template: {
+      ...toTemplateSummary(template),
+      configuration: template.configuration,
+      maxAttempts: template.maxAttempts,
+      retakePolicy: template.retakePolicy,
+      questions: template.questions
+    }
+  }, 'Template retrieved successfully'));
+});
+
+/**
+ * Create a new exam from a template. The exam gets its own copy of the template's
+ * questions and settings, so later edits to either do not affect the other.
+ * POST /api/v1/templates/:templateId/exams
+ * Body: { title?, description?, totalTimeLimit?, numberOfQuestions?, passingScore?, maxAttempts?,
+ *         isProctored?, securitySettings?, status? }
+ */
+exports.createExamFromTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req.params.templateId);
+
+  const { data, errors } = examTemplateService.buildExamFromTemplate(template, req.body || {});
+  if (errors.length > 0) {
+    throw new AppError('Invalid template overrides', HTTP_STATUS.BAD_REQUEST, true, errors);
+  }
+
+  const exam = new Exam({
+    ...data,
+    examId: `exam_${uuidv4()}`,
+    userId: req.user._id,
+    createdBy: req.user._id
+  });
+  await exam.save();
+
+  logger.info('Exam created from template', {
+    templateId: template.examId,
+    examId: exam.examId,
+    createdBy: req.user._id.toString()
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(APIResponse.success({
+    exam: {
+      examId: exam.examId,
+      title: exam.title,
+      description: exam.description,
+      examType: exam.examType,
+      configuration: exam.configuration,
+      totalTimeLimit: exam.totalTimeLimit,
+      isProctored: exam.isProctored,
+      securitySettings: exam.securitySettings,
+      status: exam.status,
+      templateId: template.examId,
+      createdAt: exam.createdAt
+    }
+  }, 'Exam created from template successfully'));
+});
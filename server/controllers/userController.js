@@ -169,8 +169,12 @@ exports.updateProfile = asyncHandler(async (req, res) => {
  *                         totalExams:
  *                           type: integer
  *                           example: 15
+ *                         totalAttempts:
+ *                           type: integer
+ *                           example: 18
  *                         averageScore:
  *                           type: number
+ *                           description: Average of each exam's policy-selected score
  *                           example: 85.5
  *                         passedExams:
  *                           type: integer
@@ -201,33 +205,52 @@ exports.updateProfile = asyncHandler(async (req, res) => {
 exports.getUserStats = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const Result = require('../models/Result');
-  
-  // Get user statistics
-  const stats = await Result.aggregate([
-    { $match: { userId: userId } },
-    {
-      $group: {
-        _id: null,
-        totalExams: { $sum: 1 },
-        averageScore: { $avg: '$score' },
-        passedExams: { $sum: { $cond: [{ $gte: ['$score', 60] }, 1, 0] } },
-        totalTimeSpent: { $sum: '$timeSpent' }
-      }
-    }
-  ]);
-  
-  // Get recent activity (last 5 exams)
-  const recentActivity = await Result.find({ userId })
-    .sort({ completedAt: -1 })
-    .limit(5)
-    .select('examId title score completedAt')
+  const Exam = require('../models/Exam');
+  const attemptPolicyService = require('../services/attemptPolicyService');
+
+  const attempts = await Result.find({ userId, status: { $in: attemptPolicyService.finishedStatuses } })
+    .select('examId attemptNumber status scoring totalTimeSpent endTime')
     .lean();
-  
+  const exams = await Exam.find({ examId: { $in: [...new Set(attempts.map(attempt => attempt.examId))] } })
+    .select('examId title passingScore maxAttempts retakePolicy')
+    .lean();
+  const examIndex = exams.reduce((index, exam) => {
+    index[exam.examId] = exam;
+    return index;
+  }, {});
+
+  const attemptsByExam = attempts.reduce((groups, attempt) => {
+    (groups[attempt.examId] = groups[attempt.examId] || []).push(attempt);
+    return groups;
+  }, {});
+
+  // Each exam counts once, with the score its retake policy selects
+  const countedScores = Object.entries(attemptsByExam).map(([examId, examAttempts]) =>
+    attemptPolicyService.selectCountedScore(examIndex[examId] || {}, examAttempts));
+
+  const totalSeconds = attempts.reduce((sum, attempt) => sum + (attempt.totalTimeSpent || 0), 0);
+  const averageScore = countedScores.length > 0
+    ? countedScores.reduce((sum, score) => sum + score.percentage, 0) / countedScores.length
+    : 0;
+
+  // Get recent activity (last 5 attempts)
+  const recentActivity = [...attempts]
+    .sort((a, b) => (b.endTime || 0) - (a.endTime || 0))
+    .slice(0, 5)
+    .map(attempt => ({
+      examId: attempt.examId,
+      title: examIndex[attempt.examId]?.title || 'Unknown Exam',
+      attemptNumber: attempt.attemptNumber,
+      score: attempt.scoring?.percentage || 0,
+      completedAt: attempt.endTime
+    }));
+
   const userStats = {
-    totalExams: stats[0]?.totalExams || 0,
-    averageScore: Math.round((stats[0]?.averageScore || 0) * 100) / 100,
-    passedExams: stats[0]?.passedExams || 0,
-    totalTimeSpent: stats[0]?.totalTimeSpent || 0,
+    totalExams: countedScores.length,
+    totalAttempts: attempts.length,
+    averageScore: Math.round(averageScore * 100) / 100,
+    passedExams: countedScores.filter(score => score.passed).length,
+    totalTimeSpent: Math.round(totalSeconds / 60),
     recentActivity
   };
   
@@ -57,6 +57,9 @@ const {
 } = require('./middleware/monitoring');
 const monitoringService = require('./services/monitoringService');
 const cacheService = require('./services/cacheService');
+const examSubmissionService = require('./services/examSubmissionService');
+const itemAnalysisService = require('./services/itemAnalysisService');
+const codePlagiarismService = require('./services/codePlagiarismService');
 
 dotenv.config();
 
@@ -153,6 +156,7 @@ async function initializeDatabase() {
     }
     
     await DataSeeder.seedAdminUser();
+    await DataSeeder.seedSampleQuestions();
     console.log('Database initialization completed');
     return true;
   } catch (err) {
@@ -587,12 +591,35 @@ app.use('/api/v1/users', AuthMiddleware.authenticate, ...securityPresets.api, re
 console.log('User route loaded successfully');
 app.use('/api/v1/exams', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/exam'));
 console.log('Exam route loaded successfully');
+app.use('/api/v1/questions', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/question'));
+console.log('Question route loaded successfully');
+// Manual grading is open to moderators as well as admins
+app.use('/api/v1/grading', AuthMiddleware.authenticate, AuthMiddleware.authorize('admin', 'moderator'), ...securityPresets.admin, require('./routes/grading'));
+console.log('Grading route loaded successfully');
+// Exam assignments; recruiter-only routes are restricted per route
+app.use('/api/v1/assignments', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/assignment'));
+console.log('Assignment route loaded successfully');
+// Exam template library
+app.use('/api/v1/templates', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/template'));
+console.log('Template route loaded successfully');
+// Completion certificates
+app.use('/api/v1/certificates', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/certificate'));
+console.log('Certificate route loaded successfully');
 // Public routes (no auth required)
 app.use('/api/v1/public', ...securityPresets.api, require('./routes/public'));
 console.log('Public route loaded successfully');
 // Protected resume routes (auth required)
 app.use('/api/v1/resumes', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/resume'));
 console.log('Resume route loaded successfully');
+// Mock interview session history
+app.use('/api/v1/mock-interviews', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/mockInterview'));
+console.log('Mock interview route loaded successfully');
+// Performance analytics over the user's results
+app.use('/api/v1/analytics', AuthMiddleware.authenticate, ...securityPresets.api, require('./routes/analytics'));
+console.log('Analytics route loaded successfully');
+// Interview tooling routes (auth applied per route)
+app.use('/api/v1', ...securityPresets.api, require('./routes/interview'));
+console.log('Interview route loaded successfully');
 console.log('Enhanced route configurations completed');
 
 // Security headers test endpoint
@@ -631,6 +658,15 @@ if (process.env.NODE_ENV !== 'test') {
         
         // Clear all sessions on server startup to prevent auto-login
         await AuthMiddleware.clearAllSessions();
+
+        // Auto-submit exam attempts whose server-side deadline has passed
+        examSubmissionService.startExpiryJob();
+
+        // Recompute question statistics for the item analysis dashboard
+        itemAnalysisService.startAnalysisJob();
+
+        // Compare submitted code with other candidates' outside the submit request
+        codePlagiarismService.startCheckJob();
       });
     } catch (error) {
       console.error('Failed to start server:', error);
@@ -155,6 +155,10 @@ const sanitizeInput = (req, res, next) => {
   };
   
   if (req.body) {
+    // Keep the body as parsed for routes that allow raw fields
+    if (req.rawBody === undefined) {
+      req.rawBody = req.body;
+    }
     req.body = sanitizeObject(req.body);
   }
   
@@ -169,6 +173,34 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// Copy one dotted path from the raw body onto the sanitized one; `*` walks array items only
+const copyRawField = (raw, target, [key, ...rest]) => {
+  if (typeof raw !== 'object' || raw === null || typeof target !== 'object' || target === null) return;
+
+  const keys = key === '*' ? (Array.isArray(raw) ? [...raw.keys()] : []) : [key];
+  keys.forEach(field => {
+    if (!Object.prototype.hasOwnProperty.call(raw, field)) return;
+    if (rest.length > 0) {
+      copyRawField(raw[field], target[field], rest);
+    } else if (typeof raw[field] === 'string') {
+      target[field] = raw[field];
+    }
+  });
+};
+
+/**
+ * Route-level exemption from input sanitization for fields that hold source code.
+ * The sanitizer strips "javascript:" and "on...=" as well as escaping, which cannot be undone,
+ * so the listed string fields are taken from the body as the client sent it.
+ * @param {...string} paths - Dotted body paths, e.g. 'code' or 'answers.*.code'
+ */
+const allowRawFields = (...paths) => (req, res, next) => {
+  if (req.rawBody && req.body) {
+    paths.forEach(path => copyRawField(req.rawBody, req.body, path.split('.')));
+  }
+  next();
+};
+
 /**
  * Request size limiting middleware
  */
@@ -380,6 +412,7 @@ module.exports = {
   createRateLimit,
   createSlowDown,
   sanitizeInput,
+  allowRawFields,
   limitRequestSize,
   ipFilter,
   securityLogger,
@@ -88,12 +88,21 @@ const validateCodeExecution = [
     .isLength({ min: 1, max: 10000 })
     .withMessage('Code must be between 1 and 10000 characters'),
   body('language')
-    .isIn(['javascript', 'python', 'java', 'c++'])
+    .isIn(['javascript', 'python'])
     .withMessage('Invalid programming language'),
   body('input')
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Input must not exceed 1000 characters'),
+  body('examId')
+    .optional()
+    .matches(/^exam_[a-f0-9-]+$/)
+    .withMessage('Invalid exam ID format'),
+  body('questionId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid question ID'),
   handleValidationErrors
 ];
 
@@ -145,7 +154,39 @@ const validateExamProgress = [
   handleValidationErrors
 ];
 
-// MCQ/Coding feedback validation removed - no longer supported
+// Practice interview submission validation
+const validateFeedback = [
+  body('mcqQuestions')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('MCQ questions must be an array of at most 50'),
+  body('mcqAnswers')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('MCQ answers must be an array of at most 50'),
+  body('codingSubmission.questionId')
+    .if(body('codingSubmission').exists())
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid question ID'),
+  body('codingSubmission.code')
+    .if(body('codingSubmission').exists())
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Code must be between 1 and 10000 characters'),
+  body('codingSubmission.language')
+    .if(body('codingSubmission').exists())
+    .isIn(['javascript', 'python'])
+    .withMessage('Invalid programming language'),
+  body('behavioralResponses')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Behavioral responses must be an array of at most 20'),
+  body('behavioralResponses.*.answer')
+    .isString()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Each behavioral answer must be between 1 and 10000 characters'),
+  handleValidationErrors
+];
 
 // Query parameter validation for exam history
 const validateExamHistoryQuery = [
@@ -164,7 +205,72 @@ const validateExamHistoryQuery = [
   handleValidationErrors
 ];
 
-// MCQ query validation removed - no longer supported
+// Query parameter validation for practice questions
+const validateMCQQuery = [
+  query('category')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+  query('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard'),
+  query('count')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Count must be between 1 and 50'),
+  handleValidationErrors
+];
+
+// Timeframe and path parameter validation for performance analytics
+const validateAnalyticsQuery = [
+  query('timeframe')
+    .optional()
+    .isIn(['7d', '30d', '90d', '1y', 'all'])
+    .withMessage('Timeframe must be one of 7d, 30d, 90d, 1y or all'),
+  param('category')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+  param('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard'),
+  handleValidationErrors
+];
+
+// Mock interview session validation
+const validateMockInterview = [
+  body('interviewType')
+    .optional()
+    .isIn(['technical', 'behavioral', 'mixed'])
+    .withMessage('Interview type must be technical, behavioral or mixed'),
+  body('questions')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Questions must be an array of 1 to 50 items'),
+  body('questions.*.question')
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Each question needs text of at most 2000 characters'),
+  body('responses')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Responses must be an array of at most 50 items'),
+  body('responses.*.answer')
+    .optional()
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Each response must not exceed 10000 characters'),
+  body('securityViolations')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Security violations must be an array of at most 500 items'),
+  body('totalDuration')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Total duration must be between 0 and 86400 seconds'),
+  handleValidationErrors
+];
 
 module.exports = {
   sanitizeInput,
@@ -174,6 +280,9 @@ module.exports = {
   validateCodeExecution,
   validateSecurityViolation,
   validateExamProgress,
-  validateExamHistoryQuery
-  // validateFeedback and validateMCQQuery removed - no longer supported
+  validateExamHistoryQuery,
+  validateFeedback,
+  validateMCQQuery,
+  validateAnalyticsQuery,
+  validateMockInterview
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Migration: Unique attempt numbers
+ * Description: Number each candidate's earlier attempts at an exam 1, 2, 3... in the order they
+ * started, then make { examId, userId, attemptNumber } unique so concurrent starts cannot share a number
+ * Created: 2026-10-19T12:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+module.exports = {
+  // Migration version (timestamp)
+  version: '2026-10-19T12-00-00',
+
+  // Migration name
+  name: 'Unique attempt numbers',
+
+  // Migration description
+  description: 'Renumber existing attempts per candidate and exam and add a unique index on the attempt number',
+
+  /**
+   * Run the migration (forward)
+   */
+  async up() {
+    const db = mongoose.connection.db;
+    const results = db.collection('results');
+
+    try {
+      console.log('Running migration: Unique attempt numbers');
+
+      // Attempts taken before attempt numbers were tracked all have attemptNumber 1
+      const groups = await results.aggregate([
+        { $group: { _id: { examId: '$examId', userId: '$userId' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ]).toArray();
+
+      for (const group of groups) {
+        const attempts = await results
+          .find(group._id, { projection: { _id: 1 } })
+          .sort({ startTime: 1, createdAt: 1, _id: 1 })
+          .toArray();
+
+        await results.bulkWrite(attempts.map((attempt, index) => ({
+          updateOne: { filter: { _id: attempt._id }, update: { $set: { attemptNumber: index + 1 } } }
+        })));
+      }
+
+      await results.createIndex({ examId: 1, userId: 1, attemptNumber: 1 }, { unique: true });
+
+      console.log('Migration Unique attempt numbers completed successfully');
+      return true;
+    } catch (error) {
+      console.error('Migration Unique attempt numbers failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rollback the migration (backward)
+   */
+  async down() {
+    const db = mongoose.connection.db;
+
+    try {
+      console.log('Rolling back migration: Unique attempt numbers');
+
+      // The renumbering is kept; only the constraint is removed
+      await db.collection('results').dropIndex({ examId: 1, userId: 1, attemptNumber: 1 });
+
+      console.log('Migration Unique attempt numbers rolled back successfully');
+      return true;
+    } catch (error) {
+      console.error('Migration Unique attempt numbers rollback failed:', error);
+      throw error;
+    }
+  }
+};
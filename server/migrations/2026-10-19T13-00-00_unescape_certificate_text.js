@@ -0,0 +1,78 @@
+/**
+ * Migration: Unescape certificate text
+ * Description: Certificates issued before names and titles were decoded at issue time store them
+ * HTML-escaped. Decode them once and re-sign, so rendering and verification show the text as typed
+ * Created: 2026-10-19T13:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+const certificateService = require('../services/certificateService');
+const { SecurityManager } = require('../utils/security');
+
+const ESCAPED_TEXT = /&(?:lt|gt|quot|#x27|amp);/;
+
+module.exports = {
+  // Migration version (timestamp)
+  version: '2026-10-19T13-00-00',
+
+  // Migration name
+  name: 'Unescape certificate text',
+
+  // Migration description
+  description: 'Decode HTML-escaped recipient names and exam titles on existing certificates and re-sign them',
+
+  /**
+   * Run the migration (forward)
+   */
+  async up() {
+    const db = mongoose.connection.db;
+    const certificates = db.collection('certificates');
+
+    try {
+      console.log('Running migration: Unescape certificate text');
+
+      const escaped = await certificates.find({
+        $or: [{ recipientName: ESCAPED_TEXT }, { examTitle: ESCAPED_TEXT }]
+      }).toArray();
+
+      let updated = 0;
+      for (const certificate of escaped) {
+        // Never re-sign a certificate whose stored details were already tampered with
+        if (!certificateService.hasValidSignature(certificate)) {
+          console.warn(`Skipping certificate ${certificate.certificateId}: signature does not match`);
+          continue;
+        }
+
+        const decoded = {
+          ...certificate,
+          recipientName: SecurityManager.restoreSanitizedInput(certificate.recipientName),
+          examTitle: SecurityManager.restoreSanitizedInput(certificate.examTitle)
+        };
+
+        await certificates.updateOne({ _id: certificate._id }, {
+          $set: {
+            recipientName: decoded.recipientName,
+            examTitle: decoded.examTitle,
+            signature: certificateService.sign(decoded)
+          }
+        });
+        updated++;
+      }
+
+      console.log(`Migration Unescape certificate text completed successfully (${updated} certificates)`);
+      return true;
+    } catch (error) {
+      console.error('Migration Unescape certificate text failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rollback the migration (backward)
+   */
+  async down() {
+    // Decoded text is what new certificates store, so there is nothing to roll back
+    console.log('Migration Unescape certificate text has no rollback');
+    return true;
+  }
+};
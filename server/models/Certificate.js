@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A completion certificate for a passed attempt. The fields it states are signed
+// when it is issued, so any later change to them shows up on verification.
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  resultId: {
+    type: String,
+    required: true
+  },
+  examId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the certificate states, as it was when issued
+  recipientName: {
+    type: String,
+    required: true
+  },
+  examTitle: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  grade: String,
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'revoked'],
+    default: 'valid'
+  },
+  revocation: {
+    revokedAt: Date,
+    // Unset when the certificate was replaced after its result was regraded
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  }
+}, {
+  timestamps: true
+});
+
+certificateSchema.index({ resultId: 1, issuedAt: -1 });
+certificateSchema.index({ userId: 1, issuedAt: -1 });
+certificateSchema.index({ examId: 1, status: 1 });
+
+// Method to check whether an admin revoked the certificate (rather than a regrade replacing it)
+certificateSchema.methods.isRevokedByAdmin = function() {
+  return this.status === 'revoked' && Boolean(this.revocation?.revokedBy);
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const submissionRefSchema = new mongoose.Schema({
+  resultId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { _id: false });
+
+const lineRangeSchema = new mongoose.Schema({
+  startLine: Number,
+  endLine: Number
+}, { _id: false });
+
+// Two candidates' code for the same coding question that the plagiarism check found similar
+const codeSimilaritySchema = new mongoose.Schema({
+  examId: {
+    type: String,
+    required: true
+  },
+  questionId: {
+    type: String,
+    required: true
+  },
+  language: String,
+  // Ordered by resultId so each pair is stored once
+  first: {
+    type: submissionRefSchema,
+    required: true
+  },
+  second: {
+    type: submissionRefSchema,
+    required: true
+  },
+  // Share of both submissions' normalized tokens covered by matching regions (0-1)
+  similarity: {
+    type: Number,
+    required: true
+  },
+  matchedTokens: Number,
+  // Lines of each submission that match, for highlighting side by side
+  regions: [{
+    first: lineRangeSchema,
+    second: lineRangeSchema,
+    tokens: Number
+  }],
+  // Whether the pair reached the plagiarism threshold and was raised for review
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  violationIds: [String],
+  comparedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+codeSimilaritySchema.index({ examId: 1, questionId: 1, 'first.resultId': 1, 'second.resultId': 1 }, { unique: true });
+codeSimilaritySchema.index({ examId: 1, similarity: -1 });
+
+module.exports = mongoose.model('CodeSimilarity', codeSimilaritySchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const attemptRefSchema = new mongoose.Schema({
+  resultId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ipAddress: String,
+  deviceFingerprint: String
+}, { _id: false });
+
+// Two candidates on the same exam whose attempts look like they worked together
+const collusionReportSchema = new mongoose.Schema({
+  examId: {
+    type: String,
+    required: true
+  },
+  // Ordered by resultId so each pair is stored once
+  first: {
+    type: attemptRefSchema,
+    required: true
+  },
+  second: {
+    type: attemptRefSchema,
+    required: true
+  },
+  // Weighted sum of the signals below (0-100)
+  score: {
+    type: Number,
+    required: true
+  },
+  signals: {
+    // MCQ questions both got wrong with the same option, against how often that happens by chance
+    wrongAnswers: {
+      identical: Number,
+      bothWrong: Number,
+      expected: Number,
+      probability: Number,
+      questionIds: [String],
+      suspicious: Boolean
+    },
+    // Written answers whose wording overlaps
+    essays: [{
+      questionId: String,
+      similarity: Number
+    }],
+    // Questions both candidates saved within a few seconds of each other
+    timing: {
+      aligned: Number,
+      compared: Number,
+      questionIds: [String],
+      suspicious: Boolean
+    },
+    sharedIpAddress: Boolean,
+    sharedDeviceFingerprint: Boolean
+  },
+  // Whether the pair reached the collusion threshold and was raised for review
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  violationIds: [String],
+  analyzedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+collusionReportSchema.index({ examId: 1, 'first.resultId': 1, 'second.resultId': 1 }, { unique: true });
+collusionReportSchema.index({ examId: 1, score: -1 });
+
+module.exports = mongoose.model('CollusionReport', collusionReportSchema);
@@ -40,13 +40,54 @@ const examSchema = new mongoose.Schema({
     numberOfQuestions: {
       type: Number,
       default: 10
+    },
+    // 'sequential' releases the next question only after the current answer is saved;
+    // 'adaptive' does the same but picks each next question from the candidate's ability estimate
+    deliveryMode: {
+      type: String,
+      enum: ['all_at_once', 'sequential', 'adaptive'],
+      default: 'all_at_once'
+    },
+    // Stopping rules for adaptive delivery
+    adaptive: {
+      maxQuestions: {
+        type: Number,
+        min: 1
+      },
+      // Stop once the ability estimate is at least this precise
+      targetStandardError: {
+        type: Number,
+        min: 0.05
+      },
+      // Active exam-only question bank items matching every list set here join the exam's own questions in the pool
+      bank: {
+        categories: [String],
+        roles: [String],
+        tags: [String]
+      }
+    },
+    // Applied per attempt from a seed stored on the Result
+    randomization: {
+      shuffleQuestions: {
+        type: Boolean,
+        default: false
+      },
+      shuffleOptions: {
+        type: Boolean,
+        default: false
+      },
+      // Draw this many questions from the pool; every question is used when unset
+      drawCount: {
+        type: Number,
+        min: 1
+      }
     }
   },
   questions: [{
     questionId: String,
     type: {
       type: String,
-      enum: ['behavioral', 'technical', 'situational', 'essay']
+      enum: ['mcq', 'coding', 'behavioral', 'technical', 'situational', 'essay']
     },
     question: String,
     options: [String], // For MCQ questions
@@ -62,6 +103,7 @@ const examSchema = new mongoose.Schema({
     },
     timeLimit: Number, // Individual question time limit
     codeTemplate: String, // For coding questions
+    entryPoint: String, // Function the test harness calls; stdin/stdout when absent
     testCases: [{
       input: String,
       expectedOutput: String,
@@ -69,7 +111,30 @@ const examSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       }
-    }]
+    }],
+    expectedPoints: [String], // Rubric for essay and behavioral answers
+    // Calibrated IRT parameters for adaptive delivery; difficulty falls back to the easy/medium/hard label
+    irt: {
+      difficulty: Number,
+      discrimination: Number
+    }
+  }],
+  // Ordered parts of an all-at-once exam, taken one after another, each with its own timer.
+  // Questions not listed in any section are not delivered when sections are declared.
+  sections: [{
+    _id: false,
+    sectionId: {
+      type: String,
+      required: true
+    },
+    title: String,
+    questionIds: [String],
+    timeLimit: Number, // Seconds; the section ends with the exam when unset
+    // Answers to a submitted section can no longer be changed
+    lockAfterSubmit: {
+      type: Boolean,
+      default: false
+    }
   }],
   status: {
     type: String,
@@ -92,7 +157,21 @@ const examSchema = new mongoose.Schema({
   },
   maxAttempts: {
     type: Number,
-    default: 1
+    default: 1 // 0 allows unlimited attempts
+  },
+  retakePolicy: {
+    // Minutes a candidate must wait after finishing an attempt before starting another
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Which attempt's score counts towards the candidate's result
+    scoringPolicy: {
+      type: String,
+      enum: ['best', 'latest', 'average'],
+      default: 'best'
+    }
   },
   isProctored: {
     type: Boolean,
@@ -134,19 +213,32 @@ const examSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    // Templates are standalone copies kept in the template library; they cannot be taken
     isTemplate: {
       type: Boolean,
       default: false
-    }
+    },
+    // On a template, the exam it was saved from
+    sourceExamId: String,
+    // On an exam, the template it was created from
+    templateId: String
   }
 }, {
   timestamps: true
 });
 
+// Section ids must be unique and a question can belong to one section only
+examSchema.path('sections').validate(function(sections) {
+  const sectionIds = sections.map(section => section.sectionId);
+  const questionIds = sections.flatMap(section => section.questionIds || []);
+  return new Set(sectionIds).size === sectionIds.length && new Set(questionIds).size === questionIds.length;
+}, 'Section ids must be unique and each question can belong to only one section');
+
 // Indexes for better query performance
 examSchema.index({ userId: 1, status: 1 });
 examSchema.index({ examType: 1, status: 1 });
 examSchema.index({ createdAt: -1 });
+examSchema.index({ 'metadata.isTemplate': 1, 'configuration.industry': 1, 'configuration.difficulty': 1 });
 // examId already has unique: true in field definition
 
 // Virtual for exam duration in minutes
@@ -162,23 +254,122 @@ examSchema.methods.isActive = function() {
          (!this.endTime || this.endTime >= now);
 };
 
-// Method to calculate total points
-examSchema.methods.getTotalPoints = function() {
-  return this.questions.reduce((total, question) => total + (question.points || 1), 0);
+// Method to work out when an attempt started at startTime must be submitted
+examSchema.methods.getAttemptDeadline = function(startTime) {
+  return new Date(startTime.getTime() + this.totalTimeLimit * 1000);
 };
 
-// Static method to find active exams for user
-examSchema.statics.findActiveForUser = function(userId) {
+// Method to calculate total points, optionally of only the questions an attempt drew
+examSchema.methods.getTotalPoints = function(presentation) {
+  return this.getPresentedQuestions(presentation)
+    .reduce((total, { question }) => total + (question.points || 1), 0);
+};
+
+// Method to check if questions are released one at a time
+examSchema.methods.isSequential = function() {
+  return ['sequential', 'adaptive'].includes(this.configuration?.deliveryMode);
+};
+
+// Method to check if the exam is taken section by section
+examSchema.methods.hasSections = function() {
+  return (this.sections || []).length > 0 && !this.isSequential();
+};
+
+// Method to check if each next question depends on the answers so far
+examSchema.methods.isAdaptive = function() {
+  return this.configuration?.deliveryMode === 'adaptive';
+};
+
+// Method to get the questions an attempt is delivered and graded with: the snapshot taken when it
+// started, or the exam's current questions for attempts started before snapshots were kept
+examSchema.methods.getQuestionPool = function(presentation) {
+  return presentation && presentation.questions && presentation.questions.length > 0
+    ? presentation.questions
+    : this.questions;
+};
+
+// Method to list the questions an attempt sees, in order, with each one's option order (null when unshuffled).
+// Attempts without a stored presentation see the exam as authored.
+examSchema.methods.getPresentedQuestions = function(presentation) {
+  const pool = this.getQuestionPool(presentation);
+
+  if (!presentation || !presentation.questionOrder || presentation.questionOrder.length === 0) {
+    return pool.map(question => ({ question, optionOrder: null }));
+  }
+
+  return presentation.questionOrder
+    .map(questionId => {
+      const question = pool.find(q => q.questionId === questionId);
+      const optionOrder = (presentation.optionOrders || []).find(o => o.questionId === questionId);
+      return question ? { question, optionOrder: optionOrder ? [...optionOrder.order] : null } : null;
+    })
+    .filter(Boolean);
+};
+
+// Method to return a question without anything that gives the answer away,
+// with its options in the order the attempt shows them
+examSchema.methods.toCandidateQuestion = function(question, optionOrder = null) {
+  return {
+    questionId: question.questionId,
+    type: question.type,
+    question: question.question,
+    options: optionOrder ? optionOrder.map(index => question.options[index]) : question.options,
+    difficulty: question.difficulty,
+    category: question.category,
+    points: question.points,
+    timeLimit: question.timeLimit,
+    codeTemplate: question.codeTemplate,
+    entryPoint: question.entryPoint,
+    testCases: (question.testCases || [])
+      .filter(testCase => !testCase.isHidden)
+      .map(testCase => ({ input: testCase.input, expectedOutput: testCase.expectedOutput }))
+  };
+};
+
+// Method to return the exam as a candidate may see it
+examSchema.methods.toCandidateView = function(presentation) {
+  const presented = this.getPresentedQuestions(presentation);
+  return {
+    examId: this.examId,
+    title: this.title,
+    description: this.description,
+    examType: this.examType,
+    configuration: this.configuration,
+    timeLimit: this.totalTimeLimit,
+    totalQuestions: presented.length,
+    questions: this.isSequential()
+      ? []
+      : presented.map(({ question, optionOrder }) => this.toCandidateQuestion(question, optionOrder))
+  };
+};
+
+// Static method to find exams a user can take now: their own active exams and
+// exams assigned to them whose window is open
+examSchema.statics.findActiveForUser = async function(userId) {
+  const ExamAssignment = require('./ExamAssignment');
+  const now = new Date();
+
+  const assignments = await ExamAssignment.find({
+    candidate: userId,
+    status: { $in: ['invited', 'started'] },
+    startTime: { $lte: now },
+    endTime: { $gte: now }
+  }).select('examId');
+
   return this.find({
-    userId: userId,
-    status: 'active',
-    $or: [
-      { startTime: { $lte: new Date() } },
-      { startTime: { $exists: false } }
-    ],
     $or: [
-      { endTime: { $gte: new Date() } },
-      { endTime: { $exists: false } }
+      {
+        userId: userId,
+        status: 'active',
+        $and: [
+          { $or: [{ startTime: { $lte: now } }, { startTime: { $exists: false } }] },
+          { $or: [{ endTime: { $gte: now } }, { endTime: { $exists: false } }] }
+        ]
+      },
+      {
+        examId: { $in: assignments.map(assignment => assignment.examId) },
+        status: { $in: ['active', 'in_progress', 'completed'] }
+      }
     ]
   });
 };
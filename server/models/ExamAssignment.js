@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const examAssignmentSchema = new mongoose.Schema({
+  assignmentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  examId: {
+    type: String,
+    required: true
+  },
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true
+  },
+  // Set once the invited email belongs to an account
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Availability window for this candidate
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'started', 'completed', 'expired'],
+    default: 'invited'
+  },
+  invite: {
+    // Only the SHA-256 hash is stored; the token itself is handed out once
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    sentAt: Date,
+    acceptedAt: Date
+  },
+  resultId: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+examAssignmentSchema.index({ examId: 1, email: 1 }, { unique: true });
+examAssignmentSchema.index({ candidate: 1, status: 1 });
+examAssignmentSchema.index({ 'invite.tokenHash': 1 }, { sparse: true });
+examAssignmentSchema.index({ status: 1, endTime: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Method to issue a new single-use invite token, replacing any earlier one
+examAssignmentSchema.methods.createInviteToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.invite.tokenHash = hashToken(token);
+  this.invite.sentAt = new Date();
+  this.invite.acceptedAt = undefined;
+
+  return token;
+};
+
+// Method to check whether the window is open for starting the exam
+examAssignmentSchema.methods.isWithinWindow = function(now = new Date()) {
+  return this.startTime <= now && now <= this.endTime;
+};
+
+// Static method to find the assignment an unused invite token belongs to
+examAssignmentSchema.statics.findByInviteToken = function(token) {
+  return this.findOne({
+    'invite.tokenHash': hashToken(token),
+    'invite.acceptedAt': { $exists: false },
+    status: 'invited',
+    endTime: { $gte: new Date() }
+  }).select('+invite.tokenHash');
+};
+
+// Static method to use up an invite token in one update, so two accepts can never both succeed
+examAssignmentSchema.statics.consumeInviteToken = function(token, candidateId) {
+  return this.findOneAndUpdate(
+    {
+      'invite.tokenHash': hashToken(token),
+      'invite.acceptedAt': { $exists: false },
+      status: 'invited',
+      endTime: { $gte: new Date() }
+    },
+    {
+      $set: { 'invite.acceptedAt': new Date(), ...(candidateId ? { candidate: candidateId } : {}) },
+      $unset: { 'invite.tokenHash': 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to give back a token consumed by an accept that then failed
+examAssignmentSchema.statics.restoreInviteToken = function(assignmentId, token) {
+  return this.updateOne(
+    { assignmentId, candidate: { $exists: false } },
+    { $set: { 'invite.tokenHash': hashToken(token) }, $unset: { 'invite.acceptedAt': 1 } }
+  );
+};
+
+// Static method to mark invitations whose window closed before they were started
+examAssignmentSchema.statics.expireOverdue = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'invited', endTime: { $lt: now } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+module.exports = mongoose.model('ExamAssignment', examAssignmentSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A published version of an exam's questions and scoring settings, kept so results
+// taken against earlier versions can still be compared with what the exam is now
+const examVersionSchema = new mongoose.Schema({
+  examId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  title: String,
+  // Question content and scoring key exactly as published
+  questions: [mongoose.Schema.Types.Mixed],
+  settings: {
+    totalTimeLimit: Number,
+    passingScore: Number,
+    deliveryMode: String,
+    sections: [mongoose.Schema.Types.Mixed]
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+examVersionSchema.index({ examId: 1, version: 1 }, { unique: true });
+examVersionSchema.index({ examId: 1, publishedAt: -1 });
+
+module.exports = mongoose.model('ExamVersion', examVersionSchema);
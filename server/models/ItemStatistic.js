@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Classical item statistics for one exam question, recomputed by the item analysis job
+const itemStatisticSchema = new mongoose.Schema({
+  examId: {
+    type: String,
+    required: true
+  },
+  questionId: {
+    type: String,
+    required: true
+  },
+  examTitle: String,
+  question: String,
+  type: String,
+  category: String,
+  difficulty: String,
+  // Attempts that were shown the question, and those that answered it
+  presented: {
+    type: Number,
+    default: 0
+  },
+  responses: {
+    type: Number,
+    default: 0
+  },
+  // Mean proportion of the question's points earned (proportion correct for MCQ)
+  pValue: Number,
+  // Correlation between the question score and the rest of the attempt's score
+  pointBiserial: Number,
+  averageTimeSpent: Number,
+  skipRate: Number,
+  // MCQ only: how often each option was chosen, overall and by the top and bottom scorers
+  distractors: [{
+    option: Number,
+    text: String,
+    isCorrect: Boolean,
+    count: Number,
+    rate: Number,
+    upperRate: Number,
+    lowerRate: Number
+  }],
+  flags: [{
+    code: String,
+    severity: {
+      type: String,
+      enum: ['info', 'warning', 'critical']
+    },
+    message: String
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+itemStatisticSchema.index({ examId: 1, questionId: 1 }, { unique: true });
+itemStatisticSchema.index({ 'flags.code': 1 });
+
+module.exports = mongoose.model('ItemStatistic', itemStatisticSchema);
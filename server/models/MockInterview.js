@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// A practice interview run in the browser simulator, kept so history follows the user across devices
+const mockInterviewSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  interviewType: {
+    type: String,
+    enum: ['technical', 'behavioral', 'mixed'],
+    default: 'technical'
+  },
+  startedAt: Date,
+  completedAt: {
+    type: Date,
+    default: Date.now
+  },
+  totalDuration: {
+    type: Number, // in seconds
+    default: 0
+  },
+  // Questions as generated for the session
+  questions: [{
+    _id: false,
+    questionId: String,
+    question: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String
+    },
+    category: String,
+    difficulty: String,
+    timeLimit: Number, // in seconds
+    expectedPoints: [String]
+  }],
+  // Typed answers in the order they were given
+  responses: [{
+    _id: false,
+    questionId: String,
+    question: String,
+    answer: {
+      type: String,
+      default: ''
+    },
+    wordCount: {
+      type: Number,
+      default: 0
+    },
+    timeSpent: {
+      type: Number, // in seconds
+      default: 0
+    },
+    submittedAt: Date
+  }],
+  // Answer scoring (0-100) from services/mockInterviewScoringService, one entry per question
+  scoring: {
+    components: {
+      coverage: Number,
+      relevance: Number,
+      depth: Number,
+      structure: Number
+    },
+    questions: [{
+      _id: false,
+      questionId: String,
+      answered: Boolean,
+      wordCount: Number,
+      coverage: Number, // null when the question has no expected points
+      relevance: Number,
+      depth: Number,
+      structure: Number,
+      score: Number,
+      matchedPoints: [String],
+      missedPoints: [String]
+    }]
+  },
+  performance: {
+    overallScore: Number,
+    completionRate: Number,
+    averageResponseTime: Number, // in seconds
+    // Behavioral scores (0-100) measured by the simulator
+    eyeContact: Number,
+    speechClarity: Number,
+    confidence: Number,
+    engagement: Number,
+    professionalism: Number
+  },
+  securityViolations: [{
+    _id: false,
+    type: {
+      type: String
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical']
+    },
+    description: String,
+    occurredAt: Date
+  }],
+  violationCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+mockInterviewSchema.index({ userId: 1, completedAt: -1 });
+
+module.exports = mongoose.model('MockInterview', mockInterviewSchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['mcq', 'coding', 'essay', 'behavioral', 'system-design'],
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  options: [String], // For MCQ questions
+  correctAnswer: mongoose.Schema.Types.Mixed, // Option index for MCQ
+  explanation: {
+    type: String
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String // Industry role, e.g. frontend, backend, devops
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  points: {
+    type: Number,
+    default: 1
+  },
+  timeLimit: Number, // Individual question time limit in seconds
+  tags: [String],
+  // For coding questions
+  codeTemplate: String,
+  entryPoint: String, // Function the test harness calls; stdin/stdout when absent
+  referenceSolution: String,
+  testCases: [{
+    input: String,
+    expectedOutput: String,
+    isHidden: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // For system design and free-text questions
+  requirements: [String],
+  expectedPoints: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Reserved for proctored exams: adaptive exam banks draw only these, and practice never serves or grades them
+  examOnly: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    source: {
+      type: String,
+      enum: ['seed', 'admin', 'import'],
+      default: 'admin'
+    },
+    usageCount: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+questionSchema.index({ role: 1, difficulty: 1, isActive: 1 });
+questionSchema.index({ category: 1, difficulty: 1 });
+questionSchema.index({ tags: 1 });
+// questionId already has unique: true in field definition
+
+// MCQ questions need options and a correct answer that points at one of them
+questionSchema.pre('validate', function(next) {
+  if (this.type === 'mcq') {
+    if (!this.options || this.options.length < 2) {
+      this.invalidate('options', 'MCQ questions require at least two options');
+    }
+    const index = Number(this.correctAnswer);
+    if (!Number.isInteger(index) || index < 0 || index >= (this.options || []).length) {
+      this.invalidate('correctAnswer', 'MCQ correctAnswer must be a valid option index');
+    }
+  }
+  next();
+});
+
+// Method to return the question without anything that gives the answer away
+questionSchema.methods.toCandidateView = function() {
+  return {
+    questionId: this.questionId,
+    type: this.type,
+    question: this.question,
+    options: this.options,
+    category: this.category,
+    role: this.role,
+    difficulty: this.difficulty,
+    points: this.points,
+    timeLimit: this.timeLimit,
+    codeTemplate: this.codeTemplate,
+    entryPoint: this.entryPoint,
+    testCases: (this.testCases || [])
+      .filter(testCase => !testCase.isHidden)
+      .map(testCase => ({ input: testCase.input, expectedOutput: testCase.expectedOutput })),
+    requirements: this.requirements
+  };
+};
+
+// Method to check an MCQ answer against the stored option index
+questionSchema.methods.isAnswerCorrect = function(answer) {
+  if (this.type !== 'mcq' || answer === null || answer === undefined || answer === '') {
+    return false;
+  }
+  return parseInt(answer) === Number(this.correctAnswer);
+};
+
+// Static method to narrow a query to questions practice may serve, so exam-only answers never leak
+questionSchema.statics.forPractice = function(filter = {}) {
+  return { ...filter, examOnly: { $ne: true } };
+};
+
+// Static method to draw random active questions for a role and difficulty
+questionSchema.statics.sampleForRole = async function(role, difficulty, count) {
+  if (!count) return [];
+
+  const docs = await this.aggregate([
+    { $match: this.forPractice({ role, difficulty, isActive: true }) },
+    { $sample: { size: count } }
+  ]);
+
+  return docs.map(doc => this.hydrate(doc));
+};
+
+// Static method to count active questions per role and difficulty
+questionSchema.statics.getRoleStats = async function() {
+  const counts = await this.aggregate([
+    { $match: { isActive: true } },
+    {
+      $group: {
+        _id: { role: '$role', difficulty: '$difficulty' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return counts.reduce((stats, { _id, count }) => {
+    const role = _id.role || 'general';
+    if (!stats[role]) {
+      stats[role] = { total: 0, easy: 0, medium: 0, hard: 0 };
+    }
+    stats[role][_id.difficulty] = count;
+    stats[role].total += count;
+    return stats;
+  }, {});
+};
+
+module.exports = mongoose.model('Question', questionSchema);
@@ -27,7 +27,8 @@ const resultSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['in_progress', 'completed', 'submitted', 'auto_submitted', 'cancelled'],
+    // submitting: claimed by one request while it is graded, so no other request grades it too
+    enum: ['in_progress', 'submitting', 'completed', 'submitted', 'auto_submitted', 'cancelled'],
     default: 'in_progress'
   },
   startTime: {
@@ -38,6 +39,14 @@ const resultSchema = new mongoose.Schema({
   endTime: {
     type: Date
   },
+  // Server-owned cut-off for this attempt; submissions after it are rejected
+  deadline: {
+    type: Date
+  },
+  // When a submission claimed the attempt for grading; a claim left this old was interrupted
+  claimedAt: {
+    type: Date
+  },
   submissionTime: {
     type: Date
   },
@@ -75,6 +84,10 @@ const resultSchema = new mongoose.Schema({
       type: Number,
       default: 1
     },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
     // For coding questions
     codeSubmission: {
       code: String,
@@ -87,7 +100,8 @@ const resultSchema = new mongoose.Schema({
         passed: Boolean,
         executionTime: Number,
         memoryUsed: Number,
-        error: String
+        error: String,
+        isHidden: Boolean
       }],
       compilationError: String,
       totalTestCases: Number,
@@ -104,6 +118,19 @@ const resultSchema = new mongoose.Schema({
       manual: String,
       suggestions: [String]
     },
+    // Manual grading state for answers a reviewer needs to confirm
+    review: {
+      status: {
+        type: String,
+        enum: ['not_required', 'pending', 'graded'],
+        default: 'not_required'
+      },
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      gradedAt: Date
+    },
     timestamps: {
       firstAttempt: Date,
       lastModified: Date,
@@ -140,7 +167,26 @@ const resultSchema = new mongoose.Schema({
       essayScore: Number,
       mcqPercentage: Number,
       codingPercentage: Number,
-      essayPercentage: Number
+      essayPercentage: Number,
+      // One entry per section that has been scored, in section order
+      sections: [{
+        _id: false,
+        sectionId: String,
+        title: String,
+        pointsEarned: Number,
+        maxPoints: Number,
+        percentage: Number
+      }]
+    },
+    // IRT ability estimate for adaptive exams, on a standard normal scale
+    ability: {
+      estimate: Number,
+      standardError: Number,
+      questionsAdministered: Number,
+      stopReason: {
+        type: String,
+        enum: ['precision_reached', 'max_questions', 'pool_exhausted', 'submitted_early', 'time_expired']
+      }
     }
   },
   analytics: {
@@ -179,6 +225,60 @@ const resultSchema = new mongoose.Schema({
       slowAnswers: Number // > 120 seconds
     }
   },
+  // Progress through exams that release one question at a time
+  delivery: {
+    currentQuestionIndex: {
+      type: Number,
+      default: 0
+    },
+    // When the current question was released, for per-question time limits
+    questionReleasedAt: Date
+  },
+  // Every answer of an adaptive attempt and the ability estimate after it
+  adaptive: {
+    responses: [{
+      _id: false,
+      questionId: String,
+      correct: Boolean,
+      difficulty: Number,
+      discrimination: Number,
+      abilityAfter: Number,
+      standardErrorAfter: Number
+    }]
+  },
+  // Exam version the attempt was started on
+  examVersion: String,
+  // Sections of a sectioned exam as this attempt takes them, with each one's own window
+  sections: [{
+    _id: false,
+    sectionId: String,
+    title: String,
+    questionIds: [String],
+    timeLimit: Number,
+    lockAfterSubmit: Boolean,
+    status: {
+      type: String,
+      enum: ['not_started', 'in_progress', 'submitted', 'expired'],
+      default: 'not_started'
+    },
+    startedAt: Date,
+    deadline: Date,
+    submittedAt: Date
+  }],
+  // What this attempt was shown: the drawn questions in order and each MCQ's option order.
+  // Saved answers hold the option index as shown; graded answers hold the exam's own index.
+  presentation: {
+    seed: String,
+    questionOrder: [String],
+    optionOrders: [{
+      _id: false,
+      questionId: String,
+      order: [Number] // order[shownIndex] = index of the option in the exam
+    }],
+    // Content and scoring key of the questions as they were when the attempt started;
+    // the attempt is delivered and graded against these, not later edits of the exam
+    questions: [mongoose.Schema.Types.Mixed]
+  },
   securityEvents: {
     violationCount: {
       type: Number,
@@ -192,7 +292,15 @@ const resultSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    autoSubmissionReason: String
+    autoSubmissionReason: String,
+    // Finished attempts with coding answers wait here for the plagiarism check job
+    plagiarismCheck: {
+      status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed']
+      },
+      checkedAt: Date
+    }
   },
   feedback: {
     overallFeedback: String,
@@ -210,6 +318,30 @@ const resultSchema = new mongoose.Schema({
     nextSteps: [String],
     estimatedStudyTime: Number // in hours
   },
+  // Every manual score change, kept so regrades can be audited
+  gradingHistory: [{
+    questionId: {
+      type: String,
+      required: true
+    },
+    previousPoints: Number,
+    newPoints: {
+      type: Number,
+      required: true
+    },
+    maxPoints: Number,
+    comment: String,
+    reason: String,
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    gradedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   proctoring: {
     isProctored: {
       type: Boolean,
@@ -252,8 +384,14 @@ const resultSchema = new mongoose.Schema({
 // Indexes for better query performance
 resultSchema.index({ userId: 1, createdAt: -1 });
 resultSchema.index({ examId: 1, userId: 1 });
+// Two starts racing for the same attempt number cannot both be saved
+resultSchema.index({ examId: 1, userId: 1, attemptNumber: 1 }, { unique: true });
 resultSchema.index({ status: 1 });
+resultSchema.index({ status: 1, deadline: 1 });
+resultSchema.index({ status: 1, claimedAt: 1 });
 resultSchema.index({ 'scoring.percentage': -1 });
+resultSchema.index({ 'answers.review.status': 1 });
+resultSchema.index({ 'securityEvents.plagiarismCheck.status': 1, submissionTime: 1 });
 // resultId already has unique: true in field definition
 
 // Virtual for exam duration
@@ -265,7 +403,7 @@ resultSchema.virtual('duration').get(function() {
 });
 
 // Method to calculate final score
-resultSchema.methods.calculateScore = function() {
+resultSchema.methods.calculateScore = function(passingScore = 70) {
   let totalPoints = 0;
   let maxPoints = 0;
   
@@ -279,11 +417,77 @@ resultSchema.methods.calculateScore = function() {
   this.scoring.totalPoints = totalPoints;
   this.scoring.maxPossiblePoints = maxPoints;
   this.scoring.percentage = percentage;
-  this.scoring.passed = percentage >= 70; // Default passing score
+  this.scoring.passed = percentage >= passingScore;
+
+  if (this.sections && this.sections.length > 0) {
+    this.calculateSectionScores();
+  }
+
+  // Categories come from the attempt's question snapshot, which older attempts do not have
+  if (this.presentation?.questions?.length > 0) {
+    this.analytics.categoryPerformance = this.getCategoryPerformance();
+  }
   
   return percentage;
 };
 
+// Method to work out how many answers were attempted and correct in each question category
+resultSchema.methods.getCategoryPerformance = function(questions = this.presentation?.questions || []) {
+  const categories = new Map(questions.map(question => [question.questionId, question.category || 'General']));
+  const performance = new Map();
+
+  this.answers.forEach(answer => {
+    const category = categories.get(answer.questionId) || 'General';
+    const entry = performance.get(category) || { category, attempted: 0, correct: 0 };
+    if (answer.userAnswer !== null && answer.userAnswer !== undefined && answer.userAnswer !== '') {
+      entry.attempted += 1;
+    }
+    if (answer.isCorrect) {
+      entry.correct += 1;
+    }
+    performance.set(category, entry);
+  });
+
+  return Array.from(performance.values()).map(entry => ({
+    ...entry,
+    percentage: entry.attempted > 0 ? Math.round((entry.correct / entry.attempted) * 100) : 0
+  }));
+};
+
+// Method to score sections from graded answers; with sectionIds only those sections are (re)scored
+resultSchema.methods.calculateSectionScores = function(answers = this.answers, sectionIds = null) {
+  const scores = new Map((this.scoring.breakdown?.sections || [])
+    .map(score => [score.sectionId, typeof score.toObject === 'function' ? score.toObject() : score]));
+  const questionPoints = new Map((this.presentation?.questions || [])
+    .map(question => [question.questionId, question.points || 1]));
+
+  this.sections
+    .filter(section => !sectionIds || sectionIds.includes(section.sectionId))
+    .forEach(section => {
+      const sectionAnswers = answers.filter(answer => section.questionIds.includes(answer.questionId));
+      const pointsEarned = sectionAnswers.reduce((total, answer) => total + (answer.pointsEarned || 0), 0);
+      // Every question of the section counts, answered or not
+      const maxPoints = section.questionIds.reduce((total, questionId) => {
+        const answer = sectionAnswers.find(entry => entry.questionId === questionId);
+        return total + (answer ? answer.maxPoints || 0 : questionPoints.get(questionId) || 0);
+      }, 0);
+
+      scores.set(section.sectionId, {
+        sectionId: section.sectionId,
+        title: section.title,
+        pointsEarned,
+        maxPoints,
+        percentage: maxPoints > 0 ? Math.round((pointsEarned / maxPoints) * 100) : 0
+      });
+    });
+
+  this.set('scoring.breakdown.sections', this.sections
+    .map(section => scores.get(section.sectionId))
+    .filter(Boolean));
+
+  return this.scoring.breakdown.sections;
+};
+
 // Method to generate grade based on percentage
 resultSchema.methods.calculateGrade = function() {
   const percentage = this.scoring.percentage;
@@ -301,6 +505,63 @@ resultSchema.methods.calculateGrade = function() {
   return 'F';
 };
 
+// Method to store an ungraded answer, replacing any earlier answer to the same question
+resultSchema.methods.upsertAnswer = function(answer) {
+  const now = new Date();
+  const existing = this.answers.find(a => a.questionId === answer.questionId);
+
+  if (existing) {
+    existing.set({
+      ...answer,
+      attempts: (existing.attempts || 1) + 1,
+      timestamps: { ...existing.timestamps, lastModified: now }
+    });
+    return existing;
+  }
+
+  this.answers.push({
+    ...answer,
+    timestamps: { firstAttempt: now, lastModified: now }
+  });
+  return this.answers[this.answers.length - 1];
+};
+
+// Method to record a reviewer's score for one answer and rescore the whole result
+resultSchema.methods.applyManualGrade = function({ questionId, pointsEarned, comment, reason, gradedBy, passingScore }) {
+  const answer = this.answers.find(a => a.questionId === questionId);
+  if (!answer) return null;
+
+  const now = new Date();
+  this.gradingHistory.push({
+    questionId,
+    previousPoints: answer.pointsEarned,
+    newPoints: pointsEarned,
+    maxPoints: answer.maxPoints,
+    comment,
+    reason,
+    gradedBy,
+    gradedAt: now
+  });
+
+  answer.pointsEarned = pointsEarned;
+  answer.isCorrect = pointsEarned >= answer.maxPoints;
+  if (comment !== undefined) {
+    answer.feedback = { ...(answer.feedback?.toObject?.() || answer.feedback), manual: comment };
+  }
+  answer.review = { status: 'graded', gradedBy, gradedAt: now };
+
+  this.calculateScore(passingScore);
+  this.scoring.grade = this.calculateGrade();
+
+  return answer;
+};
+
+// Method to get the seconds left before the deadline
+resultSchema.methods.getRemainingSeconds = function(now = new Date()) {
+  if (!this.deadline) return null;
+  return Math.max(0, Math.floor((this.deadline - now) / 1000));
+};
+
 // Method to check if result is complete
 resultSchema.methods.isComplete = function() {
   return ['completed', 'submitted', 'auto_submitted'].includes(this.status);
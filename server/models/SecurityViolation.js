@@ -73,6 +73,9 @@ const securityViolationSchema = new mongoose.Schema({
   questionId: {
     type: String // Which question was active when violation occurred
   },
+  relatedResultId: {
+    type: String // Other candidate's attempt, for violations found by comparing attempts
+  },
   context: {
     currentStage: {
       type: String,
@@ -5,12 +5,27 @@ const { PerformanceMonitor, QueryOptimizer } = require('../utils/performance');
 const DatabaseManager = require('../config/database');
 const { MigrationManager } = require('../utils/migrations');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { APIResponse, HTTP_STATUS } = require('../utils/responseFormatter');
+const { APIResponse, HTTP_STATUS, createPaginationMeta } = require('../utils/responseFormatter');
 const { AppError } = require('../middleware/errorHandler');
+const { SecurityManager } = require('../utils/security');
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Result = require('../models/Result');
 const Exam = require('../models/Exam');
+const Question = require('../models/Question');
+const ExamVersion = require('../models/ExamVersion');
+const Certificate = require('../models/Certificate');
+const ItemStatistic = require('../models/ItemStatistic');
+const CodeSimilarity = require('../models/CodeSimilarity');
+const CollusionReport = require('../models/CollusionReport');
+const SecurityViolation = require('../models/SecurityViolation');
+const examVersionService = require('../services/examVersionService');
+const questionImportExportService = require('../services/questionImportExportService');
+const certificateService = require('../services/certificateService');
+const itemAnalysisService = require('../services/itemAnalysisService');
+const codePlagiarismService = require('../services/codePlagiarismService');
+const collusionDetectionService = require('../services/collusionDetectionService');
+const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -219,6 +234,1195 @@ router.post('/exams', asyncHandler(async (req, res) => {
   response.send(res, HTTP_STATUS.CREATED);
 }));
 
+/**
+ * @swagger
+ * /api/v1/admin/exams/{examId}/versions:
+ *   get:
+ *     summary: List the published versions of an exam
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: examId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exam versions retrieved successfully
+ */
+router.get('/exams/:examId/versions', asyncHandler(async (req, res) => {
+  const exam = await Exam.findOne({ examId: req.params.examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const [versions, resultCounts] = await Promise.all([
+    ExamVersion.find({ examId: exam.examId })
+      .populate('publishedBy', 'name email')
+      .sort({ publishedAt: -1 })
+      .lean(),
+    Result.aggregate([
+      { $match: { examId: exam.examId } },
+      { $group: { _id: '$examVersion', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const currentVersion = exam.metadata?.version || '1.0';
+  const response = APIResponse.success({
+    examId: exam.examId,
+    title: exam.title,
+    currentVersion,
+    versions: versions.map(version => ({
+      version: version.version,
+      title: version.title,
+      questionCount: (version.questions || []).length,
+      settings: version.settings,
+      publishedBy: version.publishedBy,
+      publishedAt: version.publishedAt,
+      isCurrent: version.version === currentVersion,
+      // Attempts started before versions were tracked have no version
+      resultCount: resultCounts.find(count => count._id === version.version)?.count || 0
+    }))
+  }, 'Exam versions retrieved successfully');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/exams/{examId}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of an exam
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: examId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Defaults to the version published before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Defaults to the current version
+ *     responses:
+ *       200:
+ *         description: Exam version diff retrieved successfully
+ */
+router.get('/exams/:examId/versions/diff', asyncHandler(async (req, res) => {
+  const exam = await Exam.findOne({ examId: req.params.examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const toVersion = req.query.to || exam.metadata?.version || '1.0';
+  let fromVersion = req.query.from;
+  if (!fromVersion) {
+    const toRecord = await ExamVersion.findOne({ examId: exam.examId, version: toVersion }).select('publishedAt');
+    const previous = await ExamVersion.findOne({
+      examId: exam.examId,
+      version: { $ne: toVersion },
+      ...(toRecord ? { publishedAt: { $lt: toRecord.publishedAt } } : {})
+    }).sort({ publishedAt: -1 }).select('version');
+    if (!previous) {
+      throw new AppError(`Version ${toVersion} has no earlier version to compare with`, HTTP_STATUS.NOT_FOUND);
+    }
+    fromVersion = previous.version;
+  }
+
+  const [from, to] = await Promise.all([
+    examVersionService.getVersion(exam, fromVersion),
+    examVersionService.getVersion(exam, toVersion)
+  ]);
+  if (!from || !to) {
+    throw new AppError(`Version ${!from ? fromVersion : toVersion} not found`, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const response = APIResponse.success(
+    { examId: exam.examId, diff: examVersionService.diff(from, to) },
+    'Exam version diff retrieved successfully'
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/certificates:
+ *   get:
+ *     summary: List issued certificates
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [valid, revoked]
+ *       - in: query
+ *         name: examId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Certificates retrieved successfully
+ */
+router.get('/certificates', asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.examId) filter.examId = req.query.examId;
+  if (req.query.userId) filter.userId = req.query.userId;
+
+  const [certificates, total] = await Promise.all([
+    Certificate.find(filter)
+      .populate('userId', 'name email')
+      .populate('revocation.revokedBy', 'name email')
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Certificate.countDocuments(filter)
+  ]);
+
+  const response = APIResponse.success(
+    { certificates },
+    'Certificates retrieved successfully',
+    createPaginationMeta(page, limit, total)
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/certificates/{certificateId}/revoke:
+ *   post:
+ *     summary: Revoke a certificate
+ *     description: Verification reports revoked certificates as not valid, and they are not reissued when the result is regraded.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Certificate revoked successfully
+ *       404:
+ *         description: Certificate not found
+ *       409:
+ *         description: Certificate is already revoked
+ */
+router.post('/certificates/:certificateId/revoke', asyncHandler(async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    throw new AppError('A reason is required to revoke a certificate', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+  if (!certificate) {
+    throw new AppError('Certificate not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (certificate.status === 'revoked') {
+    throw new AppError('Certificate is already revoked', HTTP_STATUS.CONFLICT);
+  }
+
+  await certificateService.revoke(certificate, { revokedBy: req.user._id, reason });
+
+  const response = APIResponse.success({
+    certificateId: certificate.certificateId,
+    status: certificate.status,
+    revocation: certificate.revocation
+  }, 'Certificate revoked successfully');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+const ITEM_FLAG_SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * @swagger
+ * /api/v1/admin/item-analysis:
+ *   get:
+ *     summary: Item statistics for exam questions
+ *     description: |
+ *       Difficulty (p-value), point-biserial discrimination, MCQ distractor selection rates,
+ *       average time spent and skip rate per question, as computed by the item analysis job,
+ *       with flags for questions that look broken or ambiguous.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: examId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: flag
+ *         schema:
+ *           type: string
+ *         description: Only questions with this flag code, e.g. negative_discrimination
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *         description: Only questions with a flag of at least this severity
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Item statistics retrieved successfully
+ */
+router.get('/item-analysis', asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const { examId, category, flag, severity } = req.query;
+
+  if (severity && !ITEM_FLAG_SEVERITIES.includes(severity)) {
+    throw new AppError(`severity must be one of: ${ITEM_FLAG_SEVERITIES.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const filter = {};
+  if (examId) filter.examId = examId;
+  if (category) filter.category = category;
+  if (flag) filter['flags.code'] = flag;
+  if (severity) filter['flags.severity'] = { $in: ITEM_FLAG_SEVERITIES.slice(ITEM_FLAG_SEVERITIES.indexOf(severity)) };
+
+  const [items, total, flagCounts, lastRun] = await Promise.all([
+    ItemStatistic.find(filter)
+      .sort({ examId: 1, questionId: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ItemStatistic.countDocuments(filter),
+    ItemStatistic.aggregate([
+      { $match: examId ? { examId } : {} },
+      { $unwind: '$flags' },
+      { $group: { _id: { code: '$flags.code', severity: '$flags.severity' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    ItemStatistic.findOne(examId ? { examId } : {}).sort({ computedAt: -1 }).select('computedAt').lean()
+  ]);
+
+  const response = APIResponse.success({
+    items,
+    flags: flagCounts.map(entry => ({ ...entry._id, count: entry.count })),
+    computedAt: lastRun?.computedAt || null,
+    isRunning: itemAnalysisService.isRunning
+  }, 'Item statistics retrieved successfully', createPaginationMeta(page, limit, total));
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/item-analysis/run:
+ *   post:
+ *     summary: Recompute item statistics now
+ *     description: The statistics are otherwise recomputed by a nightly job (ITEM_ANALYSIS_CRON).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               examId:
+ *                 type: string
+ *                 description: Only recompute this exam
+ *     responses:
+ *       200:
+ *         description: Item analysis completed
+ *       409:
+ *         description: An analysis is already running
+ */
+router.post('/item-analysis/run', asyncHandler(async (req, res) => {
+  const { examId } = req.body || {};
+  if (examId && !(await Exam.exists({ examId }))) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const summary = await itemAnalysisService.runIfIdle({ examId });
+  if (!summary) {
+    throw new AppError('Item analysis is already running', HTTP_STATUS.CONFLICT);
+  }
+
+  const response = APIResponse.success(summary, 'Item analysis completed');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/code-similarity:
+ *   get:
+ *     summary: List similar coding submissions
+ *     description: >
+ *       Pairs of candidates whose code for the same coding question the plagiarism check found
+ *       similar, most similar first. Flagged pairs reached CODE_PLAGIARISM_THRESHOLD and were
+ *       raised as suspicious_activity violations on both attempts. Finished attempts are checked
+ *       by a job (CODE_PLAGIARISM_CRON), so new submissions appear within a few minutes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: examId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: questionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minSimilarity
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Similar submissions retrieved successfully
+ */
+router.get('/code-similarity', asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { examId, questionId, flagged, minSimilarity } = req.query;
+
+  const filter = {};
+  if (examId) filter.examId = examId;
+  if (questionId) filter.questionId = questionId;
+  if (flagged !== undefined) filter.flagged = flagged === 'true';
+  if (minSimilarity !== undefined) {
+    const threshold = parseFloat(minSimilarity);
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      throw new AppError('minSimilarity must be a number between 0 and 1', HTTP_STATUS.BAD_REQUEST);
+    }
+    filter.similarity = { $gte: threshold };
+  }
+
+  const [pairs, total] = await Promise.all([
+    CodeSimilarity.find(filter)
+      .populate('first.userId', 'name email')
+      .populate('second.userId', 'name email')
+      .sort({ similarity: -1, comparedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CodeSimilarity.countDocuments(filter)
+  ]);
+
+  const response = APIResponse.success({ pairs }, 'Similar submissions retrieved successfully', createPaginationMeta(page, limit, total));
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/code-similarity/{id}:
+ *   get:
+ *     summary: Get a similar pair with both submissions
+ *     description: Includes both candidates' code so the matching regions can be highlighted side by side.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Similar submissions retrieved successfully
+ *       404:
+ *         description: Pair not found
+ */
+router.get('/code-similarity/:id', asyncHandler(async (req, res) => {
+  const pair = mongoose.isValidObjectId(req.params.id)
+    ? await CodeSimilarity.findById(req.params.id)
+      .populate('first.userId', 'name email')
+      .populate('second.userId', 'name email')
+      .lean()
+    : null;
+
+  if (!pair) {
+    throw new AppError('Similar submission pair not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const results = await Result.find({ resultId: { $in: [pair.first.resultId, pair.second.resultId] } })
+    .select('resultId answers.questionId answers.codeSubmission.code answers.codeSubmission.language')
+    .lean();
+  const codeFor = (resultId) => {
+    const result = results.find(entry => entry.resultId === resultId);
+    const answer = result?.answers.find(entry => entry.questionId === pair.questionId);
+    return answer?.codeSubmission?.code || '';
+  };
+
+  const response = APIResponse.success({
+    ...pair,
+    first: { ...pair.first, code: codeFor(pair.first.resultId) },
+    second: { ...pair.second, code: codeFor(pair.second.resultId) }
+  }, 'Similar submissions retrieved successfully');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/code-similarity/run:
+ *   post:
+ *     summary: Compare all coding submissions of an exam
+ *     description: >
+ *       Attempts are otherwise compared with earlier ones as they are submitted. A full run
+ *       picks up template changes; pairs that were already flagged are not raised again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [examId]
+ *             properties:
+ *               examId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Plagiarism check completed
+ *       404:
+ *         description: Exam not found
+ */
+router.post('/code-similarity/run', asyncHandler(async (req, res) => {
+  const { examId } = req.body || {};
+  if (!examId) {
+    throw new AppError('examId is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const summary = await codePlagiarismService.checkExam(exam);
+
+  const response = APIResponse.success(summary, 'Plagiarism check completed');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/collusion:
+ *   get:
+ *     summary: List pairs of attempts that may have colluded
+ *     description: >
+ *       Pairs of candidates on the same exam with identical wrong answers, near-identical essays,
+ *       aligned answer timing or a shared IP address or device, highest score first. Flagged pairs
+ *       reached COLLUSION_SCORE_THRESHOLD and are in the violation review queue.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: examId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Collusion reports retrieved successfully
+ */
+router.get('/collusion', asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { examId, flagged } = req.query;
+
+  const filter = {};
+  if (examId) filter.examId = examId;
+  if (flagged !== undefined) filter.flagged = flagged === 'true';
+
+  const [reports, total] = await Promise.all([
+    CollusionReport.find(filter)
+      .populate('first.userId', 'name email')
+      .populate('second.userId', 'name email')
+      .sort({ score: -1, analyzedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CollusionReport.countDocuments(filter)
+  ]);
+
+  const response = APIResponse.success({ reports }, 'Collusion reports retrieved successfully', createPaginationMeta(page, limit, total));
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/collusion/run:
+ *   post:
+ *     summary: Compare all attempts of an exam for collusion
+ *     description: >
+ *       Attempts are otherwise compared with earlier ones as they are submitted. A full run
+ *       rescores every pair against all attempts; pairs that were already flagged are not raised again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [examId]
+ *             properties:
+ *               examId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Collusion check completed
+ *       404:
+ *         description: Exam not found
+ */
+router.post('/collusion/run', asyncHandler(async (req, res) => {
+  const { examId } = req.body || {};
+  if (!examId) {
+    throw new AppError('examId is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const exam = await Exam.findOne({ examId });
+  if (!exam) {
+    throw new AppError('Exam not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const summary = await collusionDetectionService.checkExam(exam);
+
+  const response = APIResponse.success(summary, 'Collusion check completed');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+// How each review decision moves a violation through the review queue
+const VIOLATION_REVIEW_OUTCOMES = {
+  valid_violation: { status: 'resolved', finalDecision: 'violation_confirmed' },
+  false_positive: { status: 'dismissed', finalDecision: 'violation_dismissed' },
+  needs_more_info: { status: 'under_review' }
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/violations/review-queue:
+ *   get:
+ *     summary: List violations waiting for review
+ *     description: Violations that require a manual decision and have not been resolved or dismissed, riskiest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: examId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: violationType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ */
+router.get('/violations/review-queue', asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { examId, violationType } = req.query;
+
+  const filter = {
+    'response.reviewRequired': true,
+    'investigation.status': { $in: ['pending', 'under_review', 'escalated'] }
+  };
+  if (examId) filter.examId = examId;
+  if (violationType) filter.violationType = violationType;
+
+  const [violations, total] = await Promise.all([
+    SecurityViolation.find(filter)
+      .populate('userId', 'name email')
+      .populate('investigation.assignedTo', 'name email')
+      .select('-evidence.screenshot -evidence.webcamCapture')
+      .sort({ 'patterns.riskScore': -1, timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    SecurityViolation.countDocuments(filter)
+  ]);
+
+  const response = APIResponse.success({ violations }, 'Review queue retrieved successfully', createPaginationMeta(page, limit, total));
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/violations/{violationId}/review:
+ *   post:
+ *     summary: Record a review decision on a violation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: violationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [valid_violation, false_positive, needs_more_info]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review recorded
+ *       404:
+ *         description: Violation not found
+ *       409:
+ *         description: Violation was already resolved or dismissed
+ */
+router.post('/violations/:violationId/review', asyncHandler(async (req, res) => {
+  const { decision, note } = req.body || {};
+  const outcome = VIOLATION_REVIEW_OUTCOMES[decision];
+  if (!outcome) {
+    throw new AppError(`decision must be one of: ${Object.keys(VIOLATION_REVIEW_OUTCOMES).join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const violation = await SecurityViolation.findOne({ violationId: req.params.violationId });
+  if (!violation) {
+    throw new AppError('Violation not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (['resolved', 'dismissed'].includes(violation.investigation.status)) {
+    throw new AppError('Violation has already been reviewed', HTTP_STATUS.CONFLICT);
+  }
+
+  violation.investigation.reviewNotes.push({
+    timestamp: new Date(),
+    reviewer: req.user._id,
+    note: typeof note === 'string' ? note.trim() : undefined,
+    decision
+  });
+  violation.investigation.assignedTo = req.user._id;
+  violation.investigation.status = outcome.status;
+  if (outcome.finalDecision) {
+    violation.investigation.finalDecision = outcome.finalDecision;
+    violation.investigation.resolutionDate = new Date();
+  }
+  await violation.save();
+
+  const response = APIResponse.success({ violation }, 'Review recorded');
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+// Question bank fields admins are allowed to set
+const QUESTION_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'explanation', 'category',
+  'role', 'difficulty', 'points', 'timeLimit', 'tags', 'codeTemplate',
+  'entryPoint', 'referenceSolution', 'testCases', 'requirements', 'expectedPoints', 'isActive', 'examOnly'
+];
+
+const pickQuestionFields = (body) => {
+  return QUESTION_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+// Question bank filters shared by listing and exporting
+const buildQuestionFilter = ({ type, category, role, difficulty, tags, isActive, examOnly, search }) => {
+  const filter = {};
+  if (type) filter.type = type;
+  if (category) filter.category = category;
+  if (role) filter.role = role;
+  if (difficulty) filter.difficulty = difficulty;
+  if (tags) filter.tags = { $in: tags.split(',').map(tag => tag.trim()) };
+  if (isActive !== undefined) filter.isActive = isActive === 'true';
+  if (examOnly !== undefined) filter.examOnly = examOnly === 'true';
+  if (search) {
+    const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.question = { $regex: escaped, $options: 'i' };
+  }
+  return filter;
+};
+
+// Import files are parsed in memory and never written to disk
+const questionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/questions:
+ *   get:
+ *     summary: List question bank entries
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of tags
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Questions retrieved successfully
+ */
+router.get('/questions', asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = buildQuestionFilter(req.query);
+
+  const [questions, total] = await Promise.all([
+    Question.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Question.countDocuments(filter)
+  ]);
+
+  const response = APIResponse.success(
+    { questions },
+    'Questions retrieved successfully',
+    createPaginationMeta(page, limit, total)
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/questions/import:
+ *   post:
+ *     summary: Bulk import question bank entries
+ *     description: >
+ *       Accepts CSV, the platform's JSON schema, Moodle GIFT or an IMS QTI 2.1 item or
+ *       content package, either as an uploaded file or as text content. Every row is
+ *       validated and checked for duplicates; valid rows are imported and the rest reported.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, gift, qti]
+ *                 description: Detected from the file extension when omitted
+ *               onDuplicate:
+ *                 type: string
+ *                 enum: [skip, update]
+ *                 default: skip
+ *                 description: What to do with rows whose questionId is already in the bank
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate and report without saving anything
+ *               category:
+ *                 type: string
+ *                 description: Category for rows that do not set one
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, gift, qti]
+ *               content:
+ *                 type: string
+ *               onDuplicate:
+ *                 type: string
+ *                 enum: [skip, update]
+ *               dryRun:
+ *                 type: boolean
+ *               category:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Import report with per-row validation errors and duplicates
+ *       400:
+ *         description: Missing content, unknown format or a file that cannot be read
+ */
+router.post('/questions/import', questionUpload.single('file'), asyncHandler(async (req, res) => {
+  const format = req.body.format || questionImportExportService.detectFormat(req.file?.originalname);
+  if (!questionImportExportService.FORMATS.includes(format)) {
+    throw new AppError(
+      `format must be one of: ${questionImportExportService.FORMATS.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const onDuplicate = req.body.onDuplicate || 'skip';
+  if (!questionImportExportService.DUPLICATE_STRATEGIES.includes(onDuplicate)) {
+    throw new AppError(
+      `onDuplicate must be one of: ${questionImportExportService.DUPLICATE_STRATEGIES.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // A JSON body arrives HTML-escaped by the input sanitizer; an uploaded file is never escaped
+  const content = req.file ? req.file.buffer : SecurityManager.restoreSanitizedInput(req.body.content);
+  if (!content) {
+    throw new AppError('Upload a file or send its content', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let entries;
+  try {
+    entries = await questionImportExportService.parse(format, content);
+  } catch (error) {
+    if (error instanceof questionImportExportService.ImportFormatError) {
+      throw new AppError(error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+
+  if (entries.length === 0) {
+    throw new AppError('The file does not contain any questions', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const report = await questionImportExportService.importQuestions(entries, {
+    createdBy: req.user._id,
+    dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+    onDuplicate,
+    defaults: { category: req.file ? req.body.category : SecurityManager.restoreSanitizedInput(req.body.category) }
+  });
+
+  const response = APIResponse.success(
+    report,
+    report.summary.dryRun ? 'Import validated' : 'Questions imported'
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/questions/export:
+ *   get:
+ *     summary: Export question bank entries
+ *     description: >
+ *       Downloads the questions matching the filters. GIFT and QTI only have multiple
+ *       choice and free-text items, so other question types are exported as essays;
+ *       CSV and JSON keep every field. QTI exports are IMS content packages (zip).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, gift, qti]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of tags
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       400:
+ *         description: Unknown format
+ */
+router.get('/questions/export', asyncHandler(async (req, res) => {
+  const { format } = req.query;
+  if (!questionImportExportService.FORMATS.includes(format)) {
+    throw new AppError(
+      `format must be one of: ${questionImportExportService.FORMATS.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const questions = await Question.find(buildQuestionFilter(req.query))
+    .sort({ category: 1, createdAt: 1 })
+    .lean();
+  const { content, contentType, extension } = await questionImportExportService.serialize(format, questions);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="questions-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+  res.setHeader('X-Question-Count', String(questions.length));
+  res.status(HTTP_STATUS.OK).send(content);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/questions/{questionId}:
+ *   get:
+ *     summary: Get a question bank entry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question retrieved successfully
+ *       404:
+ *         description: Question not found
+ */
+router.get('/questions/:questionId', asyncHandler(async (req, res) => {
+  const question = await Question.findOne({ questionId: req.params.questionId }).lean();
+
+  if (!question) {
+    throw new AppError('Question not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const response = APIResponse.success(
+    { question },
+    'Question retrieved successfully'
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/questions:
+ *   post:
+ *     summary: Create a question bank entry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Question created successfully
+ *       422:
+ *         description: Invalid question data
+ */
+router.post('/questions', asyncHandler(async (req, res) => {
+  const question = new Question({
+    questionId: `q_${uuidv4()}`,
+    ...pickQuestionFields(req.body),
+    createdBy: req.user._id,
+    metadata: { source: 'admin' }
+  });
+
+  await question.save();
+
+  const response = APIResponse.success(
+    { question },
+    'Question created successfully'
+  );
+  response.send(res, HTTP_STATUS.CREATED);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/questions/{questionId}:
+ *   put:
+ *     summary: Update a question bank entry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question updated successfully
+ *       404:
+ *         description: Question not found
+ */
+router.put('/questions/:questionId', asyncHandler(async (req, res) => {
+  const question = await Question.findOne({ questionId: req.params.questionId });
+
+  if (!question) {
+    throw new AppError('Question not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  // Assign and save so the MCQ option/answer validation runs on the merged document
+  question.set(pickQuestionFields(req.body));
+  await question.save();
+
+  const response = APIResponse.success(
+    { question },
+    'Question updated successfully'
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/questions/{questionId}:
+ *   delete:
+ *     summary: Delete a question bank entry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully
+ *       404:
+ *         description: Question not found
+ */
+router.delete('/questions/:questionId', asyncHandler(async (req, res) => {
+  const question = await Question.findOneAndDelete({ questionId: req.params.questionId });
+
+  if (!question) {
+    throw new AppError('Question not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const response = APIResponse.success(
+    { questionId: question.questionId },
+    'Question deleted successfully'
+  );
+  response.send(res, HTTP_STATUS.OK);
+}));
+
 /**
  * @swagger
  * /api/v1/admin/performance:
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const { validateAnalyticsQuery } = require('../middleware/validation');
+const analyticsController = require('../controllers/analyticsController');
+
+// The signed-in user's performance across finished attempts
+router.get('/user', AuthMiddleware.authenticate, validateAnalyticsQuery, analyticsController.getUserAnalytics);
+
+// Performance on one category or difficulty, attempt by attempt
+router.get('/category/:category', AuthMiddleware.authenticate, validateAnalyticsQuery, analyticsController.getCategoryPerformance);
+router.get('/difficulty/:difficulty', AuthMiddleware.authenticate, validateAnalyticsQuery, analyticsController.getDifficultyPerformance);
+
+// Scores grouped by period over a timeframe
+router.get('/trends', AuthMiddleware.authenticate, validateAnalyticsQuery, analyticsController.getImprovementTrends);
+
+module.exports = router;
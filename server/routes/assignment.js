@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const assignmentController = require('../controllers/assignmentController');
+
+const RECRUITER_ROLES = ['admin', 'moderator'];
+
+// Exams assigned to the signed-in candidate
+router.get('/mine', AuthMiddleware.authenticate, assignmentController.getMyAssignments);
+
+// Recruiter dashboard of assignments and their statuses
+router.get('/', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), assignmentController.getAssignments);
+
+// Assign an exam to candidates
+router.post('/', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), assignmentController.createAssignments);
+
+// Reissue a candidate's invitation
+router.post('/:assignmentId/invite', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), assignmentController.resendInvite);
+
+module.exports = router;
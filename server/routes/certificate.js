@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const certificateController = require('../controllers/certificateController');
+
+// The signed-in candidate's certificates
+router.get('/', AuthMiddleware.authenticate, certificateController.getMyCertificates);
+
+// Get (issuing if needed) the certificate for a passed result
+router.post('/', AuthMiddleware.authenticate, certificateController.requestCertificate);
+
+// Download a certificate as PDF
+router.get('/:certificateId/pdf', AuthMiddleware.authenticate, certificateController.downloadCertificate);
+
+module.exports = router;
@@ -2,20 +2,45 @@ const express = require('express');
 const router = express.Router();
 const { AuthMiddleware } = require('../middleware/auth');
 const { enforceFullscreen, validateFullscreenHeaders, logFullscreenChanges } = require('../middleware/fullscreenSecurity');
+const { allowRawFields } = require('../middleware/security');
 const examController = require('../controllers/examController');
 
 // Create a new exam
 router.post('/', AuthMiddleware.authenticate, examController.createExam);
 
+// Update an exam; published changes create a new version
+router.put('/:examId', AuthMiddleware.authenticate, examController.updateExam);
+
 // Start an exam
 router.post('/:examId/start', AuthMiddleware.authenticate, validateFullscreenHeaders, logFullscreenChanges, examController.startExam);
 
+// Submit the current section of a sectioned exam
+router.post('/:examId/sections/:sectionId/submit', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, allowRawFields('answers.*.code'), examController.submitSection);
+
 // Submit exam answers
-router.post('/:examId/submit', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, examController.submitExam);
+router.post('/:examId/submit', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, allowRawFields('answers.*.code'), examController.submitExam);
+
+// Autosave the answer to one question
+router.put('/:examId/answers/:questionId', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, allowRawFields('code'), examController.saveAnswer);
+
+// Resume an in-progress exam with its saved answers and remaining time
+router.get('/:examId/session', AuthMiddleware.authenticate, validateFullscreenHeaders, logFullscreenChanges, examController.getExamSession);
+
+// Get the question currently released in a sequential exam
+router.get('/:examId/questions/current', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, examController.getCurrentQuestion);
+
+// Answer the current question of a sequential exam
+router.post('/:examId/questions/:questionId/answer', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, allowRawFields('code'), examController.answerCurrentQuestion);
+
+// Export a result as a PDF report, or all results as CSV/XLSX
+router.get('/:examId/export', AuthMiddleware.authenticate, examController.exportExamReport);
 
 // Get exam results
 router.get('/:examId/results', AuthMiddleware.authenticate, examController.getExamResults);
 
+// List the caller's attempts at an exam with the retake policy
+router.get('/:examId/attempts', AuthMiddleware.authenticate, examController.getExamAttempts);
+
 // Get exam progress
 router.get('/:examId/progress', AuthMiddleware.authenticate, validateFullscreenHeaders, enforceFullscreen, examController.getExamProgress);
 
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const gradingController = require('../controllers/gradingController');
+
+// List answers that need manual review
+router.get('/queue', AuthMiddleware.authenticate, gradingController.getGradingQueue);
+
+// Get a result for grading
+router.get('/results/:resultId', AuthMiddleware.authenticate, gradingController.getResultForGrading);
+
+// Grade or regrade one answer
+router.put('/results/:resultId/answers/:questionId', AuthMiddleware.authenticate, gradingController.gradeAnswer);
+
+// Get the manual grading history of a result
+router.get('/results/:resultId/history', AuthMiddleware.authenticate, gradingController.getGradingHistory);
+
+module.exports = router;
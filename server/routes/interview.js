@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const { allowRawFields } = require('../middleware/security');
+const { codeExecutionLimiter } = require('../middleware/rateLimiter');
+const { validateCodeExecution, validateFeedback, validateMCQQuery } = require('../middleware/validation');
+const interviewController = require('../controllers/interviewController');
+
+// Run code against a question's visible test cases or custom input
+router.post('/run-code', AuthMiddleware.authenticate, codeExecutionLimiter, validateCodeExecution, interviewController.runCode);
+
+// Practice questions drawn from the bank by category and difficulty
+router.get('/mcqs', AuthMiddleware.authenticate, validateMCQQuery, interviewController.getMcqs);
+router.get('/coding', AuthMiddleware.authenticate, validateMCQQuery, interviewController.getCodingChallenge);
+
+// Grade a practice round of MCQs and a coding challenge
+router.post('/feedback', AuthMiddleware.authenticate, codeExecutionLimiter, allowRawFields('codingSubmission.code'), validateFeedback, interviewController.submitFeedback);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const { validateMockInterview } = require('../middleware/validation');
+const mockInterviewController = require('../controllers/mockInterviewController');
+
+// Save a finished session from the simulator
+router.post('/', AuthMiddleware.authenticate, validateMockInterview, mockInterviewController.createMockInterview);
+
+// Score answers for the simulator's results screen without saving them
+router.post('/score', AuthMiddleware.authenticate, validateMockInterview, mockInterviewController.scoreMockInterview);
+
+// The signed-in user's session history
+router.get('/', AuthMiddleware.authenticate, mockInterviewController.getMockInterviews);
+
+// One session with its questions, responses and violations
+router.get('/:sessionId', AuthMiddleware.authenticate, mockInterviewController.getMockInterview);
+
+// Remove a session from the history
+router.delete('/:sessionId', AuthMiddleware.authenticate, mockInterviewController.deleteMockInterview);
+
+module.exports = router;
@@ -4,6 +4,13 @@ const multer = require('multer');
 const path = require('path');
 const mongoose = require('mongoose');
 const { uploadResume } = require('../controllers/resumeController');
+const assignmentController = require('../controllers/assignmentController');
+const certificateController = require('../controllers/certificateController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { RateLimitManager } = require('../utils/security');
+
+// Invitation tokens are guessable only by brute force, so both endpoints are rate limited
+const invitationLimiter = RateLimitManager.createAuthLimiter();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -60,4 +67,26 @@ router.post('/test-upload',
   uploadResume
 );
 
+/**
+ * @route   GET /api/v1/public/invitations/:token
+ * @desc    Look up an exam invitation
+ * @access  Public
+ */
+router.get('/invitations/:token', invitationLimiter, assignmentController.getInvitation);
+
+/**
+ * @route   POST /api/v1/public/invitations/:token/accept
+ * @desc    Accept an exam invitation, linking it to the signed-in account or creating one
+ * @access  Public (optional auth)
+ * @body    name, password: Only when creating an account
+ */
+router.post('/invitations/:token/accept', invitationLimiter, AuthMiddleware.optionalAuth, assignmentController.acceptInvitation);
+
+/**
+ * @route   GET /api/v1/public/certificates/:certificateId/verify
+ * @desc    Check a certificate's signature and whether it was revoked
+ * @access  Public
+ */
+router.get('/certificates/:certificateId/verify', certificateController.verifyCertificate);
+
 module.exports = router;
\ No newline at end of file
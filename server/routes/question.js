@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const questionController = require('../controllers/questionController');
+
+// Get question counts per role and difficulty
+router.get('/stats', AuthMiddleware.authenticate, questionController.getQuestionStats);
+
+// Get a mixed-difficulty question set for a role
+router.get('/mixed', AuthMiddleware.authenticate, questionController.getMixedQuestions);
+
+// Grade a practice question set
+router.post('/grade', AuthMiddleware.authenticate, questionController.gradeQuestions);
+
+module.exports = router;
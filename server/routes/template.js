@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { AuthMiddleware } = require('../middleware/auth');
+const templateController = require('../controllers/templateController');
+
+const RECRUITER_ROLES = ['admin', 'moderator'];
+
+// Template library, filtered by industry, difficulty and exam type
+router.get('/', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), templateController.getTemplates);
+
+// Save an exam as a template
+router.post('/', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), templateController.createTemplate);
+
+// A template with its questions
+router.get('/:templateId', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), templateController.getTemplate);
+
+// Create an exam from a template with overrides
+router.post('/:templateId/exams', AuthMiddleware.authenticate, AuthMiddleware.authorize(...RECRUITER_ROLES), templateController.createExamFromTemplate);
+
+module.exports = router;
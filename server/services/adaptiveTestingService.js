@@ -0,0 +1,216 @@
+/**
+ * Adaptive Testing Service
+ * Computerized adaptive testing over an exam's question pool. Each question is
+ * treated as a two-parameter logistic (2PL) IRT item; after every answer the
+ * candidate's ability is re-estimated and the most informative remaining
+ * question at that ability is released next.
+ * The pool is the exam's own questions plus the active exam-only question bank items
+ * matching the exam's bank filter, snapshotted on the attempt when it starts.
+ * Only exam-only items qualify, since practice hands out the answers to every other item.
+ */
+
+const Question = require('../models/Question');
+const examVersionService = require('./examVersionService');
+
+// Item difficulty (IRT b parameter) for questions without calibrated parameters
+const DIFFICULTY_PARAMETERS = {
+  easy: -1,
+  medium: 0,
+  hard: 1
+};
+
+// Stop once the ability estimate's standard error falls to this
+const DEFAULT_TARGET_STANDARD_ERROR = 0.3;
+
+const DEFAULT_MAX_QUESTIONS = 20;
+
+// Ability scale points used to integrate the posterior (-4 to 4 in steps of 0.1)
+const QUADRATURE_POINTS = Array.from({ length: 81 }, (value, index) => -4 + index * 0.1);
+
+// Most question bank items one attempt's pool takes
+const BANK_POOL_LIMIT = 500;
+
+// Bank filter settings and the Question fields they match
+const BANK_FILTERS = {
+  categories: 'category',
+  roles: 'role',
+  tags: 'tags'
+};
+
+class AdaptiveTestingService {
+  /**
+   * Stopping rules for an exam
+   * @param {Object} [presentation] - The attempt's presentation; its pool caps the question count
+   * @returns {Object} { maxQuestions, targetStandardError }
+   */
+  getSettings(exam, presentation) {
+    const adaptive = exam.configuration?.adaptive || {};
+    return {
+      maxQuestions: Math.min(adaptive.maxQuestions || DEFAULT_MAX_QUESTIONS, exam.getQuestionPool(presentation).length),
+      targetStandardError: adaptive.targetStandardError || DEFAULT_TARGET_STANDARD_ERROR
+    };
+  }
+
+  /**
+   * IRT parameters of a question: calibrated values when present, otherwise its difficulty label
+   * @returns {Object} { discrimination, difficulty }
+   */
+  getItemParameters(question) {
+    return {
+      discrimination: question.irt?.discrimination || 1,
+      difficulty: Number.isFinite(question.irt?.difficulty)
+        ? question.irt.difficulty
+        : (DIFFICULTY_PARAMETERS[question.difficulty] ?? 0)
+    };
+  }
+
+  /**
+   * Probability of a correct answer at an ability level
+   */
+  probability(ability, { discrimination, difficulty }) {
+    return 1 / (1 + Math.exp(-discrimination * (ability - difficulty)));
+  }
+
+  /**
+   * Fisher information an item gives about an ability level
+   */
+  information(ability, item) {
+    const p = this.probability(ability, item);
+    return item.discrimination * item.discrimination * p * (1 - p);
+  }
+
+  /**
+   * Expected a posteriori ability estimate under a standard normal prior,
+   * which stays finite when every answer so far is right (or wrong)
+   * @param {Array} responses - [{ discrimination, difficulty, correct }]
+   * @returns {Object} { estimate, standardError }
+   */
+  estimateAbility(responses) {
+    const weights = QUADRATURE_POINTS.map(ability => {
+      const likelihood = responses.reduce((product, response) => {
+        const p = this.probability(ability, response);
+        return product * (response.correct ? p : 1 - p);
+      }, 1);
+      return likelihood * Math.exp(-ability * ability / 2);
+    });
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const estimate = QUADRATURE_POINTS.reduce((sum, ability, i) => sum + ability * weights[i], 0) / total;
+    const variance = QUADRATURE_POINTS.reduce((sum, ability, i) => sum + (ability - estimate) ** 2 * weights[i], 0) / total;
+
+    return {
+      estimate: Math.round(estimate * 1000) / 1000,
+      standardError: Math.round(Math.sqrt(variance) * 1000) / 1000
+    };
+  }
+
+  /**
+   * Pick the unanswered question that is most informative at the given ability
+   * @param {Object} presentation - The attempt's presentation; its question snapshot is the pool when present
+   * @returns {Object|null} Exam question, or null when the pool is used up
+   */
+  selectNextQuestion(exam, administeredIds, ability, presentation) {
+    const administered = new Set(administeredIds);
+    let best = null;
+    let bestInformation = -1;
+
+    exam.getQuestionPool(presentation).forEach(question => {
+      if (administered.has(question.questionId)) return;
+      const information = this.information(ability, this.getItemParameters(question));
+      if (information > bestInformation) {
+        best = question;
+        bestInformation = information;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Add the exam-only question bank items the exam draws from to an attempt's question snapshot.
+   * Each list in configuration.adaptive.bank narrows the bank; with none set only the exam's own questions are used.
+   * @param {Object} presentation - Presentation with the exam's own questions snapshotted
+   * @returns {Promise<Object>} The presentation with the bank items appended to its snapshot
+   */
+  async addBankQuestions(exam, presentation) {
+    const bank = exam.configuration?.adaptive?.bank || {};
+    const filter = {};
+    Object.entries(BANK_FILTERS).forEach(([setting, field]) => {
+      if (bank[setting] && bank[setting].length > 0) filter[field] = { $in: bank[setting] };
+    });
+    if (Object.keys(filter).length === 0) return presentation;
+
+    const items = await Question.find({ ...filter, isActive: true, examOnly: true })
+      .sort({ questionId: 1 })
+      .limit(BANK_POOL_LIMIT)
+      .lean();
+
+    // An exam question keeps its place when the bank has an item with the same id
+    const own = exam.getQuestionPool(presentation);
+    const ownIds = new Set(own.map(question => question.questionId));
+    return {
+      ...presentation,
+      questions: [
+        ...own,
+        ...items.filter(item => !ownIds.has(item.questionId)).map(item => examVersionService.snapshotQuestion(item))
+      ]
+    };
+  }
+
+  /**
+   * Release the first question of an adaptive attempt, chosen for an average candidate
+   * @param {Object} presentation - Presentation from the randomization service; its question order is replaced
+   */
+  startAttempt(exam, presentation) {
+    const first = this.selectNextQuestion(exam, [], 0, presentation);
+    return { ...presentation, questionOrder: first ? [first.questionId] : [] };
+  }
+
+  /**
+   * Record whether the current question was answered correctly, update the ability
+   * estimate and either release the next question or stop the test
+   * @param {Object} exam - Exam document
+   * @param {Object} result - In-progress Result document; its presentation, adaptive log and ability are updated
+   * @param {Object} response - { questionId, correct }
+   * @returns {Object|null} The next question, or null when the test has stopped
+   */
+  recordResponse(exam, result, { questionId, correct }) {
+    const question = exam.getQuestionPool(result.presentation).find(q => q.questionId === questionId);
+    const item = this.getItemParameters(question);
+
+    result.adaptive.responses.push({ questionId, correct, ...item });
+    const { estimate, standardError } = this.estimateAbility(result.adaptive.responses);
+    const responseEntry = result.adaptive.responses[result.adaptive.responses.length - 1];
+    responseEntry.abilityAfter = estimate;
+    responseEntry.standardErrorAfter = standardError;
+
+    const { maxQuestions, targetStandardError } = this.getSettings(exam, result.presentation);
+    const administered = result.adaptive.responses.length;
+    let stopReason = null;
+    let next = null;
+
+    if (standardError <= targetStandardError) {
+      stopReason = 'precision_reached';
+    } else if (administered >= maxQuestions) {
+      stopReason = 'max_questions';
+    } else {
+      next = this.selectNextQuestion(exam, result.presentation.questionOrder, estimate, result.presentation);
+      if (!next) stopReason = 'pool_exhausted';
+    }
+
+    if (next) {
+      result.presentation.questionOrder.push(next.questionId);
+    }
+
+    result.scoring.ability = {
+      estimate,
+      standardError,
+      questionsAdministered: administered,
+      stopReason: stopReason || undefined
+    };
+
+    return next;
+  }
+}
+
+module.exports = new AdaptiveTestingService();
@@ -0,0 +1,104 @@
+/**
+ * Attempt Policy Service
+ * Decides whether a candidate may start another attempt at an exam and which
+ * of their attempts counts towards their score
+ */
+
+// Attempts that used up one of the candidate's tries
+const FINISHED_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+
+// An attempt being graded has used its try too, though it has no score yet
+const USED_STATUSES = [...FINISHED_STATUSES, 'submitting'];
+
+class AttemptPolicyService {
+  get finishedStatuses() {
+    return FINISHED_STATUSES;
+  }
+
+  /**
+   * Retake settings of an exam
+   * @returns {Object} { maxAttempts (null when unlimited), cooldownMinutes, scoringPolicy }
+   */
+  getPolicy(exam) {
+    return {
+      maxAttempts: exam.maxAttempts > 0 ? exam.maxAttempts : null,
+      cooldownMinutes: exam.retakePolicy?.cooldownMinutes || 0,
+      scoringPolicy: exam.retakePolicy?.scoringPolicy || 'best'
+    };
+  }
+
+  /**
+   * Check whether another attempt may be started now
+   * @param {Object} exam - Exam document
+   * @param {Array} attempts - The candidate's earlier attempts at the exam
+   * @returns {Object} { allowed, reason, attemptsUsed, attemptsRemaining, nextAttemptAt }
+   */
+  checkNewAttempt(exam, attempts, now = new Date()) {
+    const { maxAttempts, cooldownMinutes } = this.getPolicy(exam);
+    const finished = attempts.filter(attempt => USED_STATUSES.includes(attempt.status));
+    const attemptsUsed = finished.length;
+    const attemptsRemaining = maxAttempts === null ? null : Math.max(0, maxAttempts - attemptsUsed);
+
+    if (attemptsRemaining === 0) {
+      return { allowed: false, reason: 'max_attempts', attemptsUsed, attemptsRemaining, nextAttemptAt: null };
+    }
+
+    const lastEnd = finished.reduce((latest, attempt) => {
+      const end = attempt.endTime || attempt.submissionTime;
+      return end && (!latest || end > latest) ? end : latest;
+    }, null);
+    const nextAttemptAt = lastEnd && cooldownMinutes
+      ? new Date(lastEnd.getTime() + cooldownMinutes * 60 * 1000)
+      : null;
+
+    if (nextAttemptAt && nextAttemptAt > now) {
+      return { allowed: false, reason: 'cooldown', attemptsUsed, attemptsRemaining, nextAttemptAt };
+    }
+
+    return { allowed: true, reason: null, attemptsUsed, attemptsRemaining, nextAttemptAt: null };
+  }
+
+  /**
+   * Pick the score that counts under the exam's scoring policy
+   * @param {Object} exam - Exam document (or its policy fields and passingScore)
+   * @param {Array} attempts - The candidate's attempts at the exam
+   * @returns {Object|null} { policy, percentage, passed, resultId, attemptNumber }, or null before any attempt finishes.
+   *   resultId and attemptNumber are null for the average policy.
+   */
+  selectCountedScore(exam, attempts) {
+    const { scoringPolicy } = this.getPolicy(exam);
+    const finished = attempts
+      .filter(attempt => FINISHED_STATUSES.includes(attempt.status))
+      .sort((a, b) => a.attemptNumber - b.attemptNumber);
+
+    if (finished.length === 0) return null;
+
+    if (scoringPolicy === 'average') {
+      const total = finished.reduce((sum, attempt) => sum + (attempt.scoring?.percentage || 0), 0);
+      const percentage = Math.round(total / finished.length * 100) / 100;
+      return {
+        policy: scoringPolicy,
+        percentage,
+        passed: percentage >= (exam.passingScore ?? 70),
+        resultId: null,
+        attemptNumber: null
+      };
+    }
+
+    const counted = scoringPolicy === 'latest'
+      ? finished[finished.length - 1]
+      // Ties go to the earlier attempt
+      : finished.reduce((best, attempt) =>
+        (attempt.scoring?.percentage || 0) > (best.scoring?.percentage || 0) ? attempt : best);
+
+    return {
+      policy: scoringPolicy,
+      percentage: counted.scoring?.percentage || 0,
+      passed: Boolean(counted.scoring?.passed),
+      resultId: counted.resultId,
+      attemptNumber: counted.attemptNumber
+    };
+  }
+}
+
+module.exports = new AttemptPolicyService();
@@ -28,7 +28,20 @@ class CacheService {
     return success;
   }
 
-  // MCQ caching removed - no longer supported
+  /**
+   * Get cached MCQ questions
+   */
+  async getMCQQuestions(category, difficulty) {
+    const key = `mcq:${category}:${difficulty}`;
+    const startTime = Date.now();
+
+    const questions = await cache.get(key);
+    const duration = Date.now() - startTime;
+
+    this.recordCacheMetrics(key, questions !== null, duration);
+
+    return questions;
+  }
 
   /**
    * Cache coding challenges with metadata
@@ -123,6 +136,30 @@ class CacheService {
     return results;
   }
 
+  /**
+   * Cache a performance analytics view for a user.
+   * `version` changes whenever the user's results do, so a new submission or regrade misses the cache.
+   */
+  async cacheAnalytics(userId, view, version, analytics) {
+    const key = `analytics:${userId}:${view}:${version}`;
+    return await cache.set(key, analytics, cacheConfig.analyticsTTL);
+  }
+
+  /**
+   * Get a cached performance analytics view
+   */
+  async getAnalytics(userId, view, version) {
+    const key = `analytics:${userId}:${view}:${version}`;
+    const startTime = Date.now();
+
+    const analytics = await cache.get(key);
+    const duration = Date.now() - startTime;
+
+    this.recordCacheMetrics(key, analytics !== null, duration);
+
+    return analytics;
+  }
+
   /**
    * Intelligent cache warming for frequently accessed data
    */
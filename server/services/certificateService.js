@@ -0,0 +1,241 @@
+/**
+ * Certificate Service
+ * Issues signed completion certificates for passed attempts, keeps them in step with
+ * regrades, verifies them and renders them as PDF
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { SecurityManager } = require('../utils/security');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const FINISHED_STATUSES = ['completed', 'auto_submitted'];
+
+const SIGNATURE_ALGORITHM = 'sha256';
+
+// Fields covered by the signature, in signing order
+const SIGNED_FIELDS = ['certificateId', 'resultId', 'examId', 'userId', 'recipientName', 'examTitle', 'score', 'grade', 'issuedAt'];
+
+const getSigningSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+
+// Unambiguous upper-case characters, so IDs survive being read off paper
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+class CertificateService {
+  /**
+   * Random certificate ID such as CERT-7KQ2-M9XA-PH4T
+   */
+  generateCertificateId() {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+    return `CERT-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+  }
+
+  /**
+   * The exact string that is signed for a certificate
+   */
+  getSignedPayload(certificate) {
+    return SIGNED_FIELDS.map(field => {
+      const value = certificate[field];
+      if (value instanceof Date) return value.toISOString();
+      return value === undefined || value === null ? '' : String(value);
+    }).join('|');
+  }
+
+  sign(certificate) {
+    const secret = getSigningSecret();
+    if (!secret) {
+      throw new Error('CERTIFICATE_SECRET or JWT_SECRET must be set to sign certificates');
+    }
+    return crypto.createHmac(SIGNATURE_ALGORITHM, secret).update(this.getSignedPayload(certificate)).digest('hex');
+  }
+
+  /**
+   * Whether the certificate's stored fields still match its signature
+   */
+  hasValidSignature(certificate) {
+    const expected = Buffer.from(this.sign(certificate), 'hex');
+    const actual = Buffer.from(certificate.signature || '', 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * A result earns a certificate once it is finished, passed and has no answers waiting for review
+   */
+  isEligible(result) {
+    return FINISHED_STATUSES.includes(result.status) &&
+      Boolean(result.scoring?.passed) &&
+      !result.answers.some(answer => answer.review?.status === 'pending');
+  }
+
+  /**
+   * Issue, keep or replace the certificate of a result after it was scored.
+   * A regrade that changes the score replaces the certificate; one that fails the result revokes it.
+   * Certificates an admin revoked are never reissued automatically.
+   * @param {Object} result - Result document
+   * @param {Object} exam - Exam document (for the title)
+   * @returns {Object|null} The result's valid certificate, if any
+   */
+  async syncWithResult(result, exam) {
+    const latest = await Certificate.findOne({ resultId: result.resultId }).sort({ issuedAt: -1 });
+    if (latest?.isRevokedByAdmin()) {
+      return null;
+    }
+
+    const eligible = this.isEligible(result);
+    const current = latest?.status === 'valid' ? latest : null;
+
+    if (current && eligible && current.score === result.scoring.percentage && current.grade === result.scoring.grade) {
+      return current;
+    }
+
+    if (current) {
+      current.status = 'revoked';
+      current.revocation = {
+        revokedAt: new Date(),
+        reason: eligible ? 'Replaced after the result was regraded' : 'The result no longer passes after regrading'
+      };
+      await current.save();
+    }
+
+    return eligible ? this.issue(result, exam) : null;
+  }
+
+  /**
+   * Create and sign a new certificate for a result
+   */
+  async issue(result, exam) {
+    const user = await User.findById(result.userId).select('name');
+
+    const certificate = new Certificate({
+      certificateId: this.generateCertificateId(),
+      resultId: result.resultId,
+      examId: result.examId,
+      userId: result.userId,
+      // Names and titles are stored HTML-escaped; sign the text as it should read
+      recipientName: SecurityManager.restoreSanitizedInput(user?.name || 'Candidate'),
+      examTitle: SecurityManager.restoreSanitizedInput(exam.title),
+      score: result.scoring.percentage,
+      grade: result.scoring.grade,
+      issuedAt: new Date()
+    });
+    certificate.signature = this.sign(certificate);
+    await certificate.save();
+
+    logger.info('Certificate issued', {
+      certificateId: certificate.certificateId,
+      resultId: result.resultId,
+      userId: result.userId.toString()
+    });
+
+    return certificate;
+  }
+
+  /**
+   * Revoke a certificate on an admin's behalf
+   */
+  async revoke(certificate, { revokedBy, reason }) {
+    certificate.status = 'revoked';
+    certificate.revocation = { revokedAt: new Date(), revokedBy, reason };
+    await certificate.save();
+
+    logger.info('Certificate revoked', {
+      certificateId: certificate.certificateId,
+      revokedBy: revokedBy.toString(),
+      reason
+    });
+
+    return certificate;
+  }
+
+  /**
+   * Public verification of a certificate
+   * @returns {Object} { valid, status, reason?, certificate }
+   */
+  verify(certificate) {
+    const details = {
+      certificateId: certificate.certificateId,
+      recipientName: certificate.recipientName,
+      examTitle: certificate.examTitle,
+      score: certificate.score,
+      grade: certificate.grade,
+      issuedAt: certificate.issuedAt
+    };
+
+    if (!this.hasValidSignature(certificate)) {
+      logger.warn('Certificate failed signature verification', { certificateId: certificate.certificateId });
+      return { valid: false, status: 'invalid_signature', reason: 'The certificate details do not match its signature', certificate: details };
+    }
+
+    if (certificate.status === 'revoked') {
+      return {
+        valid: false,
+        status: 'revoked',
+        reason: certificate.revocation?.reason,
+        revokedAt: certificate.revocation?.revokedAt,
+        certificate: details
+      };
+    }
+
+    return { valid: true, status: 'valid', certificate: details };
+  }
+
+  getVerificationUrl(certificate) {
+    return `${CLIENT_URL}/certificates/${certificate.certificateId}`;
+  }
+
+  /**
+   * Render a certificate as a one-page landscape PDF
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(certificate) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 60,
+        info: { Title: `Certificate ${certificate.certificateId}` }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { width, height } = doc.page;
+      const contentWidth = width - 120;
+      doc.lineWidth(3).strokeColor('#1d4ed8').rect(30, 30, width - 60, height - 60).stroke();
+      doc.lineWidth(1).rect(40, 40, width - 80, height - 80).stroke();
+
+      doc.y = 110;
+      doc.font('Helvetica-Bold').fontSize(32).fillColor('#111827')
+        .text('Certificate of Completion', 60, doc.y, { width: contentWidth, align: 'center' });
+      doc.moveDown(1).font('Helvetica').fontSize(14).fillColor('#4b5563')
+        .text('This certifies that', { width: contentWidth, align: 'center' });
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(26).fillColor('#111827')
+        .text(certificate.recipientName, { width: contentWidth, align: 'center' });
+      doc.moveDown(0.5).font('Helvetica').fontSize(14).fillColor('#4b5563')
+        .text('has passed', { width: contentWidth, align: 'center' });
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(20).fillColor('#111827')
+        .text(certificate.examTitle, { width: contentWidth, align: 'center' });
+      doc.moveDown(0.8).font('Helvetica').fontSize(14)
+        .text(`with a score of ${certificate.score}%${certificate.grade ? ` (grade ${certificate.grade})` : ''}`, { width: contentWidth, align: 'center' });
+      doc.moveDown(0.3)
+        .text(`on ${formatDate(certificate.issuedAt)}`, { width: contentWidth, align: 'center' });
+
+      doc.font('Helvetica').fontSize(9).fillColor('#4b5563');
+      doc.text(`Certificate ID: ${certificate.certificateId}`, 60, height - 120, { width: contentWidth, align: 'center' });
+      doc.text(`Verify at ${this.getVerificationUrl(certificate)}`, { width: contentWidth, align: 'center' });
+      doc.text(`Signature: ${certificate.signature}`, { width: contentWidth, align: 'center' });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,472 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Sandboxed Code Execution Service
+ * Runs candidate JavaScript and Python in short-lived child processes with
+ * CPU, memory, output and wall-clock limits. Each run gets its own temp
+ * directory and a stripped environment; JavaScript additionally runs under
+ * the Node permission model (no fs writes, child processes or workers).
+ *
+ * With CODE_EXECUTION_NSJAIL_PATH set, every run happens inside nsjail as an
+ * unprivileged user with its own pid, mount and network namespaces (no network),
+ * a process limit and a seccomp policy. Without the jail, Python is refused -
+ * ulimits alone do not stop it reading the server or spawning processes - and in
+ * production nothing runs at all, since the Node permission model leaves the network open.
+ */
+
+const DEFAULT_LIMITS = {
+  cpuSeconds: parseInt(process.env.CODE_EXECUTION_CPU_SECONDS) || 2,
+  memoryMb: parseInt(process.env.CODE_EXECUTION_MEMORY_MB) || 128,
+  wallClockMs: parseInt(process.env.CODE_EXECUTION_TIMEOUT_MS) || 5000,
+  maxOutputBytes: 64 * 1024
+};
+
+const SUPPORTED_LANGUAGES = ['javascript', 'python'];
+
+const NODE_MAJOR_VERSION = parseInt(process.versions.node.split('.')[0]);
+
+// Where the source directory is mounted inside the jail
+const JAIL_WORK_DIR = '/sandbox';
+
+// nobody:nogroup
+const JAIL_USER_ID = 65534;
+
+const JAIL_MAX_PROCESSES = 16;
+
+// Read-only system paths the interpreters need inside the jail; missing ones are skipped
+const JAIL_SYSTEM_PATHS = ['/bin', '/lib', '/lib64', '/usr', '/etc/alternatives', '/etc/ld.so.cache'];
+
+// Syscalls that could reach outside the namespaces; everything else is allowed
+const JAIL_SECCOMP_POLICY = 'POLICY sandbox { ERRNO(1) { ptrace, process_vm_readv, process_vm_writev, mount, umount2, ' +
+  'pivot_root, chroot, unshare, setns, keyctl, add_key, request_key, bpf, perf_event_open, ' +
+  'kexec_load, init_module, finit_module, delete_module, reboot, swapon, swapoff } } USE sandbox DEFAULT ALLOW';
+
+class CodeExecutionService {
+  constructor(limits = {}, options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.pythonPath = process.env.PYTHON_PATH || 'python3';
+    this.nsjailPath = options.nsjailPath !== undefined ? options.nsjailPath : (process.env.CODE_EXECUTION_NSJAIL_PATH || null);
+    this.production = options.production !== undefined ? options.production : process.env.NODE_ENV === 'production';
+  }
+
+  /**
+   * Check whether a language can be executed on this server
+   */
+  isSupported(language) {
+    return !this.unavailableReason(language);
+  }
+
+  /**
+   * Why code in a language cannot run here, or null when it can
+   */
+  unavailableReason(language) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) return `Unsupported language: ${language}`;
+    if (this.nsjailPath) return null;
+    if (this.production) return 'Code execution is disabled until the sandbox jail is configured';
+    if (language === 'python') return 'Python can only run inside the sandbox jail';
+    if (NODE_MAJOR_VERSION < 20) return 'JavaScript needs Node 20 or later to run without the sandbox jail';
+    return null;
+  }
+
+  /**
+   * Find the function the test harness should call.
+   * Uses the explicit entry point when given, otherwise the first function
+   * declared in the question's code template.
+   */
+  detectEntryPoint(language, codeTemplate = '', entryPoint = null) {
+    if (entryPoint) return entryPoint;
+    if (!codeTemplate) return null;
+
+    const patterns = language === 'python'
+      ? [/^\s*def\s+([A-Za-z_]\w*)\s*\(/m]
+      : [
+        /function\s+([A-Za-z_$][\w$]*)\s*\(/,
+        /(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/
+      ];
+
+    for (const pattern of patterns) {
+      const match = codeTemplate.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Run code once against raw stdin input
+   * @returns {Object} { stdout, stderr, exitCode, timedOut, executionTime }
+   */
+  async execute({ code, language, input = '' }) {
+    this.assertLanguage(language);
+    return this.spawnSandboxed(language, code, input);
+  }
+
+  /**
+   * Run code against a list of test cases
+   * @param {Object} options
+   * @param {string} options.code - Candidate source code
+   * @param {string} options.language - javascript | python
+   * @param {Array} options.testCases - [{ _id, input, expectedOutput, isHidden }]
+   * @param {string} [options.entryPoint] - Function to call; stdin/stdout mode when absent
+   * @returns {Object} { executionResults, totalTestCases, passedTestCases, compilationError }
+   */
+  async runTestCases({ code, language, testCases = [], entryPoint = null }) {
+    this.assertLanguage(language);
+
+    const executionResults = [];
+    let compilationError = null;
+
+    for (const [index, testCase] of testCases.entries()) {
+      const run = entryPoint
+        ? await this.runFunction(language, code, entryPoint, testCase.input)
+        : await this.spawnSandboxed(language, code, testCase.input || '');
+
+      const actualOutput = entryPoint ? run.result : run.stdout;
+      const error = this.describeFailure(run);
+
+      if (index === 0 && error && this.isSyntaxError(language, run.stderr)) {
+        compilationError = run.stderr.trim();
+      }
+
+      executionResults.push({
+        testCaseId: testCase._id ? testCase._id.toString() : `test_${index + 1}`,
+        input: testCase.input,
+        expectedOutput: testCase.expectedOutput,
+        actualOutput: actualOutput !== undefined ? actualOutput : '',
+        passed: !error && this.outputsMatch(actualOutput, testCase.expectedOutput),
+        executionTime: run.executionTime,
+        memoryUsed: run.memoryUsed,
+        error,
+        isHidden: Boolean(testCase.isHidden)
+      });
+
+      // Every later test case would fail the same way
+      if (compilationError) break;
+    }
+
+    return {
+      executionResults,
+      totalTestCases: testCases.length,
+      passedTestCases: executionResults.filter(result => result.passed).length,
+      compilationError
+    };
+  }
+
+  /**
+   * Strip input and expected output from hidden test case results
+   * before they are shown to a candidate
+   */
+  maskHiddenResults(executionResults) {
+    return executionResults.map(result => {
+      if (!result.isHidden) return result;
+      return {
+        testCaseId: result.testCaseId,
+        passed: result.passed,
+        executionTime: result.executionTime,
+        error: result.error ? 'Hidden test case failed' : undefined,
+        isHidden: true
+      };
+    });
+  }
+
+  /**
+   * Call the entry point with the test case input and capture its return value
+   */
+  async runFunction(language, code, entryPoint, input) {
+    const marker = `__RESULT_${crypto.randomBytes(8).toString('hex')}__`;
+    const args = this.parseArguments(input);
+    const harness = language === 'python'
+      ? this.buildPythonHarness(code, entryPoint, args, marker)
+      : this.buildJavaScriptHarness(code, entryPoint, args, marker);
+
+    const run = await this.spawnSandboxed(language, harness, '');
+    const markerIndex = run.stdout.lastIndexOf(marker);
+
+    if (markerIndex === -1) {
+      return { ...run, result: undefined };
+    }
+
+    try {
+      const payload = JSON.parse(run.stdout.slice(markerIndex + marker.length).trim());
+      return {
+        ...run,
+        stdout: run.stdout.slice(0, markerIndex),
+        result: payload.output,
+        memoryUsed: payload.memoryUsed
+      };
+    } catch (error) {
+      return { ...run, result: undefined };
+    }
+  }
+
+  /**
+   * Test case input is JSON when it parses; { "args": [...] } spreads into
+   * several arguments, anything else is passed as the single argument
+   */
+  parseArguments(input) {
+    if (input === undefined || input === null || input === '') return [];
+    try {
+      const parsed = JSON.parse(input);
+      if (parsed && typeof parsed === 'object' && Array.isArray(parsed.args)) {
+        return parsed.args;
+      }
+      return [parsed];
+    } catch (error) {
+      return [input];
+    }
+  }
+
+  buildJavaScriptHarness(code, entryPoint, args, marker) {
+    // Candidates often keep the template's ES module export; the harness runs as CommonJS
+    const source = code
+      .replace(/^\s*export\s+default\s+[\w$]+\s*;?\s*$/gm, '')
+      .replace(/^(\s*)export\s+(default\s+)?/gm, '$1');
+
+    return `${source}
+
+;(async () => {
+  try {
+    const __result = await ${entryPoint}(...${JSON.stringify(args)});
+    const __output = typeof __result === 'string' ? __result : JSON.stringify(__result);
+    process.stdout.write('\\n${marker}' + JSON.stringify({ output: __output, memoryUsed: process.memoryUsage().rss }));
+  } catch (error) {
+    process.stderr.write(String((error && error.stack) || error));
+    process.exitCode = 1;
+  }
+})();
+`;
+  }
+
+  buildPythonHarness(code, entryPoint, args, marker) {
+    return `${code}
+
+import json as __json, resource as __resource, sys as __sys
+__result = ${entryPoint}(*__json.loads(${JSON.stringify(JSON.stringify(args))}))
+__output = __result if isinstance(__result, str) else __json.dumps(__result)
+__sys.stdout.write("\\n${marker}" + __json.dumps({"output": __output, "memoryUsed": __resource.getrusage(__resource.RUSAGE_SELF).ru_maxrss * 1024}))
+`;
+  }
+
+  /**
+   * Compare outputs as trimmed text, falling back to JSON equality
+   * so "[1, 2]" and "[1,2]" match
+   */
+  outputsMatch(actual, expected) {
+    if (actual === undefined || actual === null) return false;
+
+    const normalize = (value) => String(value).replace(/\r\n/g, '\n').trim();
+    if (normalize(actual) === normalize(expected)) return true;
+
+    try {
+      return JSON.stringify(JSON.parse(actual)) === JSON.stringify(JSON.parse(expected));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  describeFailure(run) {
+    if (run.timedOut) return `Time limit exceeded (${this.limits.wallClockMs}ms)`;
+    if (run.outputLimitExceeded) return 'Output limit exceeded';
+    if (run.signal === 'SIGXCPU' || run.signal === 'SIGKILL') return 'CPU or memory limit exceeded';
+    if (run.exitCode !== 0) return run.stderr.trim().split('\n').slice(-5).join('\n') || `Exited with code ${run.exitCode}`;
+    return undefined;
+  }
+
+  isSyntaxError(language, stderr = '') {
+    return language === 'python'
+      ? /SyntaxError|IndentationError/.test(stderr)
+      : /SyntaxError/.test(stderr);
+  }
+
+  assertLanguage(language) {
+    const reason = this.unavailableReason(language);
+    if (reason) {
+      throw new Error(reason);
+    }
+  }
+
+  /**
+   * Build the command line for a language, wrapped in a shell that applies
+   * ulimit-based CPU, file size and (for Python) address-space limits
+   */
+  buildCommand(language, filePath, workDir) {
+    if (this.nsjailPath) {
+      return this.buildJailCommand(language, path.basename(filePath), workDir);
+    }
+
+    const { cpuSeconds, memoryMb } = this.limits;
+    let command;
+    let args;
+    // V8 reserves far more virtual memory than it uses, so Node is capped
+    // through its heap size rather than ulimit -v
+    let addressSpaceKb = null;
+
+    if (language === 'javascript') {
+      command = process.execPath;
+      args = [`--max-old-space-size=${memoryMb}`, '--disallow-code-generation-from-strings'];
+      if (NODE_MAJOR_VERSION >= 20) {
+        args.push('--experimental-permission', `--allow-fs-read=${workDir}`);
+      }
+      args.push(filePath);
+    } else {
+      command = this.pythonPath;
+      args = ['-I', '-B', filePath];
+      addressSpaceKb = memoryMb * 1024 * 4; // Interpreter overhead on top of the program
+    }
+
+    if (process.platform === 'win32') {
+      return { command, args };
+    }
+
+    const limits = [`ulimit -t ${cpuSeconds}`, 'ulimit -f 1024'];
+    if (addressSpaceKb) limits.push(`ulimit -v ${addressSpaceKb}`);
+
+    return {
+      command: '/bin/sh',
+      args: ['-c', `${limits.join('; ')}; exec "$0" "$@"`, command, ...args]
+    };
+  }
+
+  /**
+   * Build the nsjail command line. The jail runs one process as nobody with no network
+   * interfaces, sees only the read-only system paths and the run's own directory, and
+   * applies the CPU, memory, file size and process limits itself.
+   */
+  buildJailCommand(language, fileName, workDir) {
+    const { cpuSeconds, memoryMb, wallClockMs } = this.limits;
+    const file = path.posix.join(JAIL_WORK_DIR, fileName);
+
+    const interpreter = language === 'javascript'
+      ? {
+        command: process.execPath,
+        args: [`--max-old-space-size=${memoryMb}`, '--disallow-code-generation-from-strings',
+          '--experimental-permission', `--allow-fs-read=${JAIL_WORK_DIR}`, file],
+        // V8 reserves far more address space than it uses; its heap flag caps memory instead
+        addressSpace: 'max'
+      }
+      : { command: this.pythonPath, args: ['-I', '-B', file], addressSpace: String(memoryMb * 4) };
+
+    const mounts = [...JAIL_SYSTEM_PATHS, path.dirname(path.dirname(process.execPath))]
+      .filter((mount, index, all) => all.indexOf(mount) === index && existsSync(mount))
+      .flatMap(mount => ['--bindmount_ro', mount]);
+
+    return {
+      command: this.nsjailPath,
+      args: [
+        '--mode', 'o',
+        '--really_quiet',
+        '--user', String(JAIL_USER_ID),
+        '--group', String(JAIL_USER_ID),
+        '--hostname', 'sandbox',
+        '--time_limit', String(Math.ceil(wallClockMs / 1000) + 1),
+        '--rlimit_cpu', String(cpuSeconds),
+        '--rlimit_as', interpreter.addressSpace,
+        '--rlimit_fsize', '1',
+        '--rlimit_nofile', '64',
+        '--rlimit_nproc', String(JAIL_MAX_PROCESSES),
+        '--seccomp_string', JAIL_SECCOMP_POLICY,
+        ...mounts,
+        '--bindmount_ro', `${workDir}:${JAIL_WORK_DIR}`,
+        '--cwd', JAIL_WORK_DIR,
+        '--env', `HOME=${JAIL_WORK_DIR}`,
+        '--env', 'PATH=/usr/local/bin:/usr/bin:/bin',
+        '--env', 'PYTHONHASHSEED=0',
+        '--',
+        interpreter.command,
+        ...interpreter.args
+      ]
+    };
+  }
+
+  /**
+   * Write the source to a private temp directory and run it
+   */
+  async spawnSandboxed(language, source, input) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'));
+    const filePath = path.join(workDir, language === 'python' ? 'main.py' : 'main.js');
+
+    try {
+      // The jailed user is not the owner, so the source has to be world-readable inside the private directory
+      await fs.writeFile(filePath, source, { mode: this.nsjailPath ? 0o644 : 0o600 });
+      if (this.nsjailPath) await fs.chmod(workDir, 0o755);
+      const { command, args } = this.buildCommand(language, filePath, workDir);
+      return await this.runProcess(command, args, workDir, input);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  runProcess(command, args, cwd, input) {
+    const { wallClockMs, maxOutputBytes } = this.limits;
+
+    return new Promise((resolve) => {
+      const startTime = process.hrtime.bigint();
+      const child = spawn(command, args, {
+        cwd,
+        env: { PATH: process.env.PATH, HOME: cwd, PYTHONHASHSEED: '0' },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let outputBytes = 0;
+      let timedOut = false;
+      let outputLimitExceeded = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, wallClockMs);
+
+      const collect = (stream) => (chunk) => {
+        outputBytes += chunk.length;
+        if (outputBytes > maxOutputBytes) {
+          outputLimitExceeded = true;
+          child.kill('SIGKILL');
+          return;
+        }
+        if (stream === 'stdout') stdout += chunk.toString();
+        else stderr += chunk.toString();
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({
+          stdout,
+          stderr: error.message,
+          exitCode: -1,
+          signal: null,
+          timedOut,
+          outputLimitExceeded,
+          executionTime: 0
+        });
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({
+          stdout,
+          stderr,
+          exitCode,
+          signal,
+          timedOut,
+          outputLimitExceeded,
+          executionTime: Number(process.hrtime.bigint() - startTime) / 1e6
+        });
+      });
+
+      // The child may exit before reading stdin
+      child.stdin.on('error', () => {});
+      child.stdin.end(input || '');
+    });
+  }
+}
+
+module.exports = new CodeExecutionService();
@@ -0,0 +1,483 @@
+/**
+ * Code Plagiarism Service
+ * Compares candidates' code for the same coding question. Submissions are reduced to
+ * normalized token streams (identifiers, literals, comments and whitespace abstracted
+ * away) and matched with greedy string tiling, which yields both a similarity score and
+ * the regions the two submissions share. Code from the question's template is ignored.
+ * Tiling is roughly cubic in the token count, so submissions are cut to a fixed length and
+ * finished attempts are queued and checked by a scheduled job, never on the submit request.
+ */
+
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const Exam = require('../models/Exam');
+const Result = require('../models/Result');
+const CodeSimilarity = require('../models/CodeSimilarity');
+const SecurityViolation = require('../models/SecurityViolation');
+const logger = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'auto_submitted'];
+
+// Pairs at or above this similarity (0-1) are raised as suspicious activity
+const PLAGIARISM_THRESHOLD = parseFloat(process.env.CODE_PLAGIARISM_THRESHOLD) || 0.8;
+
+// Pairs below this similarity are not stored
+const REPORT_THRESHOLD = Math.min(0.5, PLAGIARISM_THRESHOLD);
+
+// Shortest run of tokens that counts as a matching region
+const MIN_MATCH_TOKENS = 8;
+
+// Submissions with fewer tokens of their own than this are too short to compare meaningfully
+const MIN_SUBMISSION_TOKENS = 20;
+
+// Only this many tokens of a submission (a few hundred lines) are compared
+const MAX_SUBMISSION_TOKENS = parseInt(process.env.CODE_PLAGIARISM_MAX_TOKENS) || 2000;
+
+// How often queued attempts are checked (every five minutes by default)
+const CHECK_JOB_SCHEDULE = process.env.CODE_PLAGIARISM_CRON || '*/5 * * * *';
+
+// Attempts checked per run; the rest wait for the next run
+const CHECK_BATCH_SIZE = 50;
+
+const SUBMISSION_FIELDS = 'resultId examId userId answers.questionId answers.codeSubmission.code answers.codeSubmission.language';
+
+const KEYWORDS = {
+  javascript: new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'super', 'switch', 'this', 'throw',
+    'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+  ]),
+  python: new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+    'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+    'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+  ])
+};
+
+// One alternative per token class, tried in order: whitespace, comment, string, number, word, punctuation
+const TOKEN_PATTERNS = {
+  javascript: new RegExp([
+    /(\s+)/.source,
+    /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))/.source,
+    /(`(?:\\[\s\S]|[^\\`])*`?|'(?:\\.|[^\\'\n])*'?|"(?:\\.|[^\\"\n])*"?)/.source,
+    /((?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?)/.source,
+    /([A-Za-z_$][\w$]*)/.source,
+    /(\S)/.source
+  ].join('|'), 'y'),
+  python: new RegExp([
+    /(\s+)/.source,
+    /(#[^\n]*)/.source,
+    /([rRbBuUfF]{0,2}(?:'''[\s\S]*?(?:'''|$)|"""[\s\S]*?(?:"""|$)|'(?:\\.|[^\\'\n])*'?|"(?:\\.|[^\\"\n])*"?))/.source,
+    /((?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[jJ]?)/.source,
+    /([A-Za-z_]\w*)/.source,
+    /(\S)/.source
+  ].join('|'), 'y')
+};
+
+// Tokens that style alone decides whether to write
+const IGNORED_TOKENS = {
+  javascript: new Set([';']),
+  python: new Set()
+};
+
+class CodePlagiarismService {
+  constructor() {
+    this.checkTask = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Normalized tokens of a piece of code with the line each starts on. Identifiers
+   * become ID, literals STR and NUM; keywords and punctuation are kept as written.
+   * @param {string} code
+   * @param {string} language - javascript | python (others are tokenized as javascript)
+   * @returns {Array<{value: string, line: number}>}
+   */
+  tokenize(code, language) {
+    const syntax = TOKEN_PATTERNS[language] ? language : 'javascript';
+    const pattern = TOKEN_PATTERNS[syntax];
+    const keywords = KEYWORDS[syntax];
+    const ignored = IGNORED_TOKENS[syntax];
+    const tokens = [];
+    const source = code || '';
+
+    let line = 1;
+    pattern.lastIndex = 0;
+    while (pattern.lastIndex < source.length) {
+      const match = pattern.exec(source);
+      if (!match) break;
+      const [text, , , string, number, word, punctuation] = match;
+
+      if (string !== undefined) tokens.push({ value: 'STR', line });
+      else if (number !== undefined) tokens.push({ value: 'NUM', line });
+      else if (word !== undefined) tokens.push({ value: keywords.has(word) ? word : 'ID', line });
+      else if (punctuation !== undefined && !ignored.has(punctuation)) tokens.push({ value: punctuation, line });
+
+      line += text.split('\n').length - 1;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Greedy string tiling: repeatedly take the longest common runs of unmarked tokens,
+   * longest first, until no run of at least minMatch tokens remains
+   * @param {Array<string>} a
+   * @param {Array<string>} b
+   * @param {Object} [options]
+   * @param {Array<boolean>} [options.markedA] - Tokens of a that may not be matched; updated in place
+   * @param {Array<boolean>} [options.markedB] - Tokens of b that may not be matched; updated in place
+   * @returns {Array<{startA: number, startB: number, length: number}>}
+   */
+  greedyStringTiling(a, b, { minMatch = MIN_MATCH_TOKENS, markedA = a.map(() => false), markedB = b.map(() => false) } = {}) {
+    const tiles = [];
+
+    for (;;) {
+      let longest = minMatch;
+      let candidates = [];
+
+      for (let i = 0; i < a.length; i++) {
+        if (markedA[i]) continue;
+        for (let j = 0; j < b.length; j++) {
+          if (markedB[j] || a[i] !== b[j]) continue;
+          let length = 0;
+          while (i + length < a.length && j + length < b.length &&
+            a[i + length] === b[j + length] && !markedA[i + length] && !markedB[j + length]) {
+            length++;
+          }
+          if (length > longest) {
+            longest = length;
+            candidates = [{ startA: i, startB: j, length }];
+          } else if (length === longest) {
+            candidates.push({ startA: i, startB: j, length });
+          }
+        }
+      }
+
+      if (candidates.length === 0) break;
+
+      // Runs of the same length may overlap; the first one found wins
+      candidates.forEach(candidate => {
+        for (let k = 0; k < candidate.length; k++) {
+          if (markedA[candidate.startA + k] || markedB[candidate.startB + k]) return;
+        }
+        for (let k = 0; k < candidate.length; k++) {
+          markedA[candidate.startA + k] = true;
+          markedB[candidate.startB + k] = true;
+        }
+        tiles.push(candidate);
+      });
+    }
+
+    return tiles.sort((x, y) => x.startA - y.startA);
+  }
+
+  /**
+   * Tokenize a submission and mark the tokens it shares with the question's template.
+   * Tokens past MAX_SUBMISSION_TOKENS are dropped.
+   */
+  prepareSubmission(code, language, codeTemplate) {
+    const tokens = this.tokenize(code, language).slice(0, MAX_SUBMISSION_TOKENS);
+    const values = tokens.map(token => token.value);
+    const excluded = values.map(() => false);
+
+    if (codeTemplate) {
+      const template = this.tokenize(codeTemplate, language).slice(0, MAX_SUBMISSION_TOKENS).map(token => token.value);
+      this.greedyStringTiling(values, template, { markedA: excluded });
+    }
+
+    return {
+      values,
+      lines: tokens.map(token => token.line),
+      excluded,
+      size: excluded.filter(isExcluded => !isExcluded).length
+    };
+  }
+
+  /**
+   * Compare two prepared submissions
+   * @returns {Object|null} { similarity, matchedTokens, regions }, or null when either is too short
+   */
+  compareSubmissions(first, second) {
+    if (first.size < MIN_SUBMISSION_TOKENS || second.size < MIN_SUBMISSION_TOKENS) return null;
+
+    const tiles = this.greedyStringTiling(first.values, second.values, {
+      markedA: [...first.excluded],
+      markedB: [...second.excluded]
+    });
+    const matchedTokens = tiles.reduce((sum, tile) => sum + tile.length, 0);
+
+    return {
+      similarity: Number(((2 * matchedTokens) / (first.size + second.size)).toFixed(3)),
+      matchedTokens,
+      regions: tiles.map(tile => ({
+        first: { startLine: first.lines[tile.startA], endLine: first.lines[tile.startA + tile.length - 1] },
+        second: { startLine: second.lines[tile.startB], endLine: second.lines[tile.startB + tile.length - 1] },
+        tokens: tile.length
+      }))
+    };
+  }
+
+  /**
+   * Compare every pair of candidates' code for each coding question of an exam
+   * @param {Object} exam
+   * @param {Array} results - Finished attempts with resultId, userId and answers
+   * @param {Object} [options]
+   * @param {string} [options.resultId] - Only compare this attempt against the others
+   * @returns {Array} Pairs at or above the reporting threshold
+   */
+  findSimilarPairs(exam, results, { resultId } = {}) {
+    const pairs = [];
+
+    exam.questions.filter(question => question.type === 'coding').forEach(question => {
+      const submissions = results.map(result => {
+        const answer = result.answers.find(entry => entry.questionId === question.questionId);
+        const code = answer?.codeSubmission?.code;
+        if (!code || !code.trim()) return null;
+
+        const language = answer.codeSubmission.language;
+        return { result, language, ...this.prepareSubmission(code, language, question.codeTemplate) };
+      }).filter(Boolean);
+
+      for (let i = 0; i < submissions.length; i++) {
+        for (let j = i + 1; j < submissions.length; j++) {
+          const [first, second] = [submissions[i], submissions[j]]
+            .sort((x, y) => x.result.resultId.localeCompare(y.result.resultId));
+
+          if (resultId && first.result.resultId !== resultId && second.result.resultId !== resultId) continue;
+          if (String(first.result.userId) === String(second.result.userId)) continue;
+          if (first.language !== second.language) continue;
+
+          const comparison = this.compareSubmissions(first, second);
+          if (!comparison || comparison.similarity < REPORT_THRESHOLD) continue;
+
+          pairs.push({
+            examId: exam.examId,
+            questionId: question.questionId,
+            language: first.language,
+            first: { resultId: first.result.resultId, userId: first.result.userId },
+            second: { resultId: second.result.resultId, userId: second.result.userId },
+            ...comparison
+          });
+        }
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Raise a suspicious activity violation on both attempts of a pair
+   * @returns {Array<string>} The new violation ids
+   */
+  async raiseViolations(pair) {
+    const percent = Math.round(pair.similarity * 100);
+    const violationIds = [];
+
+    for (const [own, other] of [[pair.first, pair.second], [pair.second, pair.first]]) {
+      const violation = new SecurityViolation({
+        violationId: uuidv4(),
+        userId: own.userId,
+        examId: pair.examId,
+        resultId: own.resultId,
+        questionId: pair.questionId,
+        relatedResultId: other.resultId,
+        violationType: 'suspicious_activity',
+        severity: pair.similarity >= 0.95 ? 'high' : 'medium',
+        description: `Code for question ${pair.questionId} is ${percent}% similar to another candidate's submission`,
+        detectionMethod: 'server_side',
+        context: { currentStage: 'coding' },
+        response: {
+          actionTaken: 'manual_review_flagged',
+          automaticResponse: true,
+          reviewRequired: true
+        },
+        metadata: { reportedBy: 'system', confidence: pair.similarity }
+      });
+      violation.calculateRiskScore();
+      await violation.save();
+
+      await Result.updateOne(
+        { resultId: own.resultId },
+        { $push: { 'securityEvents.violations': violation._id }, $inc: { 'securityEvents.violationCount': 1 } }
+      );
+      violationIds.push(violation.violationId);
+    }
+
+    logger.warn('Possible code plagiarism detected', {
+      examId: pair.examId,
+      questionId: pair.questionId,
+      resultIds: [pair.first.resultId, pair.second.resultId],
+      similarity: pair.similarity
+    });
+
+    return violationIds;
+  }
+
+  /**
+   * Store pairs and raise violations for those that newly reach the threshold.
+   * A pair is only ever raised once, however often it is compared again.
+   * @returns {number} How many pairs were newly flagged
+   */
+  async recordPairs(pairs, comparedAt = new Date()) {
+    let flagged = 0;
+
+    for (const pair of pairs) {
+      const similarity = await CodeSimilarity.findOneAndUpdate(
+        {
+          examId: pair.examId,
+          questionId: pair.questionId,
+          'first.resultId': pair.first.resultId,
+          'second.resultId': pair.second.resultId
+        },
+        { $set: { ...pair, comparedAt } },
+        { upsert: true, new: true }
+      );
+
+      if (pair.similarity >= PLAGIARISM_THRESHOLD && !similarity.flagged) {
+        similarity.violationIds = await this.raiseViolations(pair);
+        similarity.flagged = true;
+        await similarity.save();
+        flagged += 1;
+      }
+    }
+
+    return flagged;
+  }
+
+  /**
+   * Compare a newly finished attempt with the exam's other finished attempts
+   * @returns {Object} { pairs, flagged }
+   */
+  async checkResult(result, exam) {
+    if (!exam.questions.some(question => question.type === 'coding')) return { pairs: 0, flagged: 0 };
+
+    const others = await Result.find({
+      examId: exam.examId,
+      status: { $in: FINISHED_STATUSES },
+      resultId: { $ne: result.resultId }
+    })
+      .select(SUBMISSION_FIELDS)
+      .lean();
+
+    const pairs = this.findSimilarPairs(exam, [result, ...others], { resultId: result.resultId });
+    const flagged = await this.recordPairs(pairs);
+    return { pairs: pairs.length, flagged };
+  }
+
+  /**
+   * Compare all finished attempts of an exam, replacing its stored pairs
+   * @returns {Object} { attempts, pairs, flagged }
+   */
+  async checkExam(exam) {
+    const comparedAt = new Date();
+    const results = await Result.find({ examId: exam.examId, status: { $in: FINISHED_STATUSES } })
+      .select(SUBMISSION_FIELDS)
+      .lean();
+
+    const pairs = this.findSimilarPairs(exam, results);
+    const flagged = await this.recordPairs(pairs, comparedAt);
+
+    // Pairs no longer similar enough to report; flagged ones stay with their violations
+    await CodeSimilarity.deleteMany({ examId: exam.examId, flagged: false, comparedAt: { $lt: comparedAt } });
+
+    logger.info('Code plagiarism check completed', {
+      examId: exam.examId,
+      attempts: results.length,
+      pairs: pairs.length,
+      flagged
+    });
+    return { attempts: results.length, pairs: pairs.length, flagged };
+  }
+
+  /**
+   * Queue a finished attempt for the check job when its exam has coding questions.
+   * Only sets the field; the caller saves the result.
+   */
+  queueResult(result, exam) {
+    if (!exam.questions.some(question => question.type === 'coding')) return;
+    result.securityEvents.plagiarismCheck = { status: 'pending' };
+  }
+
+  /**
+   * Check queued attempts, oldest submission first
+   * @returns {Object} { checked, failed, flagged }
+   */
+  async processQueue() {
+    const queued = await Result.find({
+      status: { $in: FINISHED_STATUSES },
+      'securityEvents.plagiarismCheck.status': 'pending'
+    })
+      .sort({ submissionTime: 1 })
+      .limit(CHECK_BATCH_SIZE)
+      .select(SUBMISSION_FIELDS)
+      .lean();
+
+    const exams = new Map();
+    const summary = { checked: 0, failed: 0, flagged: 0 };
+
+    for (const result of queued) {
+      let status = 'completed';
+      try {
+        if (!exams.has(result.examId)) exams.set(result.examId, await Exam.findOne({ examId: result.examId }));
+        const exam = exams.get(result.examId);
+        if (exam) {
+          const { flagged } = await this.checkResult(result, exam);
+          summary.flagged += flagged;
+        }
+        summary.checked += 1;
+      } catch (error) {
+        // A failed check is not retried; a full run of the exam (checkExam) covers the attempt
+        status = 'failed';
+        summary.failed += 1;
+        logger.error('Failed to check code for plagiarism', { resultId: result.resultId, error: error.message });
+      }
+
+      await Result.updateOne(
+        { resultId: result.resultId },
+        { $set: { 'securityEvents.plagiarismCheck': { status, checkedAt: new Date() } } }
+      );
+
+      // Let requests waiting on the event loop through between attempts
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    if (queued.length > 0) {
+      logger.info('Queued plagiarism checks completed', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Schedule the check of queued attempts
+   */
+  startCheckJob() {
+    if (this.checkTask) return this.checkTask;
+
+    this.checkTask = cron.schedule(CHECK_JOB_SCHEDULE, async () => {
+      // Skip a tick rather than check the same attempts twice when a run goes long
+      if (this.isRunning) return;
+      this.isRunning = true;
+      try {
+        await this.processQueue();
+      } catch (error) {
+        logger.error('Plagiarism check job failed', { error: error.message });
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    console.log('✅ Code plagiarism job scheduled');
+    return this.checkTask;
+  }
+
+  stopCheckJob() {
+    if (this.checkTask) {
+      this.checkTask.stop();
+      this.checkTask = null;
+    }
+  }
+}
+
+module.exports = new CodePlagiarismService();
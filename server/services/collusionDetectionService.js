@@ -0,0 +1,400 @@
+/**
+ * Collusion Detection Service
+ * Compares finished attempts on the same exam pairwise for signs that candidates worked
+ * together: identical wrong MCQ answers beyond what chance explains, near-identical essay
+ * wording, answers saved in lockstep, and a shared IP address or device fingerprint.
+ * Pairs whose combined score reaches the threshold are raised for review.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Result = require('../models/Result');
+const CollusionReport = require('../models/CollusionReport');
+const SecurityViolation = require('../models/SecurityViolation');
+const logger = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'auto_submitted'];
+
+// Pairs scoring at least this (0-100) are raised as suspicious activity
+const COLLUSION_THRESHOLD = parseInt(process.env.COLLUSION_SCORE_THRESHOLD) || 50;
+
+// Pairs scoring below this are not stored
+const REPORT_SCORE = Math.min(30, COLLUSION_THRESHOLD);
+
+// What each signal adds to a pair's score. Shared networks and devices only support
+// the answer-based signals: on their own they cannot reach the default threshold.
+const WEIGHTS = {
+  wrongAnswers: 50,
+  essays: 50,
+  timing: 30,
+  sharedDeviceFingerprint: 30,
+  sharedIpAddress: 10
+};
+
+const THRESHOLDS = {
+  // Identical wrong answers needed, and how unlikely that many must be by chance
+  minIdenticalWrong: 3,
+  maxWrongAnswerProbability: 0.001,
+  // Essays shorter than this are left out; overlap of three-word sequences (0-1)
+  minEssayWords: 20,
+  reportedEssaySimilarity: 0.5,
+  essaySimilarity: 0.8,
+  // Answers saved this close together count as aligned
+  timingWindowSeconds: 20,
+  minAlignedAnswers: 5,
+  minAlignedShare: 0.8
+};
+
+const hasAnswer = (answer) => Boolean(answer) && answer.userAnswer !== null && answer.userAnswer !== undefined && answer.userAnswer !== '';
+
+/**
+ * Distinct three-word sequences of a text, ignoring case and punctuation
+ */
+const shingles = (text) => {
+  const words = text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+  const result = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) {
+    result.add(words.slice(i, i + 3).join(' '));
+  }
+  return { words: words.length, shingles: result };
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(value => { if (b.has(value)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Probability of at least `observed` successes among independent trials with the given probabilities
+ */
+const tailProbability = (probabilities, observed) => {
+  // distribution[k] = probability of exactly k successes so far
+  let distribution = [1];
+  probabilities.forEach(p => {
+    const next = new Array(distribution.length + 1).fill(0);
+    distribution.forEach((value, k) => {
+      next[k] += value * (1 - p);
+      next[k + 1] += value * p;
+    });
+    distribution = next;
+  });
+  return distribution.slice(observed).reduce((sum, value) => sum + value, 0);
+};
+
+class CollusionDetectionService {
+  /**
+   * For each MCQ question, the chance that two candidates who both got it wrong picked the
+   * same wrong option, from how wrong answers are spread across all attempts. Counts are
+   * smoothed so a pair is never judged against a population of just themselves.
+   * @returns {Map<string, number>}
+   */
+  buildMatchProbabilities(exam, results) {
+    const probabilities = new Map();
+
+    exam.questions.filter(question => question.type === 'mcq').forEach(question => {
+      const distractorCount = (question.options || []).length - 1;
+      if (distractorCount < 1) return;
+
+      const counts = new Map();
+      results.forEach(result => {
+        const answer = result.answers.find(entry => entry.questionId === question.questionId);
+        if (!hasAnswer(answer) || answer.isCorrect !== false) return;
+        const option = String(answer.userAnswer);
+        counts.set(option, (counts.get(option) || 0) + 1);
+      });
+
+      const wrongTotal = [...counts.values()].reduce((sum, count) => sum + count, 0);
+      const denominator = wrongTotal + distractorCount;
+      const unchosen = Math.max(distractorCount - counts.size, 0);
+      const chosen = [...counts.values()].reduce((sum, count) => sum + ((count + 1) / denominator) ** 2, 0);
+      probabilities.set(question.questionId, Math.min(chosen + unchosen * (1 / denominator) ** 2, 1));
+    });
+
+    return probabilities;
+  }
+
+  /**
+   * What the pair comparisons need from one attempt
+   */
+  prepareAttempt(result) {
+    const wrongAnswers = new Map();
+    const essays = new Map();
+    const savedAt = new Map();
+
+    result.answers.forEach(answer => {
+      if (answer.questionType === 'mcq' && hasAnswer(answer) && answer.isCorrect === false) {
+        wrongAnswers.set(answer.questionId, String(answer.userAnswer));
+      }
+      if (answer.questionType === 'essay') {
+        const text = answer.textResponse?.content || (typeof answer.userAnswer === 'string' ? answer.userAnswer : '');
+        const essay = shingles(text);
+        if (essay.words >= THRESHOLDS.minEssayWords) essays.set(answer.questionId, essay.shingles);
+      }
+      if (hasAnswer(answer) && answer.timestamps?.lastModified) {
+        savedAt.set(answer.questionId, new Date(answer.timestamps.lastModified).getTime());
+      }
+    });
+
+    return {
+      result,
+      wrongAnswers,
+      essays,
+      savedAt,
+      ipAddress: result.metadata?.ipAddress,
+      deviceFingerprint: result.metadata?.deviceFingerprint
+    };
+  }
+
+  compareWrongAnswers(first, second, matchProbabilities) {
+    const questionIds = [];
+    const probabilities = [];
+
+    first.wrongAnswers.forEach((option, questionId) => {
+      if (!second.wrongAnswers.has(questionId) || !matchProbabilities.has(questionId)) return;
+      probabilities.push(matchProbabilities.get(questionId));
+      if (second.wrongAnswers.get(questionId) === option) questionIds.push(questionId);
+    });
+
+    const probability = tailProbability(probabilities, questionIds.length);
+    return {
+      identical: questionIds.length,
+      bothWrong: probabilities.length,
+      expected: Number(probabilities.reduce((sum, p) => sum + p, 0).toFixed(2)),
+      probability: Number(probability.toPrecision(3)),
+      questionIds,
+      suspicious: questionIds.length >= THRESHOLDS.minIdenticalWrong && probability <= THRESHOLDS.maxWrongAnswerProbability
+    };
+  }
+
+  compareEssays(first, second) {
+    const essays = [];
+    first.essays.forEach((shingleSet, questionId) => {
+      if (!second.essays.has(questionId)) return;
+      const similarity = jaccard(shingleSet, second.essays.get(questionId));
+      if (similarity >= THRESHOLDS.reportedEssaySimilarity) {
+        essays.push({ questionId, similarity: Number(similarity.toFixed(3)) });
+      }
+    });
+    return essays;
+  }
+
+  compareTiming(first, second) {
+    const questionIds = [];
+    let compared = 0;
+
+    first.savedAt.forEach((time, questionId) => {
+      if (!second.savedAt.has(questionId)) return;
+      compared++;
+      if (Math.abs(time - second.savedAt.get(questionId)) <= THRESHOLDS.timingWindowSeconds * 1000) {
+        questionIds.push(questionId);
+      }
+    });
+
+    return {
+      aligned: questionIds.length,
+      compared,
+      questionIds,
+      suspicious: questionIds.length >= THRESHOLDS.minAlignedAnswers &&
+        questionIds.length / compared >= THRESHOLDS.minAlignedShare
+    };
+  }
+
+  /**
+   * Compare two prepared attempts
+   * @returns {Object} { score, signals }
+   */
+  comparePair(first, second, matchProbabilities) {
+    const signals = {
+      wrongAnswers: this.compareWrongAnswers(first, second, matchProbabilities),
+      essays: this.compareEssays(first, second),
+      timing: this.compareTiming(first, second),
+      sharedIpAddress: Boolean(first.ipAddress) && first.ipAddress === second.ipAddress,
+      sharedDeviceFingerprint: Boolean(first.deviceFingerprint) && first.deviceFingerprint === second.deviceFingerprint
+    };
+
+    const score = (signals.wrongAnswers.suspicious ? WEIGHTS.wrongAnswers : 0) +
+      (signals.essays.some(essay => essay.similarity >= THRESHOLDS.essaySimilarity) ? WEIGHTS.essays : 0) +
+      (signals.timing.suspicious ? WEIGHTS.timing : 0) +
+      (signals.sharedDeviceFingerprint ? WEIGHTS.sharedDeviceFingerprint : 0) +
+      (signals.sharedIpAddress ? WEIGHTS.sharedIpAddress : 0);
+
+    return { score: Math.min(score, 100), signals };
+  }
+
+  toAttemptRef(attempt) {
+    return {
+      resultId: attempt.result.resultId,
+      userId: attempt.result.userId,
+      ipAddress: attempt.ipAddress,
+      deviceFingerprint: attempt.deviceFingerprint
+    };
+  }
+
+  /**
+   * Compare every pair of candidates' attempts on an exam
+   * @param {Object} exam
+   * @param {Array} results - Finished attempts
+   * @param {Object} [options]
+   * @param {string} [options.resultId] - Only compare this attempt against the others
+   * @returns {Array} Pairs scoring at least the reporting score
+   */
+  findSuspiciousPairs(exam, results, { resultId } = {}) {
+    const matchProbabilities = this.buildMatchProbabilities(exam, results);
+    const attempts = results.map(result => this.prepareAttempt(result));
+    const pairs = [];
+
+    for (let i = 0; i < attempts.length; i++) {
+      for (let j = i + 1; j < attempts.length; j++) {
+        const [first, second] = [attempts[i], attempts[j]]
+          .sort((x, y) => x.result.resultId.localeCompare(y.result.resultId));
+
+        if (resultId && first.result.resultId !== resultId && second.result.resultId !== resultId) continue;
+        if (String(first.result.userId) === String(second.result.userId)) continue;
+
+        const comparison = this.comparePair(first, second, matchProbabilities);
+        if (comparison.score < REPORT_SCORE) continue;
+
+        pairs.push({
+          examId: exam.examId,
+          first: this.toAttemptRef(first),
+          second: this.toAttemptRef(second),
+          ...comparison
+        });
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Plain-language list of the signals that contributed to a pair's score
+   */
+  describeSignals(signals) {
+    const reasons = [];
+    if (signals.wrongAnswers.suspicious) {
+      reasons.push(`${signals.wrongAnswers.identical} identical wrong answers (expected ${signals.wrongAnswers.expected} by chance)`);
+    }
+    const copiedEssays = signals.essays.filter(essay => essay.similarity >= THRESHOLDS.essaySimilarity);
+    if (copiedEssays.length > 0) {
+      reasons.push(`near-identical wording in ${copiedEssays.length} written answer${copiedEssays.length === 1 ? '' : 's'}`);
+    }
+    if (signals.timing.suspicious) {
+      reasons.push(`${signals.timing.aligned} of ${signals.timing.compared} answers saved within ${THRESHOLDS.timingWindowSeconds}s of each other`);
+    }
+    if (signals.sharedDeviceFingerprint) reasons.push('the same device fingerprint');
+    if (signals.sharedIpAddress) reasons.push('the same IP address');
+    return reasons;
+  }
+
+  /**
+   * Raise a suspicious activity violation on both attempts of a pair, for the review queue
+   * @returns {Array<string>} The new violation ids
+   */
+  async raiseViolations(pair) {
+    const reasons = this.describeSignals(pair.signals).join(', ');
+    const violationIds = [];
+
+    for (const [own, other] of [[pair.first, pair.second], [pair.second, pair.first]]) {
+      const violation = new SecurityViolation({
+        violationId: uuidv4(),
+        userId: own.userId,
+        examId: pair.examId,
+        resultId: own.resultId,
+        relatedResultId: other.resultId,
+        violationType: 'suspicious_activity',
+        severity: pair.score >= 80 ? 'high' : 'medium',
+        description: `Attempt resembles another candidate's: ${reasons}`,
+        detectionMethod: 'server_side',
+        technicalDetails: { ipAddress: own.ipAddress, deviceFingerprint: own.deviceFingerprint },
+        response: {
+          actionTaken: 'manual_review_flagged',
+          automaticResponse: true,
+          reviewRequired: true
+        },
+        metadata: { reportedBy: 'system', confidence: pair.score / 100 }
+      });
+      violation.calculateRiskScore();
+      await violation.save();
+
+      await Result.updateOne(
+        { resultId: own.resultId },
+        { $push: { 'securityEvents.violations': violation._id }, $inc: { 'securityEvents.violationCount': 1 } }
+      );
+      violationIds.push(violation.violationId);
+    }
+
+    logger.warn('Possible collusion detected', {
+      examId: pair.examId,
+      resultIds: [pair.first.resultId, pair.second.resultId],
+      score: pair.score
+    });
+
+    return violationIds;
+  }
+
+  /**
+   * Store pairs and raise violations for those that newly reach the threshold.
+   * A pair is only ever raised once, however often it is analyzed again.
+   * @returns {number} How many pairs were newly flagged
+   */
+  async recordPairs(pairs, analyzedAt = new Date()) {
+    let flagged = 0;
+
+    for (const pair of pairs) {
+      const report = await CollusionReport.findOneAndUpdate(
+        { examId: pair.examId, 'first.resultId': pair.first.resultId, 'second.resultId': pair.second.resultId },
+        { $set: { ...pair, analyzedAt } },
+        { upsert: true, new: true }
+      );
+
+      if (pair.score >= COLLUSION_THRESHOLD && !report.flagged) {
+        report.violationIds = await this.raiseViolations(pair);
+        report.flagged = true;
+        await report.save();
+        flagged += 1;
+      }
+    }
+
+    return flagged;
+  }
+
+  findFinishedAttempts(examId) {
+    return Result.find({ examId, status: { $in: FINISHED_STATUSES } })
+      .select('resultId userId answers metadata.ipAddress metadata.deviceFingerprint')
+      .lean();
+  }
+
+  /**
+   * Compare a newly finished attempt with the exam's other finished attempts
+   * @returns {Object} { pairs, flagged }
+   */
+  async checkResult(result, exam) {
+    const others = (await this.findFinishedAttempts(exam.examId))
+      .filter(entry => entry.resultId !== result.resultId);
+
+    const pairs = this.findSuspiciousPairs(exam, [result, ...others], { resultId: result.resultId });
+    const flagged = await this.recordPairs(pairs);
+    return { pairs: pairs.length, flagged };
+  }
+
+  /**
+   * Compare all finished attempts of an exam, replacing its stored pairs
+   * @returns {Object} { attempts, pairs, flagged }
+   */
+  async checkExam(exam) {
+    const analyzedAt = new Date();
+    const results = await this.findFinishedAttempts(exam.examId);
+
+    const pairs = this.findSuspiciousPairs(exam, results);
+    const flagged = await this.recordPairs(pairs, analyzedAt);
+
+    // Pairs no longer suspicious enough to report; flagged ones stay with their violations
+    await CollusionReport.deleteMany({ examId: exam.examId, flagged: false, analyzedAt: { $lt: analyzedAt } });
+
+    logger.info('Collusion check completed', { examId: exam.examId, attempts: results.length, pairs: pairs.length, flagged });
+    return { attempts: results.length, pairs: pairs.length, flagged };
+  }
+}
+
+module.exports = new CollusionDetectionService();
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+/**
+ * Exam Randomization Service
+ * Builds the per-attempt presentation of an exam: which questions are drawn
+ * from the pool, their order, and the order of each MCQ's options. Shuffles
+ * are driven by a seed stored on the Result, so an attempt can always be
+ * reproduced and shown-option indexes mapped back to the exam's own.
+ */
+class ExamRandomizationService {
+  createSeed() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Deterministic PRNG (mulberry32) seeded from a string
+   * @returns {Function} Returns floats in [0, 1)
+   */
+  createRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Build what one attempt will see
+   * @param {Object} exam - Exam document
+   * @param {string} seed - Attempt seed
+   * @returns {Object} { seed, questionOrder: [questionId], optionOrders: [{ questionId, order }] }
+   *   where order[shownIndex] is the option's index in the exam
+   */
+  createPresentation(exam, seed = this.createSeed()) {
+    const settings = exam.configuration?.randomization || {};
+    let questionIds = exam.questions.map(question => question.questionId);
+
+    // Drawing from a pool implies a random subset; the draw order is kept only when questions are shuffled
+    const drawCount = settings.drawCount;
+    if (drawCount && drawCount < questionIds.length) {
+      const drawn = new Set(this.shuffle(questionIds, this.createRandom(`${seed}:draw`)).slice(0, drawCount));
+      questionIds = questionIds.filter(questionId => drawn.has(questionId));
+    }
+
+    if (settings.shuffleQuestions) {
+      questionIds = this.shuffle(questionIds, this.createRandom(`${seed}:questions`));
+    }
+
+    const optionOrders = [];
+    if (settings.shuffleOptions) {
+      questionIds.forEach(questionId => {
+        const question = exam.questions.find(q => q.questionId === questionId);
+        if (question.type === 'mcq' && question.options && question.options.length > 1) {
+          const indexes = question.options.map((option, index) => index);
+          optionOrders.push({
+            questionId,
+            // Each question gets its own stream so adding a question never reshuffles the others
+            order: this.shuffle(indexes, this.createRandom(`${seed}:options:${questionId}`))
+          });
+        }
+      });
+    }
+
+    return { seed, questionOrder: questionIds, optionOrders };
+  }
+
+  /**
+   * Map the option index a candidate picked back to the exam's option index
+   */
+  toOriginalOptionIndex(optionOrder, shownIndex) {
+    const index = parseInt(shownIndex);
+    if (!optionOrder || !Number.isInteger(index)) return shownIndex;
+    return optionOrder[index] !== undefined ? optionOrder[index] : shownIndex;
+  }
+
+  /**
+   * Describe a graded answer as the candidate saw it, for reports
+   * @param {Array} presentedQuestions - exam.getPresentedQuestions(result.presentation)
+   * @param {Object} answer - Plain graded answer
+   * @returns {Object} The answer plus position (1-based), and for MCQs shownOptions and shownAnswer
+   */
+  toPresentedAnswer(presentedQuestions, answer) {
+    const position = presentedQuestions.findIndex(p => p.question.questionId === answer.questionId);
+    if (position === -1) return answer;
+
+    const { question, optionOrder } = presentedQuestions[position];
+    const view = { ...answer, position: position + 1 };
+    if (question.type === 'mcq') {
+      view.shownOptions = optionOrder ? optionOrder.map(index => question.options[index]) : question.options;
+      const originalIndex = parseInt(answer.userAnswer);
+      view.shownAnswer = optionOrder && Number.isInteger(originalIndex)
+        ? optionOrder.indexOf(originalIndex)
+        : answer.userAnswer;
+    }
+    return view;
+  }
+}
+
+module.exports = new ExamRandomizationService();
@@ -0,0 +1,122 @@
+/**
+ * Exam Section Service
+ * Runs sectioned exams: sections are taken in order, each on its own timer,
+ * and a submitted section can be locked against further changes; an expired one always is
+ */
+
+class ExamSectionService {
+  /**
+   * Sections for a new attempt, keeping only the questions the attempt drew.
+   * The first section starts straight away.
+   * @param {Object} exam - Exam document
+   * @param {Object} presentation - The attempt's presentation
+   * @param {Date} startTime - When the attempt starts
+   * @param {Date} attemptDeadline - The attempt's overall deadline
+   * @returns {Array} Result sections; empty for exams without sections
+   */
+  createSections(exam, presentation, startTime, attemptDeadline) {
+    if (!exam.hasSections()) return [];
+
+    // Questions keep the attempt's (possibly shuffled) order within their section
+    const presented = exam.getPresentedQuestions(presentation).map(({ question }) => question.questionId);
+    const sections = exam.sections.map(section => ({
+      sectionId: section.sectionId,
+      title: section.title,
+      questionIds: presented.filter(questionId => (section.questionIds || []).includes(questionId)),
+      timeLimit: section.timeLimit,
+      lockAfterSubmit: Boolean(section.lockAfterSubmit),
+      status: 'not_started'
+    }));
+
+    this.startSection(sections[0], startTime, attemptDeadline);
+    return sections;
+  }
+
+  /**
+   * Open a section; its deadline never runs past the attempt's
+   */
+  startSection(section, now, attemptDeadline) {
+    section.status = 'in_progress';
+    section.startedAt = now;
+
+    const sectionDeadline = section.timeLimit ? new Date(now.getTime() + section.timeLimit * 1000) : null;
+    section.deadline = sectionDeadline && (!attemptDeadline || sectionDeadline < attemptDeadline)
+      ? sectionDeadline
+      : attemptDeadline;
+  }
+
+  /**
+   * The section the candidate is working on, if any
+   */
+  getCurrentSection(result) {
+    return (result.sections || []).find(section => section.status === 'in_progress') || null;
+  }
+
+  /**
+   * The section a question belongs to
+   */
+  findSectionForQuestion(result, questionId) {
+    return (result.sections || []).find(section => section.questionIds.includes(questionId)) || null;
+  }
+
+  /**
+   * Whether a question's answer may still be changed
+   * An expired section is always closed; a submitted one only when it locks after submission.
+   * @returns {string|null} Why it may not ('not_in_section', 'not_started', 'expired' or 'locked'), or null when it may
+   */
+  getAnswerRestriction(result, questionId) {
+    if (!result.sections || result.sections.length === 0) return null;
+
+    const section = this.findSectionForQuestion(result, questionId);
+    if (!section) return 'not_in_section';
+    if (section.status === 'not_started') return 'not_started';
+    if (section.status === 'expired') return 'expired';
+    if (section.status === 'submitted' && section.lockAfterSubmit) return 'locked';
+    return null;
+  }
+
+  /**
+   * Sections whose questions the candidate can currently see
+   */
+  getOpenSections(result) {
+    return (result.sections || []).filter(section => section.status !== 'not_started');
+  }
+
+  /**
+   * Close a section and start the next one
+   * @param {Object} result - In-progress Result document
+   * @param {Object} section - The section being closed
+   * @param {string} status - submitted | expired
+   * @returns {Object|null} The section that started, or null when this was the last one
+   */
+  closeSection(result, section, status, now = new Date()) {
+    section.status = status;
+    section.submittedAt = status === 'expired' && section.deadline && section.deadline < now ? section.deadline : now;
+
+    const next = result.sections.find(candidate => candidate.status === 'not_started');
+    if (next) {
+      this.startSection(next, now, result.deadline);
+    }
+    return next || null;
+  }
+
+  /**
+   * Section progress as the candidate sees it
+   */
+  toSectionView(section) {
+    return {
+      sectionId: section.sectionId,
+      title: section.title,
+      questionIds: section.status === 'not_started' ? [] : section.questionIds,
+      questionCount: section.questionIds.length,
+      timeLimit: section.timeLimit,
+      lockAfterSubmit: section.lockAfterSubmit,
+      status: section.status,
+      startedAt: section.startedAt,
+      deadline: section.deadline,
+      submittedAt: section.submittedAt
+    };
+  }
+}
+
+module.exports = new ExamSectionService();
@@ -0,0 +1,488 @@
+const cron = require('node-cron');
+const Exam = require('../models/Exam');
+const Result = require('../models/Result');
+const ExamAssignment = require('../models/ExamAssignment');
+const codeExecutionService = require('./codeExecutionService');
+const RubricGradingService = require('./rubricGradingService');
+const examRandomizationService = require('./examRandomizationService');
+const adaptiveTestingService = require('./adaptiveTestingService');
+const certificateService = require('./certificateService');
+const codePlagiarismService = require('./codePlagiarismService');
+const collusionDetectionService = require('./collusionDetectionService');
+const { SecurityManager } = require('../utils/security');
+const logger = require('../utils/logger');
+
+/**
+ * Exam Submission Service
+ * Grades and finalizes exam attempts, both when a candidate submits and when
+ * the server auto-submits an attempt whose deadline has passed
+ */
+
+// Submissions arriving this long after the deadline are still accepted to absorb network latency
+const SUBMISSION_GRACE_MS = (parseInt(process.env.EXAM_SUBMISSION_GRACE_SECONDS) || 30) * 1000;
+
+// How often expired attempts are swept (every minute by default)
+const EXPIRY_JOB_SCHEDULE = process.env.EXAM_EXPIRY_CRON || '* * * * *';
+
+// A submission still grading after this long was interrupted, e.g. by a restart, and is graded again by the sweep
+const STALE_CLAIM_MS = (parseInt(process.env.EXAM_STALE_SUBMISSION_SECONDS) || 300) * 1000;
+
+class ExamSubmissionService {
+  constructor() {
+    this.rubricGrader = new RubricGradingService();
+    this.expiryTask = null;
+    this.isSweeping = false;
+  }
+
+  /**
+   * Result answers only distinguish MCQ, coding and free-text questions
+   */
+  toAnswerType(questionType) {
+    if (questionType === 'mcq' || questionType === 'coding') return questionType;
+    return 'essay';
+  }
+
+  /**
+   * Turn an answer saved on the result back into the shape graded on submission
+   */
+  fromSavedAnswer(saved) {
+    return {
+      questionId: saved.questionId,
+      userAnswer: saved.userAnswer,
+      code: saved.codeSubmission?.code || '',
+      language: saved.codeSubmission?.language,
+      timeSpent: saved.timeSpent || 0,
+      flagged: saved.flagged || false,
+      // When the candidate saved it, kept for answer timing analysis
+      timestamps: saved.timestamps
+        ? { firstAttempt: saved.timestamps.firstAttempt, lastModified: saved.timestamps.lastModified }
+        : undefined
+    };
+  }
+
+  /**
+   * Check whether an attempt can no longer accept submissions
+   */
+  isPastDeadline(result, now = new Date()) {
+    return Boolean(result.deadline) && now.getTime() > result.deadline.getTime() + SUBMISSION_GRACE_MS;
+  }
+
+  /**
+   * Run a coding answer against all of the question's test cases, hidden ones included,
+   * and award points in proportion to the test cases passed
+   */
+  async gradeCodingAnswer(examQuestion, answer, maxPoints) {
+    const code = answer.code || '';
+    const language = answer.language || 'javascript';
+    const testCases = examQuestion.testCases || [];
+
+    const codeSubmission = {
+      code,
+      language,
+      executionResults: [],
+      totalTestCases: testCases.length,
+      passedTestCases: 0
+    };
+
+    if (!code.trim() || testCases.length === 0) {
+      return { codeSubmission, isCorrect: false, pointsEarned: 0 };
+    }
+
+    const unavailable = codeExecutionService.unavailableReason(language);
+    if (unavailable) {
+      codeSubmission.compilationError = unavailable;
+      return { codeSubmission, isCorrect: false, pointsEarned: 0 };
+    }
+
+    const execution = await codeExecutionService.runTestCases({
+      code,
+      language,
+      testCases,
+      entryPoint: codeExecutionService.detectEntryPoint(language, examQuestion.codeTemplate, examQuestion.entryPoint)
+    });
+
+    codeSubmission.executionResults = execution.executionResults;
+    codeSubmission.passedTestCases = execution.passedTestCases;
+    codeSubmission.compilationError = execution.compilationError || undefined;
+
+    return {
+      codeSubmission,
+      isCorrect: execution.passedTestCases === testCases.length,
+      pointsEarned: Math.round((maxPoints * execution.passedTestCases / testCases.length) * 100) / 100
+    };
+  }
+
+  /**
+   * Score an essay or behavioral answer against the question's expected points
+   * and award partial points for the share of the rubric it covers
+   */
+  gradeTextAnswer(examQuestion, answer, maxPoints) {
+    const content = typeof answer.userAnswer === 'string'
+      ? SecurityManager.restoreSanitizedInput(answer.userAnswer)
+      : '';
+    const textResponse = {
+      content,
+      wordCount: content.trim() ? content.trim().split(/\s+/).length : 0,
+      characterCount: content.length
+    };
+
+    const grading = this.rubricGrader.gradeAnswer(content, examQuestion.expectedPoints);
+    if (!grading) {
+      return {
+        textResponse,
+        isCorrect: false,
+        pointsEarned: 0,
+        feedback: { automated: 'No grading rubric is defined for this question; it will be graded manually.' }
+      };
+    }
+
+    return {
+      textResponse,
+      isCorrect: grading.isCorrect,
+      pointsEarned: Math.round(maxPoints * grading.score * 100) / 100,
+      feedback: {
+        automated: grading.feedback,
+        suggestions: grading.suggestions
+      }
+    };
+  }
+
+  /**
+   * Grade an attempt against every question it was shown; questions left unanswered score 0.
+   * Each question is graded once, from the last answer submitted for it, and answers to
+   * questions the attempt was never shown are ignored.
+   * MCQ answers arrive as the option index the candidate saw and are stored as the exam's index.
+   * Answers are graded one at a time so code submissions never run concurrently.
+   * @param {Array} [questionIds] - Grade only these presented questions (a section or a single question)
+   */
+  async gradeAnswers(exam, submittedAnswers, presentation, questionIds = null) {
+    const gradedAnswers = [];
+    const presented = exam.getPresentedQuestions(presentation)
+      .filter(p => !questionIds || questionIds.includes(p.question.questionId));
+    const answersByQuestion = new Map(submittedAnswers.map(answer => [answer.questionId, answer]));
+    const submittedAt = new Date();
+
+    for (const { question: examQuestion, optionOrder } of presented) {
+      const answer = answersByQuestion.get(examQuestion.questionId);
+      const maxPoints = examQuestion.points || 1;
+
+      if (!answer) {
+        gradedAnswers.push({
+          questionId: examQuestion.questionId,
+          questionType: this.toAnswerType(examQuestion.type),
+          userAnswer: null,
+          isCorrect: false,
+          pointsEarned: 0,
+          maxPoints: maxPoints,
+          timeSpent: 0,
+          flagged: false,
+          review: { status: 'not_required' },
+          timestamps: { submitted: submittedAt }
+        });
+        continue;
+      }
+
+      let userAnswer = answer.userAnswer;
+      let isCorrect = false;
+      let pointsEarned = 0;
+      let codeSubmission;
+      let textResponse;
+      let feedback;
+
+      // Check if answer is correct based on question type
+      if (examQuestion.type === 'mcq') {
+        // For MCQ, compare with correct answer (could be index or string)
+        if (typeof examQuestion.correctAnswer === 'number') {
+          userAnswer = examRandomizationService.toOriginalOptionIndex(optionOrder, userAnswer);
+          isCorrect = parseInt(userAnswer) === examQuestion.correctAnswer;
+        } else {
+          isCorrect = userAnswer === examQuestion.correctAnswer;
+        }
+        if (isCorrect) {
+          pointsEarned = maxPoints;
+        }
+      } else if (examQuestion.type === 'coding') {
+        ({ codeSubmission, isCorrect, pointsEarned } = await this.gradeCodingAnswer(examQuestion, answer, maxPoints));
+        userAnswer = codeSubmission.code;
+      } else {
+        ({ textResponse, feedback, isCorrect, pointsEarned } = this.gradeTextAnswer(examQuestion, answer, maxPoints));
+      }
+
+      gradedAnswers.push({
+        questionId: examQuestion.questionId,
+        questionType: this.toAnswerType(examQuestion.type),
+        userAnswer: userAnswer,
+        isCorrect: isCorrect,
+        pointsEarned: pointsEarned,
+        maxPoints: maxPoints,
+        timeSpent: answer.timeSpent,
+        flagged: answer.flagged,
+        codeSubmission,
+        textResponse,
+        feedback,
+        // Automated essay scores are provisional until a reviewer confirms them
+        review: { status: textResponse ? 'pending' : 'not_required' },
+        timestamps: { ...answer.timestamps, submitted: submittedAt }
+      });
+    }
+
+    return gradedAnswers;
+  }
+
+  /**
+   * Grade an attempt, score it and close it.
+   * The attempt is claimed first by moving it from in_progress to submitting in one update,
+   * so a candidate's submission and the expiry sweep can never both grade it.
+   * @param {Object} exam - Exam document
+   * @param {Object} result - In-progress Result document
+   * @param {Array} submittedAnswers - Normalized answers to grade
+   * @param {Object} options
+   * @param {string} [options.status] - completed | auto_submitted
+   * @param {number} [options.timeSpent] - Client-reported time in seconds
+   * @param {string} [options.autoSubmissionReason] - Why the server closed the attempt
+   * @returns {Object|null} The closed result, or null when the attempt was already being submitted
+   */
+  async finalizeAttempt(exam, result, submittedAnswers, options = {}) {
+    const claimed = await Result.findOneAndUpdate(
+      { resultId: result.resultId, status: 'in_progress' },
+      { $set: { status: 'submitting', claimedAt: new Date() } }
+    );
+    if (!claimed) return null;
+
+    return this.closeClaimedAttempt(exam, result, submittedAnswers, options);
+  }
+
+  /**
+   * Grade and close an attempt this process holds the claim on, then update
+   * everything that follows from it
+   */
+  async closeClaimedAttempt(exam, result, submittedAnswers, options) {
+    try {
+      await this.gradeAndClose(exam, result, submittedAnswers, options);
+    } catch (error) {
+      // Hand the attempt back so it can be submitted again
+      await Result.updateOne(
+        { resultId: result.resultId, status: 'submitting' },
+        { $set: { status: 'in_progress' }, $unset: { claimedAt: 1 } }
+      );
+      throw error;
+    }
+
+    // Keep the candidate's assignment in step with the attempt
+    await ExamAssignment.updateOne(
+      { examId: result.examId, candidate: result.userId, status: 'started' },
+      { $set: { status: 'completed', completedAt: result.endTime } }
+    );
+
+    // A missing certificate can be issued later on request, so it never fails the submission
+    try {
+      await certificateService.syncWithResult(result, exam);
+    } catch (error) {
+      logger.error('Failed to issue certificate', { resultId: result.resultId, error: error.message });
+    }
+
+    // Collusion is reviewed after the fact, so a failed check never fails the submission either
+    try {
+      await collusionDetectionService.checkResult(result, exam);
+    } catch (error) {
+      logger.error('Failed to check attempt for collusion', { resultId: result.resultId, error: error.message });
+    }
+
+    // Update exam status if this was the last submission
+    if (exam.status === 'in_progress') {
+      const activeResults = await Result.countDocuments({
+        examId: exam.examId,
+        status: { $in: ['in_progress', 'submitting'] }
+      });
+
+      if (activeResults === 0) {
+        exam.status = 'completed';
+        exam.endTime = new Date();
+        await exam.save();
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Grade and score a claimed attempt and save it with its final status
+   */
+  async gradeAndClose(exam, result, submittedAnswers, { status = 'completed', timeSpent, autoSubmissionReason, endTime } = {}) {
+    result.answers = await this.gradeAnswers(exam, submittedAnswers, result.presentation);
+
+    // Set completion time; an expired attempt ends at its deadline, not when it was swept
+    const now = new Date();
+    result.endTime = endTime || (status === 'auto_submitted' && result.deadline && result.deadline < now
+      ? result.deadline
+      : now);
+    result.submissionTime = now;
+    result.status = status;
+
+    const elapsed = Math.floor((result.endTime - result.startTime) / 1000);
+    result.totalTimeSpent = timeSpent ? Math.min(timeSpent, elapsed) : elapsed;
+
+    if (status === 'auto_submitted') {
+      result.securityEvents.autoSubmitted = true;
+      result.securityEvents.autoSubmissionReason = autoSubmissionReason;
+    }
+
+    // Calculate score
+    result.calculateScore(exam.passingScore);
+    result.scoring.grade = result.calculateGrade();
+
+    // An adaptive test closed before a stopping rule was met keeps the estimate from the answers it has
+    if (exam.isAdaptive() && !result.scoring.ability?.stopReason) {
+      result.scoring.ability = {
+        ...adaptiveTestingService.estimateAbility(result.adaptive.responses),
+        questionsAdministered: result.adaptive.responses.length,
+        stopReason: status === 'auto_submitted' ? 'time_expired' : 'submitted_early'
+      };
+    }
+
+    // Update analytics
+    result.analytics.questionsAttempted = result.answers.filter(a =>
+      a.userAnswer !== null && a.userAnswer !== undefined && a.userAnswer !== ''
+    ).length;
+    result.analytics.questionsSkipped = result.answers.filter(a =>
+      !a.userAnswer || a.userAnswer === ''
+    ).length;
+    result.analytics.averageTimePerQuestion = result.answers.length > 0
+      ? result.totalTimeSpent / result.answers.length
+      : 0;
+    result.analytics.flaggedQuestions = result.answers
+      .filter(a => a.flagged)
+      .map(a => a.questionId);
+
+    // Code is compared with other candidates' by the plagiarism job, off the request path
+    codePlagiarismService.queueResult(result, exam);
+
+    await result.save();
+  }
+
+  /**
+   * Auto-submit every in-progress attempt whose deadline (plus grace) has passed,
+   * grading whatever answers were saved before time ran out
+   * @returns {number} Number of attempts auto-submitted
+   */
+  async autoSubmitExpiredAttempts(now = new Date()) {
+    const expired = await Result.find({
+      status: 'in_progress',
+      deadline: { $lt: new Date(now.getTime() - SUBMISSION_GRACE_MS) }
+    });
+
+    let submitted = 0;
+    for (const result of expired) {
+      try {
+        const exam = await Exam.findOne({ examId: result.examId });
+        if (!exam) continue;
+
+        const closed = await this.finalizeAttempt(exam, result, result.answers.map(answer => this.fromSavedAnswer(answer)), {
+          status: 'auto_submitted',
+          autoSubmissionReason: 'Time limit exceeded'
+        });
+        // The candidate's own submission got there first
+        if (!closed) continue;
+        submitted++;
+
+        logger.info('Exam attempt auto-submitted after deadline', {
+          resultId: result.resultId,
+          examId: result.examId,
+          userId: result.userId.toString(),
+          deadline: result.deadline
+        });
+      } catch (error) {
+        logger.error('Failed to auto-submit expired exam attempt', {
+          resultId: result.resultId,
+          error: error.message
+        });
+      }
+    }
+
+    return submitted;
+  }
+
+  /**
+   * Grade attempts whose submission claimed them but never finished, e.g. because the
+   * process restarted mid-grading; left alone they would stay in submitting for good.
+   * Only the saved answers are known, so those are graded.
+   * @returns {number} Number of attempts regraded
+   */
+  async regradeStaleSubmissions(now = new Date()) {
+    const stale = await Result.find({
+      status: 'submitting',
+      $or: [
+        { claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+        // Claimed before claims were stamped
+        { claimedAt: { $exists: false } }
+      ]
+    });
+
+    let regraded = 0;
+    for (const result of stale) {
+      try {
+        const exam = await Exam.findOne({ examId: result.examId });
+        if (!exam) continue;
+
+        // Take the claim over in one update, so two sweeps never regrade the same attempt
+        const reclaimed = await Result.findOneAndUpdate(
+          { _id: result._id, status: 'submitting', claimedAt: result.claimedAt || { $exists: false } },
+          { $set: { claimedAt: now } }
+        );
+        if (!reclaimed) continue;
+
+        await this.closeClaimedAttempt(exam, result, result.answers.map(answer => this.fromSavedAnswer(answer)), {
+          status: 'auto_submitted',
+          autoSubmissionReason: 'Submission was interrupted; graded from saved answers',
+          endTime: result.claimedAt
+        });
+        regraded++;
+
+        logger.info('Interrupted exam submission regraded', {
+          resultId: result.resultId,
+          examId: result.examId,
+          userId: result.userId.toString(),
+          claimedAt: result.claimedAt
+        });
+      } catch (error) {
+        logger.error('Failed to regrade interrupted exam submission', {
+          resultId: result.resultId,
+          error: error.message
+        });
+      }
+    }
+
+    return regraded;
+  }
+
+  /**
+   * Schedule the sweep of expired attempts and interrupted submissions
+   */
+  startExpiryJob() {
+    if (this.expiryTask) return this.expiryTask;
+
+    this.expiryTask = cron.schedule(EXPIRY_JOB_SCHEDULE, async () => {
+      // Skip a tick rather than grade the same attempts twice when a sweep runs long
+      if (this.isSweeping) return;
+      this.isSweeping = true;
+      try {
+        await this.autoSubmitExpiredAttempts();
+        await this.regradeStaleSubmissions();
+      } finally {
+        this.isSweeping = false;
+      }
+    });
+
+    console.log('✅ Exam expiry job scheduled');
+    return this.expiryTask;
+  }
+
+  stopExpiryJob() {
+    if (this.expiryTask) {
+      this.expiryTask.stop();
+      this.expiryTask = null;
+    }
+  }
+}
+
+module.exports = new ExamSubmissionService();
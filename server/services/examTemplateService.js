@@ -0,0 +1,220 @@
+/**
+ * Exam Template Service
+ * Copies exams into standalone templates and builds new exams from templates,
+ * applying the overrides a recruiter asked for
+ */
+
+// Fields that belong to one exam instance and are never carried into a copy
+const INSTANCE_FIELDS = [
+  '_id', '__v', 'id', 'examId', 'userId', 'createdBy', 'status',
+  'startTime', 'endTime', 'createdAt', 'updatedAt', 'metadata'
+];
+
+const SECURITY_FLAGS = ['fullscreenRequired', 'preventCopyPaste', 'preventRightClick', 'preventTabSwitch'];
+
+const EXAM_STATUSES = ['draft', 'active'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Deep copy without subdocument ids, so the copy shares nothing with its source
+const copyValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(copyValue);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).reduce((copy, [key, nested]) => {
+      if (key !== '_id') copy[key] = copyValue(nested);
+      return copy;
+    }, {});
+  }
+  return value;
+};
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+class ExamTemplateService {
+  /**
+   * Copy an exam's content and settings, leaving out what identifies the exam itself
+   * @param {Object} exam - Exam document or plain object
+   * @returns {Object} Exam fields safe to save as a new document
+   */
+  copyExamData(exam) {
+    const source = typeof exam.toObject === 'function' ? exam.toObject({ depopulate: true }) : exam;
+    const data = copyValue(source);
+    INSTANCE_FIELDS.forEach(field => delete data[field]);
+    return data;
+  }
+
+  /**
+   * Build the fields of a template saved from an exam
+   * @param {Object} exam - Exam the template is saved from
+   * @param {Object} details - Optional { title, description } for the template
+   */
+  buildTemplate(exam, { title, description } = {}) {
+    const data = this.copyExamData(exam);
+
+    return {
+      ...data,
+      title: title || data.title,
+      description: description !== undefined ? description : data.description,
+      status: 'draft',
+      // Copies start their own version history
+      metadata: {
+        version: '1.0',
+        lastModified: new Date(),
+        isTemplate: true,
+        sourceExamId: exam.examId
+      }
+    };
+  }
+
+  /**
+   * Build the fields of a new exam from a template with overrides applied
+   * @param {Object} template - Template exam
+   * @param {Object} overrides - { title, description, totalTimeLimit, numberOfQuestions,
+   *   passingScore, maxAttempts, isProctored, securitySettings, status }
+   * @returns {Object} { data, errors } - errors lists every override that was rejected
+   */
+  buildExamFromTemplate(template, overrides = {}) {
+    const data = this.copyExamData(template);
+    const errors = [];
+
+    data.configuration = data.configuration || {};
+    data.status = 'active';
+    data.metadata = {
+      version: '1.0',
+      lastModified: new Date(),
+      isTemplate: false,
+      templateId: template.examId
+    };
+
+    if (overrides.title !== undefined) {
+      if (typeof overrides.title !== 'string' || !overrides.title.trim()) {
+        errors.push({ field: 'title', message: 'title must be a non-empty string' });
+      } else {
+        data.title = overrides.title.trim();
+      }
+    }
+
+    if (overrides.description !== undefined) {
+      data.description = overrides.description;
+    }
+
+    if (overrides.totalTimeLimit !== undefined) {
+      if (!Number.isInteger(overrides.totalTimeLimit) || overrides.totalTimeLimit <= 0) {
+        errors.push({ field: 'totalTimeLimit', message: 'totalTimeLimit must be a positive number of seconds' });
+      } else {
+        data.totalTimeLimit = overrides.totalTimeLimit;
+        data.configuration.timeLimit = overrides.totalTimeLimit;
+      }
+    }
+
+    if (overrides.numberOfQuestions !== undefined) {
+      this.applyQuestionCount(data, overrides.numberOfQuestions, errors);
+    }
+
+    if (overrides.passingScore !== undefined) {
+      if (typeof overrides.passingScore !== 'number' || overrides.passingScore < 0 || overrides.passingScore > 100) {
+        errors.push({ field: 'passingScore', message: 'passingScore must be a percentage between 0 and 100' });
+      } else {
+        data.passingScore = overrides.passingScore;
+      }
+    }
+
+    if (overrides.maxAttempts !== undefined) {
+      if (!isNonNegativeInteger(overrides.maxAttempts)) {
+        errors.push({ field: 'maxAttempts', message: 'maxAttempts must be a whole number (0 for unlimited)' });
+      } else {
+        data.maxAttempts = overrides.maxAttempts;
+      }
+    }
+
+    if (overrides.isProctored !== undefined) {
+      if (typeof overrides.isProctored !== 'boolean') {
+        errors.push({ field: 'isProctored', message: 'isProctored must be true or false' });
+      } else {
+        data.isProctored = overrides.isProctored;
+      }
+    }
+
+    if (overrides.securitySettings !== undefined) {
+      this.applySecuritySettings(data, overrides.securitySettings, errors);
+    }
+
+    if (overrides.status !== undefined) {
+      if (!EXAM_STATUSES.includes(overrides.status)) {
+        errors.push({ field: 'status', message: `status must be one of: ${EXAM_STATUSES.join(', ')}` });
+      } else {
+        data.status = overrides.status;
+      }
+    }
+
+    return { data, errors };
+  }
+
+  /**
+   * Limit how many of the template's questions each attempt gets. The full pool is kept:
+   * adaptive exams stop after that many questions and other exams draw that many per attempt.
+   */
+  applyQuestionCount(data, numberOfQuestions, errors) {
+    const poolSize = (data.questions || []).length;
+
+    if (!Number.isInteger(numberOfQuestions) || numberOfQuestions < 1 || numberOfQuestions > poolSize) {
+      errors.push({
+        field: 'numberOfQuestions',
+        message: `numberOfQuestions must be between 1 and ${poolSize}, the number of questions in the template`
+      });
+      return;
+    }
+
+    data.configuration.numberOfQuestions = numberOfQuestions;
+
+    if (data.configuration.deliveryMode === 'adaptive') {
+      data.configuration.adaptive = { ...data.configuration.adaptive, maxQuestions: numberOfQuestions };
+      return;
+    }
+
+    const randomization = { ...data.configuration.randomization };
+    if (numberOfQuestions < poolSize) {
+      randomization.drawCount = numberOfQuestions;
+    } else {
+      delete randomization.drawCount;
+    }
+    data.configuration.randomization = randomization;
+  }
+
+  applySecuritySettings(data, securitySettings, errors) {
+    if (!isPlainObject(securitySettings)) {
+      errors.push({ field: 'securitySettings', message: 'securitySettings must be an object' });
+      return;
+    }
+
+    const merged = { ...data.securitySettings };
+
+    Object.entries(securitySettings).forEach(([key, value]) => {
+      if (SECURITY_FLAGS.includes(key)) {
+        if (typeof value !== 'boolean') {
+          errors.push({ field: `securitySettings.${key}`, message: `${key} must be true or false` });
+        } else {
+          merged[key] = value;
+        }
+      } else if (key === 'maxViolations') {
+        if (!isNonNegativeInteger(value)) {
+          errors.push({ field: 'securitySettings.maxViolations', message: 'maxViolations must be a whole number' });
+        } else {
+          merged.maxViolations = value;
+        }
+      } else {
+        errors.push({ field: `securitySettings.${key}`, message: `Unknown security setting: ${key}` });
+      }
+    });
+
+    data.securitySettings = merged;
+  }
+}
+
+module.exports = new ExamTemplateService();
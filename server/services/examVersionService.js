@@ -0,0 +1,165 @@
+/**
+ * Exam Version Service
+ * Keeps published exam content immutable from a result's point of view: published
+ * changes create a new version, attempts carry a snapshot of the questions they were
+ * shown and graded with, and any two versions can be diffed
+ */
+
+const ExamVersion = require('../models/ExamVersion');
+
+// Question fields that change what a candidate sees or how an answer is scored
+const VERSIONED_QUESTION_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'difficulty', 'category', 'points',
+  'timeLimit', 'codeTemplate', 'entryPoint', 'testCases', 'expectedPoints', 'irt'
+];
+
+const VERSIONED_SETTINGS = ['totalTimeLimit', 'passingScore', 'deliveryMode', 'sections'];
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// JSON copy without subdocument ids, so snapshots compare by content only
+const copyContent = (value) => JSON.parse(JSON.stringify(value, (key, nested) => (key === '_id' ? undefined : nested)));
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class ExamVersionService {
+  /**
+   * Copy of a question's content and scoring key
+   */
+  snapshotQuestion(question) {
+    const plain = toPlain(question);
+    const snapshot = { questionId: plain.questionId };
+
+    VERSIONED_QUESTION_FIELDS.forEach(field => {
+      if (plain[field] !== undefined && plain[field] !== null) {
+        snapshot[field] = copyContent(toPlain(plain[field]));
+      }
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Scoring settings that are versioned alongside the questions
+   */
+  getSettings(exam) {
+    return {
+      totalTimeLimit: exam.totalTimeLimit,
+      passingScore: exam.passingScore,
+      deliveryMode: exam.configuration?.deliveryMode || 'all_at_once',
+      sections: copyContent((exam.sections || []).map(toPlain))
+    };
+  }
+
+  /**
+   * Snapshot of an exam's current version
+   * @returns {Object} { version, title, questions, settings }
+   */
+  snapshotExam(exam) {
+    return {
+      version: exam.metadata?.version || '1.0',
+      title: exam.title,
+      questions: (exam.questions || []).map(question => this.snapshotQuestion(question)),
+      settings: this.getSettings(exam)
+    };
+  }
+
+  /**
+   * Versions count up by whole numbers from the schema's '1.0' default
+   */
+  nextVersion(version) {
+    const major = Math.floor(parseFloat(version)) || 1;
+    return `${major + 1}.0`;
+  }
+
+  /**
+   * Drafts and templates are not taken by candidates, so editing them does not create versions
+   */
+  isPublished(exam) {
+    return exam.status !== 'draft' && !exam.metadata?.isTemplate;
+  }
+
+  /**
+   * Add the content of the questions an attempt can be shown to its presentation,
+   * so the attempt keeps being delivered and graded against it whatever happens to the exam.
+   * Adaptive attempts may be shown any question of the pool, so the whole pool is kept.
+   */
+  snapshotPresentation(exam, presentation) {
+    const questionIds = new Set(presentation.questionOrder || []);
+    const pool = exam.isAdaptive() || questionIds.size === 0
+      ? exam.questions
+      : exam.questions.filter(question => questionIds.has(question.questionId));
+
+    return { ...presentation, questions: pool.map(question => this.snapshotQuestion(question)) };
+  }
+
+  /**
+   * Compare two exam snapshots
+   * @returns {Object} { from, to, hasChanges, questions: { added, removed, changed }, settings }
+   */
+  diff(from, to) {
+    const fromQuestions = new Map(from.questions.map(question => [question.questionId, question]));
+    const toQuestions = new Map(to.questions.map(question => [question.questionId, question]));
+
+    const added = to.questions
+      .filter(question => !fromQuestions.has(question.questionId))
+      .map(question => ({ questionId: question.questionId, question: question.question }));
+    const removed = from.questions
+      .filter(question => !toQuestions.has(question.questionId))
+      .map(question => ({ questionId: question.questionId, question: question.question }));
+
+    const changed = [];
+    to.questions.forEach(question => {
+      const previous = fromQuestions.get(question.questionId);
+      if (!previous) return;
+
+      const fields = VERSIONED_QUESTION_FIELDS
+        .filter(field => !isEqual(previous[field], question[field]))
+        .map(field => ({ field, from: previous[field], to: question[field] }));
+      if (fields.length > 0) {
+        changed.push({ questionId: question.questionId, question: question.question, fields });
+      }
+    });
+
+    const settings = VERSIONED_SETTINGS
+      .filter(field => !isEqual(from.settings?.[field], to.settings?.[field]))
+      .map(field => ({ field, from: from.settings?.[field], to: to.settings?.[field] }));
+
+    return {
+      from: from.version,
+      to: to.version,
+      hasChanges: added.length + removed.length + changed.length + settings.length > 0,
+      questions: { added, removed, changed },
+      settings
+    };
+  }
+
+  /**
+   * Store the exam's current version unless it is already stored
+   */
+  async recordVersion(exam, publishedBy = exam.createdBy || exam.userId) {
+    const { version, ...snapshot } = this.snapshotExam(exam);
+
+    return ExamVersion.findOneAndUpdate(
+      { examId: exam.examId, version },
+      { $setOnInsert: { ...snapshot, publishedBy, publishedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Snapshot of one version of an exam; the current version is read from the exam itself
+   * @returns {Object|null} { version, title, questions, settings }
+   */
+  async getVersion(exam, version) {
+    if (version === (exam.metadata?.version || '1.0')) {
+      return this.snapshotExam(exam);
+    }
+
+    return ExamVersion.findOne({ examId: exam.examId, version })
+      .select('version title questions settings')
+      .lean();
+  }
+}
+
+module.exports = new ExamVersionService();
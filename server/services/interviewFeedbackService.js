@@ -0,0 +1,156 @@
+/**
+ * Interview Feedback Service
+ * Grades a practice technical interview - a set of bank MCQs plus one coding
+ * challenge - and turns the outcome into the feedback shown after submitting.
+ * Nothing here is stored; practice rounds are separate from exam attempts.
+ */
+
+// Categories answered below this share get a study suggestion
+const WEAK_CATEGORY_PERCENTAGE = 60;
+
+class InterviewFeedbackService {
+  /**
+   * Pair submitted answers with question ids.
+   * Answers are either `{ questionId, answer }` objects or listed in the same order as `questions`
+   * (question objects or plain ids).
+   * @returns {Array} [{ questionId, answer }]
+   */
+  pairAnswers(questions = [], answers = []) {
+    if (!Array.isArray(answers)) return [];
+
+    return answers
+      .map((answer, index) => {
+        if (answer && typeof answer === 'object' && answer.questionId) {
+          return { questionId: String(answer.questionId), answer: answer.answer };
+        }
+        const question = questions[index];
+        const questionId = question && typeof question === 'object' ? question.questionId : question;
+        return questionId ? { questionId: String(questionId), answer } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Option index an answer refers to; answers may also be the option text
+   * @returns {number|null}
+   */
+  resolveOptionIndex(question, answer) {
+    if (answer === null || answer === undefined || answer === '') return null;
+
+    const index = Number(answer);
+    if (Number.isInteger(index) && index >= 0 && index < (question.options || []).length) {
+      return index;
+    }
+
+    const text = String(answer).trim();
+    const byText = (question.options || []).findIndex(option => option.trim() === text);
+    return byText === -1 ? null : byText;
+  }
+
+  /**
+   * Grade MCQ answers against the bank
+   * @param {Array} questions - Question documents, in the order they were asked
+   * @param {Array} answers - [{ questionId, answer }]
+   * @returns {Object} { score, total, percentage, categories: [{ category, correct, total }], review }
+   */
+  gradeMcqs(questions, answers) {
+    const answerById = new Map(answers.map(({ questionId, answer }) => [questionId, answer]));
+    const categories = new Map();
+
+    const review = questions.map(question => {
+      const selectedAnswer = this.resolveOptionIndex(question, answerById.get(question.questionId));
+      const isCorrect = selectedAnswer !== null && question.isAnswerCorrect(selectedAnswer);
+
+      const category = categories.get(question.category) || { category: question.category, correct: 0, total: 0 };
+      category.total++;
+      if (isCorrect) category.correct++;
+      categories.set(question.category, category);
+
+      return {
+        questionId: question.questionId,
+        question: question.question,
+        category: question.category,
+        options: question.options,
+        selectedAnswer,
+        correctAnswer: Number(question.correctAnswer),
+        isCorrect,
+        explanation: question.explanation
+      };
+    });
+
+    const score = review.filter(item => item.isCorrect).length;
+
+    return {
+      score,
+      total: questions.length,
+      percentage: questions.length ? Math.round((score / questions.length) * 100) : 0,
+      categories: [...categories.values()],
+      review
+    };
+  }
+
+  /**
+   * Summarize a coding run against every test case
+   * @param {Object} execution - codeExecutionService.runTestCases output
+   * @returns {string} 'pass' when every test case passed, otherwise 'fail'
+   */
+  codingOutcome(execution) {
+    if (!execution || !execution.totalTestCases) return 'fail';
+    return !execution.compilationError && execution.passedTestCases === execution.totalTestCases ? 'pass' : 'fail';
+  }
+
+  /**
+   * Write the feedback paragraph and study suggestions
+   * @param {Object|null} mcq - gradeMcqs output
+   * @param {Object|null} coding - { result, passedTestCases, totalTestCases, compilationError }
+   * @param {Array} behavioral - [{ star }] with starAnalysisService output
+   * @returns {Object} { feedback, suggestions }
+   */
+  buildFeedback(mcq, coding, behavioral = []) {
+    const sentences = [];
+    const suggestions = [];
+
+    if (mcq && mcq.total) {
+      sentences.push(`You answered ${mcq.score} of ${mcq.total} multiple-choice questions correctly (${mcq.percentage}%).`);
+
+      const weak = mcq.categories
+        .filter(category => (category.correct / category.total) * 100 < WEAK_CATEGORY_PERCENTAGE)
+        .map(category => category.category);
+      if (weak.length) {
+        suggestions.push(`Review ${weak.join(', ')} - most questions in ${weak.length === 1 ? 'this topic' : 'these topics'} were missed.`);
+      }
+      if (mcq.score < mcq.total) {
+        suggestions.push('Read the explanations for the questions you missed.');
+      }
+    }
+
+    if (coding) {
+      if (coding.result === 'not_submitted') {
+        sentences.push('No coding solution was submitted.');
+        suggestions.push('Attempt the coding challenge to get feedback on your solution.');
+      } else if (coding.compilationError) {
+        sentences.push('Your coding solution did not compile.');
+        suggestions.push('Check the syntax of your solution and run it before submitting.');
+      } else if (coding.result === 'pass') {
+        sentences.push(`Your coding solution passed all ${coding.totalTestCases} test cases.`);
+      } else {
+        sentences.push(`Your coding solution passed ${coding.passedTestCases} of ${coding.totalTestCases} test cases.`);
+        suggestions.push('Think through edge cases such as empty input, duplicates and large values.');
+      }
+    }
+
+    if (behavioral.length) {
+      const complete = behavioral.filter(entry => entry.star.missingParts.length === 0).length;
+      sentences.push(`${complete} of ${behavioral.length} behavioral answers covered Situation, Task, Action and Result.`);
+      behavioral.forEach(entry => {
+        entry.star.suggestions.forEach(suggestion => {
+          if (!suggestions.includes(suggestion)) suggestions.push(suggestion);
+        });
+      });
+    }
+
+    return { feedback: sentences.join(' '), suggestions };
+  }
+}
+
+module.exports = new InterviewFeedbackService();
@@ -0,0 +1,352 @@
+/**
+ * Item Analysis Service
+ * Classical test theory statistics for every exam question, computed over finished
+ * attempts by a scheduled job: difficulty (p-value), point-biserial discrimination,
+ * MCQ distractor selection, time spent and skip rate, with flags for questions that
+ * look miskeyed, ambiguous or otherwise broken
+ */
+
+const cron = require('node-cron');
+const Exam = require('../models/Exam');
+const Result = require('../models/Result');
+const ItemStatistic = require('../models/ItemStatistic');
+const logger = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'auto_submitted'];
+
+// Statistics from fewer answers than this are reported but not flagged
+const MIN_RESPONSES = parseInt(process.env.ITEM_ANALYSIS_MIN_RESPONSES) || 20;
+
+// Nightly by default
+const ANALYSIS_JOB_SCHEDULE = process.env.ITEM_ANALYSIS_CRON || '0 3 * * *';
+
+// Share of attempts in the upper and lower scoring groups used for distractor analysis
+const GROUP_FRACTION = 0.27;
+
+const THRESHOLDS = {
+  tooHard: 0.2,
+  tooEasy: 0.95,
+  lowDiscrimination: 0.2,
+  highSkipRate: 0.3,
+  unusedDistractor: 0.05,
+  // A distractor needs this share of the upper group before it counts as attracting them
+  upperGroupDistractor: 0.1
+};
+
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const hasAnswer = (answer) => Boolean(answer) && answer.userAnswer !== null && answer.userAnswer !== undefined && answer.userAnswer !== '';
+
+/**
+ * Pearson correlation; with one dichotomous variable this is the point-biserial coefficient
+ * @returns {number|null} null when either variable does not vary
+ */
+const correlation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    const dx = x - meanX;
+    const dy = ys[index] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  });
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+};
+
+class ItemAnalysisService {
+  constructor() {
+    this.analysisTask = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Questions an attempt was shown. Adaptive attempts, and attempts from before
+   * presentations were recorded, only count the questions that have an answer entry.
+   */
+  getPresentedQuestionIds(result, isAdaptive) {
+    const order = result.presentation?.questionOrder || [];
+    return !isAdaptive && order.length > 0 ? order : result.answers.map(answer => answer.questionId);
+  }
+
+  /**
+   * Share of a question's points an answer earned; skipped questions score 0
+   */
+  getItemScore(answer) {
+    if (!hasAnswer(answer)) return 0;
+    if (answer.maxPoints > 0) return Math.min(Math.max((answer.pointsEarned || 0) / answer.maxPoints, 0), 1);
+    return answer.isCorrect ? 1 : 0;
+  }
+
+  /**
+   * Per-attempt data the statistics are computed from, with upper and lower scoring groups marked
+   */
+  prepareAttempts(results, isAdaptive) {
+    const attempts = results.map(result => {
+      const totals = result.answers.reduce((sum, answer) => ({
+        earned: sum.earned + (answer.pointsEarned || 0),
+        max: sum.max + (answer.maxPoints || 0)
+      }), { earned: 0, max: 0 });
+
+      return {
+        answers: new Map(result.answers.map(answer => [answer.questionId, answer])),
+        presented: new Set(this.getPresentedQuestionIds(result, isAdaptive)),
+        totalEarned: totals.earned,
+        totalMax: totals.max,
+        proportion: totals.max > 0 ? totals.earned / totals.max : 0,
+        group: null
+      };
+    });
+
+    if (attempts.length >= 2) {
+      const ranked = [...attempts].sort((a, b) => a.proportion - b.proportion);
+      const groupSize = Math.max(1, Math.round(attempts.length * GROUP_FRACTION));
+      ranked.slice(0, groupSize).forEach(attempt => { attempt.group = 'lower'; });
+      ranked.slice(-groupSize).forEach(attempt => { attempt.group = 'upper'; });
+    }
+
+    return attempts;
+  }
+
+  /**
+   * Statistics for one question over the prepared attempts
+   */
+  analyzeQuestion(question, attempts) {
+    const shown = attempts.filter(attempt => attempt.presented.has(question.questionId));
+    const answered = shown.filter(attempt => hasAnswer(attempt.answers.get(question.questionId)));
+
+    const itemScores = [];
+    const restScores = [];
+    shown.forEach(attempt => {
+      const answer = attempt.answers.get(question.questionId);
+      const itemMax = answer?.maxPoints || 0;
+      // The question itself is left out of the total so it does not correlate with itself
+      const restMax = attempt.totalMax - itemMax;
+      if (restMax <= 0) return;
+      itemScores.push(this.getItemScore(answer));
+      restScores.push((attempt.totalEarned - (answer?.pointsEarned || 0)) / restMax);
+    });
+
+    const times = answered
+      .map(attempt => attempt.answers.get(question.questionId).timeSpent)
+      .filter(time => time > 0);
+
+    const statistic = {
+      questionId: question.questionId,
+      question: question.question,
+      type: question.type,
+      category: question.category,
+      difficulty: question.difficulty,
+      presented: shown.length,
+      responses: answered.length,
+      pValue: round(mean(shown.map(attempt => this.getItemScore(attempt.answers.get(question.questionId))))),
+      pointBiserial: round(correlation(itemScores, restScores)),
+      averageTimeSpent: round(mean(times), 1),
+      skipRate: shown.length > 0 ? round((shown.length - answered.length) / shown.length) : null,
+      distractors: question.type === 'mcq' ? this.analyzeDistractors(question, shown, answered) : []
+    };
+    statistic.flags = this.getFlags(statistic);
+
+    return statistic;
+  }
+
+  /**
+   * Selection rate of each option among those who answered, and among the upper and lower groups
+   */
+  analyzeDistractors(question, shown, answered) {
+    const chosenOption = (attempt) => Number(attempt.answers.get(question.questionId)?.userAnswer);
+    const upper = shown.filter(attempt => attempt.group === 'upper');
+    const lower = shown.filter(attempt => attempt.group === 'lower');
+    const rateIn = (group, option) => (group.length > 0
+      ? round(group.filter(attempt => hasAnswer(attempt.answers.get(question.questionId)) && chosenOption(attempt) === option).length / group.length)
+      : null);
+
+    return (question.options || []).map((text, option) => {
+      const count = answered.filter(attempt => chosenOption(attempt) === option).length;
+      return {
+        option,
+        text,
+        isCorrect: option === Number(question.correctAnswer),
+        count,
+        rate: answered.length > 0 ? round(count / answered.length) : null,
+        upperRate: rateIn(upper, option),
+        lowerRate: rateIn(lower, option)
+      };
+    });
+  }
+
+  /**
+   * Flags for questions that look broken or ambiguous
+   */
+  getFlags(statistic) {
+    if (statistic.responses < MIN_RESPONSES) {
+      return [{
+        code: 'insufficient_data',
+        severity: 'info',
+        message: `Only ${statistic.responses} answer(s); statistics are not reliable below ${MIN_RESPONSES}`
+      }];
+    }
+
+    const flags = [];
+    const { pValue, pointBiserial, skipRate, distractors } = statistic;
+    const key = distractors.find(distractor => distractor.isCorrect);
+    const wrongOptions = distractors.filter(distractor => !distractor.isCorrect);
+
+    if (pointBiserial !== null && pointBiserial < 0) {
+      flags.push({
+        code: 'negative_discrimination',
+        severity: 'critical',
+        message: 'Candidates who do well overall do worse on this question; check the answer key'
+      });
+    } else if (pointBiserial !== null && pointBiserial < THRESHOLDS.lowDiscrimination) {
+      flags.push({
+        code: 'low_discrimination',
+        severity: 'warning',
+        message: 'The question barely separates strong candidates from weak ones'
+      });
+    }
+
+    if (key) {
+      wrongOptions
+        .filter(distractor => distractor.rate > key.rate)
+        .forEach(distractor => flags.push({
+          code: 'distractor_preferred',
+          severity: 'critical',
+          message: `More candidates chose "${distractor.text}" than the keyed answer; the key may be wrong`
+        }));
+
+      wrongOptions
+        .filter(distractor => distractor.upperRate >= THRESHOLDS.upperGroupDistractor && distractor.upperRate > distractor.lowerRate)
+        .forEach(distractor => flags.push({
+          code: 'ambiguous_distractor',
+          severity: 'warning',
+          message: `"${distractor.text}" attracts top scorers more than low scorers; it may also be correct or ambiguously worded`
+        }));
+
+      const unused = wrongOptions.filter(distractor => distractor.rate < THRESHOLDS.unusedDistractor);
+      if (unused.length > 0) {
+        flags.push({
+          code: 'unused_distractor',
+          severity: 'info',
+          message: `Almost nobody chose ${unused.map(distractor => `"${distractor.text}"`).join(', ')}; consider a more plausible option`
+        });
+      }
+    }
+
+    if (pValue < THRESHOLDS.tooHard) {
+      flags.push({ code: 'too_hard', severity: 'warning', message: `Only ${Math.round(pValue * 100)}% of the points are earned on average` });
+    } else if (pValue > THRESHOLDS.tooEasy) {
+      flags.push({ code: 'too_easy', severity: 'info', message: `${Math.round(pValue * 100)}% of the points are earned on average` });
+    }
+
+    if (skipRate > THRESHOLDS.highSkipRate) {
+      flags.push({ code: 'high_skip_rate', severity: 'warning', message: `${Math.round(skipRate * 100)}% of candidates shown the question skipped it` });
+    }
+
+    return flags;
+  }
+
+  /**
+   * Statistics for every current question of an exam
+   * @param {Object} exam - Exam document
+   * @param {Array} results - The exam's finished results (answers and presentation)
+   * @returns {Array} One statistic per question
+   */
+  analyzeExam(exam, results) {
+    const attempts = this.prepareAttempts(results, exam.isAdaptive());
+    return exam.questions.map(question => this.analyzeQuestion(question, attempts));
+  }
+
+  /**
+   * Recompute and store the statistics of one exam, or of every exam with finished attempts
+   * @returns {Object} { exams, questions, flagged }
+   */
+  async runAnalysis({ examId } = {}) {
+    const startedAt = new Date();
+    const examIds = examId
+      ? [examId]
+      : await Result.distinct('examId', { status: { $in: FINISHED_STATUSES } });
+
+    const summary = { exams: 0, questions: 0, flagged: 0 };
+
+    for (const id of examIds) {
+      const exam = await Exam.findOne({ examId: id });
+      if (!exam) continue;
+
+      const results = await Result.find({ examId: id, status: { $in: FINISHED_STATUSES } })
+        .select('answers presentation.questionOrder')
+        .lean();
+      const statistics = this.analyzeExam(exam, results);
+
+      if (statistics.length > 0) {
+        await ItemStatistic.bulkWrite(statistics.map(statistic => ({
+          updateOne: {
+            filter: { examId: id, questionId: statistic.questionId },
+            update: { $set: { ...statistic, examId: id, examTitle: exam.title, computedAt: startedAt } },
+            upsert: true
+          }
+        })));
+      }
+      // Questions removed from the exam since the last run
+      await ItemStatistic.deleteMany({ examId: id, computedAt: { $lt: startedAt } });
+
+      summary.exams += 1;
+      summary.questions += statistics.length;
+      summary.flagged += statistics.filter(statistic =>
+        statistic.flags.some(flag => flag.severity !== 'info')
+      ).length;
+    }
+
+    logger.info('Item analysis completed', { ...summary, durationMs: Date.now() - startedAt.getTime() });
+    return summary;
+  }
+
+  /**
+   * Run the analysis unless a run is already in progress
+   * @returns {Object|null} The run summary, or null when another run is in progress
+   */
+  async runIfIdle(options) {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+    try {
+      return await this.runAnalysis(options);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Schedule the item analysis job
+   */
+  startAnalysisJob() {
+    if (this.analysisTask) return this.analysisTask;
+
+    this.analysisTask = cron.schedule(ANALYSIS_JOB_SCHEDULE, async () => {
+      try {
+        await this.runIfIdle();
+      } catch (error) {
+        logger.error('Item analysis failed', { error: error.message });
+      }
+    });
+
+    console.log('✅ Item analysis job scheduled');
+    return this.analysisTask;
+  }
+
+  stopAnalysisJob() {
+    if (this.analysisTask) {
+      this.analysisTask.stop();
+      this.analysisTask = null;
+    }
+  }
+}
+
+module.exports = new ItemAnalysisService();
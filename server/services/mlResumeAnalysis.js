@@ -1,5 +1,6 @@
 const natural = require('natural');
 const { TfIdf, WordTokenizer, SentimentAnalyzer, PorterStemmer } = natural;
+const { STRONG_ACTION_VERBS, WEAK_PHRASES } = require('../constants/actionLanguage');
 
 /**
  * ML-powered Resume Analysis Service
@@ -37,20 +38,9 @@ class MLResumeAnalysisService {
       ]
     };
     
-    // Action verbs that indicate strong achievements
-    this.strongActionVerbs = [
-      'achieved', 'accomplished', 'delivered', 'implemented', 'developed',
-      'created', 'designed', 'built', 'launched', 'optimized', 'improved',
-      'increased', 'decreased', 'reduced', 'managed', 'led', 'directed',
-      'coordinated', 'supervised', 'trained', 'mentored', 'established',
-      'initiated', 'streamlined', 'automated', 'innovated', 'transformed'
-    ];
-    
-    // Weak phrases that should be avoided
-    this.weakPhrases = [
-      'responsible for', 'duties included', 'worked on', 'helped with',
-      'assisted in', 'participated in', 'involved in', 'familiar with'
-    ];
+    // Shared with the behavioral answer analyzer
+    this.strongActionVerbs = STRONG_ACTION_VERBS;
+    this.weakPhrases = WEAK_PHRASES;
   }
 
   /**
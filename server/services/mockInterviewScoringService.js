@@ -0,0 +1,213 @@
+const starAnalysisService = require('./starAnalysisService');
+
+/**
+ * Mock Interview Scoring Service
+ * Scores typed mock interview answers against each question's expected points.
+ * Every answer gets four components (0-100):
+ * - coverage: share of the expected points the answer mentions
+ * - relevance: share of the question's own keywords the answer picks up
+ * - depth: length against what a complete answer of that type needs
+ * - structure: sentences and signposting ("first", "because", "for example")
+ * Behavioral answers also get a STAR breakdown from starAnalysisService.
+ * This is the only place mock interviews are scored: the simulator asks for its results
+ * here and saved sessions are scored again on the way in, so history shows the same numbers.
+ */
+
+const COMPONENT_WEIGHTS = {
+  coverage: 0.4,
+  relevance: 0.2,
+  depth: 0.2,
+  structure: 0.2
+};
+
+// Word counts for a complete answer; shorter answers lose depth proportionally
+const DEPTH_TARGETS = {
+  technical: 120,
+  behavioral: 180
+};
+
+// Past this multiple of the target an answer reads as rambling
+const RAMBLING_FACTOR = 3;
+const RAMBLING_DEPTH = 80;
+
+// An expected point of several words counts as covered once this share of its words appear
+const POINT_MATCH_SHARE = 0.5;
+
+// Picking up this share of the question's keywords is fully relevant
+const RELEVANCE_SHARE = 0.5;
+
+const STRUCTURE_SENTENCES = 4;
+const STRUCTURE_CONNECTIVES = 3;
+
+const CONNECTIVES = [
+  'first', 'firstly', 'second', 'secondly', 'then', 'next', 'finally', 'lastly',
+  'because', 'therefore', 'so that', 'as a result', 'however', 'although', 'whereas',
+  'for example', 'for instance', 'such as', 'in contrast', 'on the other hand', 'overall', 'in summary'
+];
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'between', 'by', 'can', 'describe', 'do', 'does', 'explain',
+  'for', 'from', 'give', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'tell',
+  'that', 'the', 'their', 'them', 'there', 'this', 'to', 'us', 'vs', 'was', 'we', 'what', 'when',
+  'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const round = (value) => Math.round(value);
+
+const clamp = (value) => Math.max(0, Math.min(100, value));
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Reduce a word to a rough stem so "cache", "caches", "cached" and "caching" line up
+ */
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/ies$/, 'y')
+    .replace(/(ments|ment|ings|ing|ed|ly)$/, '')
+    .replace(/([^s])s$/, '$1')
+    .replace(/e$/, '');
+};
+
+const countWords = (text) => (text.trim() ? text.trim().split(/\s+/).length : 0);
+
+class MockInterviewScoringService {
+  constructor() {
+    this.COMPONENT_WEIGHTS = COMPONENT_WEIGHTS;
+  }
+
+  /**
+   * Significant word stems of a text, without duplicates
+   */
+  keywords(text) {
+    const words = String(text || '').toLowerCase().match(/[a-z0-9+#]+/g) || [];
+    return [...new Set(words.filter(word => word.length > 1 && !STOP_WORDS.has(word)).map(stem))];
+  }
+
+  /**
+   * Which expected points an answer mentions
+   * @returns {Object} { matched: [String], missed: [String] }
+   */
+  matchPoints(expectedPoints, answerKeywords) {
+    const answer = new Set(answerKeywords);
+    const matched = [];
+    const missed = [];
+
+    expectedPoints.forEach(point => {
+      const words = this.keywords(point);
+      const found = words.filter(word => answer.has(word)).length;
+      const needed = words.length > 1 ? Math.ceil(words.length * POINT_MATCH_SHARE) : 1;
+      (words.length > 0 && found >= needed ? matched : missed).push(point);
+    });
+
+    return { matched, missed };
+  }
+
+  relevance(question, answerKeywords) {
+    const questionKeywords = this.keywords(question);
+    if (questionKeywords.length === 0) return 100;
+
+    const answer = new Set(answerKeywords);
+    const hits = questionKeywords.filter(word => answer.has(word)).length;
+    return clamp(round((hits / Math.ceil(questionKeywords.length * RELEVANCE_SHARE)) * 100));
+  }
+
+  depth(wordCount, type) {
+    const target = DEPTH_TARGETS[type] || DEPTH_TARGETS.technical;
+    if (wordCount > target * RAMBLING_FACTOR) return RAMBLING_DEPTH;
+    return clamp(round((wordCount / target) * 100));
+  }
+
+  structure(answer) {
+    const sentences = answer.split(/[.!?\n]+/).filter(sentence => countWords(sentence) >= 3).length;
+    const text = ` ${answer.toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ')} `;
+    const connectives = CONNECTIVES.filter(connective => text.includes(` ${connective} `)).length;
+
+    return round(
+      (Math.min(sentences, STRUCTURE_SENTENCES) / STRUCTURE_SENTENCES) * 50 +
+      (Math.min(connectives, STRUCTURE_CONNECTIVES) / STRUCTURE_CONNECTIVES) * 50
+    );
+  }
+
+  /**
+   * Score one answer.
+   * Without expected points, coverage is left out and the other components share its weight.
+   * @param {Object} question - { questionId, question, type, expectedPoints }
+   * @param {string} answer
+   * @returns {Object} { questionId, question, answered, wordCount, coverage, relevance, depth, structure, score, matchedPoints, missedPoints, star }
+   */
+  scoreResponse(question, answer) {
+    const text = String(answer || '');
+    const expectedPoints = Array.isArray(question.expectedPoints) ? question.expectedPoints.map(String) : [];
+    const wordCount = countWords(text);
+    const base = {
+      questionId: question.questionId,
+      question: question.question,
+      answered: wordCount > 0
+    };
+
+    if (wordCount === 0) {
+      return {
+        ...base,
+        wordCount,
+        coverage: expectedPoints.length ? 0 : null,
+        relevance: 0,
+        depth: 0,
+        structure: 0,
+        score: 0,
+        matchedPoints: [],
+        missedPoints: expectedPoints,
+        star: null
+      };
+    }
+
+    const answerKeywords = this.keywords(text);
+    const { matched, missed } = this.matchPoints(expectedPoints, answerKeywords);
+    const components = {
+      coverage: expectedPoints.length ? round((matched.length / expectedPoints.length) * 100) : null,
+      relevance: this.relevance(question.question, answerKeywords),
+      depth: this.depth(wordCount, question.type),
+      structure: this.structure(text)
+    };
+
+    const weighted = Object.entries(COMPONENT_WEIGHTS).filter(([component]) => components[component] !== null);
+    const totalWeight = weighted.reduce((total, [, weight]) => total + weight, 0);
+    const score = weighted.reduce((total, [component, weight]) => total + components[component] * weight, 0) / totalWeight;
+
+    return {
+      ...base,
+      wordCount,
+      ...components,
+      score: round(score),
+      matchedPoints: matched,
+      missedPoints: missed,
+      star: question.type === 'behavioral' ? starAnalysisService.analyzeAnswer(text) : null
+    };
+  }
+
+  /**
+   * Score a whole session. Responses are matched to questions by questionId;
+   * questions left unanswered score zero and count towards the overall score.
+   * @param {Array} questions - [{ questionId, question, type, expectedPoints }]
+   * @param {Array} responses - [{ questionId, answer }]
+   * @returns {Object} { overallScore, components: { coverage, relevance, depth, structure }, questions: [...] }
+   */
+  scoreInterview(questions = [], responses = []) {
+    const answers = new Map(responses.map(response => [String(response.questionId), response.answer]));
+    const scored = questions.map(question => this.scoreResponse(question, answers.get(String(question.questionId))));
+
+    const componentAverage = (component) => {
+      const values = scored.map(entry => entry[component]).filter(value => value !== null);
+      return values.length ? round(average(values)) : null;
+    };
+
+    return {
+      overallScore: round(average(scored.map(entry => entry.score))),
+      components: Object.fromEntries(Object.keys(COMPONENT_WEIGHTS).map(component => [component, componentAverage(component)])),
+      questions: scored
+    };
+  }
+}
+
+module.exports = new MockInterviewScoringService();
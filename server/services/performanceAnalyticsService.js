@@ -0,0 +1,311 @@
+const Result = require('../models/Result');
+
+/**
+ * Performance Analytics Service
+ * Aggregates a candidate's finished attempts for the analytics dashboards:
+ * score trends, category and difficulty breakdowns, time spent per question
+ * and how much scores moved over a timeframe. Categories and difficulties come
+ * from each attempt's question snapshot, so later exam edits do not rewrite history.
+ */
+
+// Days covered by each timeframe; `all` has no lower bound
+const TIMEFRAMES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  all: null
+};
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const FINISHED_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+
+// Time-per-question histogram, in seconds
+const TIME_BUCKETS = [
+  { label: 'under 30s', max: 30 },
+  { label: '30s-2m', max: 120 },
+  { label: '2-5m', max: 300 },
+  { label: 'over 5m', max: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const percentage = (correct, attempted) => (attempted > 0 ? Math.round((correct / attempted) * 100) : 0);
+
+class PerformanceAnalyticsService {
+  constructor() {
+    this.TIMEFRAMES = Object.keys(TIMEFRAMES);
+    this.DIFFICULTIES = DIFFICULTIES;
+  }
+
+  /**
+   * Start of a timeframe, or null for all time
+   */
+  getSince(timeframe, now = new Date()) {
+    const days = TIMEFRAMES[timeframe];
+    return days ? new Date(now.getTime() - days * DAY_MS) : null;
+  }
+
+  /**
+   * Trend period length for a timeframe: days up to a month, weeks for a quarter, months beyond
+   */
+  getTrendInterval(timeframe) {
+    if (timeframe === '7d' || timeframe === '30d') return 'day';
+    if (timeframe === '90d') return 'week';
+    return 'month';
+  }
+
+  /**
+   * Changes whenever one of the user's finished attempts is added or regraded; used to key caches
+   */
+  async getDataVersion(userId) {
+    const latest = await Result.findOne({ userId, status: { $in: FINISHED_STATUSES } })
+      .sort({ updatedAt: -1 })
+      .select('updatedAt');
+    return latest ? latest.updatedAt.getTime() : 0;
+  }
+
+  /**
+   * The user's finished attempts in a timeframe, oldest first
+   */
+  async loadAttempts(userId, timeframe, now = new Date()) {
+    const query = { userId, status: { $in: FINISHED_STATUSES } };
+    const since = this.getSince(timeframe, now);
+    if (since) {
+      query.endTime = { $gte: since };
+    }
+
+    const results = await Result.find(query)
+      .sort({ endTime: 1 })
+      .select('resultId examId exam status startTime endTime totalTimeSpent scoring answers presentation.questions')
+      .populate('exam', 'title questions.questionId questions.category questions.difficulty');
+
+    return results.map(result => this.toAttempt(result));
+  }
+
+  /**
+   * Flatten a result into what the aggregations need
+   */
+  toAttempt(result) {
+    const snapshot = result.presentation?.questions?.length > 0 ? result.presentation.questions : (result.exam?.questions || []);
+    const questions = new Map(snapshot.map(question => [question.questionId, question]));
+
+    return {
+      resultId: result.resultId,
+      examId: result.examId,
+      examTitle: result.exam?.title || 'Unknown Exam',
+      completedAt: result.endTime || result.startTime,
+      score: result.scoring?.percentage || 0,
+      passed: Boolean(result.scoring?.passed),
+      totalTimeSpent: result.totalTimeSpent || 0,
+      answers: (result.answers || []).map(answer => {
+        const question = questions.get(answer.questionId) || {};
+        return {
+          questionId: answer.questionId,
+          category: question.category || 'General',
+          difficulty: DIFFICULTIES.includes(question.difficulty) ? question.difficulty : null,
+          attempted: answer.userAnswer !== null && answer.userAnswer !== undefined && answer.userAnswer !== '',
+          correct: Boolean(answer.isCorrect),
+          timeSpent: answer.timeSpent || 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Attempted and correct answers per category or difficulty
+   * @param {string} field - 'category' or 'difficulty'
+   * @returns {Array} [{ [field], attempted, correct, percentage, averageTimeSeconds }]
+   */
+  breakdown(answers, field) {
+    const groups = new Map();
+
+    answers.forEach(answer => {
+      const key = answer[field];
+      if (!key) return;
+      const group = groups.get(key) || { [field]: key, attempted: 0, correct: 0, times: [] };
+      if (answer.attempted) group.attempted++;
+      if (answer.correct) group.correct++;
+      if (answer.timeSpent > 0) group.times.push(answer.timeSpent);
+      groups.set(key, group);
+    });
+
+    return [...groups.values()].map(({ times, ...group }) => ({
+      ...group,
+      percentage: percentage(group.correct, group.attempted),
+      averageTimeSeconds: round(average(times))
+    }));
+  }
+
+  /**
+   * How long answers took; answers without a recorded time are left out
+   * @returns {Object} { answers, averageSeconds, medianSeconds, buckets: [{ label, count }] }
+   */
+  timeDistribution(answers) {
+    const times = answers.map(answer => answer.timeSpent).filter(time => time > 0).sort((a, b) => a - b);
+    const buckets = TIME_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+
+    times.forEach(time => {
+      buckets[TIME_BUCKETS.findIndex(bucket => time < bucket.max)].count++;
+    });
+
+    const middle = Math.floor(times.length / 2);
+    const median = times.length === 0 ? 0
+      : times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2;
+
+    return {
+      answers: times.length,
+      averageSeconds: round(average(times)),
+      medianSeconds: round(median),
+      buckets
+    };
+  }
+
+  /**
+   * How scores moved across a series of attempts, oldest first.
+   * Compares the first and latest scores and the averages of the earlier and later halves.
+   * @returns {Object|null} null with fewer than two scores
+   */
+  improvement(scores) {
+    if (scores.length < 2) return null;
+
+    const half = Math.floor(scores.length / 2);
+    const earlierAverage = average(scores.slice(0, half));
+    const recentAverage = average(scores.slice(scores.length - half));
+
+    return {
+      firstScore: scores[0],
+      latestScore: scores[scores.length - 1],
+      change: scores[scores.length - 1] - scores[0],
+      earlierAverage: round(earlierAverage),
+      recentAverage: round(recentAverage),
+      averageChange: round(recentAverage - earlierAverage)
+    };
+  }
+
+  /**
+   * Everything the user dashboard shows for a timeframe
+   */
+  buildUserAnalytics(attempts, timeframe) {
+    const answers = attempts.flatMap(attempt => attempt.answers);
+    const scores = attempts.map(attempt => attempt.score);
+    const difficulties = this.breakdown(answers, 'difficulty');
+
+    return {
+      timeframe,
+      summary: {
+        totalAttempts: attempts.length,
+        averageScore: round(average(scores)),
+        bestScore: scores.length ? Math.max(...scores) : 0,
+        passRate: percentage(attempts.filter(attempt => attempt.passed).length, attempts.length),
+        totalTimeSpent: attempts.reduce((total, attempt) => total + attempt.totalTimeSpent, 0),
+        questionsAnswered: answers.filter(answer => answer.attempted).length
+      },
+      scoreTrend: attempts.map(attempt => ({
+        resultId: attempt.resultId,
+        examId: attempt.examId,
+        examTitle: attempt.examTitle,
+        completedAt: attempt.completedAt,
+        score: attempt.score,
+        passed: attempt.passed
+      })),
+      categories: this.breakdown(answers, 'category').sort((a, b) => b.attempted - a.attempted),
+      // Every difficulty is listed so charts keep a fixed axis; unrated questions are left out
+      difficulties: DIFFICULTIES.map(difficulty => difficulties.find(group => group.difficulty === difficulty)
+        || { difficulty, attempted: 0, correct: 0, percentage: 0, averageTimeSeconds: 0 }),
+      timePerQuestion: this.timeDistribution(answers),
+      improvement: this.improvement(scores)
+    };
+  }
+
+  /**
+   * Performance on the questions of one category or difficulty, attempt by attempt
+   * @param {string} field - 'category' or 'difficulty'
+   * @param {string} value - Matched case-insensitively
+   */
+  buildSliceAnalytics(attempts, field, value, timeframe) {
+    const wanted = String(value).toLowerCase();
+    const matches = answer => String(answer[field] || '').toLowerCase() === wanted;
+
+    const trend = attempts
+      .map(attempt => {
+        const answers = attempt.answers.filter(matches);
+        const attempted = answers.filter(answer => answer.attempted).length;
+        const correct = answers.filter(answer => answer.correct).length;
+        return {
+          resultId: attempt.resultId,
+          examTitle: attempt.examTitle,
+          completedAt: attempt.completedAt,
+          questions: answers.length,
+          attempted,
+          correct,
+          percentage: percentage(correct, attempted)
+        };
+      })
+      .filter(entry => entry.questions > 0);
+
+    const answers = attempts.flatMap(attempt => attempt.answers.filter(matches));
+    const attempted = answers.filter(answer => answer.attempted).length;
+    const correct = answers.filter(answer => answer.correct).length;
+
+    return {
+      [field]: answers.length ? answers[0][field] : value,
+      timeframe,
+      attempts: trend.length,
+      questions: answers.length,
+      attempted,
+      correct,
+      percentage: percentage(correct, attempted),
+      timePerQuestion: this.timeDistribution(answers),
+      trend,
+      improvement: this.improvement(trend.map(entry => entry.percentage))
+    };
+  }
+
+  /**
+   * Start of the day, week (Monday) or month a date falls in, as YYYY-MM-DD in UTC
+   */
+  getPeriodStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+    if (interval === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    return start.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Scores grouped by day, week or month, with the change over the timeframe
+   */
+  buildTrends(attempts, timeframe) {
+    const interval = this.getTrendInterval(timeframe);
+    const periods = new Map();
+
+    attempts.forEach(attempt => {
+      const period = this.getPeriodStart(new Date(attempt.completedAt), interval);
+      const entry = periods.get(period) || { period, scores: [], passed: 0 };
+      entry.scores.push(attempt.score);
+      if (attempt.passed) entry.passed++;
+      periods.set(period, entry);
+    });
+
+    return {
+      timeframe,
+      interval,
+      periods: [...periods.values()].map(({ period, scores, passed }) => ({
+        period,
+        attempts: scores.length,
+        averageScore: round(average(scores)),
+        bestScore: Math.max(...scores),
+        passed
+      })),
+      improvement: this.improvement(attempts.map(attempt => attempt.score))
+    };
+  }
+}
+
+module.exports = new PerformanceAnalyticsService();
@@ -0,0 +1,833 @@
+/**
+ * Question Import/Export Service
+ * Moves question bank entries in and out of the platform as CSV, our own JSON schema,
+ * Moodle GIFT and IMS QTI 2.1 content packages. Imports are validated row by row and
+ * checked for duplicates, both within the file and against the question bank.
+ */
+
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { v4: uuidv4 } = require('uuid');
+const Question = require('../models/Question');
+const { parseCsv, toCsv, unescapeCsvFormula } = require('../utils/csv');
+
+const FORMATS = ['csv', 'json', 'gift', 'qti'];
+
+const FILE_EXTENSIONS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.gift': 'gift',
+  '.txt': 'gift',
+  '.xml': 'qti',
+  '.zip': 'qti'
+};
+
+// Question bank fields carried by imports and exports
+const QUESTION_FIELDS = [
+  'questionId', 'type', 'question', 'options', 'correctAnswer', 'explanation', 'category',
+  'role', 'difficulty', 'points', 'timeLimit', 'tags', 'codeTemplate', 'entryPoint',
+  'referenceSolution', 'testCases', 'requirements', 'expectedPoints', 'isActive', 'examOnly'
+];
+
+const LIST_FIELDS = ['options', 'tags', 'requirements', 'expectedPoints'];
+const NUMBER_FIELDS = ['points', 'timeLimit'];
+
+const DUPLICATE_STRATEGIES = ['skip', 'update'];
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_ITEM_RESOURCE = 'imsqti_item_xmlv2p1';
+
+// LOM has no "hard", so it travels as "difficult"
+const LOM_DIFFICULTY = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+
+class ImportFormatError extends Error {}
+
+const cleanText = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+// Questions with the same type and wording are the same question, whatever their ids
+const contentKey = (data) => `${data.type}:${cleanText(data.question || '').toLowerCase()}`;
+
+// Matches the same wording with any case and spacing
+const wordingPattern = (question) => new RegExp(
+  `^\\s*${cleanText(question).split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+')}\\s*$`,
+  'i'
+);
+
+const pickFields = (source) => QUESTION_FIELDS.reduce((fields, key) => {
+  if (source[key] !== undefined && source[key] !== null && source[key] !== '') fields[key] = source[key];
+  return fields;
+}, {});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// QTI identifiers must be XML names
+const toIdentifier = (value) => {
+  const identifier = String(value).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(identifier) ? identifier : `_${identifier}`;
+};
+
+/* ---------------------------------- CSV ---------------------------------- */
+
+// Lists are pipe-separated in a single cell; a literal pipe is written as \|
+const splitList = (value) => value
+  .split(/(?<!\\)\|/)
+  .map(item => item.replace(/\\\|/g, '|').trim())
+  .filter(Boolean);
+
+const joinList = (items) => (items || []).map(item => String(item).replace(/\|/g, '\\|')).join('|');
+
+/* ---------------------------------- GIFT --------------------------------- */
+
+const GIFT_SPECIAL = /[~=#{}:]/g;
+
+const escapeGift = (value) => String(value).replace(/\\/g, '\\\\').replace(GIFT_SPECIAL, '\\$&').replace(/\n/g, '\\n');
+
+const unescapeGift = (value) => value
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:\\])/g, '$1')
+  .trim();
+
+// Index of the first character in `chars` that is not escaped with a backslash
+const findUnescaped = (text, chars, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Split an answer block into its =right / ~wrong choices
+const splitGiftChoices = (body) => {
+  const choices = [];
+  let start = findUnescaped(body, '=~');
+
+  while (start !== -1) {
+    const next = findUnescaped(body, '=~', start + 1);
+    choices.push({ marker: body[start], text: body.slice(start + 1, next === -1 ? undefined : next) });
+    start = next;
+  }
+
+  return choices;
+};
+
+/* ---------------------------------- QTI ---------------------------------- */
+
+const childElements = (node, localName) => Array.from(node.childNodes || [])
+  .filter(child => child.nodeType === 1 && (!localName || child.localName === localName));
+
+const firstElement = (node, localName) => {
+  const found = node.getElementsByTagNameNS('*', localName);
+  return found.length > 0 ? found[0] : null;
+};
+
+const textOf = (node) => (node ? cleanText(node.textContent || '') : '');
+
+// Item body text outside the interaction itself, e.g. a stem paragraph before the choices
+const bodyTextWithout = (itemBody, interaction) => childElements(itemBody)
+  .filter(child => child !== interaction && !child.getElementsByTagNameNS('*', interaction.localName).length)
+  .map(textOf)
+  .filter(Boolean)
+  .join(' ');
+
+const parseXml = (xml, source) => {
+  const errors = [];
+  const document = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (message) => errors.push(message),
+      fatalError: (message) => errors.push(message)
+    }
+  }).parseFromString(xml, 'text/xml');
+
+  if (errors.length > 0 || !document || !document.documentElement) {
+    throw new ImportFormatError(`${source} is not well-formed XML`);
+  }
+  return document;
+};
+
+class QuestionImportExportService {
+  constructor() {
+    this.FORMATS = FORMATS;
+    this.DUPLICATE_STRATEGIES = DUPLICATE_STRATEGIES;
+    this.ImportFormatError = ImportFormatError;
+  }
+
+  /**
+   * Work out the format of an uploaded file from its name
+   * @returns {string|null}
+   */
+  detectFormat(filename = '') {
+    const match = /\.[^.]+$/.exec(filename.toLowerCase());
+    return match ? FILE_EXTENSIONS[match[0]] || null : null;
+  }
+
+  /**
+   * Read a file into question entries
+   * @param {string} format - csv | json | gift | qti
+   * @param {Buffer|string} content - File content
+   * @returns {Promise<Array>} [{ row, data, errors }] - errors hold problems found while reading the row
+   * @throws {ImportFormatError} When the file cannot be read at all
+   */
+  async parse(format, content) {
+    switch (format) {
+      case 'csv': return this.parseCsv(content.toString('utf8'));
+      case 'json': return this.parseJson(content.toString('utf8'));
+      case 'gift': return this.parseGift(content.toString('utf8'));
+      case 'qti': return this.parseQti(content);
+      default: throw new ImportFormatError(`Unsupported format: ${format}`);
+    }
+  }
+
+  parseCsv(text) {
+    let records;
+    try {
+      records = parseCsv(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ImportFormatError(error.message);
+    }
+    if (records.length === 0) {
+      throw new ImportFormatError('The CSV file is empty');
+    }
+
+    const [header, ...rows] = records;
+    const columns = header.values.map(column => column.trim());
+    const missing = ['type', 'question', 'category'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new ImportFormatError(`The CSV header is missing required columns: ${missing.join(', ')}`);
+    }
+
+    return rows.map(({ line, values }) => {
+      const data = {};
+      const errors = [];
+
+      columns.forEach((column, index) => {
+        // Exports prefix formula-like text with an apostrophe so spreadsheets do not run it
+        const value = unescapeCsvFormula(values[index] || '').trim();
+        if (!QUESTION_FIELDS.includes(column) || value === '') return;
+
+        if (LIST_FIELDS.includes(column)) {
+          data[column] = splitList(value);
+        } else if (NUMBER_FIELDS.includes(column)) {
+          if (Number.isNaN(Number(value))) {
+            errors.push({ field: column, message: `${column} must be a number` });
+          } else {
+            data[column] = Number(value);
+          }
+        } else if (column === 'correctAnswer') {
+          // An option index, or a letter counting options from A
+          data.correctAnswer = /^[A-Za-z]$/.test(value) ? value.toUpperCase().charCodeAt(0) - 65 : Number(value);
+          if (Number.isNaN(data.correctAnswer)) data.correctAnswer = value;
+        } else if (column === 'testCases') {
+          try {
+            data.testCases = JSON.parse(value);
+          } catch (error) {
+            errors.push({ field: 'testCases', message: 'testCases must be a JSON array' });
+          }
+        } else if (column === 'isActive' || column === 'examOnly') {
+          data[column] = !['false', 'no', '0'].includes(value.toLowerCase());
+        } else {
+          data[column] = value;
+        }
+      });
+
+      return { row: line, data, errors };
+    });
+  }
+
+  parseJson(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ImportFormatError(`The JSON file could not be parsed: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed?.questions;
+    if (!Array.isArray(items)) {
+      throw new ImportFormatError('The JSON file must contain an array of questions or an object with a "questions" array');
+    }
+
+    return items.map((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { row: index + 1, data: {}, errors: [{ field: null, message: 'Each question must be an object' }] };
+      }
+      return { row: index + 1, data: pickFields(item), errors: [] };
+    });
+  }
+
+  parseGift(text) {
+    const entries = [];
+    let category;
+    let metadata = {};
+    let block = [];
+    let blockLine = 0;
+
+    const flush = () => {
+      if (block.length > 0) {
+        entries.push(this.parseGiftQuestion(block.join('\n'), blockLine, { category, ...metadata }));
+      }
+      block = [];
+      metadata = {};
+    };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+
+      if (line === '') {
+        flush();
+      } else if (line.startsWith('//')) {
+        // Our exports keep fields GIFT has no place for in "// field: value" comments
+        const match = /^\/\/\s*(difficulty|tags|points|role):\s*(.*)$/.exec(line);
+        if (match && block.length === 0) {
+          const [, field, value] = match;
+          if (field === 'tags') metadata.tags = splitList(value.replace(/,\s*/g, '|'));
+          else if (field === 'points') metadata.points = Number(value);
+          else metadata[field] = value.trim();
+        }
+      } else if (block.length === 0 && line.startsWith('$CATEGORY:')) {
+        // Moodle category paths look like $course$/top/Frontend; the last part names the category
+        category = line.slice('$CATEGORY:'.length).split('/').pop().trim() || undefined;
+      } else {
+        if (block.length === 0) blockLine = index + 1;
+        block.push(rawLine);
+      }
+    });
+    flush();
+
+    return entries;
+  }
+
+  parseGiftQuestion(source, row, defaults) {
+    const data = pickFields(defaults);
+    const errors = [];
+    let text = source.trim();
+
+    // ::Title:: names the question; our exports use it for the question id
+    if (text.startsWith('::')) {
+      const end = text.indexOf('::', 2);
+      if (end !== -1) {
+        data.questionId = unescapeGift(text.slice(2, end));
+        text = text.slice(end + 2).trim();
+      }
+    }
+    text = text.replace(/^\[(html|moodle|plain|markdown)\]/, '');
+
+    const open = findUnescaped(text, '{');
+    const close = open === -1 ? -1 : findUnescaped(text, '}', open + 1);
+    if (open === -1 || close === -1) {
+      return { row, data, errors: [{ field: null, message: 'GIFT questions need an answer block in braces' }] };
+    }
+
+    const after = unescapeGift(text.slice(close + 1));
+    // Missing-word questions put the answers in the middle of the sentence
+    data.question = after
+      ? `${unescapeGift(text.slice(0, open))} _____ ${after}`
+      : unescapeGift(text.slice(0, open));
+
+    let body = text.slice(open + 1, close).trim();
+
+    // ####text is general feedback, which is what we call an explanation
+    const feedbackStart = body.indexOf('####');
+    if (feedbackStart !== -1) {
+      data.explanation = unescapeGift(body.slice(feedbackStart + 4));
+      body = body.slice(0, feedbackStart).trim();
+    }
+
+    if (body === '') {
+      data.type = 'essay';
+      return { row, data, errors };
+    }
+
+    const trueFalse = /^(T|TRUE|F|FALSE)\s*(#.*)?$/s.exec(body);
+    if (trueFalse) {
+      data.type = 'mcq';
+      data.options = ['True', 'False'];
+      data.correctAnswer = trueFalse[1].startsWith('T') ? 0 : 1;
+      return { row, data, errors };
+    }
+
+    if (body.startsWith('#')) {
+      errors.push({ field: 'type', message: 'Numerical GIFT questions are not supported' });
+      return { row, data, errors };
+    }
+
+    const choices = splitGiftChoices(body);
+    if (choices.some(choice => choice.text.includes('->'))) {
+      errors.push({ field: 'type', message: 'Matching GIFT questions are not supported' });
+      return { row, data, errors };
+    }
+
+    const options = [];
+    let correctAnswer;
+    choices.forEach(({ marker, text: choiceText }) => {
+      let answer = choiceText;
+      const feedback = findUnescaped(answer, '#');
+      if (feedback !== -1) answer = answer.slice(0, feedback);
+
+      let correct = marker === '=';
+      const weight = /^%(-?\d+(?:\.\d+)?)%/.exec(answer.trim());
+      if (weight) {
+        correct = Number(weight[1]) === 100;
+        if (!correct && Number(weight[1]) > 0) {
+          errors.push({ field: 'options', message: 'Partial-credit answers are not supported' });
+        }
+        answer = answer.trim().slice(weight[0].length);
+      }
+
+      if (correct) {
+        if (correctAnswer !== undefined) {
+          errors.push({ field: 'correctAnswer', message: 'Only one correct answer is supported' });
+        }
+        correctAnswer = options.length;
+      }
+      options.push(unescapeGift(answer));
+    });
+
+    if (choices.every(choice => choice.marker === '=')) {
+      errors.push({ field: 'type', message: 'Short-answer GIFT questions are not supported' });
+    }
+
+    data.type = 'mcq';
+    data.options = options;
+    if (correctAnswer !== undefined) data.correctAnswer = correctAnswer;
+    return { row, data, errors };
+  }
+
+  async parseQti(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+    // Content packages are zip files listing their items in imsmanifest.xml
+    if (buffer.slice(0, 2).toString('latin1') === 'PK') {
+      return this.parseQtiPackage(buffer);
+    }
+
+    const document = parseXml(buffer.toString('utf8'), 'The QTI file');
+    return Array.from(document.getElementsByTagNameNS('*', 'assessmentItem'))
+      .map((item, index) => this.parseQtiItem(item, index + 1));
+  }
+
+  async parseQtiPackage(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new ImportFormatError('The QTI package is not a valid zip file');
+    }
+
+    const manifestFile = zip.file('imsmanifest.xml');
+    if (!manifestFile) {
+      throw new ImportFormatError('The QTI package has no imsmanifest.xml');
+    }
+    const manifest = parseXml(await manifestFile.async('string'), 'imsmanifest.xml');
+
+    const resources = Array.from(manifest.getElementsByTagNameNS('*', 'resource'))
+      .filter(resource => resource.getAttribute('type') === QTI_ITEM_RESOURCE);
+
+    const entries = [];
+    for (const [index, resource] of resources.entries()) {
+      const href = resource.getAttribute('href');
+      const row = index + 1;
+      const file = href && zip.file(href);
+
+      if (!file) {
+        entries.push({ row, data: {}, errors: [{ field: null, message: `Item file ${href} is missing from the package` }] });
+        continue;
+      }
+
+      let document;
+      try {
+        document = parseXml(await file.async('string'), href);
+      } catch (error) {
+        entries.push({ row, data: {}, errors: [{ field: null, message: error.message }] });
+        continue;
+      }
+
+      const item = firstElement(document, 'assessmentItem');
+      if (!item) {
+        entries.push({ row, data: {}, errors: [{ field: null, message: `${href} has no assessmentItem` }] });
+        continue;
+      }
+
+      const entry = this.parseQtiItem(item, row);
+      entry.data = { ...this.readLomMetadata(resource), ...entry.data };
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  // Category, difficulty and tags travel in the manifest's LOM metadata
+  readLomMetadata(resource) {
+    const data = {};
+
+    const category = firstElement(resource, 'taxon');
+    if (category) data.category = textOf(firstElement(category, 'string'));
+
+    const difficultyNode = firstElement(resource, 'difficulty');
+    const difficulty = difficultyNode && textOf(firstElement(difficultyNode, 'value'));
+    const mapped = Object.keys(LOM_DIFFICULTY).find(key => LOM_DIFFICULTY[key] === difficulty);
+    if (mapped) data.difficulty = mapped;
+
+    const tags = Array.from(resource.getElementsByTagNameNS('*', 'keyword')).map(keyword => textOf(keyword)).filter(Boolean);
+    if (tags.length > 0) data.tags = tags;
+
+    return data;
+  }
+
+  parseQtiItem(item, row) {
+    const data = { questionId: item.getAttribute('identifier') || undefined };
+    const errors = [];
+    const itemBody = firstElement(item, 'itemBody');
+
+    const score = Array.from(item.getElementsByTagNameNS('*', 'outcomeDeclaration'))
+      .find(outcome => outcome.getAttribute('identifier') === 'SCORE');
+    if (score && score.getAttribute('normalMaximum')) {
+      data.points = Number(score.getAttribute('normalMaximum'));
+    }
+
+    const feedback = firstElement(item, 'modalFeedback');
+    if (feedback) data.explanation = textOf(feedback);
+
+    const choiceInteraction = itemBody && firstElement(itemBody, 'choiceInteraction');
+    const textInteraction = itemBody && firstElement(itemBody, 'extendedTextInteraction');
+
+    if (choiceInteraction) {
+      const prompt = textOf(firstElement(choiceInteraction, 'prompt'));
+      const stem = bodyTextWithout(itemBody, choiceInteraction);
+      data.type = 'mcq';
+      data.question = [stem, prompt].filter(Boolean).join(' ') || item.getAttribute('title');
+
+      const choices = Array.from(choiceInteraction.getElementsByTagNameNS('*', 'simpleChoice'));
+      data.options = choices.map(choice => textOf(choice));
+
+      const responseId = choiceInteraction.getAttribute('responseIdentifier');
+      const declaration = Array.from(item.getElementsByTagNameNS('*', 'responseDeclaration'))
+        .find(candidate => candidate.getAttribute('identifier') === responseId);
+      const correct = declaration
+        ? Array.from(declaration.getElementsByTagNameNS('*', 'value')).map(value => textOf(value))
+        : [];
+
+      if (Number(choiceInteraction.getAttribute('maxChoices') || 1) !== 1 || correct.length > 1) {
+        errors.push({ field: 'type', message: 'Multiple-response items are not supported' });
+      }
+      const index = choices.findIndex(choice => choice.getAttribute('identifier') === correct[0]);
+      if (index !== -1) data.correctAnswer = index;
+    } else if (textInteraction) {
+      const prompt = textOf(firstElement(textInteraction, 'prompt'));
+      const stem = bodyTextWithout(itemBody, textInteraction);
+      data.type = 'essay';
+      data.question = [stem, prompt].filter(Boolean).join(' ') || item.getAttribute('title');
+    } else {
+      errors.push({ field: 'type', message: 'Only choice and extended text interactions are supported' });
+    }
+
+    return { row, data: pickFields(data), errors };
+  }
+
+  /**
+   * Validate and de-duplicate parsed entries, then save the valid ones
+   * @param {Array} entries - Output of parse()
+   * @param {Object} options - { createdBy, dryRun, onDuplicate: 'skip' | 'update', defaults: { category } }
+   * @returns {Promise<Object>} { summary, errors, duplicates }
+   */
+  async importQuestions(entries, { createdBy, dryRun = false, onDuplicate = 'skip', defaults = {} } = {}) {
+    const errors = [];
+    const duplicates = [];
+    const seenIds = new Map();
+    const seenContent = new Map();
+    const valid = [];
+
+    entries.forEach(({ row, data, errors: readErrors }) => {
+      const fields = { ...pickFields(defaults), ...data };
+      if (typeof fields.question === 'string') fields.question = fields.question.trim();
+
+      const rowErrors = [...readErrors];
+      const candidate = new Question({ questionId: fields.questionId || `q_${uuidv4()}`, ...fields, metadata: { source: 'import' } });
+      const validation = candidate.validateSync();
+      if (validation) {
+        Object.values(validation.errors).forEach(error => rowErrors.push({ field: error.path, message: error.message }));
+      }
+
+      if (rowErrors.length > 0) {
+        rowErrors.forEach(error => errors.push({ row, ...error }));
+        return;
+      }
+
+      const key = contentKey(fields);
+      if (fields.questionId && seenIds.has(fields.questionId)) {
+        duplicates.push({ row, questionId: fields.questionId, reason: 'duplicate_id_in_file', duplicateOf: { row: seenIds.get(fields.questionId) } });
+        return;
+      }
+      if (seenContent.has(key)) {
+        duplicates.push({ row, questionId: fields.questionId, reason: 'duplicate_content_in_file', duplicateOf: { row: seenContent.get(key) } });
+        return;
+      }
+      if (fields.questionId) seenIds.set(fields.questionId, row);
+      seenContent.set(key, row);
+
+      valid.push({ row, fields, key, candidate });
+    });
+
+    // Match against the bank by id, and by wording regardless of case and spacing
+    const providedIds = valid.filter(entry => entry.fields.questionId).map(entry => entry.fields.questionId);
+    const [byId, byContent] = await Promise.all([
+      providedIds.length > 0
+        ? Question.find({ questionId: { $in: providedIds } })
+        : [],
+      valid.length > 0
+        ? Question.find({ question: { $in: valid.map(entry => wordingPattern(entry.fields.question)) } })
+          .select('questionId type question')
+          .lean()
+        : []
+    ]);
+    const existingById = new Map(byId.map(question => [question.questionId, question]));
+    const existingByContent = new Map(byContent.map(question => [contentKey(question), question]));
+
+    const toInsert = [];
+    const toUpdate = [];
+
+    valid.forEach(entry => {
+      const { row, fields, key } = entry;
+      const existing = fields.questionId && existingById.get(fields.questionId);
+
+      if (existing) {
+        if (onDuplicate === 'update') {
+          toUpdate.push({ ...entry, existing });
+        } else {
+          duplicates.push({ row, questionId: fields.questionId, reason: 'existing_id', duplicateOf: { questionId: existing.questionId } });
+        }
+        return;
+      }
+
+      const sameContent = existingByContent.get(key);
+      if (sameContent) {
+        duplicates.push({ row, questionId: fields.questionId, reason: 'existing_content', duplicateOf: { questionId: sameContent.questionId } });
+        return;
+      }
+
+      toInsert.push(entry);
+    });
+
+    let imported = toInsert.length;
+    let updated = toUpdate.length;
+
+    if (!dryRun) {
+      // Saved one at a time so a row that fails on save (e.g. a race on the id) does not stop the rest
+      for (const { row, candidate } of toInsert) {
+        candidate.createdBy = createdBy;
+        try {
+          await candidate.save();
+        } catch (error) {
+          imported--;
+          errors.push({ row, field: null, message: error.message });
+        }
+      }
+
+      for (const { row, fields, existing } of toUpdate) {
+        existing.set(fields);
+        try {
+          await existing.save();
+        } catch (error) {
+          updated--;
+          errors.push({ row, field: null, message: error.message });
+        }
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    duplicates.sort((a, b) => a.row - b.row);
+
+    return {
+      summary: {
+        total: entries.length,
+        imported,
+        updated,
+        duplicates: duplicates.length,
+        failed: new Set(errors.map(error => error.row)).size,
+        dryRun
+      },
+      errors,
+      duplicates
+    };
+  }
+
+  /**
+   * Write questions out in one of the supported formats.
+   * GIFT and QTI only know multiple choice and free-text items, so other question
+   * types are exported as essays; CSV and JSON keep every field.
+   * @param {string} format - csv | json | gift | qti
+   * @param {Array} questions - Question documents or plain objects
+   * @returns {Promise<Object>} { content, contentType, extension }
+   */
+  async serialize(format, questions) {
+    const plain = questions.map(question => pickFields(typeof question.toObject === 'function' ? question.toObject() : question));
+
+    switch (format) {
+      case 'csv':
+        return { content: this.toCsv(plain), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+      case 'json':
+        return {
+          content: JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), questions: plain.map(this.toJsonQuestion) }, null, 2),
+          contentType: 'application/json; charset=utf-8',
+          extension: 'json'
+        };
+      case 'gift':
+        return { content: this.toGift(plain), contentType: 'text/plain; charset=utf-8', extension: 'gift' };
+      case 'qti':
+        return { content: await this.toQtiPackage(plain), contentType: 'application/zip', extension: 'zip' };
+      default:
+        throw new ImportFormatError(`Unsupported format: ${format}`);
+    }
+  }
+
+  toJsonQuestion(question) {
+    return {
+      ...question,
+      testCases: question.testCases && question.testCases.map(({ input, expectedOutput, isHidden }) => ({ input, expectedOutput, isHidden }))
+    };
+  }
+
+  toCsv(questions) {
+    return toCsv(QUESTION_FIELDS, questions.map(question => QUESTION_FIELDS.map(field => {
+      const value = question[field];
+      if (LIST_FIELDS.includes(field)) return joinList(value);
+      if (field === 'testCases') {
+        return value && value.length > 0 ? JSON.stringify(this.toJsonQuestion(question).testCases) : '';
+      }
+      return value;
+    })));
+  }
+
+  toGift(questions) {
+    const lines = [];
+    let category;
+
+    questions.forEach(question => {
+      if (question.category !== category) {
+        category = question.category;
+        lines.push(`$CATEGORY: ${category}`, '');
+      }
+
+      if (question.difficulty) lines.push(`// difficulty: ${question.difficulty}`);
+      if (question.role) lines.push(`// role: ${question.role}`);
+      if (question.tags && question.tags.length > 0) lines.push(`// tags: ${question.tags.join(', ')}`);
+      if (question.points !== undefined) lines.push(`// points: ${question.points}`);
+
+      const title = `::${escapeGift(question.questionId)}::`;
+      const explanation = question.explanation ? `####${escapeGift(question.explanation)}` : '';
+
+      if (question.type === 'mcq') {
+        lines.push(`${title}${escapeGift(question.question)} {`);
+        (question.options || []).forEach((option, index) => {
+          lines.push(`\t${index === Number(question.correctAnswer) ? '=' : '~'}${escapeGift(option)}`);
+        });
+        if (explanation) lines.push(`\t${explanation}`);
+        lines.push('}');
+      } else {
+        lines.push(`${title}${escapeGift(question.question)} {${explanation}}`);
+      }
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  toQtiItem(question) {
+    const identifier = toIdentifier(question.questionId);
+    const points = question.points !== undefined ? question.points : 1;
+    const feedback = question.explanation
+      ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`
+      : '';
+    const header = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(question.questionId)}" adaptive="false" timeDependent="false">`;
+
+    if (question.type === 'mcq') {
+      const choices = (question.options || [])
+        .map((option, index) => `        <simpleChoice identifier="choice_${index}">${escapeXml(option)}</simpleChoice>`)
+        .join('\n');
+
+      return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>choice_${Number(question.correctAnswer)}</value>
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${points}"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(question.question)}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rp_templates/match_correct"/>${feedback}
+</assessmentItem>
+`;
+    }
+
+    return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${points}"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <extendedTextInteraction responseIdentifier="RESPONSE">
+      <prompt>${escapeXml(question.question)}</prompt>
+    </extendedTextInteraction>
+  </itemBody>${feedback}
+</assessmentItem>
+`;
+  }
+
+  toLomMetadata(question) {
+    const keywords = (question.tags || [])
+      .map(tag => `<keyword><string>${escapeXml(tag)}</string></keyword>`)
+      .join('');
+    const difficulty = LOM_DIFFICULTY[question.difficulty];
+
+    return `<metadata>
+        <lom xmlns="http://ltsc.ieee.org/xsd/LOM">
+          <general>${keywords}</general>${difficulty ? `
+          <educational><difficulty><source>LOMv1.0</source><value>${difficulty}</value></difficulty></educational>` : ''}${question.category ? `
+          <classification><taxonPath><taxon><entry><string>${escapeXml(question.category)}</string></entry></taxon></taxonPath></classification>` : ''}
+        </lom>
+      </metadata>`;
+  }
+
+  async toQtiPackage(questions) {
+    const zip = new JSZip();
+    const resources = questions.map(question => {
+      const identifier = toIdentifier(question.questionId);
+      const href = `items/${identifier}.xml`;
+      zip.file(href, this.toQtiItem(question));
+
+      return `    <resource identifier="res_${identifier}" type="${QTI_ITEM_RESOURCE}" href="${href}">
+      ${this.toLomMetadata(question)}
+      <file href="${href}"/>
+    </resource>`;
+    });
+
+    zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest_${uuidv4()}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+}
+
+module.exports = new QuestionImportExportService();
@@ -0,0 +1,497 @@
+/**
+ * Report Export Service
+ * Renders a candidate's result as a PDF report and an exam's results as CSV or XLSX
+ */
+
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { toCsv } = require('../utils/csv');
+const { SecurityManager } = require('../utils/security');
+
+const QUESTION_TYPE_LABELS = {
+  mcq: 'Multiple choice',
+  coding: 'Coding',
+  essay: 'Written'
+};
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Longest code or essay answer printed in full on the PDF
+const MAX_ANSWER_LENGTH = 1500;
+
+// Most proctoring events listed individually on the PDF
+const MAX_LISTED_VIOLATIONS = 25;
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const percentageOf = (earned, max) => (max > 0 ? Math.round((earned / max) * 100) : 0);
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length)}… (truncated)` : text);
+
+const formatDuration = (seconds) => {
+  if (seconds === undefined || seconds === null) return '—';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${pad(minutes)}m ${pad(secs)}s` : `${minutes}m ${pad(secs)}s`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '—');
+
+const hasAnswer = (answer) => answer && answer.userAnswer !== null && answer.userAnswer !== undefined && answer.userAnswer !== '';
+
+class ReportExportService {
+  /**
+   * Gather everything the PDF report shows about one attempt
+   * @param {Object} exam - Exam document
+   * @param {Object} result - Completed Result document
+   * @param {Object} options
+   * @param {Object} [options.candidate] - { name, email }
+   * @param {Array} [options.violations] - The attempt's SecurityViolation documents
+   * @param {boolean} [options.includeAnswerKey] - Show correct answers (reviewers only)
+   * @returns {Object} Plain report data
+   */
+  buildResultReport(exam, result, { candidate, violations = [], includeAnswerKey = false } = {}) {
+    const answers = new Map(result.answers.map(answer => [answer.questionId, toPlain(answer)]));
+    const presented = exam.getPresentedQuestions(result.presentation).map(({ question }) => toPlain(question));
+
+    // Adaptive attempts are only shown some of the pool, so only answered questions are listed
+    const questions = exam.isAdaptive()
+      ? presented.filter(question => answers.has(question.questionId))
+      : presented;
+
+    const categories = result.analytics?.categoryPerformance?.length > 0
+      ? result.analytics.categoryPerformance.map(toPlain)
+      : result.getCategoryPerformance(presented);
+
+    return {
+      exam: {
+        examId: exam.examId,
+        title: SecurityManager.restoreSanitizedInput(exam.title),
+        version: result.examVersion,
+        passingScore: exam.passingScore,
+        timeLimit: exam.totalTimeLimit
+      },
+      candidate: {
+        name: SecurityManager.restoreSanitizedInput(candidate?.name || 'Unknown candidate'),
+        email: candidate?.email
+      },
+      attempt: {
+        resultId: result.resultId,
+        attemptNumber: result.attemptNumber,
+        status: result.status,
+        startTime: result.startTime,
+        endTime: result.endTime
+      },
+      score: {
+        totalPoints: result.scoring.totalPoints,
+        maxPossiblePoints: result.scoring.maxPossiblePoints,
+        percentage: result.scoring.percentage,
+        grade: result.scoring.grade,
+        passed: result.scoring.passed,
+        ability: result.scoring.ability?.estimate !== undefined ? toPlain(result.scoring.ability) : null
+      },
+      breakdown: {
+        byType: this.getTypeBreakdown(result.answers),
+        sections: (result.scoring.breakdown?.sections || []).map(toPlain)
+      },
+      categories,
+      time: {
+        totalTimeSpent: result.totalTimeSpent,
+        averageTimePerQuestion: result.analytics?.averageTimePerQuestion,
+        timeLimit: exam.totalTimeLimit
+      },
+      questions: questions.map((question, index) => this.toQuestionRow(question, answers.get(question.questionId), index, includeAnswerKey)),
+      proctoring: this.getProctoringSummary(result, violations)
+    };
+  }
+
+  /**
+   * Points earned per question type
+   */
+  getTypeBreakdown(answers) {
+    const byType = new Map();
+
+    answers.forEach(answer => {
+      const entry = byType.get(answer.questionType) || { type: answer.questionType, count: 0, pointsEarned: 0, maxPoints: 0 };
+      entry.count += 1;
+      entry.pointsEarned += answer.pointsEarned || 0;
+      entry.maxPoints += answer.maxPoints || 0;
+      byType.set(answer.questionType, entry);
+    });
+
+    return Array.from(byType.values()).map(entry => ({
+      ...entry,
+      label: QUESTION_TYPE_LABELS[entry.type] || entry.type,
+      percentage: percentageOf(entry.pointsEarned, entry.maxPoints)
+    }));
+  }
+
+  toQuestionRow(question, answer, index, includeAnswerKey) {
+    const row = {
+      number: index + 1,
+      questionId: question.questionId,
+      type: question.type,
+      category: question.category,
+      question: question.question,
+      answer: this.describeAnswer(question, answer),
+      isCorrect: Boolean(answer?.isCorrect),
+      answered: hasAnswer(answer) || Boolean(answer?.codeSubmission?.code),
+      pointsEarned: answer?.pointsEarned || 0,
+      maxPoints: answer?.maxPoints || question.points || 1,
+      timeSpent: answer?.timeSpent || 0,
+      reviewStatus: answer?.review?.status
+    };
+
+    if (includeAnswerKey && question.type === 'mcq' && question.options) {
+      row.correctAnswer = question.options[Number(question.correctAnswer)];
+    }
+    return row;
+  }
+
+  // The candidate's answer as text; MCQ answers are stored as the exam's option index
+  describeAnswer(question, answer) {
+    if (!answer) return 'Not answered';
+
+    if (question.type === 'mcq') {
+      if (!hasAnswer(answer)) return 'Not answered';
+      const option = (question.options || [])[Number(answer.userAnswer)];
+      return option !== undefined ? option : String(answer.userAnswer);
+    }
+
+    if (question.type === 'coding') {
+      const submission = answer.codeSubmission || {};
+      if (!submission.code) return 'Not answered';
+      const tests = `${submission.passedTestCases || 0}/${submission.totalTestCases || 0} test cases passed`;
+      return `${tests}\n${truncate(submission.code, MAX_ANSWER_LENGTH)}`;
+    }
+
+    const text = answer.textResponse?.content || (typeof answer.userAnswer === 'string' ? answer.userAnswer : '');
+    return text ? truncate(text, MAX_ANSWER_LENGTH) : 'Not answered';
+  }
+
+  getProctoringSummary(result, violations) {
+    const byType = new Map();
+    const bySeverity = SEVERITIES.reduce((counts, severity) => ({ ...counts, [severity]: 0 }), {});
+
+    violations.forEach(violation => {
+      byType.set(violation.violationType, (byType.get(violation.violationType) || 0) + 1);
+      if (bySeverity[violation.severity] !== undefined) bySeverity[violation.severity] += 1;
+    });
+
+    return {
+      violationCount: Math.max(result.securityEvents?.violationCount || 0, violations.length),
+      autoSubmitted: Boolean(result.securityEvents?.autoSubmitted),
+      autoSubmissionReason: result.securityEvents?.autoSubmissionReason,
+      byType: Array.from(byType.entries())
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count),
+      bySeverity,
+      events: violations.slice(0, MAX_LISTED_VIOLATIONS).map(violation => ({
+        timestamp: violation.timestamp,
+        type: violation.violationType,
+        severity: violation.severity,
+        description: violation.description
+      }))
+    };
+  }
+
+  /**
+   * Render a report built by buildResultReport as a PDF
+   * @returns {Promise<Buffer>}
+   */
+  renderResultPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `${report.exam.title} - ${report.candidate.name}` }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.drawHeader(doc, report);
+      this.drawScore(doc, report);
+      this.drawCategories(doc, report.categories);
+      this.drawProctoring(doc, report.proctoring);
+      this.drawQuestions(doc, report.questions);
+
+      doc.end();
+    });
+  }
+
+  drawHeading(doc, text) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(14).fillColor('#111827').text(text);
+    doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#111827');
+  }
+
+  drawFields(doc, fields) {
+    fields.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+    });
+  }
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  drawHeader(doc, report) {
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text(report.exam.title);
+    doc.font('Helvetica').fontSize(10).fillColor('#4b5563').text(`Exam report generated ${formatDate(new Date())}`);
+    doc.moveDown(1).fillColor('#111827');
+
+    this.drawFields(doc, [
+      ['Candidate', report.candidate.email ? `${report.candidate.name} <${report.candidate.email}>` : report.candidate.name],
+      ['Exam', `${report.exam.examId}${report.exam.version ? ` (version ${report.exam.version})` : ''}`],
+      ['Attempt', `${report.attempt.attemptNumber} · ${report.attempt.status.replace(/_/g, ' ')}`],
+      ['Started', formatDate(report.attempt.startTime)],
+      ['Finished', formatDate(report.attempt.endTime)],
+      ['Time spent', `${formatDuration(report.time.totalTimeSpent)} of ${formatDuration(report.time.timeLimit)}`],
+      ['Average per question', formatDuration(report.time.averageTimePerQuestion)]
+    ]);
+  }
+
+  drawScore(doc, report) {
+    const { score, breakdown } = report;
+
+    this.drawHeading(doc, 'Score');
+    doc.font('Helvetica-Bold').fontSize(24)
+      .fillColor(score.passed ? '#047857' : '#b91c1c')
+      .text(`${score.percentage}%${score.grade ? `  ${score.grade}` : ''}  ${score.passed ? 'PASSED' : 'NOT PASSED'}`);
+    doc.font('Helvetica').fontSize(10).fillColor('#111827')
+      .text(`${score.totalPoints} of ${score.maxPossiblePoints} points · passing score ${report.exam.passingScore}%`);
+    if (score.ability) {
+      doc.text(`Ability estimate ${score.ability.estimate.toFixed(2)} (standard error ${(score.ability.standardError || 0).toFixed(2)})`);
+    }
+
+    if (breakdown.byType.length > 0) {
+      doc.moveDown(0.5);
+      this.drawTable(doc, [
+        { header: 'Question type', width: 200, value: row => row.label },
+        { header: 'Questions', width: 80, value: row => row.count },
+        { header: 'Points', width: 120, value: row => `${row.pointsEarned} / ${row.maxPoints}` },
+        { header: 'Score', width: 80, value: row => `${row.percentage}%` }
+      ], breakdown.byType);
+    }
+
+    if (breakdown.sections.length > 0) {
+      doc.moveDown(0.5);
+      this.drawTable(doc, [
+        { header: 'Section', width: 200, value: row => row.title || row.sectionId },
+        { header: 'Points', width: 120, value: row => `${row.pointsEarned} / ${row.maxPoints}` },
+        { header: 'Score', width: 80, value: row => `${row.percentage}%` }
+      ], breakdown.sections);
+    }
+  }
+
+  drawCategories(doc, categories) {
+    if (categories.length === 0) return;
+
+    this.drawHeading(doc, 'Category performance');
+    const barWidth = 200;
+
+    categories.forEach(category => {
+      this.ensureSpace(doc, 20);
+      const y = doc.y;
+      doc.text(category.category, doc.page.margins.left, y, { width: 160 });
+      const rowBottom = doc.y;
+      const x = doc.page.margins.left + 170;
+      doc.rect(x, y + 1, barWidth, 9).fill('#e5e7eb');
+      doc.rect(x, y + 1, barWidth * (category.percentage / 100), 9).fill('#2563eb');
+      doc.fillColor('#111827').text(
+        `${category.percentage}% (${category.correct}/${category.attempted})`,
+        x + barWidth + 10,
+        y
+      );
+      doc.x = doc.page.margins.left;
+      doc.y = Math.max(rowBottom, y + 14);
+    });
+  }
+
+  drawProctoring(doc, proctoring) {
+    this.drawHeading(doc, 'Proctoring summary');
+
+    const severities = SEVERITIES
+      .filter(severity => proctoring.bySeverity[severity] > 0)
+      .map(severity => `${proctoring.bySeverity[severity]} ${severity}`)
+      .join(', ');
+
+    this.drawFields(doc, [
+      ['Violations', proctoring.violationCount + (severities ? ` (${severities})` : '')],
+      ['Auto-submitted', proctoring.autoSubmitted ? `Yes – ${proctoring.autoSubmissionReason || 'no reason recorded'}` : 'No']
+    ]);
+
+    if (proctoring.byType.length > 0) {
+      doc.text(`By type: ${proctoring.byType.map(entry => `${entry.type.replace(/_/g, ' ')} × ${entry.count}`).join(', ')}`);
+    }
+
+    if (proctoring.events.length > 0) {
+      doc.moveDown(0.5);
+      this.drawTable(doc, [
+        { header: 'Time', width: 130, value: row => formatDate(row.timestamp) },
+        { header: 'Type', width: 110, value: row => row.type.replace(/_/g, ' ') },
+        { header: 'Severity', width: 60, value: row => row.severity },
+        { header: 'Details', width: 195, value: row => row.description }
+      ], proctoring.events);
+    }
+  }
+
+  drawQuestions(doc, questions) {
+    if (questions.length === 0) return;
+
+    this.drawHeading(doc, 'Answers');
+
+    questions.forEach(question => {
+      this.ensureSpace(doc, 80);
+      const verdict = !question.answered
+        ? 'Not answered'
+        : question.isCorrect ? 'Correct' : question.pointsEarned > 0 ? 'Partially correct' : 'Incorrect';
+      const color = question.isCorrect ? '#047857' : question.pointsEarned > 0 ? '#b45309' : '#b91c1c';
+
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827')
+        .text(`${question.number}. ${question.question}`);
+      doc.font('Helvetica').fontSize(9).fillColor('#4b5563')
+        .text(`${QUESTION_TYPE_LABELS[question.type] || question.type}${question.category ? ` · ${question.category}` : ''} · ${formatDuration(question.timeSpent)}`);
+      doc.fillColor(color)
+        .text(`${verdict} · ${question.pointsEarned} / ${question.maxPoints} points${question.reviewStatus === 'pending' ? ' · awaiting manual review' : ''}`);
+
+      doc.fillColor('#111827').font(question.type === 'coding' ? 'Courier' : 'Helvetica').fontSize(9)
+        .text(question.answer, { indent: 10 });
+      if (question.correctAnswer !== undefined) {
+        doc.font('Helvetica').fillColor('#047857').text(`Correct answer: ${question.correctAnswer}`, { indent: 10 });
+      }
+      doc.font('Helvetica').fillColor('#111827').moveDown(0.6);
+    });
+  }
+
+  // Simple table whose rows grow to fit wrapped text and break across pages
+  drawTable(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const drawRow = (values, bold) => {
+      const height = Math.max(...values.map((value, index) =>
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).heightOfString(String(value), { width: columns[index].width - 6 })
+      )) + 6;
+      this.ensureSpace(doc, height);
+
+      const y = doc.y;
+      let x = left;
+      values.forEach((value, index) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827')
+          .text(String(value), x + 3, y + 3, { width: columns[index].width - 6 });
+        x += columns[index].width;
+      });
+      doc.moveTo(left, y + height).lineTo(x, y + height).strokeColor('#d1d5db').stroke();
+      doc.x = left;
+      doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.header), true);
+    rows.forEach(row => drawRow(columns.map(column => {
+      const value = column.value(row);
+      return value === undefined || value === null ? '—' : value;
+    }), false));
+    doc.fontSize(10);
+  }
+
+  /**
+   * Columns and rows for a spreadsheet of every result of an exam, one row per attempt.
+   * Each question category gets its own score column.
+   * @param {Array} results - Result documents with userId populated with name and email
+   * @returns {Object} { columns: [{ key, header }], rows }
+   */
+  buildResultRows(results) {
+    const categories = Array.from(new Set(results.flatMap(result =>
+      (result.analytics?.categoryPerformance || []).map(entry => entry.category)
+    ))).sort();
+
+    const columns = [
+      { key: 'resultId', header: 'Result ID' },
+      { key: 'candidateName', header: 'Candidate' },
+      { key: 'candidateEmail', header: 'Email' },
+      { key: 'attemptNumber', header: 'Attempt' },
+      { key: 'status', header: 'Status' },
+      { key: 'examVersion', header: 'Exam version' },
+      { key: 'startTime', header: 'Started' },
+      { key: 'endTime', header: 'Finished' },
+      { key: 'timeSpentSeconds', header: 'Time spent (s)' },
+      { key: 'totalPoints', header: 'Points' },
+      { key: 'maxPossiblePoints', header: 'Max points' },
+      { key: 'percentage', header: 'Score (%)' },
+      { key: 'grade', header: 'Grade' },
+      { key: 'passed', header: 'Passed' },
+      { key: 'violationCount', header: 'Violations' },
+      { key: 'autoSubmitted', header: 'Auto-submitted' },
+      ...categories.map(category => ({ key: `category:${category}`, header: `${category} (%)` }))
+    ];
+
+    const rows = results.map(result => {
+      const row = {
+        resultId: result.resultId,
+        candidateName: result.userId?.name,
+        candidateEmail: result.userId?.email,
+        attemptNumber: result.attemptNumber,
+        status: result.status,
+        examVersion: result.examVersion,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        timeSpentSeconds: result.totalTimeSpent,
+        totalPoints: result.scoring?.totalPoints,
+        maxPossiblePoints: result.scoring?.maxPossiblePoints,
+        percentage: result.scoring?.percentage,
+        grade: result.scoring?.grade,
+        passed: Boolean(result.scoring?.passed),
+        violationCount: result.securityEvents?.violationCount || 0,
+        autoSubmitted: Boolean(result.securityEvents?.autoSubmitted)
+      };
+      (result.analytics?.categoryPerformance || []).forEach(entry => {
+        row[`category:${entry.category}`] = entry.percentage;
+      });
+      return row;
+    });
+
+    return { columns, rows };
+  }
+
+  /**
+   * @returns {string} CSV with ISO dates
+   */
+  toResultsCsv({ columns, rows }) {
+    return toCsv(
+      columns.map(column => column.header),
+      rows.map(row => columns.map(column => {
+        const value = row[column.key];
+        return value instanceof Date ? value.toISOString() : value;
+      }))
+    );
+  }
+
+  /**
+   * @returns {Promise<Buffer>} XLSX workbook with a single results sheet
+   */
+  async toResultsXlsx({ columns, rows }, sheetName = 'Results') {
+    const workbook = new ExcelJS.Workbook();
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Results', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length + 2)
+    }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new ReportExportService();
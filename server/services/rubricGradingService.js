@@ -0,0 +1,152 @@
+const natural = require('natural');
+const { TfIdf, WordTokenizer, SentimentAnalyzer, PorterStemmer } = natural;
+
+/**
+ * Rubric Grading Service
+ * Scores free-text (essay and behavioral) answers against a question's
+ * expected points using stem coverage, TF-IDF evidence and sentiment
+ */
+
+// Share of an expected point's stems an answer must contain for full credit on that point
+const COVERED_THRESHOLD = 0.6;
+
+// Answers shorter than this are scaled down, however many points they touch
+const MIN_WORD_COUNT = 40;
+
+// Score (0-1) at which an answer counts as correct
+const PASSING_SCORE = 0.7;
+
+// Share of the score kept when the answer's overall tone is negative
+const NEGATIVE_TONE_FACTOR = 0.9;
+
+class RubricGradingService {
+  constructor() {
+    this.tokenizer = new WordTokenizer();
+    this.analyzer = new SentimentAnalyzer('English', PorterStemmer, 'afinn');
+  }
+
+  /**
+   * Grade a free-text answer against its rubric
+   * @param {string} answerText - Candidate's answer
+   * @param {Array<string>} expectedPoints - Rubric items the answer should cover
+   * @returns {Object|null} { score, isCorrect, coveredPoints, missedPoints, pointResults,
+   *   wordCount, sentiment, feedback, suggestions }, or null when the question has no rubric
+   */
+  gradeAnswer(answerText, expectedPoints = []) {
+    const rubric = (expectedPoints || []).filter(point => point && this.stem(point).length > 0);
+    if (rubric.length === 0) return null;
+
+    const text = (answerText || '').trim();
+    const sentences = this.splitSentences(text);
+    const answerStems = new Set(this.stem(text));
+    const wordCount = text ? this.tokenizer.tokenize(text).length : 0;
+
+    // Every sentence is a document so TF-IDF can point at the one that best supports each rubric item
+    const tfidf = new TfIdf();
+    sentences.forEach(sentence => tfidf.addDocument(this.stem(sentence)));
+
+    const pointResults = rubric.map(point => {
+      const pointStems = [...new Set(this.stem(point))];
+      const matched = pointStems.filter(stem => answerStems.has(stem));
+      const coverage = matched.length / pointStems.length;
+
+      let evidence = null;
+      let bestMeasure = 0;
+      if (matched.length > 0) {
+        tfidf.tfidfs(matched, (index, measure) => {
+          if (measure > bestMeasure) {
+            bestMeasure = measure;
+            evidence = sentences[index];
+          }
+        });
+      }
+
+      return {
+        point,
+        coverage: Math.round(coverage * 100) / 100,
+        credit: Math.min(1, coverage / COVERED_THRESHOLD),
+        covered: coverage >= COVERED_THRESHOLD,
+        matchedTerms: matched,
+        evidence
+      };
+    });
+
+    const sentiment = this.analyzeSentiment(sentences);
+    const rubricScore = pointResults.reduce((sum, result) => sum + result.credit, 0) / pointResults.length;
+    const depthFactor = Math.min(1, wordCount / MIN_WORD_COUNT);
+    const toneFactor = sentiment.tone === 'negative' ? NEGATIVE_TONE_FACTOR : 1;
+    const score = Math.round(rubricScore * depthFactor * toneFactor * 100) / 100;
+
+    const coveredPoints = pointResults.filter(result => result.covered).map(result => result.point);
+    const missedPoints = pointResults.filter(result => !result.covered).map(result => result.point);
+
+    return {
+      score,
+      isCorrect: score >= PASSING_SCORE,
+      coveredPoints,
+      missedPoints,
+      pointResults,
+      wordCount,
+      sentiment,
+      feedback: this.buildFeedback(coveredPoints, rubric.length, score),
+      suggestions: this.buildSuggestions(pointResults, wordCount, sentiment)
+    };
+  }
+
+  /**
+   * Tokenize, drop stop words and stem
+   */
+  stem(text) {
+    return PorterStemmer.tokenizeAndStem(text || '');
+  }
+
+  splitSentences(text) {
+    return text.split(/[.!?\n]+/).map(sentence => sentence.trim()).filter(sentence => sentence.length > 0);
+  }
+
+  analyzeSentiment(sentences) {
+    if (sentences.length === 0) {
+      return { score: 0, tone: 'neutral' };
+    }
+
+    const total = sentences.reduce((sum, sentence) => {
+      return sum + this.analyzer.getSentiment(this.tokenizer.tokenize(sentence.toLowerCase()));
+    }, 0);
+    const score = Math.round((total / sentences.length) * 100) / 100;
+
+    return {
+      score,
+      tone: score > 0.1 ? 'positive' : score < -0.1 ? 'negative' : 'neutral'
+    };
+  }
+
+  buildFeedback(coveredPoints, totalPoints, score) {
+    const percentage = Math.round(score * 100);
+    const summary = `Covered ${coveredPoints.length} of ${totalPoints} expected points (automated score ${percentage}%).`;
+
+    if (coveredPoints.length === 0) {
+      return `${summary} The answer did not address the key points this question was looking for.`;
+    }
+    return `${summary} Well covered: ${coveredPoints.join('; ')}.`;
+  }
+
+  buildSuggestions(pointResults, wordCount, sentiment) {
+    const suggestions = pointResults
+      .filter(result => !result.covered)
+      .map(result => result.coverage > 0
+        ? `Go deeper on: ${result.point}`
+        : `Address: ${result.point}`);
+
+    if (wordCount < MIN_WORD_COUNT) {
+      suggestions.push(`Expand your answer with specific details and examples (at least ${MIN_WORD_COUNT} words)`);
+    }
+
+    if (sentiment.tone === 'negative') {
+      suggestions.push('Frame challenges constructively and focus on what you learned or achieved');
+    }
+
+    return suggestions;
+  }
+}
+
+module.exports = RubricGradingService;
@@ -0,0 +1,206 @@
+const { STRONG_ACTION_VERBS, WEAK_PHRASES } = require('../constants/actionLanguage');
+
+/**
+ * STAR Analysis Service
+ * Gives structural feedback on behavioral answers. Each sentence is assigned to
+ * Situation, Task, Action or Result from the cues it contains, then the answer is
+ * checked for missing parts, weak or vague actions and an outcome without numbers.
+ * Findings come back as annotations with character offsets into the answer so the
+ * client can highlight them inline.
+ */
+
+const PARTS = ['situation', 'task', 'action', 'result'];
+
+const PART_LABELS = {
+  situation: 'Situation',
+  task: 'Task',
+  action: 'Action',
+  result: 'Result'
+};
+
+// Phrases that point a sentence at a STAR part; action cues also include STRONG_ACTION_VERBS and WEAK_PHRASES
+const PART_CUES = {
+  situation: [
+    'at my previous', 'at my last', 'in my previous', 'in my last', 'at the time', 'while working',
+    'when i was', 'our team was', 'we were', 'there was', 'the project', 'last year', 'a few years ago',
+    'background', 'context', 'situation', 'faced'
+  ],
+  task: [
+    'my role', 'my task', 'my job was', 'my goal', 'my responsibility', 'the goal', 'the objective',
+    'i was asked', 'i was tasked', 'tasked with', 'i needed to', 'i had to', 'needed to', 'the challenge was',
+    'deadline', 'expected to'
+  ],
+  action: [
+    'i decided', 'i started', 'i set up', 'i organized', 'i organised', 'i proposed', 'i wrote', 'i spoke',
+    'i met', 'i scheduled', 'i created', 'i reached out', 'i introduced', 'i worked with', 'i analyzed',
+    'i analysed', 'first i', 'then i', 'next i', 'so i'
+  ],
+  result: [
+    'as a result', 'the result', 'the outcome', 'in the end', 'eventually', 'ultimately', 'which led to',
+    'resulting in', 'this led to', 'we saved', 'we shipped', 'we delivered', 'we met the', 'on time',
+    'feedback was', 'i learned', 'i learnt'
+  ]
+};
+
+// A result counts as quantified when it has a number with a unit, a percentage or a multiplier
+const QUANTIFIED_PATTERN = new RegExp(
+  '(\\$\\s?\\d[\\d,.]*|\\b\\d[\\d,.]*\\s?(%|percent|x\\b|times|k\\b|m\\b|million|thousand|billion|dollars?|' +
+  'users?|customers?|clients?|hours?|days?|weeks?|months?|minutes?|seconds?|ms\\b|people|engineers?|' +
+  'tickets?|bugs?|requests?|points?|releases?|teams?))',
+  'i'
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const phrasePattern = (phrases) => new RegExp(`\\b(${phrases.map(escapeRegExp).join('|')})\\b`, 'gi');
+
+const STRONG_VERB_PATTERN = phrasePattern(STRONG_ACTION_VERBS);
+const WEAK_PHRASE_PATTERN = phrasePattern(WEAK_PHRASES);
+
+const countCues = (text, cues) => cues.filter(cue => new RegExp(`\\b${escapeRegExp(cue)}\\b`).test(text)).length;
+
+const findAll = (pattern, text) => [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }));
+
+class StarAnalysisService {
+  constructor() {
+    this.PARTS = PARTS;
+  }
+
+  /**
+   * Sentences with their offsets in the answer
+   * @returns {Array} [{ start, end, text }]
+   */
+  splitSentences(answer) {
+    return findAll(/[^.!?\n]+[.!?]*/g, answer)
+      .map(sentence => {
+        const leading = sentence.text.length - sentence.text.trimStart().length;
+        const text = sentence.text.trim();
+        return { start: sentence.start + leading, end: sentence.start + leading + text.length, text };
+      })
+      .filter(sentence => sentence.text.length > 0);
+  }
+
+  /**
+   * The STAR part a sentence reads as.
+   * Sentences without cues continue the previous part; an answer usually opens with its situation.
+   */
+  classifySentence(text, previousPart) {
+    const lower = text.toLowerCase();
+    const scores = {
+      situation: countCues(lower, PART_CUES.situation),
+      task: countCues(lower, PART_CUES.task),
+      // Weak phrases still describe an action, just poorly
+      action: countCues(lower, PART_CUES.action) + findAll(STRONG_VERB_PATTERN, text).length + findAll(WEAK_PHRASE_PATTERN, text).length,
+      result: countCues(lower, PART_CUES.result) + (QUANTIFIED_PATTERN.test(text) ? 1 : 0)
+    };
+
+    const best = Math.max(...Object.values(scores));
+    if (best === 0) return previousPart || 'situation';
+
+    // Ties go to the part that comes later in STAR order after the previous one
+    const tied = PARTS.filter(part => scores[part] === best);
+    const afterPrevious = tied.find(part => PARTS.indexOf(part) >= PARTS.indexOf(previousPart || 'situation'));
+    return afterPrevious || tied[0];
+  }
+
+  /**
+   * Analyze one behavioral answer
+   * @param {string} answer
+   * @returns {Object} { score, parts, missingParts, quantifiedResult, strongVerbs, weakPhrases, annotations, suggestions }
+   */
+  analyzeAnswer(answer) {
+    const text = String(answer || '');
+    const annotations = [];
+    const parts = Object.fromEntries(PARTS.map(part => [part, { present: false, sentences: 0 }]));
+
+    let previousPart = null;
+    const sentences = this.splitSentences(text).map(sentence => {
+      const part = this.classifySentence(sentence.text, previousPart);
+      previousPart = part;
+      parts[part].present = true;
+      parts[part].sentences++;
+      annotations.push({ ...sentence, type: part, message: PART_LABELS[part] });
+      return { ...sentence, part };
+    });
+
+    const missingParts = PARTS.filter(part => !parts[part].present);
+
+    const weakPhrases = findAll(WEAK_PHRASE_PATTERN, text);
+    weakPhrases.forEach(match => annotations.push({
+      ...match,
+      type: 'weak_phrase',
+      message: `"${match.text}" hides what you did yourself; lead with a verb such as "implemented" or "led"`
+    }));
+
+    const strongVerbs = findAll(STRONG_VERB_PATTERN, text);
+    strongVerbs.forEach(match => annotations.push({ ...match, type: 'strong_action', message: 'Strong action verb' }));
+
+    // An action sentence that never says what was done, or credits only "we", is vague
+    sentences
+      .filter(sentence => sentence.part === 'action')
+      .forEach(sentence => {
+        const lower = sentence.text.toLowerCase();
+        const hasStrongVerb = findAll(STRONG_VERB_PATTERN, sentence.text).length > 0;
+        const onlyTeam = /\bwe\b/.test(lower) && !/\b(i|my)\b/.test(lower);
+        if (!hasStrongVerb || onlyTeam) {
+          annotations.push({
+            start: sentence.start,
+            end: sentence.end,
+            text: sentence.text,
+            type: 'vague_action',
+            message: onlyTeam
+              ? 'Say what you did, not only what the team did'
+              : 'Name the concrete step you took with a specific action verb'
+          });
+        }
+      });
+
+    const resultSentences = sentences.filter(sentence => sentence.part === 'result');
+    const quantifiedResult = resultSentences.some(sentence => QUANTIFIED_PATTERN.test(sentence.text));
+    resultSentences.forEach(sentence => {
+      const quantified = QUANTIFIED_PATTERN.test(sentence.text);
+      annotations.push({
+        start: sentence.start,
+        end: sentence.end,
+        text: sentence.text,
+        type: quantified ? 'quantified_result' : 'unquantified_result',
+        message: quantified ? 'Measurable outcome' : 'Add a number: time saved, percentage improved, users affected'
+      });
+    });
+
+    const vagueActions = annotations.filter(annotation => annotation.type === 'vague_action').length;
+
+    const suggestions = [];
+    missingParts.forEach(part => suggestions.push(`Add the ${PART_LABELS[part]}: ${this.describePart(part)}`));
+    if (weakPhrases.length) suggestions.push('Replace phrases like "worked on" or "helped with" with the action you took');
+    if (vagueActions) suggestions.push('Make your actions specific and in the first person');
+    if (parts.result.present && !quantifiedResult) suggestions.push('Quantify the result so its impact is clear');
+
+    // Each part is worth 20, a quantified result 10 and clear actions 10
+    const score = (PARTS.length - missingParts.length) * 20
+      + (quantifiedResult ? 10 : 0)
+      + (parts.action.present && !weakPhrases.length && !vagueActions ? 10 : 0);
+
+    return {
+      score,
+      parts,
+      missingParts,
+      quantifiedResult,
+      strongVerbs: [...new Set(strongVerbs.map(match => match.text.toLowerCase()))],
+      weakPhrases: [...new Set(weakPhrases.map(match => match.text.toLowerCase()))],
+      annotations: annotations.sort((a, b) => a.start - b.start || b.end - a.end),
+      suggestions
+    };
+  }
+
+  describePart(part) {
+    return {
+      situation: 'where and when this happened',
+      task: 'what you were responsible for',
+      action: 'the specific steps you took',
+      result: 'how it turned out, ideally with numbers'
+    }[part];
+  }
+}
+
+module.exports = new StarAnalysisService();
@@ -35,11 +35,29 @@ describe('API Integration Tests', () => {
     const userRoutes = require('../../routes/user');
     const adminRoutes = require('../../routes/admin');
     const examRoutes = require('../../routes/exam');
+    const gradingRoutes = require('../../routes/grading');
+    const assignmentRoutes = require('../../routes/assignment');
+    const publicRoutes = require('../../routes/public');
+    const templateRoutes = require('../../routes/template');
+    const certificateRoutes = require('../../routes/certificate');
+    const interviewRoutes = require('../../routes/interview');
+    const analyticsRoutes = require('../../routes/analytics');
+    const mockInterviewRoutes = require('../../routes/mockInterview');
+    const questionRoutes = require('../../routes/question');
     
     app.use('/api/v1/auth', authRoutes);
     app.use('/api/v1/users', AuthMiddleware.authenticate, userRoutes);
     app.use('/api/v1/admin', AuthMiddleware.authenticate, AuthMiddleware.authorize('admin'), adminRoutes);
     app.use('/api/v1/exams', AuthMiddleware.authenticate, examRoutes);
+    app.use('/api/v1/grading', AuthMiddleware.authenticate, AuthMiddleware.authorize('admin', 'moderator'), gradingRoutes);
+    app.use('/api/v1/assignments', AuthMiddleware.authenticate, assignmentRoutes);
+    app.use('/api/v1/templates', AuthMiddleware.authenticate, templateRoutes);
+    app.use('/api/v1/certificates', AuthMiddleware.authenticate, certificateRoutes);
+    app.use('/api/v1/public', publicRoutes);
+    app.use('/api/v1/analytics', AuthMiddleware.authenticate, analyticsRoutes);
+    app.use('/api/v1/mock-interviews', AuthMiddleware.authenticate, mockInterviewRoutes);
+    app.use('/api/v1/questions', AuthMiddleware.authenticate, questionRoutes);
+    app.use('/api/v1', interviewRoutes);
     
     // Error handling middleware
     const { globalErrorHandler, handleNotFound } = require('../../middleware/errorHandler');
@@ -270,6 +288,76 @@ describe('API Integration Tests', () => {
       expect(resultsResponse.body.success).toBe(true);
       expect(resultsResponse.body.data.result.status).toBe('completed');
     });
+
+    it('should release sequential exam questions one at a time without answer keys', async () => {
+      await Exam.create({
+        examId: 'exam_sequential',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Sequential Exam',
+        totalTimeLimit: 600,
+        status: 'active',
+        configuration: { deliveryMode: 'sequential' },
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 1 },
+          {
+            questionId: 'q2',
+            type: 'coding',
+            question: 'Add two numbers',
+            codeTemplate: 'function add(a, b) {}',
+            testCases: [
+              { input: '{"args": [1, 2]}', expectedOutput: '3' },
+              { input: '{"args": [2, 2]}', expectedOutput: '4', isHidden: true }
+            ]
+          }
+        ]
+      });
+
+      const startResponse = await request(app)
+        .post('/api/v1/exams/exam_sequential/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const session = startResponse.body.data.exam;
+      expect(session.questions).toHaveLength(0);
+      expect(session.progress.question.questionId).toBe('q1');
+      expect(session.progress.question.correctAnswer).toBeUndefined();
+
+      // Later questions stay locked until the current one is answered
+      await request(app)
+        .post('/api/v1/exams/exam_sequential/questions/q2/answer')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ code: 'function add(a, b) { return a + b; }' })
+        .expect(409);
+
+      const answerResponse = await request(app)
+        .post('/api/v1/exams/exam_sequential/questions/q1/answer')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ selectedOption: 1 })
+        .expect(200);
+
+      const next = answerResponse.body.data.question;
+      expect(next.questionId).toBe('q2');
+      expect(next.testCases).toHaveLength(1);
+
+      await request(app)
+        .post('/api/v1/exams/exam_sequential/questions/q2/answer')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ code: 'function add(a, b) { return a + b; }', language: 'javascript' })
+        .expect(200);
+
+      const submitResponse = await request(app)
+        .post('/api/v1/exams/exam_sequential/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({})
+        .expect(200);
+
+      expect(submitResponse.body.data.result.scoring.percentage).toBe(100);
+    });
   });
   
   describe('Admin Operations', () => {
@@ -324,8 +412,1595 @@ describe('API Integration Tests', () => {
       expect(response.body.data.analytics).toBeDefined();
       expect(response.body.data.analytics.totalUsers).toBeGreaterThan(0);
     });
+    
+    it('should manage question bank entries', async () => {
+      // 1. Create a question
+      const createResponse = await request(app)
+        .post('/api/v1/admin/questions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          type: 'mcq',
+          question: 'Which HTTP method is idempotent?',
+          options: ['POST', 'PUT', 'PATCH'],
+          correctAnswer: 1,
+          explanation: 'PUT replaces the resource, so repeating it has the same effect.',
+          category: 'HTTP Methods',
+          role: 'backend',
+          difficulty: 'easy',
+          tags: ['http']
+        })
+        .expect(201);
+      
+      const { questionId } = createResponse.body.data.question;
+      expect(questionId).toMatch(/^q_/);
+      
+      // 2. Reject an answer index that points outside the options
+      await request(app)
+        .put(`/api/v1/admin/questions/${questionId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ correctAnswer: 5 })
+        .expect(422);
+      
+      // 3. Filter by tag
+      const listResponse = await request(app)
+        .get('/api/v1/admin/questions?tags=http&difficulty=easy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      
+      expect(listResponse.body.data.questions).toHaveLength(1);
+      expect(listResponse.body.meta.pagination.totalItems).toBe(1);
+      
+      // 4. Delete it
+      await request(app)
+        .delete(`/api/v1/admin/questions/${questionId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      
+      await request(app)
+        .get(`/api/v1/admin/questions/${questionId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should import questions with per-row errors and duplicates, and export them again', async () => {
+      await request(app)
+        .post('/api/v1/admin/questions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'essay', question: 'Describe REST.', category: 'HTTP' })
+        .expect(201);
+
+      const csv = [
+        'questionId,type,question,options,correctAnswer,category,difficulty,tags',
+        'imp_1,mcq,Which status code means Not Found?,200|404|500,1,HTTP,easy,http|status',
+        'imp_2,mcq,Pick one,only option,0,HTTP,easy,',
+        'imp_3,essay,describe   rest.,,,HTTP,medium,',
+        'imp_1,essay,Same id again,,,HTTP,medium,',
+        'imp_4,essay,Explain caching headers,,,HTTP,hard,http'
+      ].join('\n');
+
+      // A dry run reports without saving
+      const dryRun = await request(app)
+        .post('/api/v1/admin/questions/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'csv', content: csv, dryRun: true })
+        .expect(200);
+      expect(dryRun.body.data.summary).toMatchObject({ total: 5, imported: 2, duplicates: 2, failed: 1, dryRun: true });
+
+      const importResponse = await request(app)
+        .post('/api/v1/admin/questions/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('file', Buffer.from(csv), 'questions.csv')
+        .expect(200);
+      const report = importResponse.body.data;
+      expect(report.summary).toMatchObject({ imported: 2, updated: 0, duplicates: 2, failed: 1 });
+      expect(report.errors).toEqual([{ row: 3, field: 'options', message: 'MCQ questions require at least two options' }]);
+      expect(report.duplicates.map(duplicate => [duplicate.row, duplicate.reason])).toEqual([
+        [4, 'existing_content'],
+        [5, 'duplicate_id_in_file']
+      ]);
+
+      // Importing the same file again finds every valid row already in the bank
+      const again = await request(app)
+        .post('/api/v1/admin/questions/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'csv', content: csv })
+        .expect(200);
+      expect(again.body.data.summary).toMatchObject({ imported: 0, duplicates: 4 });
+
+      await request(app)
+        .post('/api/v1/admin/questions/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'docx', content: csv })
+        .expect(400);
+
+      const exportResponse = await request(app)
+        .get('/api/v1/admin/questions/export?format=json&tags=http')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect('Content-Type', /application\/json/)
+        .expect(200);
+      expect(exportResponse.headers['content-disposition']).toMatch(/attachment; filename="questions-.*\.json"/);
+      expect(exportResponse.body.questions.map(question => question.questionId).sort()).toEqual(['imp_1', 'imp_4']);
+
+      const giftResponse = await request(app)
+        .get('/api/v1/admin/questions/export?format=gift&difficulty=easy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(giftResponse.text).toContain('::imp_1::Which status code means Not Found? {');
+    });
+
+    it('should import JSON-body content that went through the input sanitizer', async () => {
+      // The server escapes JSON bodies before routes see them
+      const { AuthMiddleware } = require('../../middleware/auth');
+      const { sanitizeInput } = require('../../middleware/security');
+      const sanitizedApp = express();
+      sanitizedApp.use(express.json());
+      sanitizedApp.use('/api/v1/admin', AuthMiddleware.authenticate, AuthMiddleware.authorize('admin'), sanitizeInput, require('../../routes/admin'));
+
+      const csv = [
+        'questionId,type,question,options,correctAnswer,category',
+        'esc_1,mcq,"Is ""a < b && b < c"" enough?",Yes|No,0,Q&A'
+      ].join('\n');
+
+      const importResponse = await request(sanitizedApp)
+        .post('/api/v1/admin/questions/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'csv', content: csv })
+        .expect(200);
+      expect(importResponse.body.data.summary).toMatchObject({ imported: 1, failed: 0 });
+
+      const exportResponse = await request(app)
+        .get('/api/v1/admin/questions/export?format=json')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(exportResponse.body.questions.find(question => question.questionId === 'esc_1')).toMatchObject({
+        question: 'Is "a < b && b < c" enough?',
+        category: 'Q&A'
+      });
+    });
   });
   
+  describe('Exam Autosave and Resume', () => {
+    it('should autosave answers and return them when the session is resumed', async () => {
+      await Exam.create({
+        examId: 'exam_autosave',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Autosave Exam',
+        totalTimeLimit: 600,
+        status: 'active',
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 1 },
+          { questionId: 'q2', type: 'mcq', question: 'Second?', options: ['A', 'B'], correctAnswer: 0 }
+        ]
+      });
+
+      await request(app)
+        .post('/api/v1/exams/exam_autosave/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .put('/api/v1/exams/exam_autosave/answers/q1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ selectedOption: 0, timeSpent: 20 })
+        .expect(200);
+
+      // Changing an answer replaces the saved one
+      const saveResponse = await request(app)
+        .put('/api/v1/exams/exam_autosave/answers/q1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ selectedOption: 1, timeSpent: 35, flagged: true })
+        .expect(200);
+
+      expect(saveResponse.body.data.answeredQuestions).toBe(1);
+      expect(saveResponse.body.data.remainingSeconds).toBeGreaterThan(0);
+
+      await request(app)
+        .put('/api/v1/exams/exam_autosave/answers/unknown')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ selectedOption: 1 })
+        .expect(404);
+
+      const sessionResponse = await request(app)
+        .get('/api/v1/exams/exam_autosave/session')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { savedAnswers, exam } = sessionResponse.body.data;
+      expect(savedAnswers).toHaveLength(1);
+      expect(savedAnswers[0]).toMatchObject({ questionId: 'q1', userAnswer: 1, flagged: true, timeSpent: 35 });
+      expect(exam.remainingSeconds).toBeLessThanOrEqual(600);
+
+      // Answers sent on submit are graded together with the autosaved ones
+      const submitResponse = await request(app)
+        .post('/api/v1/exams/exam_autosave/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ answers: [{ questionId: 'q2', selectedOption: 0 }] })
+        .expect(200);
+
+      expect(submitResponse.body.data.result.scoring.percentage).toBe(100);
+    });
+  });
+
+  describe('Manual Grading', () => {
+    it('should grade queued answers, rescore the result and keep history', async () => {
+      const exam = await Exam.create({
+        examId: 'exam_grading',
+        userId: adminUser._id,
+        examType: 'behavioral',
+        title: 'Behavioral Exam',
+        totalTimeLimit: 600,
+        passingScore: 70,
+        questions: [
+          { questionId: 'q1', type: 'behavioral', question: 'Tell me about a conflict', points: 4, expectedPoints: ['Situation', 'Outcome'] },
+          { questionId: 'q2', type: 'mcq', question: 'Pick one', options: ['A', 'B'], correctAnswer: 0 }
+        ]
+      });
+
+      await Result.create({
+        resultId: 'result_grading',
+        examId: exam.examId,
+        userId: testUser._id,
+        exam: exam._id,
+        status: 'completed',
+        endTime: new Date(),
+        scoring: { totalPoints: 2, maxPossiblePoints: 5, percentage: 40, grade: 'F', passed: false },
+        answers: [
+          { questionId: 'q1', questionType: 'essay', userAnswer: 'We disagreed...', pointsEarned: 1, maxPoints: 4, review: { status: 'pending' } },
+          { questionId: 'q2', questionType: 'mcq', userAnswer: 0, isCorrect: true, pointsEarned: 1, maxPoints: 1 }
+        ]
+      });
+
+      // Candidates cannot see the queue
+      await request(app)
+        .get('/api/v1/grading/queue')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      const queueResponse = await request(app)
+        .get('/api/v1/grading/queue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(queueResponse.body.data.queue).toHaveLength(1);
+      expect(queueResponse.body.data.queue[0].questionId).toBe('q1');
+      expect(queueResponse.body.data.queue[0].expectedPoints).toEqual(['Situation', 'Outcome']);
+
+      const gradeResponse = await request(app)
+        .put('/api/v1/grading/results/result_grading/answers/q1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pointsEarned: 3, comment: 'Clear outcome' })
+        .expect(200);
+
+      expect(gradeResponse.body.data.scoring.percentage).toBe(80);
+      expect(gradeResponse.body.data.scoring.passed).toBe(true);
+
+      // Regrades need a reason
+      await request(app)
+        .put('/api/v1/grading/results/result_grading/answers/q1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pointsEarned: 2 })
+        .expect(400);
+
+      const historyResponse = await request(app)
+        .get('/api/v1/grading/results/result_grading/history')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(historyResponse.body.data.history).toHaveLength(1);
+      expect(historyResponse.body.data.history[0].previousPoints).toBe(1);
+      expect(historyResponse.body.data.history[0].newPoints).toBe(3);
+    });
+  });
+
+  describe('Exam Retakes', () => {
+    const takeExam = async (examId, selectedOption) => {
+      await request(app)
+        .post(`/api/v1/exams/${examId}/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      return request(app)
+        .post(`/api/v1/exams/${examId}/submit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ answers: [{ questionId: 'q1', selectedOption }] })
+        .expect(200);
+    };
+
+    const createRetakeExam = (examId, maxAttempts, retakePolicy) => Exam.create({
+      examId,
+      userId: adminUser._id,
+      examType: 'industry_specific',
+      title: 'Retake Exam',
+      totalTimeLimit: 600,
+      status: 'active',
+      maxAttempts,
+      retakePolicy,
+      questions: [
+        { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 1 }
+      ]
+    });
+
+    it('should allow retakes up to maxAttempts and count the best attempt', async () => {
+      await createRetakeExam('exam_retake', 2, { scoringPolicy: 'best' });
+
+      const first = await takeExam('exam_retake', 1);
+      const second = await takeExam('exam_retake', 0);
+      expect(first.body.data.result.attemptNumber).toBe(1);
+      expect(second.body.data.result.attemptNumber).toBe(2);
+
+      const blocked = await request(app)
+        .post('/api/v1/exams/exam_retake/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+      expect(blocked.body.message).toContain('Maximum number of attempts');
+
+      const attemptsResponse = await request(app)
+        .get('/api/v1/exams/exam_retake/attempts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { attempts, countedScore, attemptsRemaining, canStartNewAttempt } = attemptsResponse.body.data;
+      expect(attempts.map(attempt => attempt.percentage)).toEqual([100, 0]);
+      expect(countedScore).toMatchObject({ policy: 'best', percentage: 100, attemptNumber: 1 });
+      expect(attemptsRemaining).toBe(0);
+      expect(canStartNewAttempt).toBe(false);
+
+      const resultsResponse = await request(app)
+        .get('/api/v1/exams/exam_retake/results')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(resultsResponse.body.data.result.attemptNumber).toBe(1);
+    });
+
+    it('should start only one attempt when starts race', async () => {
+      await createRetakeExam('exam_race', 0, { scoringPolicy: 'best' });
+      await Result.init();
+
+      const responses = await Promise.all([1, 2, 3].map(() => request(app)
+        .post('/api/v1/exams/exam_race/start')
+        .set('Authorization', `Bearer ${authToken}`)));
+
+      responses.forEach(response => expect([200, 409]).toContain(response.status));
+      expect(await Result.countDocuments({ examId: 'exam_race', userId: testUser._id })).toBe(1);
+    });
+
+    it('should make candidates wait out the cooldown between attempts', async () => {
+      await createRetakeExam('exam_cooldown', 0, { cooldownMinutes: 60 });
+
+      await takeExam('exam_cooldown', 1);
+
+      const response = await request(app)
+        .post('/api/v1/exams/exam_cooldown/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(429);
+      expect(response.body.errors.nextAttemptAt).toBeDefined();
+    });
+  });
+
+  describe('Exam Assignments', () => {
+    it('should invite candidates, link accounts and track assignment status', async () => {
+      // Owned by a regular user, so only the assignment lets other candidates in
+      await Exam.create({
+        examId: 'exam_assigned',
+        userId: new mongoose.Types.ObjectId(),
+        examType: 'industry_specific',
+        title: 'Assigned Exam',
+        totalTimeLimit: 600,
+        status: 'active',
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 1 }
+        ]
+      });
+
+      const assignResponse = await request(app)
+        .post('/api/v1/assignments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          examId: 'exam_assigned',
+          candidates: [{ userId: testUser._id.toString() }, { email: 'New.Candidate@example.com' }, { email: 'not-an-email' }],
+          endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+
+      const { assignments, invalid } = assignResponse.body.data;
+      expect(assignments).toHaveLength(2);
+      expect(invalid).toHaveLength(1);
+      const invite = assignments.find(assignment => assignment.email === 'new.candidate@example.com');
+      expect(invite.candidate).toBeNull();
+
+      // Candidates cannot manage assignments
+      await request(app)
+        .get('/api/v1/assignments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      const invitationResponse = await request(app)
+        .get(`/api/v1/public/invitations/${invite.inviteToken}`)
+        .expect(200);
+      expect(invitationResponse.body.data.invitation.hasAccount).toBe(false);
+
+      const acceptResponse = await request(app)
+        .post(`/api/v1/public/invitations/${invite.inviteToken}/accept`)
+        .send({ name: 'New Candidate', password: 'Str0ng!Passw0rd' })
+        .expect(200);
+      expect(acceptResponse.body.data.accessToken).toBeDefined();
+      expect(acceptResponse.body.data.user.role).toBe('candidate');
+
+      // Tokens are single use
+      await request(app)
+        .post(`/api/v1/public/invitations/${invite.inviteToken}/accept`)
+        .send({ name: 'New Candidate', password: 'Str0ng!Passw0rd' })
+        .expect(404);
+
+      await request(app)
+        .post('/api/v1/exams/exam_assigned/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      let dashboard = await request(app)
+        .get('/api/v1/assignments?examId=exam_assigned')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(dashboard.body.data.summary).toMatchObject({ invited: 1, started: 1, completed: 0 });
+
+      await request(app)
+        .post('/api/v1/exams/exam_assigned/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ answers: [{ questionId: 'q1', selectedOption: 1 }] })
+        .expect(200);
+
+      dashboard = await request(app)
+        .get('/api/v1/assignments?examId=exam_assigned&status=completed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(dashboard.body.data.assignments).toHaveLength(1);
+      expect(dashboard.body.data.assignments[0].candidate.email).toBe('integration@example.com');
+    });
+
+    it('should accept an invitation only once when accepts race', async () => {
+      await Exam.create({
+        examId: 'exam_invite_race',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Invite Race Exam',
+        totalTimeLimit: 600,
+        status: 'active'
+      });
+      const assignResponse = await request(app)
+        .post('/api/v1/assignments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          examId: 'exam_invite_race',
+          candidates: [{ email: 'racing@example.com' }],
+          endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+      const [invite] = assignResponse.body.data.assignments;
+
+      const responses = await Promise.all([1, 2, 3].map(() => request(app)
+        .post(`/api/v1/public/invitations/${invite.inviteToken}/accept`)
+        .send({ name: 'Racing Candidate', password: 'Str0ng!Passw0rd' })));
+
+      expect(responses.filter(response => response.status === 200)).toHaveLength(1);
+      expect(await User.countDocuments({ email: 'racing@example.com' })).toBe(1);
+    });
+
+    it('should not let a signed-in user claim an invitation sent to another email', async () => {
+      await Exam.create({
+        examId: 'exam_invite_email',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Invite Email Exam',
+        totalTimeLimit: 600,
+        status: 'active'
+      });
+      const assignResponse = await request(app)
+        .post('/api/v1/assignments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          examId: 'exam_invite_email',
+          candidates: [{ email: 'someone.else@example.com' }],
+          endTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+      const [invite] = assignResponse.body.data.assignments;
+
+      await request(app)
+        .post(`/api/v1/public/invitations/${invite.inviteToken}/accept`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      // The invitation is still there for the person it was sent to
+      await request(app)
+        .get(`/api/v1/public/invitations/${invite.inviteToken}`)
+        .expect(200);
+    });
+
+    it('should limit moderators to assignments for exams they own', async () => {
+      const moderator = await global.testUtils.createTestUser({ email: 'moderator@example.com', role: 'moderator' });
+      const moderatorToken = global.testUtils.generateTestToken(moderator._id, 'moderator');
+      const endTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      await Exam.create([
+        { examId: 'exam_moderated', userId: moderator._id, examType: 'industry_specific', title: 'Own Exam', totalTimeLimit: 600, status: 'active' },
+        { examId: 'exam_not_moderated', userId: adminUser._id, examType: 'industry_specific', title: 'Other Exam', totalTimeLimit: 600, status: 'active' }
+      ]);
+
+      await request(app)
+        .post('/api/v1/assignments')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ examId: 'exam_not_moderated', candidates: [{ email: 'a@example.com' }], endTime })
+        .expect(403);
+      await request(app)
+        .post('/api/v1/assignments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ examId: 'exam_not_moderated', candidates: [{ email: 'b@example.com' }], endTime })
+        .expect(201);
+      await request(app)
+        .post('/api/v1/assignments')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ examId: 'exam_moderated', candidates: [{ email: 'c@example.com' }], endTime })
+        .expect(201);
+
+      const dashboard = await request(app)
+        .get('/api/v1/assignments')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+      expect(dashboard.body.data.assignments.map(assignment => assignment.examId)).toEqual(['exam_moderated']);
+
+      await request(app)
+        .get('/api/v1/assignments?examId=exam_not_moderated')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(403);
+    });
+
+    it('should not let an assigned candidate start outside their window', async () => {
+      const exam = await Exam.create({
+        examId: 'exam_window',
+        userId: new mongoose.Types.ObjectId(),
+        examType: 'industry_specific',
+        title: 'Window Exam',
+        totalTimeLimit: 600,
+        status: 'active'
+      });
+      const ExamAssignment = require('../../models/ExamAssignment');
+      await ExamAssignment.create({
+        assignmentId: 'assignment_window',
+        examId: exam.examId,
+        exam: exam._id,
+        candidate: testUser._id,
+        email: testUser.email,
+        assignedBy: adminUser._id,
+        startTime: new Date(Date.now() + 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/v1/exams/exam_window/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+      expect(response.body.message).toContain('opens at');
+    });
+  });
+
+  describe('Exam Templates', () => {
+    it('should save an exam as a template and create independent exams from it', async () => {
+      await Exam.create({
+        examId: 'exam_source',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Frontend Screening',
+        totalTimeLimit: 1800,
+        status: 'active',
+        configuration: { industry: 'technology', difficulty: 'senior' },
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 0 },
+          { questionId: 'q2', type: 'mcq', question: 'Second?', options: ['A', 'B'], correctAnswer: 1 },
+          { questionId: 'q3', type: 'mcq', question: 'Third?', options: ['A', 'B'], correctAnswer: 0 }
+        ]
+      });
+
+      const saveResponse = await request(app)
+        .post('/api/v1/templates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ examId: 'exam_source' })
+        .expect(201);
+      const { templateId } = saveResponse.body.data.template;
+
+      // Editing the source exam leaves the template as it was saved
+      await Exam.updateOne({ examId: 'exam_source' }, { $set: { 'questions.0.question': 'Edited?' } });
+
+      const library = await request(app)
+        .get('/api/v1/templates?industry=technology&difficulty=senior')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(library.body.data.templates).toHaveLength(1);
+      expect(library.body.data.templates[0]).toMatchObject({ templateId, questionCount: 3 });
+
+      await request(app)
+        .get('/api/v1/templates?difficulty=entry')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+        .then(response => expect(response.body.data.templates).toHaveLength(0));
+
+      // Templates are not exams candidates can take
+      await request(app)
+        .post(`/api/v1/exams/${templateId}/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      const createResponse = await request(app)
+        .post(`/api/v1/templates/${templateId}/exams`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ totalTimeLimit: 900, numberOfQuestions: 2, securitySettings: { preventCopyPaste: false } })
+        .expect(201);
+      const created = createResponse.body.data.exam;
+      expect(created).toMatchObject({ totalTimeLimit: 900, templateId, status: 'active' });
+      expect(created.configuration.randomization.drawCount).toBe(2);
+      expect(created.securitySettings.preventCopyPaste).toBe(false);
+
+      const template = await Exam.findOne({ examId: templateId });
+      expect(template.questions[0].question).toBe('First?');
+      expect(template.totalTimeLimit).toBe(1800);
+
+      await Exam.updateOne({ examId: created.examId }, { $set: { 'questions.1.question': 'Changed?' } });
+      expect((await Exam.findOne({ examId: templateId })).questions[1].question).toBe('Second?');
+    });
+
+    it('should reject invalid overrides and non-recruiters', async () => {
+      const template = await Exam.create({
+        examId: 'template_small',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Small Template',
+        totalTimeLimit: 600,
+        metadata: { isTemplate: true },
+        questions: [{ questionId: 'q1', type: 'mcq', question: 'Only?', options: ['A', 'B'], correctAnswer: 0 }]
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/templates/${template.examId}/exams`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ numberOfQuestions: 5, securitySettings: { allowNotes: true } })
+        .expect(400);
+      expect(response.body.errors.map(error => error.field)).toEqual(['numberOfQuestions', 'securitySettings.allowNotes']);
+
+      await request(app)
+        .get('/api/v1/templates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Exam Versions', () => {
+    it('should version published edits and grade started attempts against their own version', async () => {
+      await Exam.create({
+        examId: 'exam_versions',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Versioned Exam',
+        totalTimeLimit: 600,
+        status: 'active',
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 0, points: 2 }
+        ]
+      });
+
+      await request(app)
+        .post('/api/v1/exams/exam_versions/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .expect(200);
+
+      // The key is changed while the candidate's attempt is in progress
+      const updateResponse = await request(app)
+        .put('/api/v1/exams/exam_versions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          questions: [
+            { questionId: 'q1', type: 'mcq', question: 'Capital of Italy?', options: ['Paris', 'Rome'], correctAnswer: 1, points: 2 }
+          ]
+        })
+        .expect(200);
+      expect(updateResponse.body.data).toMatchObject({ versioned: true, exam: { version: '2.0' } });
+
+      // Only the owner or an admin can edit
+      await request(app)
+        .put('/api/v1/exams/exam_versions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Mine now' })
+        .expect(403);
+
+      const submitResponse = await request(app)
+        .post('/api/v1/exams/exam_versions/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ answers: [{ questionId: 'q1', selectedOption: 0 }] })
+        .expect(200);
+      expect(submitResponse.body.data.result).toMatchObject({ examVersion: '1.0', scoring: { percentage: 100 } });
+
+      const result = await Result.findOne({ examId: 'exam_versions' });
+      expect(result.examVersion).toBe('1.0');
+      expect(result.presentation.questions[0]).toMatchObject({ question: 'Capital of France?', correctAnswer: 0 });
+
+      const versions = await request(app)
+        .get('/api/v1/admin/exams/exam_versions/versions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(versions.body.data.currentVersion).toBe('2.0');
+      expect(versions.body.data.versions.map(version => [version.version, version.resultCount]))
+        .toEqual([['2.0', 0], ['1.0', 1]]);
+
+      const diffResponse = await request(app)
+        .get('/api/v1/admin/exams/exam_versions/versions/diff')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const { diff } = diffResponse.body.data;
+      expect(diff).toMatchObject({ from: '1.0', to: '2.0', hasChanges: true });
+      expect(diff.questions.changed[0].fields.map(field => field.field)).toEqual(['question', 'correctAnswer']);
+    });
+
+    it('should not version edits to draft exams', async () => {
+      await Exam.create({
+        examId: 'exam_draft_edit',
+        userId: testUser._id,
+        examType: 'industry_specific',
+        title: 'Draft',
+        totalTimeLimit: 600
+      });
+
+      const response = await request(app)
+        .put('/api/v1/exams/exam_draft_edit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ passingScore: 80, configuration: { difficulty: 'senior' } })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ versioned: false, exam: { version: '1.0' } });
+
+      const exam = await Exam.findOne({ examId: 'exam_draft_edit' });
+      expect(exam.configuration).toMatchObject({ difficulty: 'senior', industry: 'technology' });
+    });
+  });
+
+  describe('Exam Sections', () => {
+    beforeEach(async () => {
+      await Exam.create({
+        examId: 'exam_sections',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Sectioned Exam',
+        totalTimeLimit: 3600,
+        status: 'active',
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 0, points: 2 },
+          { questionId: 'q2', type: 'mcq', question: 'Capital of Italy?', options: ['Paris', 'Rome'], correctAnswer: 1, points: 2 },
+          { questionId: 'q3', type: 'mcq', question: 'Capital of Spain?', options: ['Madrid', 'Lisbon'], correctAnswer: 0, points: 4 }
+        ],
+        sections: [
+          { sectionId: 'part1', title: 'Part 1', questionIds: ['q1', 'q2'], timeLimit: 600, lockAfterSubmit: true },
+          { sectionId: 'part2', title: 'Part 2', questionIds: ['q3'], timeLimit: 600 }
+        ]
+      });
+    });
+
+    it('should run sections in order, score each one and lock submitted sections', async () => {
+      const startResponse = await request(app)
+        .post('/api/v1/exams/exam_sections/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .expect(200);
+      const session = startResponse.body.data.exam;
+      expect(session.currentSectionId).toBe('part1');
+      expect(session.questions.map(question => question.questionId).sort()).toEqual(['q1', 'q2']);
+
+      // Questions of a section that has not started cannot be answered
+      await request(app)
+        .put('/api/v1/exams/exam_sections/answers/q3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ selectedOption: 0 })
+        .expect(409);
+
+      await request(app)
+        .post('/api/v1/exams/exam_sections/sections/part2/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .expect(409);
+
+      const sectionResponse = await request(app)
+        .post('/api/v1/exams/exam_sections/sections/part1/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ answers: [{ questionId: 'q1', selectedOption: 0 }, { questionId: 'q2', selectedOption: 0 }] })
+        .expect(200);
+      expect(sectionResponse.body.data).toMatchObject({
+        completed: false,
+        section: { sectionId: 'part1', pointsEarned: 2, maxPoints: 4, percentage: 50 },
+        nextSection: { sectionId: 'part2', status: 'in_progress', questionIds: ['q3'] }
+      });
+
+      await request(app)
+        .put('/api/v1/exams/exam_sections/answers/q2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ selectedOption: 1 })
+        .expect(409);
+
+      const finalResponse = await request(app)
+        .post('/api/v1/exams/exam_sections/sections/part2/submit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('x-fullscreen-status', 'true')
+        .send({ answers: [{ questionId: 'q3', selectedOption: 0 }] })
+        .expect(200);
+      expect(finalResponse.body.data).toMatchObject({ completed: true, result: { status: 'completed' } });
+      expect(finalResponse.body.data.result.scoring).toMatchObject({ percentage: 75 });
+      expect(finalResponse.body.data.result.scoring.breakdown.sections.map(section => [section.sectionId, section.percentage]))
+        .toEqual([['part1', 50], ['part2', 100]]);
+    });
+
+    it('should reject sections that share questions', async () => {
+      const exam = new Exam({
+        examId: 'exam_bad_sections',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Bad Sections',
+        totalTimeLimit: 600,
+        sections: [
+          { sectionId: 'a', questionIds: ['q1'] },
+          { sectionId: 'b', questionIds: ['q1'] }
+        ]
+      });
+
+      await expect(exam.save()).rejects.toThrow('each question can belong to only one section');
+    });
+  });
+
+  describe('Result Exports', () => {
+    beforeEach(async () => {
+      const exam = await Exam.create({
+        examId: 'exam_export',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Export Exam',
+        totalTimeLimit: 600,
+        status: 'active',
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 0, points: 2, category: 'Geography' }
+        ]
+      });
+      await Result.create({
+        resultId: 'result_export',
+        examId: exam.examId,
+        userId: testUser._id,
+        exam: exam._id,
+        status: 'completed',
+        endTime: new Date(),
+        scoring: { totalPoints: 2, maxPossiblePoints: 2, percentage: 100, grade: 'A+', passed: true },
+        analytics: { categoryPerformance: [{ category: 'Geography', attempted: 1, correct: 1, percentage: 100 }] },
+        answers: [{ questionId: 'q1', questionType: 'mcq', userAnswer: 0, isCorrect: true, pointsEarned: 2, maxPoints: 2 }]
+      });
+    });
+
+    it('should let a candidate download their own result as a PDF', async () => {
+      const response = await request(app)
+        .get('/api/v1/exams/exam_export/export?format=pdf')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/pdf');
+      expect(response.headers['content-disposition']).toContain('exam_export-attempt-1.pdf');
+    });
+
+    it('should only let reviewers export every result', async () => {
+      await request(app)
+        .get('/api/v1/exams/exam_export/export?format=csv')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .get('/api/v1/exams/exam_export/export?format=csv')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [header, row] = response.text.trim().split(/\r?\n/);
+      expect(header).toContain('Geography (%)');
+      expect(row).toContain('result_export');
+      expect(row).toContain(testUser.email);
+    });
+
+    it('should reject unknown formats', async () => {
+      await request(app)
+        .get('/api/v1/exams/exam_export/export?format=docx')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Certificates', () => {
+    let exam;
+
+    beforeEach(async () => {
+      exam = await Exam.create({
+        examId: 'exam_certificate',
+        userId: adminUser._id,
+        examType: 'behavioral',
+        title: 'Certified Exam',
+        totalTimeLimit: 600,
+        passingScore: 70,
+        questions: [
+          { questionId: 'q1', type: 'behavioral', question: 'Tell me about a conflict', points: 4 },
+          { questionId: 'q2', type: 'mcq', question: 'Pick one', options: ['A', 'B'], correctAnswer: 0 }
+        ]
+      });
+    });
+
+    const createResult = (resultId, overrides = {}) => Result.create({
+      resultId,
+      examId: exam.examId,
+      userId: testUser._id,
+      exam: exam._id,
+      status: 'completed',
+      endTime: new Date(),
+      scoring: { totalPoints: 4, maxPossiblePoints: 5, percentage: 80, grade: 'B-', passed: true },
+      answers: [
+        { questionId: 'q1', questionType: 'essay', userAnswer: 'We disagreed...', pointsEarned: 3, maxPoints: 4 },
+        { questionId: 'q2', questionType: 'mcq', userAnswer: 0, isCorrect: true, pointsEarned: 1, maxPoints: 1 }
+      ],
+      ...overrides
+    });
+
+    it('should issue a certificate that anyone can verify until an admin revokes it', async () => {
+      await createResult('result_certificate');
+
+      const issueResponse = await request(app)
+        .post('/api/v1/certificates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ resultId: 'result_certificate' })
+        .expect(200);
+      const { certificateId } = issueResponse.body.data.certificate;
+      expect(issueResponse.body.data.certificate).toMatchObject({ examTitle: 'Certified Exam', score: 80, grade: 'B-', status: 'valid' });
+
+      // Asking again returns the same certificate
+      const againResponse = await request(app)
+        .post('/api/v1/certificates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ resultId: 'result_certificate' })
+        .expect(200);
+      expect(againResponse.body.data.certificate.certificateId).toBe(certificateId);
+
+      const pdfResponse = await request(app)
+        .get(`/api/v1/certificates/${certificateId}/pdf`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(pdfResponse.headers['content-type']).toContain('application/pdf');
+
+      const verifyResponse = await request(app)
+        .get(`/api/v1/public/certificates/${certificateId}/verify`)
+        .expect(200);
+      expect(verifyResponse.body.data).toMatchObject({
+        valid: true,
+        certificate: { recipientName: testUser.name, examTitle: 'Certified Exam', score: 80 }
+      });
+
+      // Only admins can revoke, and only with a reason
+      await request(app)
+        .post(`/api/v1/admin/certificates/${certificateId}/revoke`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Cheating confirmed' })
+        .expect(403);
+      await request(app)
+        .post(`/api/v1/admin/certificates/${certificateId}/revoke`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+      await request(app)
+        .post(`/api/v1/admin/certificates/${certificateId}/revoke`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Cheating confirmed' })
+        .expect(200);
+
+      const revokedResponse = await request(app)
+        .get(`/api/v1/public/certificates/${certificateId}/verify`)
+        .expect(200);
+      expect(revokedResponse.body.data).toMatchObject({ valid: false, status: 'revoked', reason: 'Cheating confirmed' });
+
+      // A revoked certificate is not reissued
+      await request(app)
+        .post('/api/v1/certificates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ resultId: 'result_certificate' })
+        .expect(409);
+    });
+
+    it('should issue certificates when grading passes a result and revoke them when a regrade fails it', async () => {
+      await createResult('result_graded_certificate', {
+        scoring: { totalPoints: 2, maxPossiblePoints: 5, percentage: 40, grade: 'F', passed: false },
+        answers: [
+          { questionId: 'q1', questionType: 'essay', userAnswer: 'We disagreed...', pointsEarned: 1, maxPoints: 4, review: { status: 'pending' } },
+          { questionId: 'q2', questionType: 'mcq', userAnswer: 0, isCorrect: true, pointsEarned: 1, maxPoints: 1 }
+        ]
+      });
+
+      // Failing and pending results do not earn a certificate
+      await request(app)
+        .post('/api/v1/certificates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ resultId: 'result_graded_certificate' })
+        .expect(409);
+
+      const gradeResponse = await request(app)
+        .put('/api/v1/grading/results/result_graded_certificate/answers/q1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pointsEarned: 3 })
+        .expect(200);
+      const { certificateId } = gradeResponse.body.data;
+      expect(certificateId).toMatch(/^CERT-/);
+
+      const regradeResponse = await request(app)
+        .put('/api/v1/grading/results/result_graded_certificate/answers/q1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pointsEarned: 1, reason: 'Outcome was not described' })
+        .expect(200);
+      expect(regradeResponse.body.data.certificateId).toBeNull();
+
+      const verifyResponse = await request(app)
+        .get(`/api/v1/public/certificates/${certificateId}/verify`)
+        .expect(200);
+      expect(verifyResponse.body.data.status).toBe('revoked');
+
+      await request(app)
+        .get('/api/v1/public/certificates/CERT-NONE-NONE-NONE/verify')
+        .expect(404);
+    });
+  });
+
+  describe('Item Analysis', () => {
+    it('should let admins recompute and read item statistics', async () => {
+      const exam = await Exam.create({
+        examId: 'exam_items',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Item Exam',
+        totalTimeLimit: 600,
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 0 },
+          { questionId: 'q2', type: 'mcq', question: 'Capital of Italy?', options: ['Paris', 'Rome'], correctAnswer: 1 }
+        ]
+      });
+      await Promise.all([0, 1].map(option => Result.create({
+        resultId: `result_items_${option}`,
+        examId: exam.examId,
+        userId: testUser._id,
+        exam: exam._id,
+        attemptNumber: option + 1,
+        status: 'completed',
+        endTime: new Date(),
+        presentation: { questionOrder: ['q1', 'q2'] },
+        answers: [
+          { questionId: 'q1', questionType: 'mcq', userAnswer: option, isCorrect: option === 0, pointsEarned: option === 0 ? 1 : 0, maxPoints: 1, timeSpent: 20 }
+        ]
+      })));
+
+      await request(app)
+        .post('/api/v1/admin/item-analysis/run')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ examId: 'exam_items' })
+        .expect(403);
+
+      const runResponse = await request(app)
+        .post('/api/v1/admin/item-analysis/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ examId: 'exam_items' })
+        .expect(200);
+      expect(runResponse.body.data).toMatchObject({ exams: 1, questions: 2 });
+
+      const response = await request(app)
+        .get('/api/v1/admin/item-analysis?examId=exam_items')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [q1, q2] = response.body.data.items;
+      expect(q1).toMatchObject({ questionId: 'q1', presented: 2, responses: 2, pValue: 0.5, skipRate: 0, averageTimeSpent: 20 });
+      expect(q1.distractors.map(distractor => distractor.rate)).toEqual([0.5, 0.5]);
+      expect(q2).toMatchObject({ questionId: 'q2', responses: 0, skipRate: 1 });
+      expect(response.body.data.flags).toEqual([{ code: 'insufficient_data', severity: 'info', count: 2 }]);
+
+      await request(app)
+        .get('/api/v1/admin/item-analysis?severity=urgent')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Code Plagiarism', () => {
+    it('should flag copied code and raise violations on both attempts', async () => {
+      const SecurityViolation = require('../../models/SecurityViolation');
+      const exam = await Exam.create({
+        examId: 'exam_plagiarism',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Coding Exam',
+        totalTimeLimit: 600,
+        questions: [
+          { questionId: 'q1', type: 'coding', question: 'Return the indices of two numbers adding up to target' }
+        ]
+      });
+      const code = [
+        `function twoSum(nums, target) {
+  const seen = new Map();
+  for (let i = 0; i < nums.length; i++) {
+    const need = target - nums[i];
+    if (seen.has(need)) return [seen.get(need), i];
+    seen.set(nums[i], i);
+  }
+  return [];
+}`,
+        `function solve(arr, t) {
+  const m = new Map(); // renamed copy
+  for (let k = 0; k < arr.length; k++) {
+    const d = t - arr[k];
+    if (m.has(d)) return [m.get(d), k];
+    m.set(arr[k], k);
+  }
+  return [];
+}`
+      ];
+      await Promise.all([testUser, adminUser].map((user, index) => Result.create({
+        resultId: `result_plagiarism_${index}`,
+        examId: exam.examId,
+        userId: user._id,
+        exam: exam._id,
+        status: 'completed',
+        endTime: new Date(),
+        answers: [
+          { questionId: 'q1', questionType: 'coding', userAnswer: code[index], codeSubmission: { code: code[index], language: 'javascript' } }
+        ]
+      })));
+
+      await request(app)
+        .post('/api/v1/admin/code-similarity/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const runResponse = await request(app)
+        .post('/api/v1/admin/code-similarity/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ examId: 'exam_plagiarism' })
+        .expect(200);
+      expect(runResponse.body.data).toEqual({ attempts: 2, pairs: 1, flagged: 1 });
+
+      const listResponse = await request(app)
+        .get('/api/v1/admin/code-similarity?examId=exam_plagiarism&flagged=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const [pair] = listResponse.body.data.pairs;
+      expect(pair).toMatchObject({ questionId: 'q1', similarity: 1, flagged: true });
+      expect(pair.violationIds).toHaveLength(2);
+
+      const detailResponse = await request(app)
+        .get(`/api/v1/admin/code-similarity/${pair._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(detailResponse.body.data.first.code).toBe(code[0]);
+      expect(detailResponse.body.data.regions[0]).toMatchObject({ first: { startLine: 1, endLine: 9 } });
+
+      const violations = await SecurityViolation.find({ examId: 'exam_plagiarism' });
+      expect(violations.map(violation => violation.violationType)).toEqual(['suspicious_activity', 'suspicious_activity']);
+      expect(violations.map(violation => violation.relatedResultId).sort()).toEqual(['result_plagiarism_0', 'result_plagiarism_1']);
+
+      // A second run does not raise the same pair again
+      const rerunResponse = await request(app)
+        .post('/api/v1/admin/code-similarity/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ examId: 'exam_plagiarism' })
+        .expect(200);
+      expect(rerunResponse.body.data.flagged).toBe(0);
+      expect(await SecurityViolation.countDocuments({ examId: 'exam_plagiarism' })).toBe(2);
+    });
+  });
+
+  describe('Collusion Detection', () => {
+    it('should raise matching essays for review and record review decisions', async () => {
+      const exam = await Exam.create({
+        examId: 'exam_collusion',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Essay Exam',
+        totalTimeLimit: 600,
+        questions: [
+          { questionId: 'q1', type: 'essay', question: 'Why cache?' }
+        ]
+      });
+      const essay = 'Caching keeps frequently read data close to the application so that repeated requests avoid ' +
+        'the database, which lowers latency and load, but stale entries must be invalidated when the data changes';
+      await Promise.all([testUser, adminUser].map((user, index) => Result.create({
+        resultId: `result_collusion_${index}`,
+        examId: exam.examId,
+        userId: user._id,
+        exam: exam._id,
+        status: 'completed',
+        endTime: new Date(),
+        metadata: { ipAddress: '203.0.113.7' },
+        answers: [
+          { questionId: 'q1', questionType: 'essay', userAnswer: essay, textResponse: { content: essay }, maxPoints: 5 }
+        ]
+      })));
+
+      const runResponse = await request(app)
+        .post('/api/v1/admin/collusion/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ examId: 'exam_collusion' })
+        .expect(200);
+      expect(runResponse.body.data).toEqual({ attempts: 2, pairs: 1, flagged: 1 });
+
+      const reportsResponse = await request(app)
+        .get('/api/v1/admin/collusion?examId=exam_collusion')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const [report] = reportsResponse.body.data.reports;
+      expect(report).toMatchObject({ score: 60, flagged: true, signals: { sharedIpAddress: true } });
+      expect(report.signals.essays).toEqual([{ questionId: 'q1', similarity: 1 }]);
+
+      const queueResponse = await request(app)
+        .get('/api/v1/admin/violations/review-queue?examId=exam_collusion')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const { violations } = queueResponse.body.data;
+      expect(violations).toHaveLength(2);
+      expect(violations[0]).toMatchObject({ violationType: 'suspicious_activity', response: { reviewRequired: true } });
+      expect(violations[0].description).toContain('near-identical wording');
+
+      await request(app)
+        .post(`/api/v1/admin/violations/${violations[0].violationId}/review`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'maybe' })
+        .expect(400);
+
+      const reviewResponse = await request(app)
+        .post(`/api/v1/admin/violations/${violations[0].violationId}/review`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'false_positive', note: 'Quoted from the course notes' })
+        .expect(200);
+      expect(reviewResponse.body.data.violation.investigation).toMatchObject({
+        status: 'dismissed',
+        finalDecision: 'violation_dismissed'
+      });
+
+      await request(app)
+        .post(`/api/v1/admin/violations/${violations[0].violationId}/review`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'valid_violation' })
+        .expect(409);
+
+      const remainingResponse = await request(app)
+        .get('/api/v1/admin/violations/review-queue?examId=exam_collusion')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(remainingResponse.body.data.violations).toHaveLength(1);
+    });
+  });
+
+  describe('Practice Interview', () => {
+    const Question = require('../../models/Question');
+
+    beforeEach(async () => {
+      await Question.create([
+        { questionId: 'mcq_js_1', type: 'mcq', category: 'JavaScript', difficulty: 'easy', question: 'typeof null?', options: ['null', 'object'], correctAnswer: 1, explanation: 'A historical quirk' },
+        { questionId: 'mcq_js_2', type: 'mcq', category: 'JavaScript', difficulty: 'easy', question: '[] + []?', options: ['""', '[]'], correctAnswer: 0 },
+        { questionId: 'mcq_py_1', type: 'mcq', category: 'Python', difficulty: 'easy', question: 'len("ab")?', options: ['1', '2'], correctAnswer: 1 },
+        {
+          questionId: 'coding_add',
+          type: 'coding',
+          category: 'Algorithms',
+          difficulty: 'easy',
+          question: 'Add two numbers',
+          codeTemplate: 'function add(a, b) {}',
+          testCases: [
+            { input: '{"args": [1, 2]}', expectedOutput: '3' },
+            { input: '{"args": [2, 2]}', expectedOutput: '4', isHidden: true }
+          ]
+        }
+      ]);
+    });
+
+    it('should serve MCQs by category without answers', async () => {
+      const response = await request(app)
+        .get('/api/v1/mcqs?category=javascript&difficulty=easy&count=5')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { questions } = response.body.data;
+      expect(questions.map(question => question.questionId).sort()).toEqual(['mcq_js_1', 'mcq_js_2']);
+      questions.forEach(question => {
+        expect(question.correctAnswer).toBeUndefined();
+        expect(question.explanation).toBeUndefined();
+      });
+
+      await request(app)
+        .get('/api/v1/mcqs?category=rust')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should serve a coding challenge with visible test cases only', async () => {
+      const response = await request(app)
+        .get('/api/v1/coding?difficulty=easy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.challenge.questionId).toBe('coding_add');
+      expect(response.body.data.challenge.testCases).toEqual([{ input: '{"args": [1, 2]}', expectedOutput: '3' }]);
+    });
+
+    it('should grade MCQ answers and the coding solution together', async () => {
+      const response = await request(app)
+        .post('/api/v1/feedback')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          mcqQuestions: [{ questionId: 'mcq_js_1' }, { questionId: 'mcq_js_2' }, { questionId: 'mcq_py_1' }],
+          mcqAnswers: [1, 1, 'object'],
+          codingSubmission: { questionId: 'coding_add', language: 'javascript', code: 'function add(a, b) { return a + b; }' }
+        })
+        .expect(200);
+
+      const feedback = response.body.data;
+      expect(feedback).toMatchObject({ mcqScore: 1, mcqTotal: 3, mcqPercentage: 33, codingResult: 'pass' });
+      expect(feedback.review[0]).toMatchObject({ questionId: 'mcq_js_1', isCorrect: true, explanation: 'A historical quirk' });
+      expect(feedback.coding).toMatchObject({ passedTestCases: 2, totalTestCases: 2 });
+      expect(feedback.coding.executionResults[1].input).toBeUndefined();
+      expect(feedback.feedback).toContain('1 of 3');
+
+      await request(app)
+        .post('/api/v1/feedback')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ mcqAnswers: [] })
+        .expect(400);
+    });
+
+    it('should annotate behavioral answers with their STAR parts', async () => {
+      const answer = 'Our release was slipping. My task was to get it back on track. I worked on the backlog with the team. In the end we shipped.';
+      const response = await request(app)
+        .post('/api/v1/feedback')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ behavioralResponses: [{ question: 'Tell me about a deadline you recovered', answer }] })
+        .expect(200);
+
+      const [entry] = response.body.data.behavioral;
+      expect(entry.answer).toBe(answer);
+      expect(entry.star.missingParts).toEqual([]);
+      expect(entry.star.quantifiedResult).toBe(false);
+      const weak = entry.star.annotations.find(annotation => annotation.type === 'weak_phrase');
+      expect(answer.slice(weak.start, weak.end)).toBe('worked on');
+      expect(response.body.data.feedback).toBe('1 of 1 behavioral answers covered Situation, Task, Action and Result.');
+      expect(response.body.data.suggestions).toContain('Quantify the result so its impact is clear');
+    });
+
+    it('should grade practice answers without revealing them', async () => {
+      const response = await request(app)
+        .post('/api/v1/questions/grade')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ questionIds: ['mcq_js_1', 'mcq_js_2'], answers: { mcq_js_1: 1, mcq_js_2: 1 } })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ score: 50, correctAnswers: 1, totalQuestions: 2 });
+      response.body.data.results.forEach(result => expect(result.correctAnswer).toBeUndefined());
+
+      for (const answers of [null, ['1'], 'b']) {
+        await request(app)
+          .post('/api/v1/questions/grade')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ questionIds: ['mcq_js_1'], answers })
+          .expect(400);
+      }
+    });
+
+    it('should neither serve nor grade exam-only questions', async () => {
+      await Question.create({ questionId: 'mcq_js_exam', type: 'mcq', category: 'JavaScript', difficulty: 'easy', question: '0.1 + 0.2 === 0.3?', options: ['true', 'false'], correctAnswer: 1, examOnly: true });
+
+      const served = await request(app)
+        .get('/api/v1/mcqs?category=javascript&count=5')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(served.body.data.questions.map(question => question.questionId)).not.toContain('mcq_js_exam');
+
+      const feedback = await request(app)
+        .post('/api/v1/feedback')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ mcqQuestions: [{ questionId: 'mcq_js_exam' }], mcqAnswers: [1] })
+        .expect(400);
+      expect(feedback.body.data).toBeUndefined();
+
+      await request(app)
+        .post('/api/v1/questions/grade')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ questionIds: ['mcq_js_exam'], answers: { mcq_js_exam: 1 } })
+        .expect(404);
+    });
+  });
+
+  describe('Performance Analytics', () => {
+    beforeEach(async () => {
+      const exam = await Exam.create({
+        examId: 'exam_analytics',
+        userId: adminUser._id,
+        examType: 'industry_specific',
+        title: 'Analytics Exam',
+        totalTimeLimit: 600,
+        questions: [
+          { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 0, category: 'JavaScript', difficulty: 'easy' },
+          { questionId: 'q2', type: 'mcq', question: 'Second?', options: ['A', 'B'], correctAnswer: 0, category: 'SQL', difficulty: 'hard' }
+        ]
+      });
+      const day = 24 * 60 * 60 * 1000;
+      await Promise.all([[40, 20], [100, 3]].map(([score, daysAgo], index) => Result.create({
+        resultId: `result_analytics_${index}`,
+        examId: exam.examId,
+        userId: testUser._id,
+        exam: exam._id,
+        attemptNumber: index + 1,
+        status: 'completed',
+        startTime: new Date(Date.now() - daysAgo * day - 600000),
+        endTime: new Date(Date.now() - daysAgo * day),
+        scoring: { percentage: score, passed: score >= 70, maxPossiblePoints: 2 },
+        answers: [
+          { questionId: 'q1', questionType: 'mcq', userAnswer: 0, isCorrect: true, pointsEarned: 1, maxPoints: 1, timeSpent: 20 },
+          { questionId: 'q2', questionType: 'mcq', userAnswer: 1, isCorrect: score === 100, pointsEarned: score === 100 ? 1 : 0, maxPoints: 1, timeSpent: 150 }
+        ]
+      })));
+    });
+
+    it('should summarize the user\'s results for a timeframe', async () => {
+      const response = await request(app)
+        .get('/api/v1/analytics/user?timeframe=30d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { analytics } = response.body.data;
+      expect(analytics.summary).toMatchObject({ totalAttempts: 2, averageScore: 70, bestScore: 100 });
+      expect(analytics.scoreTrend.map(entry => entry.score)).toEqual([40, 100]);
+      expect(analytics.improvement).toMatchObject({ change: 60 });
+      expect(analytics.difficulties.find(group => group.difficulty === 'hard')).toMatchObject({ attempted: 2, correct: 1 });
+
+      const recent = await request(app)
+        .get('/api/v1/analytics/user?timeframe=7d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(recent.body.data.analytics.summary.totalAttempts).toBe(1);
+
+      // Other users see only their own results
+      const admin = await request(app)
+        .get('/api/v1/analytics/user')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(admin.body.data.analytics.summary.totalAttempts).toBe(0);
+    });
+
+    it('should break performance down by category, difficulty and period', async () => {
+      const category = await request(app)
+        .get('/api/v1/analytics/category/sql?timeframe=30d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(category.body.data.analytics).toMatchObject({ category: 'SQL', attempts: 2, correct: 1, percentage: 50 });
+
+      const difficulty = await request(app)
+        .get('/api/v1/analytics/difficulty/easy?timeframe=30d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(difficulty.body.data.analytics).toMatchObject({ difficulty: 'easy', percentage: 100 });
+
+      const trends = await request(app)
+        .get('/api/v1/analytics/trends?timeframe=30d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(trends.body.data.trends.interval).toBe('day');
+      expect(trends.body.data.trends.periods).toHaveLength(2);
+
+      await request(app)
+        .get('/api/v1/analytics/trends?timeframe=2w')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+      await request(app)
+        .get('/api/v1/analytics/difficulty/expert')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Mock Interviews', () => {
+    const session = {
+      interviewType: 'behavioral',
+      totalDuration: 540,
+      questions: [
+        { questionId: 'mq1', question: "Tell me about a conflict you've resolved", type: 'behavioral', expectedPoints: ['situation', 'outcome'] },
+        { questionId: 'mq2', question: 'Describe a project you led', type: 'behavioral' }
+      ],
+      responses: [
+        { questionId: 'mq1', question: "Tell me about a conflict you've resolved", answer: 'I mediated between two teams <and> agreed on a plan', timeSpent: 95 }
+      ],
+      performance: { overallScore: 72, eyeContact: 140, completionRate: 100 },
+      securityViolations: [{ type: 'tab_switch', severity: 'high', description: 'Left the tab', occurredAt: new Date().toISOString() }]
+    };
+
+    it('should save, list, fetch and delete the user\'s sessions', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/mock-interviews')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(session)
+        .expect(201);
+
+      const saved = createResponse.body.data.session;
+      expect(saved.sessionId).toMatch(/^mock_/);
+      expect(saved.responses[0]).toMatchObject({ question: "Tell me about a conflict you've resolved", answer: 'I mediated between two teams <and> agreed on a plan', wordCount: 10, timeSpent: 95 });
+      // Completion and answer scores are derived from the responses and behavioral scores are clamped
+      expect(saved.performance).toMatchObject({ overallScore: 2, completionRate: 50, averageResponseTime: 95, eyeContact: 100 });
+      expect(saved.scoring.questions.map(entry => [entry.questionId, entry.answered, entry.score])).toEqual([['mq1', true, 4], ['mq2', false, 0]]);
+      expect(saved.scoring.questions[0].missedPoints).toEqual(['situation', 'outcome']);
+      expect(saved.violationCount).toBe(1);
+
+      const listResponse = await request(app)
+        .get('/api/v1/mock-interviews')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(listResponse.body.data.sessions).toHaveLength(1);
+      expect(listResponse.body.data.sessions[0]).toMatchObject({ totalQuestions: 2, answeredQuestions: 1 });
+
+      const getResponse = await request(app)
+        .get(`/api/v1/mock-interviews/${saved.sessionId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(getResponse.body.data.session.questions[0].expectedPoints).toEqual(['situation', 'outcome']);
+
+      // Sessions are private to their owner
+      await request(app)
+        .get(`/api/v1/mock-interviews/${saved.sessionId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/v1/mock-interviews/${saved.sessionId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      await request(app)
+        .get(`/api/v1/mock-interviews/${saved.sessionId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should score answers against the expected points without saving', async () => {
+      const response = await request(app)
+        .post('/api/v1/mock-interviews/score')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          questions: [{ questionId: 'mq1', question: 'What is a closure in JavaScript?', type: 'technical', expectedPoints: ['Lexical scoping', 'Data privacy'] }],
+          responses: [{ questionId: 'mq1', answer: 'A closure keeps lexical scoping alive after the outer function returns. For example, a counter can keep its count private.' }]
+        })
+        .expect(200);
+
+      const scoring = response.body.data.scoring;
+      expect(scoring.questions[0]).toMatchObject({ matchedPoints: ['Lexical scoping'], missedPoints: ['Data privacy'], coverage: 50, relevance: 100 });
+      expect(scoring.overallScore).toBe(scoring.questions[0].score);
+
+      const listResponse = await request(app)
+        .get('/api/v1/mock-interviews')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(listResponse.body.data.sessions).toHaveLength(0);
+    });
+
+    it('should reject a session without questions', async () => {
+      await request(app)
+        .post('/api/v1/mock-interviews')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...session, questions: [] })
+        .expect(400);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle unauthorized access', async () => {
       const response = await request(app)
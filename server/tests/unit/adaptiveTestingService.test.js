@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Exam = require('../../models/Exam');
+const Result = require('../../models/Result');
+const Question = require('../../models/Question');
+const adaptiveTestingService = require('../../services/adaptiveTestingService');
+const examVersionService = require('../../services/examVersionService');
+
+/**
+ * Adaptive Testing Service Unit Tests
+ * Tests IRT ability estimation, item selection, stopping rules and drawing the pool from the question bank
+ */
+
+describe('AdaptiveTestingService', () => {
+  const buildExam = (adaptive = {}) => new Exam({
+    examId: 'exam_adaptive',
+    userId: new mongoose.Types.ObjectId(),
+    examType: 'industry_specific',
+    title: 'Adaptive Exam',
+    configuration: { deliveryMode: 'adaptive', adaptive },
+    questions: Array.from({ length: 9 }, (value, index) => ({
+      questionId: `q${index + 1}`,
+      type: 'mcq',
+      question: `Question ${index + 1}?`,
+      options: ['A', 'B'],
+      correctAnswer: 0,
+      difficulty: ['easy', 'medium', 'hard'][index % 3],
+      irt: { difficulty: (index - 4) / 2 }
+    }))
+  });
+
+  const startAttempt = (exam) => new Result({
+    resultId: 'result_adaptive',
+    examId: exam.examId,
+    userId: new mongoose.Types.ObjectId(),
+    exam: exam._id,
+    scoring: { maxPossiblePoints: 0 },
+    presentation: adaptiveTestingService.startAttempt(exam, { seed: 'seed', questionOrder: [], optionOrders: [] })
+  });
+
+  const currentQuestionId = (result) => result.presentation.questionOrder[result.presentation.questionOrder.length - 1];
+
+  describe('estimateAbility', () => {
+    it('should fall back to the prior when nothing has been answered', () => {
+      expect(adaptiveTestingService.estimateAbility([])).toEqual({ estimate: 0, standardError: 1 });
+    });
+
+    it('should move the estimate towards the answers and stay finite', () => {
+      const item = { discrimination: 1, difficulty: 0 };
+      const allRight = adaptiveTestingService.estimateAbility([1, 2, 3].map(() => ({ ...item, correct: true })));
+      const allWrong = adaptiveTestingService.estimateAbility([1, 2, 3].map(() => ({ ...item, correct: false })));
+
+      expect(allRight.estimate).toBeGreaterThan(0);
+      expect(allWrong.estimate).toBeLessThan(0);
+      expect(Number.isFinite(allRight.estimate)).toBe(true);
+      expect(allRight.standardError).toBeLessThan(1);
+    });
+  });
+
+  describe('getItemParameters', () => {
+    it('should use the difficulty label when a question is not calibrated', () => {
+      expect(adaptiveTestingService.getItemParameters({ difficulty: 'hard' })).toEqual({ discrimination: 1, difficulty: 1 });
+      expect(adaptiveTestingService.getItemParameters({ difficulty: 'easy', irt: { difficulty: 0.4 } }).difficulty).toBe(0.4);
+    });
+  });
+
+  describe('recordResponse', () => {
+    it('should start with the question closest to an average candidate', () => {
+      const exam = buildExam();
+      const result = startAttempt(exam);
+
+      expect(result.presentation.questionOrder).toEqual(['q5']);
+    });
+
+    it('should release a harder question after a correct answer and an easier one after a wrong one', () => {
+      const exam = buildExam();
+      const right = startAttempt(exam);
+      const wrong = startAttempt(exam);
+
+      const harder = adaptiveTestingService.recordResponse(exam, right, { questionId: 'q5', correct: true });
+      const easier = adaptiveTestingService.recordResponse(exam, wrong, { questionId: 'q5', correct: false });
+
+      expect(adaptiveTestingService.getItemParameters(harder).difficulty).toBeGreaterThan(0);
+      expect(adaptiveTestingService.getItemParameters(easier).difficulty).toBeLessThan(0);
+      expect(right.presentation.questionOrder).toEqual(['q5', harder.questionId]);
+      expect(right.scoring.ability.estimate).toBeGreaterThan(wrong.scoring.ability.estimate);
+    });
+
+    it('should stop at the question cap', () => {
+      const exam = buildExam({ maxQuestions: 3 });
+      const result = startAttempt(exam);
+
+      let next = true;
+      while (next) {
+        next = adaptiveTestingService.recordResponse(exam, result, { questionId: currentQuestionId(result), correct: true });
+      }
+
+      expect(result.adaptive.responses).toHaveLength(3);
+      expect(result.scoring.ability.stopReason).toBe('max_questions');
+      expect(result.scoring.ability.questionsAdministered).toBe(3);
+    });
+
+    it('should stop once the estimate is precise enough', () => {
+      const exam = buildExam({ targetStandardError: 0.95 });
+      const result = startAttempt(exam);
+
+      const next = adaptiveTestingService.recordResponse(exam, result, { questionId: 'q5', correct: true });
+
+      expect(next).toBeNull();
+      expect(result.scoring.ability.stopReason).toBe('precision_reached');
+    });
+  });
+
+  describe('addBankQuestions', () => {
+    const bankQuestion = (questionId, category, isActive = true, examOnly = true) => ({
+      questionId,
+      type: 'mcq',
+      question: `${questionId}?`,
+      options: ['A', 'B'],
+      correctAnswer: 0,
+      category,
+      difficulty: 'hard',
+      isActive,
+      examOnly
+    });
+
+    it('should add matching active exam-only bank questions to the pool after the exam questions', async () => {
+      await Question.create([
+        bankQuestion('bank_1', 'Algorithms'),
+        bankQuestion('bank_2', 'Algorithms', false),
+        bankQuestion('bank_3', 'Networking'),
+        // Practice hands out the answers to this one
+        bankQuestion('bank_4', 'Algorithms', true, false),
+        bankQuestion('q1', 'Algorithms')
+      ]);
+      const exam = buildExam({ bank: { categories: ['Algorithms'] } });
+      const snapshot = examVersionService.snapshotPresentation(exam, { seed: 'seed', questionOrder: [], optionOrders: [] });
+
+      const presentation = await adaptiveTestingService.addBankQuestions(exam, snapshot);
+
+      expect(presentation.questions.map(question => question.questionId)).toEqual([
+        'q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7', 'q8', 'q9', 'bank_1'
+      ]);
+      expect(presentation.questions[0].question).toBe('Question 1?');
+      expect(adaptiveTestingService.getSettings(exam, presentation).maxQuestions).toBe(10);
+    });
+
+    it('should keep the exam questions alone without a bank filter', async () => {
+      const exam = buildExam();
+      const snapshot = examVersionService.snapshotPresentation(exam, { seed: 'seed', questionOrder: [], optionOrders: [] });
+
+      expect(await adaptiveTestingService.addBankQuestions(exam, snapshot)).toBe(snapshot);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const attemptPolicyService = require('../../services/attemptPolicyService');
+
+/**
+ * Attempt Policy Service Unit Tests
+ * Tests attempt limits, cooldowns and which attempt's score counts
+ */
+
+describe('AttemptPolicyService', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+  const attempt = (attemptNumber, percentage, endTime, status = 'completed') => ({
+    resultId: `result_${attemptNumber}`,
+    attemptNumber,
+    status,
+    endTime,
+    scoring: { percentage, passed: percentage >= 70 }
+  });
+
+  describe('checkNewAttempt', () => {
+    it('should refuse a new attempt once maxAttempts is used up', () => {
+      const exam = { maxAttempts: 2 };
+      const attempts = [attempt(1, 50, minutesAgo(90)), attempt(2, 60, minutesAgo(30))];
+
+      expect(attemptPolicyService.checkNewAttempt(exam, attempts, now)).toMatchObject({
+        allowed: false,
+        reason: 'max_attempts',
+        attemptsUsed: 2,
+        attemptsRemaining: 0
+      });
+    });
+
+    it('should not count cancelled attempts against the limit', () => {
+      const exam = { maxAttempts: 1 };
+      const attempts = [attempt(1, 0, minutesAgo(10), 'cancelled')];
+
+      expect(attemptPolicyService.checkNewAttempt(exam, attempts, now).allowed).toBe(true);
+    });
+
+    it('should count an attempt that is still being graded against the limit', () => {
+      const exam = { maxAttempts: 1 };
+      const attempts = [attempt(1, 0, undefined, 'submitting')];
+
+      expect(attemptPolicyService.checkNewAttempt(exam, attempts, now)).toMatchObject({ allowed: false, reason: 'max_attempts' });
+    });
+
+    it('should enforce the cooldown after the latest attempt', () => {
+      const exam = { maxAttempts: 0, retakePolicy: { cooldownMinutes: 60 } };
+      const attempts = [attempt(1, 50, minutesAgo(120)), attempt(2, 60, minutesAgo(15))];
+
+      const eligibility = attemptPolicyService.checkNewAttempt(exam, attempts, now);
+      expect(eligibility).toMatchObject({ allowed: false, reason: 'cooldown', attemptsRemaining: null });
+      expect(eligibility.nextAttemptAt).toEqual(new Date(now.getTime() + 45 * 60 * 1000));
+
+      expect(attemptPolicyService.checkNewAttempt(exam, attempts, new Date(now.getTime() + 46 * 60 * 1000)).allowed).toBe(true);
+    });
+  });
+
+  describe('selectCountedScore', () => {
+    const attempts = [attempt(1, 80, minutesAgo(90)), attempt(2, 60, minutesAgo(30)), attempt(3, 0, null, 'in_progress')];
+
+    it('should count the best attempt by default', () => {
+      expect(attemptPolicyService.selectCountedScore({}, attempts))
+        .toMatchObject({ policy: 'best', percentage: 80, passed: true, attemptNumber: 1 });
+    });
+
+    it('should count the latest finished attempt', () => {
+      expect(attemptPolicyService.selectCountedScore({ retakePolicy: { scoringPolicy: 'latest' } }, attempts))
+        .toMatchObject({ policy: 'latest', percentage: 60, passed: false, attemptNumber: 2 });
+    });
+
+    it('should average finished attempts against the passing score', () => {
+      const exam = { passingScore: 65, retakePolicy: { scoringPolicy: 'average' } };
+
+      expect(attemptPolicyService.selectCountedScore(exam, attempts))
+        .toMatchObject({ policy: 'average', percentage: 70, passed: true, attemptNumber: null });
+    });
+
+    it('should return null before any attempt is finished', () => {
+      expect(attemptPolicyService.selectCountedScore({}, [attempt(1, 0, null, 'in_progress')])).toBeNull();
+    });
+  });
+});
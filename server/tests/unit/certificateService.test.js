@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Certificate = require('../../models/Certificate');
+const User = require('../../models/User');
+const certificateService = require('../../services/certificateService');
+
+/**
+ * Certificate Service Unit Tests
+ * Tests certificate IDs, signing, verification, eligibility and the PDF
+ */
+
+describe('CertificateService', () => {
+  const buildCertificate = (overrides = {}) => {
+    const certificate = new Certificate({
+      certificateId: 'CERT-ABCD-EFGH-JKLM',
+      resultId: 'result_1',
+      examId: 'exam_1',
+      userId: new mongoose.Types.ObjectId(),
+      recipientName: 'Ada Lovelace',
+      examTitle: 'Backend Engineering',
+      score: 85,
+      grade: 'B+',
+      issuedAt: new Date('2026-03-01T12:00:00Z'),
+      ...overrides
+    });
+    certificate.signature = certificateService.sign(certificate);
+    return certificate;
+  };
+
+  const buildResult = (overrides = {}) => ({
+    status: 'completed',
+    scoring: { passed: true, percentage: 85, grade: 'B+' },
+    answers: [{ questionId: 'q1', review: { status: 'not_required' } }],
+    ...overrides
+  });
+
+  it('should generate readable, unambiguous certificate IDs', () => {
+    const ids = new Set(Array.from({ length: 50 }, () => certificateService.generateCertificateId()));
+
+    expect(ids.size).toBe(50);
+    ids.forEach(id => expect(id).toMatch(/^CERT-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/));
+  });
+
+  it('should verify an untouched certificate', () => {
+    const verification = certificateService.verify(buildCertificate());
+
+    expect(verification).toMatchObject({
+      valid: true,
+      status: 'valid',
+      certificate: { certificateId: 'CERT-ABCD-EFGH-JKLM', recipientName: 'Ada Lovelace', score: 85, grade: 'B+' }
+    });
+  });
+
+  it('should reject a certificate whose details were changed after signing', () => {
+    const certificate = buildCertificate();
+    certificate.score = 99;
+
+    expect(certificateService.verify(certificate)).toMatchObject({ valid: false, status: 'invalid_signature' });
+  });
+
+  it('should report revoked certificates as not valid', () => {
+    const certificate = buildCertificate();
+    certificate.status = 'revoked';
+    certificate.revocation = { revokedAt: new Date(), revokedBy: new mongoose.Types.ObjectId(), reason: 'Cheating confirmed' };
+
+    expect(certificateService.verify(certificate)).toMatchObject({ valid: false, status: 'revoked', reason: 'Cheating confirmed' });
+    expect(certificate.isRevokedByAdmin()).toBe(true);
+  });
+
+  it('should only consider finished, passed and fully graded results eligible', () => {
+    expect(certificateService.isEligible(buildResult())).toBe(true);
+    expect(certificateService.isEligible(buildResult({ status: 'auto_submitted' }))).toBe(true);
+    expect(certificateService.isEligible(buildResult({ status: 'in_progress' }))).toBe(false);
+    expect(certificateService.isEligible(buildResult({ scoring: { passed: false } }))).toBe(false);
+    expect(certificateService.isEligible(buildResult({
+      answers: [{ questionId: 'q1', review: { status: 'pending' } }]
+    }))).toBe(false);
+  });
+
+  it('should decode names once when issuing and sign them as they read', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ name: 'Conan O&#x27;Brien' }) });
+    jest.spyOn(Certificate.prototype, 'save').mockResolvedValue();
+
+    try {
+      const result = { resultId: 'result_1', examId: 'exam_1', userId: new mongoose.Types.ObjectId(), scoring: { percentage: 90, grade: 'A' } };
+      const certificate = await certificateService.issue(result, { title: 'Q&amp;A &lt;Basics&gt;' });
+
+      expect(certificate.recipientName).toBe("Conan O'Brien");
+      expect(certificate.examTitle).toBe('Q&A <Basics>');
+      expect(certificateService.verify(certificate).valid).toBe(true);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it('should render a certificate as a PDF', async () => {
+    const pdf = await certificateService.renderPdf(buildCertificate());
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,114 @@
+const codeExecutionService = require('../../services/codeExecutionService');
+
+/**
+ * Code Execution Service Unit Tests
+ * Runs real child processes, so each case keeps its programs tiny
+ */
+
+describe('CodeExecutionService', () => {
+  const testCases = [
+    { input: '{"args": [1, 2]}', expectedOutput: '3', isHidden: false },
+    { input: '{"args": [-4, 4]}', expectedOutput: '0', isHidden: true }
+  ];
+
+  describe('detectEntryPoint', () => {
+    it('should find the function declared in a JavaScript template', () => {
+      const template = 'function addNumbers(a, b) {\n  // your code\n}';
+      expect(codeExecutionService.detectEntryPoint('javascript', template)).toBe('addNumbers');
+    });
+
+    it('should prefer an explicit entry point', () => {
+      expect(codeExecutionService.detectEntryPoint('python', 'def solve(x):\n  pass', 'main')).toBe('main');
+    });
+  });
+
+  describe('runTestCases', () => {
+    it('should pass every test case for a correct JavaScript solution', async () => {
+      const result = await codeExecutionService.runTestCases({
+        code: 'function add(a, b) { return a + b; }',
+        language: 'javascript',
+        testCases,
+        entryPoint: 'add'
+      });
+
+      expect(result.totalTestCases).toBe(2);
+      expect(result.passedTestCases).toBe(2);
+      expect(result.executionResults.every(r => r.passed)).toBe(true);
+    });
+
+    it('should refuse Python without the sandbox jail', async () => {
+      expect(codeExecutionService.isSupported('python')).toBe(false);
+      await expect(codeExecutionService.runTestCases({
+        code: 'import subprocess\nsubprocess.run(["id"])',
+        language: 'python',
+        testCases,
+        entryPoint: 'add'
+      })).rejects.toThrow('Python can only run inside the sandbox jail');
+    });
+
+    it('should report syntax errors as a compilation error', async () => {
+      const result = await codeExecutionService.runTestCases({
+        code: 'function add(a, b) { return a + ; }',
+        language: 'javascript',
+        testCases,
+        entryPoint: 'add'
+      });
+
+      expect(result.passedTestCases).toBe(0);
+      expect(result.compilationError).toBeTruthy();
+    });
+  });
+
+  describe('execute', () => {
+    it('should stop programs that exceed the time limit', async () => {
+      const result = await codeExecutionService.execute({
+        code: 'while (true) {}',
+        language: 'javascript'
+      });
+
+      expect(result.timedOut || result.signal).toBeTruthy();
+    }, 15000);
+  });
+
+  describe('sandbox jail', () => {
+    const CodeExecutionService = codeExecutionService.constructor;
+
+    it('should refuse every language in production without the jail', () => {
+      const service = new CodeExecutionService({}, { nsjailPath: null, production: true });
+
+      expect(service.unavailableReason('javascript')).toBe('Code execution is disabled until the sandbox jail is configured');
+      expect(service.isSupported('python')).toBe(false);
+    });
+
+    it('should run code as nobody with no network, a process limit and a seccomp policy', () => {
+      const service = new CodeExecutionService({ cpuSeconds: 2, memoryMb: 128, wallClockMs: 5000 }, { nsjailPath: '/usr/bin/nsjail', production: true });
+      const { command, args } = service.buildCommand('python', '/tmp/code-run-abc/main.py', '/tmp/code-run-abc');
+      const option = (name) => args[args.indexOf(name) + 1];
+
+      expect(service.isSupported('python')).toBe(true);
+      expect(command).toBe('/usr/bin/nsjail');
+      expect(option('--user')).toBe('65534');
+      expect(option('--rlimit_nproc')).toBe('16');
+      expect(option('--rlimit_as')).toBe('512');
+      expect(option('--seccomp_string')).toContain('ptrace');
+      // nsjail isolates the network namespace unless told otherwise
+      expect(args).not.toContain('--disable_clone_newnet');
+      expect(args).toContain('/tmp/code-run-abc:/sandbox');
+      expect(args.slice(args.indexOf('--') + 1)).toEqual(['python3', '-I', '-B', '/sandbox/main.py']);
+    });
+  });
+
+  describe('maskHiddenResults', () => {
+    it('should hide inputs and outputs of hidden test cases', () => {
+      const masked = codeExecutionService.maskHiddenResults([
+        { testCaseId: '1', input: '[1, 2]', expectedOutput: '3', actualOutput: '3', passed: true, isHidden: false },
+        { testCaseId: '2', input: '[-4, 4]', expectedOutput: '0', actualOutput: '1', passed: false, isHidden: true }
+      ]);
+
+      expect(masked[0].input).toBe('[1, 2]');
+      expect(masked[1].input).toBeUndefined();
+      expect(masked[1].expectedOutput).toBeUndefined();
+      expect(masked[1].passed).toBe(false);
+    });
+  });
+});
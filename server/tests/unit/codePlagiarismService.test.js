@@ -0,0 +1,148 @@
+const codePlagiarismService = require('../../services/codePlagiarismService');
+
+/**
+ * Code Plagiarism Service Unit Tests
+ * Tests token normalization, similarity scoring, matched regions, template exclusion and the token cap
+ */
+
+describe('CodePlagiarismService', () => {
+  const original = `function twoSum(nums, target) {
+  // Remember where each value was seen
+  const seen = new Map();
+  for (let i = 0; i < nums.length; i++) {
+    const need = target - nums[i];
+    if (seen.has(need)) return [seen.get(need), i];
+    seen.set(nums[i], i);
+  }
+  return [];
+}`;
+
+  // Same solution with renamed variables, no comments, semicolons or indentation
+  const disguised = `function solve(arr,t){const m=new Map()
+for(let k=0;k<arr.length;k++){
+const d=t-arr[k]
+if(m.has(d)) return [m.get(d),k]
+m.set(arr[k],k)}
+return []}`;
+
+  const bruteForce = `function twoSum(nums, target) {
+  for (let i = 0; i < nums.length; i++) {
+    for (let j = i + 1; j < nums.length; j++) {
+      if (nums[i] + nums[j] === target) return [i, j];
+    }
+  }
+  return null;
+}`;
+
+  const compare = (first, second, language = 'javascript', codeTemplate) => codePlagiarismService.compareSubmissions(
+    codePlagiarismService.prepareSubmission(first, language, codeTemplate),
+    codePlagiarismService.prepareSubmission(second, language, codeTemplate)
+  );
+
+  describe('tokenize', () => {
+    it('should abstract identifiers and literals and drop comments', () => {
+      const tokens = codePlagiarismService.tokenize('const total = price * 2; // "note"\nreturn `sum ${total}`;', 'javascript');
+
+      expect(tokens.map(token => token.value)).toEqual(['const', 'ID', '=', 'ID', '*', 'NUM', 'return', 'STR']);
+      expect(tokens.map(token => token.line)).toEqual([1, 1, 1, 1, 1, 1, 2, 2]);
+    });
+
+    it('should treat Python docstrings and prefixed strings as literals', () => {
+      const tokens = codePlagiarismService.tokenize('def f(x):\n    """Doc\n    string"""\n    return f"{x}"  # done', 'python');
+
+      expect(tokens.map(token => token.value)).toEqual(['def', 'ID', '(', 'ID', ')', ':', 'STR', 'return', 'STR']);
+      expect(tokens[tokens.length - 1].line).toBe(4);
+    });
+  });
+
+  describe('compareSubmissions', () => {
+    it('should see through renaming and reformatting', () => {
+      const comparison = compare(original, disguised);
+
+      expect(comparison.similarity).toBe(1);
+      expect(comparison.regions).toEqual([
+        { first: { startLine: 1, endLine: 10 }, second: { startLine: 1, endLine: 6 }, tokens: comparison.matchedTokens }
+      ]);
+    });
+
+    it('should score different solutions to the same problem low', () => {
+      const comparison = compare(original, bruteForce);
+
+      expect(comparison.similarity).toBeLessThan(0.5);
+      comparison.regions.forEach(region => expect(region.tokens).toBeGreaterThanOrEqual(8));
+    });
+
+    it('should ignore code that comes from the question template', () => {
+      const template = `function twoSum(nums, target) {
+  const seen = new Map();
+  for (let i = 0; i < nums.length; i++) {
+    // your code here
+  }
+  return [];
+}`;
+
+      expect(compare(original, bruteForce, 'javascript', template).similarity).toBe(0);
+      expect(compare(original, disguised, 'javascript', template).similarity).toBe(1);
+      expect(compare(template, template, 'javascript', template)).toBeNull();
+    });
+
+    it('should only compare the start of very long submissions', () => {
+      const prepared = codePlagiarismService.prepareSubmission(original.repeat(200), 'javascript');
+
+      expect(prepared.values).toHaveLength(2000);
+      expect(prepared.lines).toHaveLength(2000);
+    });
+  });
+
+  describe('findSimilarPairs', () => {
+    const exam = {
+      examId: 'exam_code',
+      questions: [
+        { questionId: 'mcq', type: 'mcq', question: 'Pick one' },
+        { questionId: 'code', type: 'coding', question: 'Two sum' }
+      ]
+    };
+
+    const attempt = (resultId, userId, code, language = 'javascript') => ({
+      resultId,
+      userId,
+      answers: [
+        { questionId: 'mcq', userAnswer: 0 },
+        { questionId: 'code', codeSubmission: { code, language } }
+      ]
+    });
+
+    it('should report similar pairs across different candidates only', () => {
+      const results = [
+        attempt('result_b', 'user_1', original),
+        attempt('result_a', 'user_2', disguised),
+        attempt('result_c', 'user_1', disguised),
+        attempt('result_d', 'user_3', bruteForce),
+        attempt('result_e', 'user_4', original, 'python')
+      ];
+
+      const pairs = codePlagiarismService.findSimilarPairs(exam, results);
+
+      expect(pairs.map(pair => [pair.first.resultId, pair.second.resultId, pair.similarity])).toEqual([
+        ['result_a', 'result_b', 1],
+        ['result_a', 'result_c', 1]
+      ]);
+      expect(pairs[0]).toMatchObject({ examId: 'exam_code', questionId: 'code', language: 'javascript' });
+    });
+
+    it('should only compare the given attempt when one is passed', () => {
+      const results = [
+        attempt('result_a', 'user_1', original),
+        attempt('result_b', 'user_2', disguised),
+        attempt('result_c', 'user_3', disguised)
+      ];
+
+      const pairs = codePlagiarismService.findSimilarPairs(exam, results, { resultId: 'result_c' });
+
+      expect(pairs.map(pair => [pair.first.resultId, pair.second.resultId])).toEqual([
+        ['result_a', 'result_c'],
+        ['result_b', 'result_c']
+      ]);
+    });
+  });
+});
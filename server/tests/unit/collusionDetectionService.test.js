@@ -0,0 +1,178 @@
+const collusionDetectionService = require('../../services/collusionDetectionService');
+
+/**
+ * Collusion Detection Service Unit Tests
+ * Tests wrong-answer matching against chance, essay overlap, answer timing and shared networks
+ */
+
+describe('CollusionDetectionService', () => {
+  const questionIds = Array.from({ length: 10 }, (_, index) => `q${index + 1}`);
+
+  const exam = {
+    examId: 'exam_collusion',
+    questions: [
+      ...questionIds.map(questionId => ({ questionId, type: 'mcq', options: ['A', 'B', 'C', 'D'], correctAnswer: 0 })),
+      { questionId: 'essay', type: 'essay' }
+    ]
+  };
+
+  const essay = 'Caching keeps frequently read data close to the application so that repeated requests avoid ' +
+    'the database, which lowers latency and load, but stale entries must be invalidated when the data changes';
+
+  /**
+   * An attempt answering every MCQ question; `choices` maps question ids to the option picked
+   * (0 is correct) and `savedAt` to seconds after a common start
+   */
+  const attempt = (resultId, userId, { choices = {}, text, savedAt = {}, metadata } = {}) => ({
+    resultId,
+    userId,
+    metadata,
+    answers: [
+      ...questionIds.map(questionId => {
+        const option = choices[questionId] ?? 0;
+        return {
+          questionId,
+          questionType: 'mcq',
+          userAnswer: option,
+          isCorrect: option === 0,
+          timestamps: savedAt[questionId] !== undefined
+            ? { lastModified: new Date(Date.UTC(2026, 0, 1) + savedAt[questionId] * 1000) }
+            : undefined
+        };
+      }),
+      ...(text ? [{ questionId: 'essay', questionType: 'essay', userAnswer: text, textResponse: { content: text } }] : [])
+    ]
+  });
+
+  // Candidates who each get a different handful of questions wrong, spread over all three distractors
+  const honestCandidates = () => Array.from({ length: 20 }, (_, index) => attempt(`result_h${index}`, `honest_${index}`, {
+    choices: Object.fromEntries(questionIds
+      .filter((questionId, position) => (index * 7 + position * 3) % 5 < 2)
+      .map((questionId, position) => [questionId, ((index + position * 2) % 3) + 1]))
+  }));
+
+  const pairOf = (pairs, first, second) => pairs.find(pair => pair.first.resultId === first && pair.second.resultId === second);
+
+  describe('wrong answers', () => {
+    it('should flag identical wrong answers that chance does not explain', () => {
+      const shared = { q1: 2, q2: 3, q3: 1, q4: 3, q5: 2, q6: 1, q7: 3, q8: 2 };
+      const results = [
+        ...honestCandidates(),
+        attempt('result_a', 'user_a', { choices: shared }),
+        attempt('result_b', 'user_b', { choices: shared })
+      ];
+
+      const pairs = collusionDetectionService.findSuspiciousPairs(exam, results);
+
+      expect(pairs).toHaveLength(1);
+      const { signals, score } = pairOf(pairs, 'result_a', 'result_b');
+      expect(signals.wrongAnswers).toMatchObject({ identical: 8, bothWrong: 8, suspicious: true });
+      expect(signals.wrongAnswers.probability).toBeLessThan(0.001);
+      expect(score).toBe(50);
+    });
+
+    it('should not flag a wrong answer most candidates share', () => {
+      // Everyone falls for the same distractors
+      const popular = { q1: 1, q2: 1, q3: 1, q4: 1 };
+      const results = Array.from({ length: 10 }, (_, index) => attempt(`result_${index}`, `user_${index}`, { choices: popular }));
+
+      const [first, second] = results.map(result => collusionDetectionService.prepareAttempt(result));
+      const probabilities = collusionDetectionService.buildMatchProbabilities(exam, results);
+      const signal = collusionDetectionService.compareWrongAnswers(first, second, probabilities);
+
+      expect(signal.identical).toBe(4);
+      expect(signal.probability).toBeGreaterThan(0.25);
+      expect(signal.suspicious).toBe(false);
+    });
+  });
+
+  describe('essays', () => {
+    it('should flag near-identical wording and ignore short answers', () => {
+      const results = [
+        attempt('result_a', 'user_a', { text: essay }),
+        attempt('result_b', 'user_b', { text: essay.replace('Caching', 'A cache').toUpperCase() }),
+        attempt('result_c', 'user_c', { text: 'Caching stores data in memory.' }),
+        attempt('result_d', 'user_d', { text: 'Caching stores data in memory.' })
+      ];
+
+      const pairs = collusionDetectionService.findSuspiciousPairs(exam, results);
+
+      expect(pairs.map(pair => [pair.first.resultId, pair.second.resultId])).toEqual([['result_a', 'result_b']]);
+      expect(pairs[0].signals.essays[0].similarity).toBeGreaterThan(0.8);
+      expect(pairs[0].score).toBe(50);
+    });
+  });
+
+  describe('timing', () => {
+    it('should notice answers saved in lockstep', () => {
+      const lockstep = Object.fromEntries(questionIds.map((questionId, index) => [questionId, index * 60]));
+      const results = [
+        attempt('result_a', 'user_a', { savedAt: lockstep }),
+        attempt('result_b', 'user_b', { savedAt: Object.fromEntries(Object.entries(lockstep).map(([id, time]) => [id, time + 5])) }),
+        attempt('result_c', 'user_c', { savedAt: Object.fromEntries(Object.entries(lockstep).map(([id, time]) => [id, time * 1.5])) })
+      ];
+
+      const [a, b, c] = results.map(result => collusionDetectionService.prepareAttempt(result));
+
+      expect(collusionDetectionService.compareTiming(a, b)).toMatchObject({ aligned: 10, compared: 10, suspicious: true });
+      expect(collusionDetectionService.compareTiming(a, c).suspicious).toBe(false);
+    });
+  });
+
+  describe('shared network and device', () => {
+    const office = { ipAddress: '203.0.113.7', deviceFingerprint: 'fp_office' };
+
+    it('should only report a shared device or network alongside other signals', () => {
+      const results = [
+        attempt('result_a', 'user_a', { metadata: { ipAddress: office.ipAddress } }),
+        attempt('result_b', 'user_b', { metadata: { ipAddress: office.ipAddress } }),
+        attempt('result_c', 'user_c', { metadata: office }),
+        attempt('result_d', 'user_d', { metadata: office })
+      ];
+
+      const pairs = collusionDetectionService.findSuspiciousPairs(exam, results);
+
+      expect(pairs.map(pair => [pair.first.resultId, pair.second.resultId, pair.score])).toEqual([['result_c', 'result_d', 40]]);
+      expect(pairs[0].signals).toMatchObject({ sharedIpAddress: true, sharedDeviceFingerprint: true });
+      expect(pairs[0].first).toMatchObject({ ipAddress: office.ipAddress, deviceFingerprint: 'fp_office' });
+    });
+  });
+
+  describe('findSuspiciousPairs', () => {
+    it('should skip retakes by the same candidate and compare only the given attempt when one is passed', () => {
+      const shared = { metadata: { ipAddress: '203.0.113.7', deviceFingerprint: 'fp' } };
+      const results = [
+        attempt('result_a', 'user_a', shared),
+        attempt('result_b', 'user_a', shared),
+        attempt('result_c', 'user_c', shared),
+        attempt('result_d', 'user_d', shared)
+      ];
+
+      const all = collusionDetectionService.findSuspiciousPairs(exam, results);
+      const forD = collusionDetectionService.findSuspiciousPairs(exam, results, { resultId: 'result_d' });
+
+      expect(all.map(pair => `${pair.first.resultId}-${pair.second.resultId}`)).toEqual([
+        'result_a-result_c', 'result_a-result_d', 'result_b-result_c', 'result_b-result_d', 'result_c-result_d'
+      ]);
+      expect(forD.map(pair => `${pair.first.resultId}-${pair.second.resultId}`)).toEqual([
+        'result_a-result_d', 'result_b-result_d', 'result_c-result_d'
+      ]);
+    });
+  });
+
+  describe('describeSignals', () => {
+    it('should explain what contributed to a score', () => {
+      expect(collusionDetectionService.describeSignals({
+        wrongAnswers: { suspicious: true, identical: 6, expected: 1.2 },
+        essays: [{ questionId: 'essay', similarity: 0.9 }],
+        timing: { suspicious: false },
+        sharedDeviceFingerprint: false,
+        sharedIpAddress: true
+      })).toEqual([
+        '6 identical wrong answers (expected 1.2 by chance)',
+        'near-identical wording in 1 written answer',
+        'the same IP address'
+      ]);
+    });
+  });
+});
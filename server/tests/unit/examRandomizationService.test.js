@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Exam = require('../../models/Exam');
+const examRandomizationService = require('../../services/examRandomizationService');
+const examSubmissionService = require('../../services/examSubmissionService');
+
+/**
+ * Exam Randomization Service Unit Tests
+ * Tests seeded question draws, shuffles and mapping shown options back to the exam
+ */
+
+describe('ExamRandomizationService', () => {
+  const buildExam = (randomization) => new Exam({
+    examId: 'exam_random',
+    userId: new mongoose.Types.ObjectId(),
+    examType: 'industry_specific',
+    title: 'Randomized Exam',
+    configuration: { randomization },
+    questions: ['q1', 'q2', 'q3', 'q4', 'q5', 'q6'].map((questionId, index) => ({
+      questionId,
+      type: 'mcq',
+      question: `Question ${index + 1}?`,
+      options: ['A', 'B', 'C', 'D'],
+      correctAnswer: index % 4,
+      points: index + 1
+    }))
+  });
+
+  describe('createPresentation', () => {
+    it('should produce the same presentation for the same seed', () => {
+      const exam = buildExam({ shuffleQuestions: true, shuffleOptions: true, drawCount: 4 });
+
+      expect(examRandomizationService.createPresentation(exam, 'seed-a'))
+        .toEqual(examRandomizationService.createPresentation(exam, 'seed-a'));
+    });
+
+    it('should keep the authored order when nothing is randomized', () => {
+      const exam = buildExam({});
+      const presentation = examRandomizationService.createPresentation(exam, 'seed-a');
+
+      expect(presentation.questionOrder).toEqual(['q1', 'q2', 'q3', 'q4', 'q5', 'q6']);
+      expect(presentation.optionOrders).toEqual([]);
+    });
+
+    it('should draw the configured number of distinct questions from the pool', () => {
+      const exam = buildExam({ drawCount: 3 });
+      const presentation = examRandomizationService.createPresentation(exam, 'seed-b');
+
+      expect(presentation.questionOrder).toHaveLength(3);
+      expect(new Set(presentation.questionOrder).size).toBe(3);
+      expect(exam.getTotalPoints(presentation)).toBeLessThan(exam.getTotalPoints());
+    });
+
+    it('should shuffle every MCQ option list into a permutation', () => {
+      const exam = buildExam({ shuffleOptions: true });
+      const presentation = examRandomizationService.createPresentation(exam, 'seed-c');
+
+      expect(presentation.optionOrders).toHaveLength(6);
+      presentation.optionOrders.forEach(({ order }) => {
+        expect([...order].sort()).toEqual([0, 1, 2, 3]);
+      });
+    });
+  });
+
+  describe('candidate view', () => {
+    it('should show questions and options in the presented order', () => {
+      const exam = buildExam({ shuffleQuestions: true, shuffleOptions: true, drawCount: 4 });
+      const presentation = examRandomizationService.createPresentation(exam, 'seed-d');
+      const view = exam.toCandidateView(presentation);
+
+      expect(view.totalQuestions).toBe(4);
+      expect(view.questions.map(q => q.questionId)).toEqual(presentation.questionOrder);
+      const { order } = presentation.optionOrders.find(o => o.questionId === view.questions[0].questionId);
+      expect(view.questions[0].options).toEqual(order.map(index => ['A', 'B', 'C', 'D'][index]));
+    });
+  });
+
+  describe('grading shuffled answers', () => {
+    it('should map the option the candidate saw back to the correct answer', async () => {
+      const exam = buildExam({ shuffleOptions: true });
+      const presentation = examRandomizationService.createPresentation(exam, 'seed-e');
+      const [{ question, optionOrder }] = exam.getPresentedQuestions(presentation);
+      const shownCorrect = optionOrder.indexOf(question.correctAnswer);
+      const shownWrong = (shownCorrect + 1) % 4;
+
+      const [correct] = await examSubmissionService.gradeAnswers(exam, [
+        { questionId: question.questionId, userAnswer: String(shownCorrect) }
+      ], presentation);
+      const [wrong] = await examSubmissionService.gradeAnswers(exam, [
+        { questionId: question.questionId, userAnswer: String(shownWrong) }
+      ], presentation);
+
+      expect(correct.isCorrect).toBe(true);
+      expect(correct.userAnswer).toBe(question.correctAnswer);
+      expect(wrong.isCorrect).toBe(false);
+    });
+
+    it('should describe a graded answer as the candidate saw it', async () => {
+      const exam = buildExam({ shuffleQuestions: true, shuffleOptions: true });
+      const presentation = examRandomizationService.createPresentation(exam, 'seed-f');
+      const presented = exam.getPresentedQuestions(presentation);
+      const { question } = presented[2];
+
+      const [graded] = await examSubmissionService.gradeAnswers(exam, [
+        { questionId: question.questionId, userAnswer: '1' }
+      ], presentation, [question.questionId]);
+      const view = examRandomizationService.toPresentedAnswer(presented, graded);
+
+      expect(view.position).toBe(3);
+      expect(view.shownAnswer).toBe(1);
+      expect(view.shownOptions[1]).toBe(question.options[graded.userAnswer]);
+    });
+  });
+});
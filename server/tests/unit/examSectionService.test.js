@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Result = require('../../models/Result');
+const examSectionService = require('../../services/examSectionService');
+
+/**
+ * Exam Section Service Unit Tests
+ * Tests section creation, section timers, answer restrictions, moving between sections and section scores
+ */
+
+describe('ExamSectionService', () => {
+  const start = new Date('2026-01-01T10:00:00Z');
+  const attemptDeadline = new Date('2026-01-01T11:00:00Z');
+
+  const buildExam = (overrides = {}) => ({
+    sections: [
+      { sectionId: 'mcq', title: 'Multiple choice', questionIds: ['q1', 'q2'], timeLimit: 600, lockAfterSubmit: true },
+      { sectionId: 'coding', title: 'Coding', questionIds: ['q3'], timeLimit: 7200 }
+    ],
+    hasSections: () => true,
+    getPresentedQuestions: () => ['q2', 'q3', 'q1'].map(questionId => ({ question: { questionId } })),
+    ...overrides
+  });
+
+  const buildResult = () => ({
+    deadline: attemptDeadline,
+    sections: examSectionService.createSections(buildExam(), {}, start, attemptDeadline)
+  });
+
+  it('should create sections in order with the presented question order and start the first', () => {
+    const sections = examSectionService.createSections(buildExam(), {}, start, attemptDeadline);
+
+    expect(sections.map(section => [section.sectionId, section.status])).toEqual([
+      ['mcq', 'in_progress'],
+      ['coding', 'not_started']
+    ]);
+    expect(sections[0].questionIds).toEqual(['q2', 'q1']);
+    expect(sections[0].deadline).toEqual(new Date('2026-01-01T10:10:00Z'));
+  });
+
+  it('should create no sections for exams without them', () => {
+    expect(examSectionService.createSections(buildExam({ hasSections: () => false }), {}, start, attemptDeadline)).toEqual([]);
+  });
+
+  it('should never let a section run past the attempt deadline', () => {
+    const result = buildResult();
+    const next = examSectionService.closeSection(result, result.sections[0], 'submitted', new Date('2026-01-01T10:05:00Z'));
+
+    expect(next.sectionId).toBe('coding');
+    expect(next.status).toBe('in_progress');
+    expect(next.deadline).toEqual(attemptDeadline);
+  });
+
+  it('should restrict answers to started sections and lock submitted ones', () => {
+    const result = buildResult();
+
+    expect(examSectionService.getAnswerRestriction(result, 'q1')).toBeNull();
+    expect(examSectionService.getAnswerRestriction(result, 'q3')).toBe('not_started');
+    expect(examSectionService.getAnswerRestriction(result, 'q9')).toBe('not_in_section');
+
+    examSectionService.closeSection(result, result.sections[0], 'submitted', start);
+    expect(examSectionService.getAnswerRestriction(result, 'q1')).toBe('locked');
+    expect(examSectionService.getAnswerRestriction(result, 'q3')).toBeNull();
+  });
+
+  it('should close expired sections to edits even when they do not lock', () => {
+    const result = buildResult();
+    examSectionService.closeSection(result, result.sections[0], 'submitted', start);
+    examSectionService.closeSection(result, result.sections[1], 'expired', attemptDeadline);
+
+    expect(result.sections[1].lockAfterSubmit).toBeFalsy();
+    expect(examSectionService.getAnswerRestriction(result, 'q3')).toBe('expired');
+  });
+
+  it('should score a section out of all of its questions, answered or not', () => {
+    const result = new Result({
+      resultId: 'result_sections',
+      examId: 'exam_sections',
+      userId: new mongoose.Types.ObjectId(),
+      exam: new mongoose.Types.ObjectId(),
+      sections: buildResult().sections,
+      presentation: { questions: [{ questionId: 'q1', points: 2 }, { questionId: 'q2', points: 3 }, { questionId: 'q3' }] }
+    });
+
+    const [mcq, coding] = result.calculateSectionScores([
+      { questionId: 'q1', questionType: 'mcq', pointsEarned: 2, maxPoints: 2 }
+    ]);
+
+    expect(mcq).toMatchObject({ pointsEarned: 2, maxPoints: 5, percentage: 40 });
+    expect(coding).toMatchObject({ pointsEarned: 0, maxPoints: 1, percentage: 0 });
+  });
+
+  it('should date an expired section at its deadline and report the last section', () => {
+    const result = buildResult();
+    examSectionService.closeSection(result, result.sections[0], 'expired', new Date('2026-01-01T10:20:00Z'));
+
+    expect(result.sections[0].submittedAt).toEqual(new Date('2026-01-01T10:10:00Z'));
+    expect(examSectionService.closeSection(result, result.sections[1], 'submitted')).toBeNull();
+  });
+
+  it('should hide the questions of sections that have not started', () => {
+    const view = examSectionService.toSectionView(buildResult().sections[1]);
+
+    expect(view).toMatchObject({ sectionId: 'coding', questionIds: [], questionCount: 1, status: 'not_started' });
+  });
+});
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Exam = require('../../models/Exam');
+const Result = require('../../models/Result');
+const examSubmissionService = require('../../services/examSubmissionService');
+
+/**
+ * Exam Submission Service Unit Tests
+ * Tests server-side deadlines, auto-submission of expired attempts and regrading interrupted submissions
+ */
+
+describe('ExamSubmissionService', () => {
+  let exam;
+
+  beforeEach(async () => {
+    exam = await Exam.create({
+      examId: 'exam_timed',
+      userId: new mongoose.Types.ObjectId(),
+      examType: 'industry_specific',
+      title: 'Timed Exam',
+      totalTimeLimit: 600,
+      status: 'in_progress',
+      questions: [
+        { questionId: 'q1', type: 'mcq', question: 'First?', options: ['A', 'B'], correctAnswer: 1 },
+        { questionId: 'q2', type: 'mcq', question: 'Second?', options: ['A', 'B'], correctAnswer: 0 }
+      ]
+    });
+  });
+
+  const createAttempt = (startTime, answers = []) => Result.create({
+    resultId: `result_${new mongoose.Types.ObjectId()}`,
+    examId: exam.examId,
+    userId: new mongoose.Types.ObjectId(),
+    exam: exam._id,
+    startTime,
+    deadline: exam.getAttemptDeadline(startTime),
+    scoring: { maxPossiblePoints: 2 },
+    answers
+  });
+
+  describe('isPastDeadline', () => {
+    it('should allow a short grace period after the deadline', () => {
+      const deadline = new Date('2024-01-01T10:00:00Z');
+
+      expect(examSubmissionService.isPastDeadline({ deadline }, new Date('2024-01-01T10:00:10Z'))).toBe(false);
+      expect(examSubmissionService.isPastDeadline({ deadline }, new Date('2024-01-01T10:05:00Z'))).toBe(true);
+    });
+
+    it('should never expire attempts without a deadline', () => {
+      expect(examSubmissionService.isPastDeadline({}, new Date())).toBe(false);
+    });
+  });
+
+  describe('gradeAnswers', () => {
+    it('should score unanswered questions as zero and grade each question once', async () => {
+      const graded = await examSubmissionService.gradeAnswers(exam, [
+        { questionId: 'q1', userAnswer: 1 },
+        { questionId: 'q1', userAnswer: 1 },
+        { questionId: 'q3', userAnswer: 0 }
+      ]);
+      const result = new Result({ resultId: 'result_graded', examId: exam.examId, userId: exam.userId, exam: exam._id, answers: graded });
+
+      expect(graded.map(answer => answer.questionId)).toEqual(['q1', 'q2']);
+      expect(graded[1]).toMatchObject({ userAnswer: null, pointsEarned: 0, maxPoints: 1 });
+      expect(result.calculateScore()).toBe(50);
+    });
+  });
+
+  describe('autoSubmitExpiredAttempts', () => {
+    it('should grade saved answers and close expired attempts', async () => {
+      const expired = await createAttempt(new Date(Date.now() - 20 * 60 * 1000), [
+        { questionId: 'q1', questionType: 'mcq', userAnswer: 1, maxPoints: 1 }
+      ]);
+      const active = await createAttempt(new Date());
+
+      const submitted = await examSubmissionService.autoSubmitExpiredAttempts();
+
+      expect(submitted).toBe(1);
+
+      const closed = await Result.findById(expired._id);
+      expect(closed.status).toBe('auto_submitted');
+      expect(closed.securityEvents.autoSubmitted).toBe(true);
+      expect(closed.securityEvents.autoSubmissionReason).toBe('Time limit exceeded');
+      expect(closed.endTime.getTime()).toBe(expired.deadline.getTime());
+      expect(closed.scoring.totalPoints).toBe(1);
+
+      const stillOpen = await Result.findById(active._id);
+      expect(stillOpen.status).toBe('in_progress');
+    });
+
+    it('should grade an attempt only once when the sweep and a submission race', async () => {
+      const attempt = await createAttempt(new Date(Date.now() - 20 * 60 * 1000), [
+        { questionId: 'q1', questionType: 'mcq', userAnswer: 1, maxPoints: 1 }
+      ]);
+      const submission = await Result.findById(attempt._id);
+
+      const [swept, submitted] = await Promise.all([
+        examSubmissionService.autoSubmitExpiredAttempts(),
+        examSubmissionService.finalizeAttempt(exam, submission, [{ questionId: 'q1', userAnswer: 1 }])
+      ]);
+
+      // Exactly one of them closed the attempt
+      expect(swept + (submitted ? 1 : 0)).toBe(1);
+      const closed = await Result.findById(attempt._id);
+      expect(['completed', 'auto_submitted']).toContain(closed.status);
+    });
+  });
+
+  describe('regradeStaleSubmissions', () => {
+    it('should grade submissions interrupted mid-grading and leave recent claims alone', async () => {
+      const claimedAt = new Date(Date.now() - 8 * 60 * 1000);
+      const interrupted = await createAttempt(new Date(Date.now() - 15 * 60 * 1000), [
+        { questionId: 'q1', questionType: 'mcq', userAnswer: 1, maxPoints: 1 }
+      ]);
+      const grading = await createAttempt(new Date());
+      await Result.updateOne({ _id: interrupted._id }, { $set: { status: 'submitting', claimedAt } });
+      await Result.updateOne({ _id: grading._id }, { $set: { status: 'submitting', claimedAt: new Date() } });
+
+      const regraded = await examSubmissionService.regradeStaleSubmissions();
+
+      expect(regraded).toBe(1);
+
+      const closed = await Result.findById(interrupted._id);
+      expect(closed.status).toBe('auto_submitted');
+      expect(closed.securityEvents.autoSubmissionReason).toBe('Submission was interrupted; graded from saved answers');
+      expect(closed.endTime.getTime()).toBe(claimedAt.getTime());
+      expect(closed.scoring.totalPoints).toBe(1);
+
+      expect((await Result.findById(grading._id)).status).toBe('submitting');
+    });
+
+    it('should stamp the claim when a submission starts grading', async () => {
+      const attempt = await createAttempt(new Date());
+      const before = Date.now();
+
+      await examSubmissionService.finalizeAttempt(exam, attempt, [{ questionId: 'q1', userAnswer: 1 }]);
+
+      const closed = await Result.findById(attempt._id);
+      expect(closed.status).toBe('completed');
+      expect(closed.claimedAt.getTime()).toBeGreaterThanOrEqual(before);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const examTemplateService = require('../../services/examTemplateService');
+
+/**
+ * Exam Template Service Unit Tests
+ * Tests template copies and the overrides applied when creating exams from templates
+ */
+
+describe('ExamTemplateService', () => {
+  const buildExam = (overrides = {}) => ({
+    _id: 'exam-object-id',
+    examId: 'exam_source',
+    userId: 'owner-id',
+    status: 'active',
+    examType: 'industry_specific',
+    title: 'Backend Screening',
+    totalTimeLimit: 3600,
+    configuration: { industry: 'technology', difficulty: 'mid', deliveryMode: 'all_at_once', randomization: {} },
+    securitySettings: { fullscreenRequired: true, preventCopyPaste: true, maxViolations: 2 },
+    questions: [
+      { _id: 'q1-id', questionId: 'q1', type: 'mcq', options: ['A', 'B'], correctAnswer: 0, testCases: [] },
+      { _id: 'q2-id', questionId: 'q2', type: 'coding', testCases: [{ _id: 't1', input: '1', expectedOutput: '2' }] },
+      { _id: 'q3-id', questionId: 'q3', type: 'essay' }
+    ],
+    metadata: { version: '2.0', isTemplate: false },
+    ...overrides
+  });
+
+  describe('buildTemplate', () => {
+    it('should copy content without instance fields or shared references', () => {
+      const exam = buildExam();
+      const template = examTemplateService.buildTemplate(exam, { title: 'Backend Template' });
+
+      expect(template).not.toHaveProperty('examId');
+      expect(template).not.toHaveProperty('userId');
+      expect(template).toMatchObject({
+        title: 'Backend Template',
+        status: 'draft',
+        metadata: { version: '1.0', isTemplate: true, sourceExamId: 'exam_source' }
+      });
+      expect(template.questions[1]).not.toHaveProperty('_id');
+      expect(template.questions[1].testCases[0]).toEqual({ input: '1', expectedOutput: '2' });
+
+      exam.questions[0].options.push('C');
+      expect(template.questions[0].options).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('buildExamFromTemplate', () => {
+    const template = buildExam({ examId: 'template_1', status: 'draft', metadata: { isTemplate: true } });
+
+    it('should apply time limit, question count and security overrides', () => {
+      const { data, errors } = examTemplateService.buildExamFromTemplate(template, {
+        totalTimeLimit: 1200,
+        numberOfQuestions: 2,
+        securitySettings: { preventCopyPaste: false, maxViolations: 5 }
+      });
+
+      expect(errors).toEqual([]);
+      expect(data).toMatchObject({
+        status: 'active',
+        totalTimeLimit: 1200,
+        configuration: { timeLimit: 1200, numberOfQuestions: 2, randomization: { drawCount: 2 } },
+        securitySettings: { fullscreenRequired: true, preventCopyPaste: false, maxViolations: 5 },
+        metadata: { isTemplate: false, templateId: 'template_1' }
+      });
+      expect(data.questions).toHaveLength(3);
+    });
+
+    it('should cap adaptive exams instead of drawing a fixed pool', () => {
+      const adaptive = buildExam({ configuration: { deliveryMode: 'adaptive' } });
+      const { data } = examTemplateService.buildExamFromTemplate(adaptive, { numberOfQuestions: 2 });
+
+      expect(data.configuration.adaptive.maxQuestions).toBe(2);
+      expect(data.configuration.randomization).toBeUndefined();
+    });
+
+    it('should report every invalid override', () => {
+      const { errors } = examTemplateService.buildExamFromTemplate(template, {
+        totalTimeLimit: -5,
+        numberOfQuestions: 4,
+        securitySettings: { preventTabSwitch: 'no', allowNotes: true },
+        status: 'archived'
+      });
+
+      expect(errors.map(error => error.field)).toEqual([
+        'totalTimeLimit',
+        'numberOfQuestions',
+        'securitySettings.preventTabSwitch',
+        'securitySettings.allowNotes',
+        'status'
+      ]);
+    });
+  });
+});
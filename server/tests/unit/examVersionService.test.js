@@ -0,0 +1,80 @@
+const examVersionService = require('../../services/examVersionService');
+
+/**
+ * Exam Version Service Unit Tests
+ * Tests question snapshots, version numbering and diffs between versions
+ */
+
+describe('ExamVersionService', () => {
+  const buildExam = (overrides = {}) => ({
+    examId: 'exam_versioned',
+    title: 'Versioned Exam',
+    status: 'active',
+    totalTimeLimit: 1800,
+    passingScore: 70,
+    configuration: { deliveryMode: 'all_at_once' },
+    metadata: { version: '1.0' },
+    questions: [
+      { _id: 'a', questionId: 'q1', type: 'mcq', question: 'Pick one', options: ['A', 'B'], correctAnswer: 0, points: 2 },
+      { _id: 'b', questionId: 'q2', type: 'coding', question: 'Add', points: 5, testCases: [{ _id: 't', input: '1 2', expectedOutput: '3', isHidden: true }] }
+    ],
+    isAdaptive: () => false,
+    ...overrides
+  });
+
+  it('should snapshot question content and scoring key without subdocument ids', () => {
+    const snapshot = examVersionService.snapshotExam(buildExam());
+
+    expect(snapshot.version).toBe('1.0');
+    expect(snapshot.questions[1]).toEqual({
+      questionId: 'q2',
+      type: 'coding',
+      question: 'Add',
+      points: 5,
+      testCases: [{ input: '1 2', expectedOutput: '3', isHidden: true }]
+    });
+  });
+
+  it('should snapshot only the questions an attempt drew', () => {
+    const presentation = examVersionService.snapshotPresentation(buildExam(), { seed: 's', questionOrder: ['q2'] });
+
+    expect(presentation.questions.map(question => question.questionId)).toEqual(['q2']);
+    expect(presentation.seed).toBe('s');
+  });
+
+  it('should count versions up by whole numbers', () => {
+    expect(examVersionService.nextVersion('1.0')).toBe('2.0');
+    expect(examVersionService.nextVersion('2.5')).toBe('3.0');
+    expect(examVersionService.nextVersion(undefined)).toBe('2.0');
+  });
+
+  it('should not treat drafts or templates as published', () => {
+    expect(examVersionService.isPublished(buildExam())).toBe(true);
+    expect(examVersionService.isPublished(buildExam({ status: 'draft' }))).toBe(false);
+    expect(examVersionService.isPublished(buildExam({ metadata: { isTemplate: true } }))).toBe(false);
+  });
+
+  it('should diff added, removed and changed questions and scoring settings', () => {
+    const before = examVersionService.snapshotExam(buildExam());
+    const exam = buildExam({ passingScore: 80, metadata: { version: '2.0' } });
+    exam.questions = [
+      { ...exam.questions[0], correctAnswer: 1 },
+      { questionId: 'q3', type: 'essay', question: 'Explain', points: 4 }
+    ];
+
+    const diff = examVersionService.diff(before, examVersionService.snapshotExam(exam));
+
+    expect(diff).toMatchObject({ from: '1.0', to: '2.0', hasChanges: true });
+    expect(diff.questions.added).toEqual([{ questionId: 'q3', question: 'Explain' }]);
+    expect(diff.questions.removed).toEqual([{ questionId: 'q2', question: 'Add' }]);
+    expect(diff.questions.changed).toEqual([
+      { questionId: 'q1', question: 'Pick one', fields: [{ field: 'correctAnswer', from: 0, to: 1 }] }
+    ]);
+    expect(diff.settings).toEqual([{ field: 'passingScore', from: 70, to: 80 }]);
+  });
+
+  it('should report no changes for identical versions', () => {
+    const snapshot = examVersionService.snapshotExam(buildExam());
+    expect(examVersionService.diff(snapshot, snapshot).hasChanges).toBe(false);
+  });
+});
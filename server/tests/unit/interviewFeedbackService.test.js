@@ -0,0 +1,80 @@
+const interviewFeedbackService = require('../../services/interviewFeedbackService');
+
+/**
+ * Interview Feedback Service Unit Tests
+ * Tests answer pairing, MCQ grading by category and the feedback written for a practice round
+ */
+
+describe('InterviewFeedbackService', () => {
+  const question = (questionId, category, correctAnswer, explanation) => ({
+    questionId,
+    category,
+    question: `Question ${questionId}`,
+    options: ['let', 'var', 'const'],
+    correctAnswer,
+    explanation,
+    isAnswerCorrect: (answer) => parseInt(answer) === correctAnswer
+  });
+
+  const questions = [
+    question('q1', 'JavaScript', 2, 'const cannot be reassigned'),
+    question('q2', 'JavaScript', 0),
+    question('q3', 'React', 1)
+  ];
+
+  describe('pairAnswers', () => {
+    it('should pair answers listed in question order or given with their question ids', () => {
+      expect(interviewFeedbackService.pairAnswers([{ questionId: 'q1' }, 'q2', {}], [2, 'var', 1])).toEqual([
+        { questionId: 'q1', answer: 2 },
+        { questionId: 'q2', answer: 'var' }
+      ]);
+      expect(interviewFeedbackService.pairAnswers([], [{ questionId: 'q3', answer: 1 }])).toEqual([
+        { questionId: 'q3', answer: 1 }
+      ]);
+    });
+  });
+
+  describe('gradeMcqs', () => {
+    it('should accept option indexes or option text and break the score down by category', () => {
+      const graded = interviewFeedbackService.gradeMcqs(questions, [
+        { questionId: 'q1', answer: 'const' },
+        { questionId: 'q2', answer: 1 },
+        { questionId: 'q3', answer: '1' }
+      ]);
+
+      expect(graded).toMatchObject({ score: 2, total: 3, percentage: 67 });
+      expect(graded.categories).toEqual([
+        { category: 'JavaScript', correct: 1, total: 2 },
+        { category: 'React', correct: 1, total: 1 }
+      ]);
+      expect(graded.review[0]).toMatchObject({ selectedAnswer: 2, correctAnswer: 2, isCorrect: true, explanation: 'const cannot be reassigned' });
+    });
+
+    it('should mark unanswered and unknown answers wrong', () => {
+      const graded = interviewFeedbackService.gradeMcqs(questions, [{ questionId: 'q1', answer: 'mutable' }]);
+
+      expect(graded.score).toBe(0);
+      expect(graded.review.map(item => item.selectedAnswer)).toEqual([null, null, null]);
+    });
+  });
+
+  describe('buildFeedback', () => {
+    it('should describe both sections and point at weak categories', () => {
+      const mcq = interviewFeedbackService.gradeMcqs(questions, [{ questionId: 'q3', answer: 1 }]);
+      const coding = { result: 'fail', passedTestCases: 3, totalTestCases: 5 };
+
+      const { feedback, suggestions } = interviewFeedbackService.buildFeedback(mcq, coding);
+
+      expect(feedback).toBe('You answered 1 of 3 multiple-choice questions correctly (33%). ' +
+        'Your coding solution passed 3 of 5 test cases.');
+      expect(suggestions[0]).toBe('Review JavaScript - most questions in this topic were missed.');
+      expect(suggestions).toHaveLength(3);
+    });
+
+    it('should only pass a coding solution that passes every test case', () => {
+      expect(interviewFeedbackService.codingOutcome({ totalTestCases: 2, passedTestCases: 2, compilationError: null })).toBe('pass');
+      expect(interviewFeedbackService.codingOutcome({ totalTestCases: 2, passedTestCases: 1, compilationError: null })).toBe('fail');
+      expect(interviewFeedbackService.codingOutcome({ totalTestCases: 0, passedTestCases: 0 })).toBe('fail');
+    });
+  });
+});
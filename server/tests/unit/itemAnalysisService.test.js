@@ -0,0 +1,102 @@
+const itemAnalysisService = require('../../services/itemAnalysisService');
+
+/**
+ * Item Analysis Service Unit Tests
+ * Tests p-values, point-biserial discrimination, distractor analysis, time, skip rate and flags
+ */
+
+describe('ItemAnalysisService', () => {
+  const exam = {
+    isAdaptive: () => false,
+    questions: [
+      { questionId: 'good', type: 'mcq', question: 'Good question', options: ['Right', 'Wrong', 'Also wrong', 'Never chosen'], correctAnswer: 0, category: 'Core' },
+      { questionId: 'miskeyed', type: 'mcq', question: 'Miskeyed question', options: ['Keyed', 'Actually right'], correctAnswer: 0, category: 'Core' },
+      { questionId: 'anchor', type: 'mcq', question: 'Anchor question', options: ['Right', 'Wrong'], correctAnswer: 0, category: 'Core' },
+      { questionId: 'essay', type: 'essay', question: 'Explain', category: 'Writing' }
+    ]
+  };
+
+  const mcq = (questionId, option, correctOption, timeSpent = 30) => ({
+    questionId,
+    questionType: 'mcq',
+    userAnswer: option,
+    isCorrect: option === correctOption,
+    pointsEarned: option === correctOption ? 1 : 0,
+    maxPoints: 1,
+    timeSpent
+  });
+
+  // Candidates of increasing ability: strong ones answer the good and anchor questions
+  // correctly but pick the unkeyed option of the miskeyed question, and skip the essay less
+  const buildResults = (count) => Array.from({ length: count }, (_, index) => {
+    const strong = index >= count / 2;
+    return {
+      presentation: { questionOrder: ['good', 'miskeyed', 'anchor', 'essay'] },
+      answers: [
+        mcq('good', strong ? 0 : (index % 2) + 1, 0, 20 + index),
+        mcq('miskeyed', strong ? 1 : 0, 0),
+        mcq('anchor', strong || index % 3 === 0 ? 0 : 1, 0),
+        index % 4 === 0
+          ? { questionId: 'essay', questionType: 'essay', userAnswer: '', pointsEarned: 0, maxPoints: 4 }
+          : { questionId: 'essay', questionType: 'essay', userAnswer: 'Answer', pointsEarned: strong ? 4 : 1, maxPoints: 4, timeSpent: 300 }
+      ]
+    };
+  });
+
+  const statisticFor = (statistics, questionId) => statistics.find(statistic => statistic.questionId === questionId);
+  const flagCodes = (statistic) => statistic.flags.map(flag => flag.code);
+
+  it('should compute difficulty, discrimination, time and skip rate', () => {
+    const statistics = itemAnalysisService.analyzeExam(exam, buildResults(40));
+
+    const good = statisticFor(statistics, 'good');
+    expect(good).toMatchObject({ presented: 40, responses: 40, pValue: 0.5, skipRate: 0 });
+    expect(good.pointBiserial).toBeGreaterThan(0.5);
+    expect(good.averageTimeSpent).toBe(39.5);
+
+    const essay = statisticFor(statistics, 'essay');
+    expect(essay.responses).toBe(30);
+    expect(essay.skipRate).toBe(0.25);
+    expect(essay.distractors).toEqual([]);
+  });
+
+  it('should report distractor selection overall and by scoring group', () => {
+    const good = statisticFor(itemAnalysisService.analyzeExam(exam, buildResults(40)), 'good');
+
+    expect(good.distractors.map(distractor => [distractor.text, distractor.isCorrect, distractor.rate])).toEqual([
+      ['Right', true, 0.5],
+      ['Wrong', false, 0.25],
+      ['Also wrong', false, 0.25],
+      ['Never chosen', false, 0]
+    ]);
+    expect(good.distractors[0]).toMatchObject({ upperRate: 1, lowerRate: 0 });
+    expect(flagCodes(good)).toEqual(['unused_distractor']);
+  });
+
+  it('should flag questions whose key looks wrong', () => {
+    const miskeyed = statisticFor(itemAnalysisService.analyzeExam(exam, buildResults(40)), 'miskeyed');
+
+    expect(miskeyed.pointBiserial).toBeLessThan(0);
+    expect(flagCodes(miskeyed)).toEqual(expect.arrayContaining([
+      'negative_discrimination',
+      'ambiguous_distractor'
+    ]));
+    expect(miskeyed.flags.find(flag => flag.code === 'negative_discrimination').severity).toBe('critical');
+  });
+
+  it('should only flag questions with enough answers', () => {
+    const statistics = itemAnalysisService.analyzeExam(exam, buildResults(6));
+
+    statistics.forEach(statistic => expect(flagCodes(statistic)).toEqual(['insufficient_data']));
+  });
+
+  it('should only count answered questions as presented for adaptive exams', () => {
+    const adaptiveExam = { ...exam, isAdaptive: () => true };
+    const results = [{ presentation: { questionOrder: [] }, answers: [mcq('good', 0, 0)] }];
+
+    const statistics = itemAnalysisService.analyzeExam(adaptiveExam, results);
+
+    expect(statisticFor(statistics, 'good').presented).toBe(1);
+    expect(statisticFor(statistics, 'essay')).toMatchObject({ presented: 0, pValue: null, skipRate: null });
+  });
+});
@@ -0,0 +1,72 @@
+const mockInterviewScoringService = require('../../services/mockInterviewScoringService');
+
+/**
+ * Mock Interview Scoring Service Unit Tests
+ * Tests expected-point coverage, the four score components and session totals
+ */
+
+describe('MockInterviewScoringService', () => {
+  const question = {
+    questionId: 'q1',
+    question: 'Explain the difference between let, const and var in JavaScript',
+    type: 'technical',
+    expectedPoints: ['Hoisting', 'Block scope', 'Reassignment', 'Temporal dead zone']
+  };
+
+  const thoroughAnswer = 'First, var is function scoped and hoisted, so it can be used before its declaration. ' +
+    'In contrast, let and const are block scoped. They are hoisted too, but they sit in the temporal dead zone ' +
+    'until the declaration runs, because of that reading them early throws. Finally, const cannot be reassigned, ' +
+    'although objects declared with const can still be mutated. For example, const list = [] still allows list.push(1).';
+
+  describe('scoreResponse', () => {
+    it('should match expected points across word forms and multi-word points', () => {
+      const scored = mockInterviewScoringService.scoreResponse(question, thoroughAnswer);
+
+      expect(scored.matchedPoints).toEqual(['Hoisting', 'Block scope', 'Reassignment', 'Temporal dead zone']);
+      expect(scored.missedPoints).toEqual([]);
+      expect(scored).toMatchObject({ answered: true, coverage: 100, relevance: 100, structure: 100 });
+      expect(scored.depth).toBeLessThan(100);
+      expect(scored.score).toBeGreaterThan(80);
+    });
+
+    it('should score a short off-topic answer low on every component', () => {
+      const scored = mockInterviewScoringService.scoreResponse(question, 'I would look it up');
+
+      expect(scored.coverage).toBe(0);
+      expect(scored.relevance).toBe(0);
+      expect(scored.depth).toBeLessThan(10);
+      expect(scored.score).toBeLessThan(10);
+      expect(scored.missedPoints).toHaveLength(4);
+    });
+
+    it('should spread the coverage weight when a question has no expected points', () => {
+      const scored = mockInterviewScoringService.scoreResponse({ ...question, expectedPoints: [] }, thoroughAnswer);
+      const { relevance, depth, structure } = scored;
+
+      expect(scored.coverage).toBeNull();
+      expect(scored.score).toBe(Math.round((relevance + depth + structure) / 3));
+    });
+
+    it('should mark rambling answers down on depth', () => {
+      const rambling = Array(400).fill('word').join(' ');
+
+      expect(mockInterviewScoringService.scoreResponse(question, rambling).depth).toBe(80);
+      expect(mockInterviewScoringService.depth(240, 'behavioral')).toBe(100);
+      expect(mockInterviewScoringService.depth(90, 'behavioral')).toBe(50);
+    });
+  });
+
+  describe('scoreInterview', () => {
+    it('should count unanswered questions as zero in the overall score', () => {
+      const scoring = mockInterviewScoringService.scoreInterview(
+        [question, { questionId: 'q2', question: 'What is a closure?', type: 'technical', expectedPoints: ['Lexical scoping'] }],
+        [{ questionId: 'q1', answer: thoroughAnswer }]
+      );
+      const [first, second] = scoring.questions;
+
+      expect(second).toMatchObject({ answered: false, score: 0, coverage: 0, missedPoints: ['Lexical scoping'] });
+      expect(scoring.overallScore).toBe(Math.round(first.score / 2));
+      expect(scoring.components.coverage).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const performanceAnalyticsService = require('../../services/performanceAnalyticsService');
+
+/**
+ * Performance Analytics Service Unit Tests
+ * Tests breakdowns from question snapshots, time distributions, improvement deltas and trend periods
+ */
+
+describe('PerformanceAnalyticsService', () => {
+  const questions = [
+    { questionId: 'q1', category: 'JavaScript', difficulty: 'easy' },
+    { questionId: 'q2', category: 'JavaScript', difficulty: 'hard' },
+    { questionId: 'q3', category: 'SQL', difficulty: 'medium' },
+    { questionId: 'q4' }
+  ];
+
+  // Answers are [questionId, correct, seconds]; an unanswered question has a null answer
+  const result = (resultId, endTime, score, answers) => ({
+    resultId,
+    examId: 'exam_analytics',
+    exam: { title: 'Analytics Exam' },
+    endTime: new Date(endTime),
+    totalTimeSpent: 600,
+    scoring: { percentage: score, passed: score >= 70 },
+    presentation: { questions },
+    answers: answers.map(([questionId, correct, timeSpent]) => ({
+      questionId,
+      userAnswer: correct === null ? null : 1,
+      isCorrect: Boolean(correct),
+      timeSpent
+    }))
+  });
+
+  const attempts = [
+    result('r1', '2026-09-01T10:00:00Z', 40, [['q1', true, 20], ['q2', false, 200], ['q3', false, 90], ['q4', null, 0]]),
+    result('r2', '2026-09-03T10:00:00Z', 60, [['q1', true, 25], ['q2', false, 150], ['q3', true, 60], ['q4', false, 400]]),
+    result('r3', '2026-09-20T10:00:00Z', 90, [['q1', true, 10], ['q2', true, 100], ['q3', true, 45], ['q4', true, 40]])
+  ].map(attempt => performanceAnalyticsService.toAttempt(attempt));
+
+  describe('buildUserAnalytics', () => {
+    it('should break answers down by the snapshot categories and difficulties', () => {
+      const analytics = performanceAnalyticsService.buildUserAnalytics(attempts, '30d');
+
+      expect(analytics.summary).toMatchObject({ totalAttempts: 3, averageScore: 63.3, bestScore: 90, passRate: 33, questionsAnswered: 11 });
+      expect(analytics.categories).toEqual([
+        { category: 'JavaScript', attempted: 6, correct: 4, percentage: 67, averageTimeSeconds: 84.2 },
+        { category: 'SQL', attempted: 3, correct: 2, percentage: 67, averageTimeSeconds: 65 },
+        { category: 'General', attempted: 2, correct: 1, percentage: 50, averageTimeSeconds: 220 }
+      ]);
+      // Unrated questions stay out of the difficulty breakdown
+      expect(analytics.difficulties.map(group => [group.difficulty, group.attempted, group.correct])).toEqual([
+        ['easy', 3, 3], ['medium', 3, 2], ['hard', 3, 1]
+      ]);
+      expect(analytics.scoreTrend.map(entry => entry.score)).toEqual([40, 60, 90]);
+    });
+
+    it('should bucket time per question and skip answers without a time', () => {
+      const distribution = performanceAnalyticsService.buildUserAnalytics(attempts, '30d').timePerQuestion;
+
+      expect(distribution.answers).toBe(11);
+      expect(distribution.medianSeconds).toBe(60);
+      expect(distribution.buckets).toEqual([
+        { label: 'under 30s', count: 3 },
+        { label: '30s-2m', count: 5 },
+        { label: '2-5m', count: 2 },
+        { label: 'over 5m', count: 1 }
+      ]);
+    });
+  });
+
+  describe('improvement', () => {
+    it('should compare first and latest scores and the earlier and recent halves', () => {
+      expect(performanceAnalyticsService.improvement([40, 60, 90])).toEqual({
+        firstScore: 40,
+        latestScore: 90,
+        change: 50,
+        earlierAverage: 40,
+        recentAverage: 90,
+        averageChange: 50
+      });
+      expect(performanceAnalyticsService.improvement([75])).toBeNull();
+    });
+  });
+
+  describe('buildSliceAnalytics', () => {
+    it('should follow one category attempt by attempt, ignoring case', () => {
+      const analytics = performanceAnalyticsService.buildSliceAnalytics(attempts, 'category', 'javascript', '30d');
+
+      expect(analytics).toMatchObject({ category: 'JavaScript', attempts: 3, questions: 6, correct: 4, percentage: 67 });
+      expect(analytics.trend.map(entry => entry.percentage)).toEqual([50, 50, 100]);
+      expect(analytics.improvement.change).toBe(50);
+    });
+  });
+
+  describe('buildTrends', () => {
+    it('should group scores by week for a quarter and by day for a month', () => {
+      const weekly = performanceAnalyticsService.buildTrends(attempts, '90d');
+      const daily = performanceAnalyticsService.buildTrends(attempts, '30d');
+
+      expect(weekly.interval).toBe('week');
+      expect(weekly.periods).toEqual([
+        { period: '2026-08-31', attempts: 2, averageScore: 50, bestScore: 60, passed: 0 },
+        { period: '2026-09-14', attempts: 1, averageScore: 90, bestScore: 90, passed: 1 }
+      ]);
+      expect(daily.periods.map(period => period.period)).toEqual(['2026-09-01', '2026-09-03', '2026-09-20']);
+    });
+
+    it('should start timeframes at the right date', () => {
+      const now = new Date('2026-10-01T00:00:00Z');
+
+      expect(performanceAnalyticsService.getSince('7d', now).toISOString()).toBe('2026-09-24T00:00:00.000Z');
+      expect(performanceAnalyticsService.getSince('all', now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const questionImportExportService = require('../../services/questionImportExportService');
+
+/**
+ * Question Import/Export Service Unit Tests
+ * Tests reading and writing CSV, JSON, GIFT and QTI 2.1 question files
+ */
+
+describe('QuestionImportExportService', () => {
+  const questions = [
+    {
+      questionId: 'q_mcq',
+      type: 'mcq',
+      question: 'Which {brace} = sign?',
+      options: ['First, with a comma', 'Second | piped', 'Third "quoted" ~tilde'],
+      correctAnswer: 1,
+      explanation: 'Option #2',
+      category: 'Syntax',
+      difficulty: 'hard',
+      tags: ['javascript', 'basics'],
+      points: 2
+    },
+    { questionId: 'q_essay', type: 'essay', question: 'Explain closures', category: 'JavaScript', difficulty: 'easy' },
+    {
+      questionId: 'q_coding',
+      type: 'coding',
+      question: 'Add two numbers',
+      category: 'JavaScript',
+      codeTemplate: 'function add(a, b) {\n}',
+      testCases: [{ _id: 'tc1', input: '1 2', expectedOutput: '3', isHidden: true }]
+    }
+  ];
+
+  const roundTrip = async (format) => {
+    const { content } = await questionImportExportService.serialize(format, questions);
+    return questionImportExportService.parse(format, content);
+  };
+
+  it('should keep every field through CSV and JSON', async () => {
+    for (const format of ['csv', 'json']) {
+      const entries = await roundTrip(format);
+
+      expect(entries.every(entry => entry.errors.length === 0)).toBe(true);
+      expect(entries.map(entry => entry.data)).toEqual([
+        questions[0],
+        questions[1],
+        { ...questions[2], testCases: [{ input: '1 2', expectedOutput: '3', isHidden: true }] }
+      ]);
+    }
+  });
+
+  it('should escape formula-like CSV values on export and restore them on import', async () => {
+    const formulaQuestion = { type: 'mcq', question: '=1+1', options: ['-1', '+2', '@3'], correctAnswer: 1, category: 'Math' };
+    const { content } = await questionImportExportService.serialize('csv', [formulaQuestion]);
+    const [, row] = content.trim().split('\r\n');
+
+    expect(row).toMatch(/^,mcq,'=1\+1,'-1\|\+2\|@3,1,/);
+    const [entry] = await questionImportExportService.parse('csv', content);
+    expect(entry.data).toEqual(formulaQuestion);
+  });
+
+  it('should report CSV rows by line, including quoted line breaks', async () => {
+    const entries = await questionImportExportService.parse('csv', Buffer.from(
+      'type,question,options,correctAnswer,category,points\n' +
+      'essay,"Two\nlines",,,Writing,1\n' +
+      'mcq,Pick,a|b,B,Letters,lots\n'
+    ));
+
+    expect(entries[0]).toMatchObject({ row: 2, data: { question: 'Two\nlines' } });
+    expect(entries[1]).toMatchObject({
+      row: 4,
+      data: { options: ['a', 'b'], correctAnswer: 1 },
+      errors: [{ field: 'points', message: 'points must be a number' }]
+    });
+  });
+
+  it('should reject a CSV file without the required columns', async () => {
+    await expect(questionImportExportService.parse('csv', 'title,body\nA,B\n'))
+      .rejects.toThrow('missing required columns: type, question, category');
+  });
+
+  it('should read GIFT multiple choice, true/false, missing-word and essay questions', async () => {
+    const entries = await questionImportExportService.parse('gift', [
+      '// Geography',
+      '$CATEGORY: $course$/top/Geography',
+      '',
+      '::capital::What is the capital of France? {',
+      '  ~Rome#Wrong',
+      '  =Paris#Right',
+      '  ####Paris has been the capital since 987.',
+      '}',
+      '',
+      'The Earth is round. {T}',
+      '',
+      'The sun rises in the {~north =east ~south} every day.',
+      '',
+      'Describe your home town. {}',
+      '',
+      'Name a primary colour. {=red =blue =yellow}'
+    ].join('\n'));
+
+    expect(entries.map(entry => entry.data)).toEqual([
+      {
+        category: 'Geography',
+        questionId: 'capital',
+        question: 'What is the capital of France?',
+        explanation: 'Paris has been the capital since 987.',
+        type: 'mcq',
+        options: ['Rome', 'Paris'],
+        correctAnswer: 1
+      },
+      { category: 'Geography', question: 'The Earth is round.', type: 'mcq', options: ['True', 'False'], correctAnswer: 0 },
+      {
+        category: 'Geography',
+        question: 'The sun rises in the _____ every day.',
+        type: 'mcq',
+        options: ['north', 'east', 'south'],
+        correctAnswer: 1
+      },
+      { category: 'Geography', question: 'Describe your home town.', type: 'essay' },
+      expect.objectContaining({ question: 'Name a primary colour.' })
+    ]);
+    expect(entries[4].errors.map(error => error.message)).toContain('Short-answer GIFT questions are not supported');
+  });
+
+  it('should round trip GIFT with escaped characters, exporting other types as essays', async () => {
+    const entries = await roundTrip('gift');
+
+    expect(entries[0].data).toEqual(questions[0]);
+    expect(entries[2].data).toMatchObject({ questionId: 'q_coding', type: 'essay', category: 'JavaScript' });
+  });
+
+  it('should round trip QTI content packages with their metadata', async () => {
+    const { content, contentType } = await questionImportExportService.serialize('qti', questions);
+    const entries = await questionImportExportService.parse('qti', content);
+
+    expect(contentType).toBe('application/zip');
+    expect(entries[0].data).toEqual(questions[0]);
+    expect(entries[1].data).toMatchObject({ questionId: 'q_essay', type: 'essay', difficulty: 'easy', category: 'JavaScript' });
+  });
+
+  it('should read a single QTI item and flag multiple-response items', async () => {
+    const item = (maxChoices) => `<?xml version="1.0" encoding="UTF-8"?>
+      <assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="item1" title="Item">
+        <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+          <correctResponse><value>B</value></correctResponse>
+        </responseDeclaration>
+        <itemBody>
+          <p>Look at the code.</p>
+          <choiceInteraction responseIdentifier="RESPONSE" maxChoices="${maxChoices}">
+            <prompt>What does it print?</prompt>
+            <simpleChoice identifier="A">1</simpleChoice>
+            <simpleChoice identifier="B">2</simpleChoice>
+          </choiceInteraction>
+        </itemBody>
+      </assessmentItem>`;
+
+    const [single] = await questionImportExportService.parse('qti', item(1));
+    expect(single).toMatchObject({
+      row: 1,
+      data: { questionId: 'item1', type: 'mcq', question: 'Look at the code. What does it print?', options: ['1', '2'], correctAnswer: 1 },
+      errors: []
+    });
+
+    const [multiple] = await questionImportExportService.parse('qti', item(0));
+    expect(multiple.errors[0].message).toBe('Multiple-response items are not supported');
+  });
+
+  it('should detect formats from file names', () => {
+    expect(questionImportExportService.detectFormat('bank.CSV')).toBe('csv');
+    expect(questionImportExportService.detectFormat('moodle.gift')).toBe('gift');
+    expect(questionImportExportService.detectFormat('package.zip')).toBe('qti');
+    expect(questionImportExportService.detectFormat('notes.docx')).toBeNull();
+  });
+});
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Exam = require('../../models/Exam');
+const Result = require('../../models/Result');
+const reportExportService = require('../../services/reportExportService');
+
+/**
+ * Report Export Service Unit Tests
+ * Tests result reports, the PDF renderer and the CSV/XLSX result tables
+ */
+
+describe('ReportExportService', () => {
+  const buildExam = () => new Exam({
+    examId: 'exam_report',
+    userId: new mongoose.Types.ObjectId(),
+    examType: 'industry_specific',
+    title: 'Backend Exam',
+    totalTimeLimit: 1800,
+    passingScore: 60,
+    questions: [
+      { questionId: 'q1', type: 'mcq', question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 0, points: 2, category: 'Geography' },
+      { questionId: 'q2', type: 'coding', question: 'Add two numbers', points: 5, category: 'Algorithms' },
+      { questionId: 'q3', type: 'essay', question: 'Explain REST', points: 3, category: 'HTTP' }
+    ]
+  });
+
+  const buildResult = (exam) => {
+    const result = new Result({
+      resultId: 'result_report',
+      examId: exam.examId,
+      userId: new mongoose.Types.ObjectId(),
+      exam: exam._id,
+      status: 'completed',
+      startTime: new Date('2026-01-01T10:00:00Z'),
+      endTime: new Date('2026-01-01T10:15:00Z'),
+      totalTimeSpent: 900,
+      presentation: {
+        questions: exam.questions.map(question => ({
+          questionId: question.questionId,
+          type: question.type,
+          category: question.category,
+          question: question.question,
+          options: question.options,
+          correctAnswer: question.correctAnswer,
+          points: question.points
+        }))
+      },
+      answers: [
+        { questionId: 'q1', questionType: 'mcq', userAnswer: 1, isCorrect: false, pointsEarned: 0, maxPoints: 2, timeSpent: 30 },
+        {
+          questionId: 'q2',
+          questionType: 'coding',
+          userAnswer: 'const add = (a, b) => a + b;',
+          isCorrect: false,
+          pointsEarned: 2.5,
+          maxPoints: 5,
+          timeSpent: 400,
+          codeSubmission: { code: 'const add = (a, b) => a + b;', language: 'javascript', passedTestCases: 1, totalTestCases: 2 }
+        },
+        { questionId: 'q3', questionType: 'essay', userAnswer: 'REST is an architectural style', isCorrect: true, pointsEarned: 3, maxPoints: 3, timeSpent: 200, textResponse: { content: 'REST is an architectural style' } }
+      ],
+      securityEvents: { violationCount: 1 }
+    });
+    result.calculateScore(exam.passingScore);
+    return result;
+  };
+
+  const violations = [
+    { violationType: 'tab_switch', severity: 'medium', description: 'Switched tab', timestamp: new Date('2026-01-01T10:05:00Z') },
+    { violationType: 'tab_switch', severity: 'high', description: 'Switched tab again', timestamp: new Date('2026-01-01T10:06:00Z') }
+  ];
+
+  it('should record category performance when scoring', () => {
+    const result = buildResult(buildExam());
+
+    expect(result.analytics.categoryPerformance.map(entry => ({ ...entry.toObject(), _id: undefined }))).toEqual([
+      { category: 'Geography', attempted: 1, correct: 0, percentage: 0, _id: undefined },
+      { category: 'Algorithms', attempted: 1, correct: 0, percentage: 0, _id: undefined },
+      { category: 'HTTP', attempted: 1, correct: 1, percentage: 100, _id: undefined }
+    ]);
+  });
+
+  it('should build a result report with breakdowns, answers and proctoring', () => {
+    const exam = buildExam();
+    const report = reportExportService.buildResultReport(exam, buildResult(exam), {
+      candidate: { name: 'Ada', email: 'ada@example.com' },
+      violations
+    });
+
+    expect(report.candidate).toEqual({ name: 'Ada', email: 'ada@example.com' });
+    expect(report.score).toMatchObject({ totalPoints: 5.5, maxPossiblePoints: 10, percentage: 55, passed: false });
+    expect(report.breakdown.byType.map(entry => [entry.type, entry.pointsEarned, entry.maxPoints])).toEqual([
+      ['mcq', 0, 2],
+      ['coding', 2.5, 5],
+      ['essay', 3, 3]
+    ]);
+    expect(report.questions.map(question => question.answer)).toEqual([
+      'Rome',
+      '1/2 test cases passed\nconst add = (a, b) => a + b;',
+      'REST is an architectural style'
+    ]);
+    expect(report.questions[0].correctAnswer).toBeUndefined();
+    expect(report.proctoring).toMatchObject({
+      violationCount: 2,
+      byType: [{ type: 'tab_switch', count: 2 }],
+      bySeverity: { medium: 1, high: 1 }
+    });
+  });
+
+  it('should include the answer key only when asked', () => {
+    const exam = buildExam();
+    const report = reportExportService.buildResultReport(exam, buildResult(exam), { includeAnswerKey: true });
+
+    expect(report.questions[0].correctAnswer).toBe('Paris');
+    expect(report.candidate.name).toBe('Unknown candidate');
+  });
+
+  it('should show the exam title and candidate name unescaped', () => {
+    const exam = buildExam();
+    exam.title = 'Q&amp;A &lt;Basics&gt;';
+    const report = reportExportService.buildResultReport(exam, buildResult(exam), { candidate: { name: 'Conan O&#x27;Brien' } });
+
+    expect(report.exam.title).toBe('Q&A <Basics>');
+    expect(report.candidate.name).toBe("Conan O'Brien");
+  });
+
+  it('should render the report as a PDF', async () => {
+    const exam = buildExam();
+    const report = reportExportService.buildResultReport(exam, buildResult(exam), { violations });
+
+    const pdf = await reportExportService.renderResultPdf(report);
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should export results as CSV with a column per category', () => {
+    const exam = buildExam();
+    // Exports read results with the candidate populated
+    const result = { ...buildResult(exam).toObject(), userId: { name: 'Lovelace, Ada', email: 'ada@example.com' } };
+
+    const table = reportExportService.buildResultRows([result]);
+    const [header, row] = reportExportService.toResultsCsv(table).trim().split(/\r?\n/);
+
+    expect(header).toContain('Result ID,Candidate,Email');
+    expect(header).toContain('Algorithms (%),Geography (%),HTTP (%)');
+    expect(row).toContain('result_report,"Lovelace, Ada",ada@example.com');
+    expect(row).toContain('2026-01-01T10:00:00.000Z');
+    expect(row.endsWith('0,0,100')).toBe(true);
+  });
+
+  it('should keep spreadsheets from running CSV values as formulas', () => {
+    const exam = buildExam();
+    const result = { ...buildResult(exam).toObject(), userId: { name: '=HYPERLINK("http://evil.test")', email: '@ada' } };
+
+    const [, row] = reportExportService.toResultsCsv(reportExportService.buildResultRows([result])).trim().split(/\r?\n/);
+
+    expect(row).toContain(`"'=HYPERLINK(""http://evil.test"")",'@ada`);
+  });
+
+  it('should export results as an XLSX workbook', async () => {
+    const exam = buildExam();
+    const result = { ...buildResult(exam).toObject(), userId: { name: 'Ada', email: 'ada@example.com' } };
+
+    const content = await reportExportService.toResultsXlsx(reportExportService.buildResultRows([result]), 'Backend: Exam?');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(content);
+    const sheet = workbook.worksheets[0];
+    expect(sheet.name).toBe('Backend  Exam ');
+    expect(sheet.getRow(1).getCell(2).value).toBe('Candidate');
+    expect(sheet.getRow(2).getCell(1).value).toBe('result_report');
+  });
+});
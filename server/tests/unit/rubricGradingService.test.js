@@ -0,0 +1,49 @@
+const RubricGradingService = require('../../services/rubricGradingService');
+
+/**
+ * Rubric Grading Service Unit Tests
+ * Tests scoring of free-text answers against expected points
+ */
+
+describe('RubricGradingService', () => {
+  let grader;
+  const expectedPoints = ['Virtual DOM definition', 'Code example', 'Use cases', 'Best practices'];
+
+  beforeEach(() => {
+    grader = new RubricGradingService();
+  });
+
+  it('should give partial credit for the expected points an answer covers', () => {
+    const answer = 'The virtual DOM is a lightweight in-memory representation of the real DOM. ' +
+      'React diffs the virtual tree and applies minimal updates. For example, a code example: setState ' +
+      'triggers a re-render of the component tree. Best practices include keys on lists and memoization ' +
+      'to avoid wasted renders, which keeps large apps fast and responsive for users.';
+
+    const result = grader.gradeAnswer(answer, expectedPoints);
+
+    expect(result.coveredPoints).toEqual(['Virtual DOM definition', 'Code example', 'Best practices']);
+    expect(result.missedPoints).toEqual(['Use cases']);
+    expect(result.score).toBeCloseTo(0.75);
+    expect(result.isCorrect).toBe(true);
+    expect(result.suggestions).toContain('Address: Use cases');
+    expect(result.pointResults[0].evidence).toMatch(/virtual DOM is a lightweight/);
+  });
+
+  it('should scale down short answers', () => {
+    const result = grader.gradeAnswer('Best practices and a code example.', expectedPoints);
+
+    expect(result.score).toBeLessThan(0.5);
+    expect(result.suggestions.some(s => s.startsWith('Expand your answer'))).toBe(true);
+  });
+
+  it('should flag a negative tone', () => {
+    const result = grader.gradeAnswer('I hated the team. The project was a terrible disaster.', ['Team conflict']);
+
+    expect(result.sentiment.tone).toBe('negative');
+    expect(result.suggestions).toContain('Frame challenges constructively and focus on what you learned or achieved');
+  });
+
+  it('should return null when the question has no rubric', () => {
+    expect(grader.gradeAnswer('Any answer', [])).toBeNull();
+  });
+});
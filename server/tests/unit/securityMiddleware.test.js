@@ -0,0 +1,49 @@
+const { sanitizeInput, allowRawFields } = require('../../middleware/security');
+
+/**
+ * Security Middleware Unit Tests
+ * Tests that routes taking source code get those fields back as sent, and nothing else
+ */
+
+describe('Security middleware', () => {
+  const code = 'let done=false; const response=n; if (a < b && c) { console.log("it\'s"); }';
+
+  const run = (body, ...paths) => {
+    const req = { body, query: {}, params: {} };
+    sanitizeInput(req, {}, () => {});
+    allowRawFields(...paths)(req, {}, () => {});
+    return req.body;
+  };
+
+  describe('allowRawFields', () => {
+    it('should keep listed code fields exactly as sent', () => {
+      const body = run({ code, input: '1 < 2', language: '<b>js</b>' }, 'code', 'input');
+
+      expect(body.code).toBe(code);
+      expect(body.input).toBe('1 < 2');
+      expect(body.language).toBe('&lt;b&gt;js&lt;/b&gt;');
+    });
+
+    it('should follow nested paths and array items', () => {
+      const body = run({
+        answers: [
+          { questionId: 'q1', code, userAnswer: '<i>' },
+          { questionId: 'q2', selectedOption: 1 }
+        ],
+        codingSubmission: { code }
+      }, 'answers.*.code', 'codingSubmission.code');
+
+      expect(body.answers[0].code).toBe(code);
+      expect(body.answers[0].userAnswer).toBe('&lt;i&gt;');
+      expect(body.answers[1]).toEqual({ questionId: 'q2', selectedOption: 1 });
+      expect(body.codingSubmission.code).toBe(code);
+    });
+
+    it('should only restore strings, never objects that would skip sanitization', () => {
+      const body = run({ code: { nested: '<script>' }, answers: { __proto__: { code } } }, 'code', 'answers.*.code');
+
+      expect(body.code).toEqual({ nested: '&lt;script&gt;' });
+      expect({}.code).toBeUndefined();
+    });
+  });
+});
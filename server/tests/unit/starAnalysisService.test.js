@@ -0,0 +1,60 @@
+const starAnalysisService = require('../../services/starAnalysisService');
+
+/**
+ * STAR Analysis Service Unit Tests
+ * Tests sentence segmentation into STAR parts, weak and vague actions, quantified results and annotation offsets
+ */
+
+describe('StarAnalysisService', () => {
+  const complete = 'At my previous company our checkout service kept timing out during sales. ' +
+    'My task was to find the cause before the next launch. ' +
+    'I analyzed the traces and implemented a connection pool, then I led a load test. ' +
+    'As a result, p95 latency dropped by 60% and we handled 3x the traffic.';
+
+  describe('analyzeAnswer', () => {
+    it('should find every STAR part in order and reward a quantified result', () => {
+      const analysis = starAnalysisService.analyzeAnswer(complete);
+      const parts = analysis.annotations.filter(annotation => starAnalysisService.PARTS.includes(annotation.type));
+
+      expect(parts.map(annotation => annotation.type)).toEqual(['situation', 'task', 'action', 'result']);
+      expect(analysis.missingParts).toEqual([]);
+      expect(analysis.quantifiedResult).toBe(true);
+      expect(analysis.strongVerbs).toEqual(['implemented', 'led']);
+      expect(analysis.suggestions).toEqual([]);
+      expect(analysis.score).toBe(100);
+    });
+
+    it('should flag weak phrases and team-only actions with offsets into the answer', () => {
+      const answer = 'We had a project that was late. We worked on the backend together. It went fine in the end.';
+      const analysis = starAnalysisService.analyzeAnswer(answer);
+      const weak = analysis.annotations.find(annotation => annotation.type === 'weak_phrase');
+      const vague = analysis.annotations.find(annotation => annotation.type === 'vague_action');
+
+      expect(answer.slice(weak.start, weak.end)).toBe('worked on');
+      expect(vague).toMatchObject({ text: 'We worked on the backend together.', message: 'Say what you did, not only what the team did' });
+      expect(analysis.weakPhrases).toEqual(['worked on']);
+    });
+
+    it('should report missing parts and an unquantified result', () => {
+      const analysis = starAnalysisService.analyzeAnswer('There was an outage last year. In the end the site came back.');
+
+      expect(analysis.missingParts).toEqual(['task', 'action']);
+      expect(analysis.quantifiedResult).toBe(false);
+      expect(analysis.annotations.some(annotation => annotation.type === 'unquantified_result')).toBe(true);
+      expect(analysis.suggestions).toEqual([
+        'Add the Task: what you were responsible for',
+        'Add the Action: the specific steps you took',
+        'Quantify the result so its impact is clear'
+      ]);
+      expect(analysis.score).toBe(40);
+    });
+
+    it('should treat an empty answer as missing every part', () => {
+      const analysis = starAnalysisService.analyzeAnswer('');
+
+      expect(analysis.missingParts).toEqual(['situation', 'task', 'action', 'result']);
+      expect(analysis.annotations).toEqual([]);
+      expect(analysis.score).toBe(0);
+    });
+  });
+});
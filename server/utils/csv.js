@@ -0,0 +1,95 @@
+/**
+ * CSV Utilities
+ * RFC 4180 reading and writing shared by question imports and report exports
+ */
+
+/**
+ * Split CSV text into records. Quoted fields may hold commas, doubled quotes and line breaks.
+ * @param {string} text - CSV content
+ * @returns {Array} [{ line, values }] - line is where the record starts; blank records are dropped
+ * @throws {Error} When a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  return records.filter(({ values }) => values.some(value => value.trim() !== ''));
+};
+
+// Spreadsheets evaluate a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value when it holds a comma, quote or line break.
+ * Text that a spreadsheet would run as a formula is prefixed with an apostrophe;
+ * numbers are written as they are.
+ */
+const formatCsvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo the apostrophe formatCsvField puts in front of formula-like text
+ */
+const unescapeCsvFormula = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+/**
+ * Write rows of values as CSV with CRLF line endings
+ * @param {Array} header - Column names
+ * @param {Array} rows - Arrays of values in header order
+ */
+const toCsv = (header, rows) => [header, ...rows]
+  .map(values => values.map(formatCsvField).join(','))
+  .join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  formatCsvField,
+  unescapeCsvFormula,
+  toCsv
+};
@@ -447,44 +447,72 @@ class DataSeeder {
   }
 
   /**
-   * Seed sample questions
+   * Seed the question bank
+   * Upserts every question from data/questionBank.js so re-running is safe
    */
   static async seedSampleQuestions() {
     try {
-      // This would typically load from a JSON file or external source
-      const sampleQuestions = [
-        {
-          type: 'mcq',
-          category: 'javascript',
-          difficulty: 'easy',
-          question: 'What is the correct way to declare a variable in JavaScript?',
-          options: ['var x = 5;', 'variable x = 5;', 'v x = 5;', 'declare x = 5;'],
-          correctAnswer: 0,
-          points: 5,
-          timeLimit: 60
-        },
-        {
-          type: 'coding',
-          category: 'algorithms',
-          difficulty: 'medium',
-          question: 'Write a function to reverse a string',
-          codeTemplate: 'function reverseString(str) {\n  // Your code here\n}',
-          testCases: [
-            { input: 'hello', expectedOutput: 'olleh' },
-            { input: 'world', expectedOutput: 'dlrow' }
-          ],
-          points: 15,
-          timeLimit: 300
+      const Question = require('../models/Question');
+      const { INDUSTRY_QUESTION_BANK } = require('../data/questionBank');
+      
+      const operations = [];
+      
+      for (const [role, difficulties] of Object.entries(INDUSTRY_QUESTION_BANK)) {
+        for (const [difficulty, questions] of Object.entries(difficulties)) {
+          questions.forEach(question => {
+            operations.push({
+              updateOne: {
+                filter: { questionId: question.id },
+                update: { $setOnInsert: DataSeeder.toQuestionDocument(question, role, difficulty) },
+                upsert: true
+              }
+            });
+          });
         }
-      ];
+      }
+      
+      if (operations.length === 0) {
+        return { inserted: 0, total: 0 };
+      }
       
-      console.log(`Sample questions prepared: ${sampleQuestions.length} questions`);
-      return sampleQuestions;
+      const result = await Question.bulkWrite(operations, { ordered: false });
+      console.log(`Question bank seeded: ${result.upsertedCount} new of ${operations.length} questions`);
+      return { inserted: result.upsertedCount, total: operations.length };
     } catch (error) {
       console.error('Failed to seed sample questions:', error);
       throw error;
     }
   }
+
+  /**
+   * Map a question bank entry onto the Question schema
+   */
+  static toQuestionDocument(question, role, difficulty) {
+    const stringify = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+    
+    return {
+      questionId: question.id,
+      type: question.type,
+      question: question.question,
+      options: question.options || [],
+      correctAnswer: question.correct,
+      explanation: question.explanation,
+      category: question.category,
+      role,
+      difficulty,
+      tags: [role, question.category.toLowerCase()],
+      codeTemplate: question.template,
+      referenceSolution: question.solution,
+      testCases: (question.testCases || []).map(testCase => ({
+        input: stringify(testCase.input),
+        expectedOutput: stringify(testCase.expected),
+        isHidden: false
+      })),
+      requirements: question.requirements || [],
+      expectedPoints: question.keyPoints || [],
+      metadata: { source: 'seed' }
+    };
+  }
 }
 
 module.exports = {
@@ -190,6 +190,25 @@ class SecurityManager {
       .replace(/<iframe[^>]*>.*?<\/iframe>/gi, '');
   }
 
+  /**
+   * Reverse the HTML entity escaping applied by sanitizeInput, for stored text
+   * that is scored or printed as typed. The removed "javascript:" and inline handler
+   * patterns cannot be restored, so source code skips the sanitizer (allowRawFields).
+   */
+  static restoreSanitizedInput(input) {
+    if (typeof input !== 'string') return input;
+    
+    const htmlEntities = {
+      '&lt;': '<',
+      '&gt;': '>',
+      '&quot;': '"',
+      '&#x27;': "'",
+      '&amp;': '&'
+    };
+    
+    return input.replace(/&(?:lt|gt|quot|#x27|amp);/g, (match) => htmlEntities[match]);
+  }
+
   /**
    * Validate and sanitize object recursively
    */